@@ -10,6 +10,11 @@ export const runtime = 'nodejs';
  *   tool_result    → 2:[{...}]\n             (data annotation)
  *   tool_error     → 2:[{...}]\n             (data annotation)
  *   session        → 2:[{...}]\n             (data annotation)
+ *   scope          → 2:[{...}]\n             (data annotation)
+ *   search_query   → 8:[{...}]\n             (message annotation)
+ *   citations      → 8:[{...}]\n             (message annotation)
+ *   no_relevant_context → 8:[{...}]\n        (message annotation)
+ *   answer         → 8:[{...}]\n             (message annotation)
  *   error          → 3:"<message>"\n         (error part)
  *   done           → d:{"finishReason":...}\n (finish)
  */
@@ -17,7 +22,7 @@ export async function POST(req: Request) {
   const body = await req.json();
 
   const message = body.messages?.at(-1)?.content ?? '';
-  const { sessionId, context } = body;
+  const { sessionId, context, knowledgeBase, filter } = body;
 
   if (!message) {
     return new Response(JSON.stringify({ error: 'No message provided' }), {
@@ -30,8 +35,12 @@ export async function POST(req: Request) {
   try {
     backendRes = await fetch(`${process.env.BACKEND_API_URL}/api/chat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ message, sessionId, context }),
+      headers: {
+        'Content-Type': 'application/json',
+        // The backend authenticates the user from the browser's session token
+        ...(req.headers.get('authorization') && { Authorization: req.headers.get('authorization')! }),
+      },
+      body: JSON.stringify({ message, sessionId, context, knowledgeBase, filter }),
     });
   } catch (err) {
     const msg = err instanceof Error ? err.message : 'Failed to reach backend';
@@ -44,7 +53,8 @@ export async function POST(req: Request) {
   }
 
   if (!backendRes.ok || !backendRes.body) {
-    const msg = `Backend error: ${backendRes.status}`;
+    const errorBody = await backendRes.json().catch(() => null);
+    const msg = errorBody?.error ?? `Backend error: ${backendRes.status}`;
     return new Response(`3:${JSON.stringify(msg)}\n`, {
       headers: {
         'Content-Type': 'text/plain; charset=utf-8',
@@ -83,20 +93,20 @@ export async function POST(req: Request) {
                   break;
                 case 'tool_executing':
                   enqueue(
-                    `2:${JSON.stringify([{ type: 'tool_executing', tools: event.tools }])}\n`
+                    `2:${JSON.stringify([{ type: 'tool_executing', tools: event.tools, step: event.step }])}\n`
                   );
                   break;
                 case 'tool_result':
                   enqueue(
                     `2:${JSON.stringify([
-                      { type: 'tool_result', tool: event.tool, result: event.result },
+                      { type: 'tool_result', tool: event.tool, result: event.result, step: event.step },
                     ])}\n`
                   );
                   break;
                 case 'tool_error':
                   enqueue(
                     `2:${JSON.stringify([
-                      { type: 'tool_error', tool: event.tool, error: event.error },
+                      { type: 'tool_error', tool: event.tool, error: event.error, step: event.step },
                     ])}\n`
                   );
                   break;
@@ -105,6 +115,35 @@ export async function POST(req: Request) {
                     `2:${JSON.stringify([{ type: 'session', sessionId: event.sessionId }])}\n`
                   );
                   break;
+                case 'scope':
+                  enqueue(`2:${JSON.stringify([{ type: 'scope', filter: event.filter }])}\n`);
+                  break;
+                case 'search_query':
+                  enqueue(
+                    `8:${JSON.stringify([
+                      {
+                        type: 'search_query',
+                        query: event.query,
+                        variants: event.variants,
+                        rewritten: event.rewritten,
+                      },
+                    ])}\n`
+                  );
+                  break;
+                case 'citations':
+                  // Message annotation so citations stay attached to this answer
+                  enqueue(
+                    `8:${JSON.stringify([{ type: 'citations', citations: event.citations }])}\n`
+                  );
+                  break;
+                case 'no_relevant_context':
+                  enqueue(
+                    `8:${JSON.stringify([{ type: 'no_relevant_context', message: event.message }])}\n`
+                  );
+                  break;
+                case 'answer':
+                  enqueue(`8:${JSON.stringify([{ type: 'answer', answerId: event.answerId }])}\n`);
+                  break;
                 case 'error':
                   enqueue(`3:${JSON.stringify(event.message ?? 'Unknown error')}\n`);
                   break;
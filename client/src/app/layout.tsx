@@ -1,15 +1,18 @@
 import type { Metadata } from 'next';
 import './globals.css';
+import { AuthProvider } from '@/components/auth/AuthProvider';
 
 export const metadata: Metadata = {
   title: 'DocuTalk',
-  description: 'AI-powered document chat — upload PDFs and ask questions',
+  description: 'AI-powered document chat — upload documents and ask questions',
 };
 
 export default function RootLayout({ children }: { children: React.ReactNode }) {
   return (
     <html lang="en" className="h-full">
-      <body className="h-full bg-[#FFFBF0]">{children}</body>
+      <body className="h-full bg-[#FFFBF0]">
+        <AuthProvider>{children}</AuthProvider>
+      </body>
     </html>
   );
 }
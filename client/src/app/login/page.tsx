@@ -0,0 +1,5 @@
+import { LoginPage } from '@/components/auth/LoginPage';
+
+export default function Login() {
+  return <LoginPage />;
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { usePathname, useRouter } from 'next/navigation';
+import type { AuthUser } from '@/types';
+import { apiFetch, clearAuthToken, getAuthToken, setAuthToken, UNAUTHORIZED_EVENT } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+
+const LOGIN_PATH = '/login';
+
+type AuthStatus = 'loading' | 'authenticated' | 'anonymous';
+
+interface AuthContextValue {
+  user: AuthUser | null;
+  status: AuthStatus;
+  login: (username: string, password: string) => Promise<void>;
+  register: (username: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+/**
+ * Holds the logged-in user. Every page but /login requires one: without a valid
+ * session token the user is sent to /login, and back to the app once logged in.
+ */
+export function AuthProvider({ children }: { children: React.ReactNode }) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [status, setStatus] = useState<AuthStatus>('loading');
+
+  const signOut = useCallback(() => {
+    clearAuthToken();
+    setUser(null);
+    setStatus('anonymous');
+  }, []);
+
+  // Restore the session from the stored token
+  useEffect(() => {
+    if (!getAuthToken()) {
+      setStatus('anonymous');
+      return;
+    }
+    (async () => {
+      try {
+        const res = await apiFetch(`${apiUrl}/api/auth/me`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error);
+        setUser(body.user);
+        setStatus('authenticated');
+      } catch {
+        signOut();
+      }
+    })();
+  }, [signOut]);
+
+  // Any request rejected with 401 (expired session, revoked key) logs the user out
+  useEffect(() => {
+    window.addEventListener(UNAUTHORIZED_EVENT, signOut);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, signOut);
+  }, [signOut]);
+
+  useEffect(() => {
+    if (status === 'anonymous' && pathname !== LOGIN_PATH) router.replace(LOGIN_PATH);
+    if (status === 'authenticated' && pathname === LOGIN_PATH) router.replace('/');
+  }, [status, pathname, router]);
+
+  const authenticate = useCallback(async (endpoint: 'login' | 'register', username: string, password: string) => {
+    const res = await fetch(`${apiUrl}/api/auth/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+    setAuthToken(body.token);
+    setUser(body.user);
+    setStatus('authenticated');
+  }, []);
+
+  const login = useCallback(
+    (username: string, password: string) => authenticate('login', username, password),
+    [authenticate]
+  );
+  const register = useCallback(
+    (username: string, password: string) => authenticate('register', username, password),
+    [authenticate]
+  );
+
+  const logout = useCallback(async () => {
+    await apiFetch(`${apiUrl}/api/auth/logout`, { method: 'POST' }).catch(() => null);
+    signOut();
+  }, [signOut]);
+
+  const ready = pathname === LOGIN_PATH ? status === 'anonymous' : status === 'authenticated';
+
+  return (
+    <AuthContext.Provider value={{ user, status, login, register, logout }}>
+      {ready ? (
+        children
+      ) : (
+        <div className="min-h-screen flex items-center justify-center text-sm font-bold text-gray-500">
+          Loading…
+        </div>
+      )}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth(): AuthContextValue {
+  const value = useContext(AuthContext);
+  if (!value) throw new Error('useAuth must be used inside <AuthProvider>');
+  return value;
+}
@@ -0,0 +1,93 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from './AuthProvider';
+
+export function LoginPage() {
+  const { login, register } = useAuth();
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!username || !password || isSubmitting) return;
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await (mode === 'login' ? login : register)(username.trim(), password);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full text-sm px-3 py-2 border-2 border-black bg-[#FFFBF0] focus:outline-none focus:shadow-[3px_3px_0px_#000] transition-shadow';
+
+  return (
+    <div className="min-h-screen bg-[#FFFBF0] flex items-center justify-center p-4">
+      <div className="w-full max-w-sm">
+        <div className="text-center mb-8">
+          <div className="text-5xl mb-3">📚</div>
+          <h1 className="text-3xl font-black text-black mb-1">DocuTalk</h1>
+          <p className="text-gray-600 text-sm">
+            {mode === 'login' ? 'Log in to chat with your documents' : 'Create your account'}
+          </p>
+        </div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="bg-white border-2 border-black shadow-[6px_6px_0px_#000] p-6 flex flex-col gap-4"
+        >
+          <label className="flex flex-col gap-1 text-xs font-bold uppercase tracking-wide text-gray-600">
+            Username
+            <input
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus
+              className={inputClass}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-xs font-bold uppercase tracking-wide text-gray-600">
+            Password
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              className={inputClass}
+            />
+          </label>
+
+          {error && (
+            <p className="text-xs font-bold text-white bg-[#FF5757] border-2 border-black px-3 py-2">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={!username || !password || isSubmitting}
+            className="w-full py-3 bg-[#FFE500] border-2 border-black shadow-[3px_3px_0px_#000] text-black font-black hover:shadow-none hover:translate-x-[3px] hover:translate-y-[3px] transition-all disabled:opacity-50 disabled:cursor-not-allowed disabled:translate-x-0 disabled:translate-y-0 disabled:shadow-[3px_3px_0px_#000]"
+          >
+            {isSubmitting ? 'Please wait…' : mode === 'login' ? 'Log in' : 'Create account'}
+          </button>
+
+          <button
+            type="button"
+            onClick={() => {
+              setMode(mode === 'login' ? 'register' : 'login');
+              setError(null);
+            }}
+            className="text-sm text-gray-600 hover:text-black font-medium transition-colors underline"
+          >
+            {mode === 'login' ? 'No account yet? Create one' : 'Already have an account? Log in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+'use client';
+
+import { useAuth } from './AuthProvider';
+
+/** Logged-in user and a log-out button, for page headers. */
+export function UserMenu() {
+  const { user, logout } = useAuth();
+  if (!user) return null;
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-white text-xs font-bold" title={user.role === 'admin' ? 'Administrator' : undefined}>
+        👤 {user.username}
+        {user.role === 'admin' && <span className="ml-1 text-[#FFE500]">(admin)</span>}
+      </span>
+      <button
+        onClick={logout}
+        className="text-black text-xs px-3 py-1.5 border-2 border-black bg-white shadow-[2px_2px_0px_#FFE500] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
+      >
+        Log out
+      </button>
+    </div>
+  );
+}
@@ -1,17 +1,28 @@
 'use client';
 
-import { useEffect, useRef } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import type { Message } from 'ai';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import type { Components } from 'react-markdown';
 import { ToolStatus } from './ToolStatus';
-import type { ToolAnnotation } from '@/types';
+import { FeedbackControls } from './FeedbackControls';
+import type {
+  AnswerAnnotation,
+  Citation,
+  CitationAnnotation,
+  NoRelevantContextAnnotation,
+  SearchQueryAnnotation,
+  ToolAnnotation,
+} from '@/types';
 
 interface ChatMessagesProps {
   messages: Message[];
+  sessionId: string | null;
   toolAnnotations: ToolAnnotation[];
   isLoading: boolean;
+  /** Open a citation's source document in the viewer */
+  onOpenSource?: (citation: Citation) => void;
 }
 
 const markdownComponents: Components = {
@@ -49,8 +60,155 @@ const markdownComponents: Components = {
   ),
 };
 
-function MessageBubble({ message }: { message: Message }) {
+const CITE_PREFIX = '#cite-';
+
+// Retrieval runs again when the document scope changes mid-answer; the latest one counts
+const lastCitationsIndex = (message: Message) =>
+  message.annotations?.findLastIndex((a) => (a as unknown as CitationAnnotation)?.type === 'citations') ??
+  -1;
+
+function getCitations(message: Message): Citation[] {
+  const annotation = message.annotations?.[lastCitationsIndex(message)] as unknown as
+    | CitationAnnotation
+    | undefined;
+  return annotation?.citations ?? [];
+}
+
+function getNoRelevantContext(message: Message): NoRelevantContextAnnotation | undefined {
+  const annotations = message.annotations ?? [];
+  const index = annotations.findLastIndex(
+    (a) => (a as unknown as NoRelevantContextAnnotation)?.type === 'no_relevant_context'
+  );
+  return index > lastCitationsIndex(message)
+    ? (annotations[index] as unknown as NoRelevantContextAnnotation)
+    : undefined;
+}
+
+// Only worth showing when retrieval searched something other than the question as typed
+function getSearchQuery(message: Message): SearchQueryAnnotation | undefined {
+  const annotation = message.annotations?.find(
+    (a) => (a as unknown as SearchQueryAnnotation)?.type === 'search_query'
+  ) as unknown as SearchQueryAnnotation | undefined;
+  return annotation && (annotation.rewritten || annotation.variants.length > 0) ? annotation : undefined;
+}
+
+// Sent once the answer is stored; answers without one (still streaming, or failed) can't be rated
+function getAnswer(message: Message): AnswerAnnotation | undefined {
+  return message.annotations?.find(
+    (a) => (a as unknown as AnswerAnnotation)?.type === 'answer'
+  ) as unknown as AnswerAnnotation | undefined;
+}
+
+// Turn inline [n] markers into links the markdown renderer can swap for footnote buttons
+function linkCitationMarkers(content: string, citations: Citation[]): string {
+  if (citations.length === 0) return content;
+  const ids = new Set(citations.map((c) => c.id));
+  return content.replace(/\[(\d+)\](?!\()/g, (marker, n) =>
+    ids.has(Number(n)) ? `[${n}](${CITE_PREFIX}${n})` : marker
+  );
+}
+
+function CitationList({
+  citations,
+  messageId,
+  activeId,
+  onOpenSource,
+}: {
+  citations: Citation[];
+  messageId: string;
+  activeId: number | null;
+  onOpenSource?: (citation: Citation) => void;
+}) {
+  return (
+    <ol className="mt-3 pt-2 border-t-2 border-black flex flex-col gap-1.5">
+      {citations.map((c) => (
+        <li
+          key={c.id}
+          id={`cite-${messageId}-${c.id}`}
+          className={`text-xs px-2 py-1 border border-black transition-colors ${
+            activeId === c.id ? 'bg-[#FFE500]' : 'bg-[#FFFBF0]'
+          }`}
+        >
+          {onOpenSource && (
+            <button
+              type="button"
+              onClick={() => onOpenSource(c)}
+              className="float-right ml-2 px-1.5 text-[10px] font-bold border border-black bg-white hover:bg-black hover:text-white transition-colors"
+              title="Open the source at the cited passage"
+            >
+              View
+            </button>
+          )}
+          <span className="font-black mr-1">[{c.id}]</span>
+          <span className="font-bold">{c.fileName}</span>
+          {c.pageNumber > 0 && <span className="text-gray-600"> · p. {c.pageNumber}</span>}
+          {c.sectionTitle && <span className="text-gray-600"> · {c.sectionTitle}</span>}
+          {c.contentType && c.contentType !== 'text' && (
+            <span className="text-gray-600"> · {c.contentType}</span>
+          )}
+          {c.ocrConfidence != null && (
+            <span className="text-gray-400" title="Read from a scanned page with OCR">
+              {' '}
+              · OCR {Math.round(c.ocrConfidence)}%
+            </span>
+          )}
+          {c.chunkId !== null && <span className="text-gray-400"> · chunk {c.chunkId}</span>}
+          <p className="mt-0.5 text-gray-600 italic line-clamp-2">“{c.snippet}”</p>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function MessageBubble({
+  message,
+  sessionId,
+  onOpenSource,
+}: {
+  message: Message;
+  sessionId: string | null;
+  onOpenSource?: (citation: Citation) => void;
+}) {
   const isUser = message.role === 'user';
+  const answer = isUser ? undefined : getAnswer(message);
+  const citations = isUser ? [] : getCitations(message);
+  const noRelevantContext = isUser ? undefined : getNoRelevantContext(message);
+  const searchQuery = isUser ? undefined : getSearchQuery(message);
+  const [activeCitation, setActiveCitation] = useState<number | null>(null);
+
+  const components = useMemo<Components>(
+    () => ({
+      ...markdownComponents,
+      a: ({ href, children }) => {
+        if (href?.startsWith(CITE_PREFIX)) {
+          const id = Number(href.slice(CITE_PREFIX.length));
+          return (
+            <sup>
+              <button
+                type="button"
+                onClick={() => {
+                  setActiveCitation(id);
+                  document
+                    .getElementById(`cite-${message.id}-${id}`)
+                    ?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                }}
+                className="px-0.5 font-black text-[10px] text-black bg-[#FFE500] border border-black hover:bg-black hover:text-[#FFE500] transition-colors"
+                title={`Source ${id}`}
+              >
+                {children}
+              </button>
+            </sup>
+          );
+        }
+        return (
+          <a href={href} className="underline text-blue-700 hover:text-blue-900">
+            {children}
+          </a>
+        );
+      },
+    }),
+    [message.id]
+  );
 
   return (
     <div className={`flex ${isUser ? 'justify-end' : 'justify-start'} px-4 py-1`}>
@@ -69,9 +227,47 @@ function MessageBubble({ message }: { message: Message }) {
         {isUser ? (
           <div className="whitespace-pre-wrap break-words">{message.content}</div>
         ) : (
-          <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
-            {message.content}
-          </ReactMarkdown>
+          <>
+            {searchQuery && (
+              <p
+                className="mb-2 text-[11px] text-gray-600 border-l-2 border-black pl-2"
+                title={
+                  searchQuery.variants.length > 0
+                    ? `Also searched: ${searchQuery.variants.join(' · ')}`
+                    : undefined
+                }
+              >
+                🔎 Searched for <span className="font-bold text-black">“{searchQuery.query}”</span>
+                {searchQuery.variants.length > 0 && ` + ${searchQuery.variants.length} more`}
+              </p>
+            )}
+            {noRelevantContext && (
+              <p
+                className="mb-2 inline-block text-[11px] font-bold px-2 py-0.5 border border-black bg-[#FFE500]"
+                title={noRelevantContext.message}
+              >
+                🔍 Not in your documents
+              </p>
+            )}
+            <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>
+              {linkCitationMarkers(message.content, citations)}
+            </ReactMarkdown>
+            {citations.length > 0 && message.content && (
+              <CitationList
+                citations={citations}
+                messageId={message.id}
+                activeId={activeCitation}
+                onOpenSource={onOpenSource}
+              />
+            )}
+            {answer && (
+              <FeedbackControls
+                sessionId={sessionId}
+                answerId={answer.answerId}
+                initial={answer.feedback}
+              />
+            )}
+          </>
         )}
       </div>
     </div>
@@ -95,7 +291,7 @@ function ThinkingIndicator() {
   );
 }
 
-export function ChatMessages({ messages, toolAnnotations, isLoading }: ChatMessagesProps) {
+export function ChatMessages({ messages, sessionId, toolAnnotations, isLoading, onOpenSource }: ChatMessagesProps) {
   const bottomRef = useRef<HTMLDivElement>(null);
   const lastAssistantIndex = [...messages].reverse().findIndex((m) => m.role === 'assistant');
   const isLastAssistant = lastAssistantIndex === 0;
@@ -107,7 +303,7 @@ export function ChatMessages({ messages, toolAnnotations, isLoading }: ChatMessa
   return (
     <div className="flex flex-col gap-1 py-4">
       {messages.map((msg) => (
-        <MessageBubble key={msg.id} message={msg} />
+        <MessageBubble key={msg.id} message={msg} sessionId={sessionId} onOpenSource={onOpenSource} />
       ))}
 
       {/* Show tool events after the last user message while loading */}
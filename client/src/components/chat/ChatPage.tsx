@@ -1,19 +1,58 @@
 'use client';
 
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useChat } from 'ai/react';
 import Link from 'next/link';
 import { useUserContext } from '@/hooks/useUserContext';
+import { useKnowledgeBases } from '@/hooks/useKnowledgeBases';
+import { useDocuments } from '@/hooks/useDocuments';
+import { useConversations } from '@/hooks/useConversations';
+import { KnowledgeBasePicker } from '@/components/knowledge-bases/KnowledgeBasePicker';
+import { UserMenu } from '@/components/auth/UserMenu';
+import { useAuth } from '@/components/auth/AuthProvider';
+import { authHeaders } from '@/lib/auth';
 import { ChatMessages } from './ChatMessages';
+import { DocumentScopePicker } from './DocumentScopePicker';
 import { ChatInput } from './ChatInput';
 import { ConversationStarters } from './ConversationStarters';
-import type { ToolAnnotation } from '@/types';
+import { ConversationSidebar } from './ConversationSidebar';
+import { SourceViewer } from './SourceViewer';
+import type { Citation, RetrievalFilter, ScopeAnnotation, ToolAnnotation } from '@/types';
+
+// The open conversation survives reloads; it is resumed from the server on mount
+const SESSION_STORAGE_KEY = 'docutalk:chat-session';
 
 export function ChatPage() {
-  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [sessionId, setSessionIdState] = useState<string | null>(null);
+  const { user } = useAuth();
   const { buildContext } = useUserContext();
   const contextRef = useRef(buildContext);
   contextRef.current = buildContext;
+  const {
+    knowledgeBases,
+    selected: knowledgeBase,
+    error: knowledgeBaseError,
+    select: selectKnowledgeBase,
+    createKnowledgeBase,
+    deleteKnowledgeBase,
+  } = useKnowledgeBases();
+  const { documents } = useDocuments(knowledgeBase);
+  const [scope, setScope] = useState<RetrievalFilter | null>(null);
+  const [viewing, setViewing] = useState<Citation | null>(null);
+  const {
+    conversations,
+    error: conversationError,
+    refresh: refreshConversations,
+    loadConversation,
+    renameConversation,
+    deleteConversation,
+  } = useConversations();
+
+  const setSessionId = useCallback((id: string | null) => {
+    if (id) localStorage.setItem(SESSION_STORAGE_KEY, id);
+    else localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSessionIdState(id);
+  }, []);
 
   const {
     messages,
@@ -25,17 +64,63 @@ export function ChatPage() {
     append,
     stop,
     setMessages,
+    setData,
   } = useChat({
     api: '/api/chat',
+    headers: authHeaders(),
     body: {
       sessionId,
       context: contextRef.current(),
+      knowledgeBase: knowledgeBase || undefined,
+      filter: scope,
+    },
+    onFinish: () => {
+      refreshConversations();
     },
     onError: (error) => {
       console.error('Chat error:', error);
     },
   });
 
+  const resumeConversation = useCallback(
+    async (id: string) => {
+      try {
+        const conversation = await loadConversation(id);
+        if (!conversation) {
+          setSessionId(null);
+          return;
+        }
+        setData(undefined);
+        setMessages(
+          conversation.messages.map((message, index) => ({
+            id: message.id ?? `${id}-${index}`,
+            role: message.role,
+            content: message.content,
+            createdAt: new Date(message.createdAt),
+            // Stored answers can still be rated after the conversation is resumed
+            ...(message.role === 'assistant' &&
+              message.id && {
+                annotations: [{ type: 'answer', answerId: message.id, feedback: message.feedback ?? null }],
+              }),
+          }))
+        );
+        setSessionId(id);
+        setScope(conversation.filter);
+        setViewing(null);
+        if (conversation.knowledgeBase) selectKnowledgeBase(conversation.knowledgeBase);
+      } catch (err) {
+        console.error('Failed to resume conversation:', err);
+      }
+    },
+    [loadConversation, setData, setMessages, setSessionId, selectKnowledgeBase]
+  );
+
+  // Pick up the conversation that was open before the page was reloaded
+  useEffect(() => {
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (stored) resumeConversation(stored);
+  }, []);
+
   // Extract sessionId from data annotations after first response
   useEffect(() => {
     if (sessionId || !data?.length) return;
@@ -43,22 +128,54 @@ export function ChatPage() {
       const annotation = item as unknown as ToolAnnotation;
       if (annotation.type === 'session' && annotation.sessionId) {
         setSessionId(annotation.sessionId);
+        refreshConversations();
         break;
       }
     }
-  }, [data, sessionId]);
+  }, [data, sessionId, setSessionId, refreshConversations]);
+
+  // The server reports the scope it searched, which changes when the model calls set_document_scope
+  useEffect(() => {
+    const latest = (data ?? [])
+      .map((d) => d as unknown as ScopeAnnotation)
+      .filter((d) => d.type === 'scope')
+      .at(-1);
+    if (latest) setScope(latest.filter);
+  }, [data]);
 
   const toolAnnotations = (data ?? [])
     .map((d) => d as unknown as ToolAnnotation)
-    .filter((d) => d.type !== 'session');
+    .filter((d) => d.type !== 'session' && (d.type as string) !== 'scope');
 
   const handleStarterSelect = (text: string) => {
     append({ role: 'user', content: text });
   };
 
-  const handleClearChat = () => {
+  // Starts a new conversation; the current one stays in the sidebar
+  const handleNewChat = () => {
     setMessages([]);
+    setData(undefined);
     setSessionId(null);
+    setScope(null);
+    setViewing(null);
+  };
+
+  const handleConversationDelete = async (id: string) => {
+    await deleteConversation(id);
+    if (id === sessionId) handleNewChat();
+  };
+
+  // Each conversation searches one knowledge base, so switching starts a new one
+  const handleKnowledgeBaseChange = (name: string) => {
+    if (name === knowledgeBase) return;
+    selectKnowledgeBase(name);
+    handleNewChat();
+  };
+
+  const handleKnowledgeBaseDelete = async (name: string) => {
+    await deleteKnowledgeBase(name);
+    handleNewChat();
+    refreshConversations();
   };
 
   return (
@@ -73,44 +190,79 @@ export function ChatPage() {
           </div>
         </div>
         <div className="flex items-center gap-2">
-          {messages.length > 0 && (
-            <button
-              onClick={handleClearChat}
-              className="text-black text-xs px-3 py-1.5 border-2 border-black bg-white shadow-[2px_2px_0px_#FFE500] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
-            >
-              Clear chat
-            </button>
-          )}
+          <KnowledgeBasePicker
+            knowledgeBases={knowledgeBases}
+            selected={knowledgeBase}
+            error={knowledgeBaseError}
+            disabled={isLoading}
+            onSelect={handleKnowledgeBaseChange}
+            onCreate={createKnowledgeBase}
+            onDelete={user?.role === 'admin' ? handleKnowledgeBaseDelete : undefined}
+          />
+          <DocumentScopePicker
+            documents={documents.filter((doc) => doc.status === 'ingested')}
+            scope={scope}
+            disabled={isLoading}
+            onChange={setScope}
+          />
+          <Link
+            href="/documents"
+            className="text-black text-xs px-3 py-1.5 border-2 border-black bg-white shadow-[2px_2px_0px_#FFE500] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
+          >
+            Documents
+          </Link>
           <Link
             href="/"
             className="text-black text-xs px-3 py-1.5 border-2 border-black bg-[#FFE500] shadow-[2px_2px_0px_#fff] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
           >
             + Upload docs
           </Link>
+          <UserMenu />
         </div>
       </header>
 
-      {/* Messages area */}
-      <div className="flex-1 overflow-y-auto bg-[#FFFBF0]">
-        {messages.length === 0 && !isLoading ? (
-          <ConversationStarters onSelect={handleStarterSelect} />
-        ) : (
-          <ChatMessages
-            messages={messages}
-            toolAnnotations={toolAnnotations}
+      <div className="flex flex-1 min-h-0">
+        <ConversationSidebar
+          conversations={conversations}
+          activeSessionId={sessionId}
+          error={conversationError}
+          disabled={isLoading}
+          onNew={handleNewChat}
+          onSelect={resumeConversation}
+          onRename={renameConversation}
+          onDelete={handleConversationDelete}
+        />
+
+        <div className="flex flex-col flex-1 min-w-0">
+          {/* Messages area */}
+          <div className="flex-1 overflow-y-auto bg-[#FFFBF0]">
+            {messages.length === 0 && !isLoading ? (
+              <ConversationStarters onSelect={handleStarterSelect} />
+            ) : (
+              <ChatMessages
+                messages={messages}
+                sessionId={sessionId}
+                toolAnnotations={toolAnnotations}
+                isLoading={isLoading}
+                onOpenSource={setViewing}
+              />
+            )}
+          </div>
+
+          {/* Input area */}
+          <ChatInput
+            value={input}
+            onChange={handleInputChange}
+            onSubmit={handleSubmit}
             isLoading={isLoading}
+            onStop={stop}
           />
+        </div>
+
+        {viewing && (
+          <SourceViewer citation={viewing} knowledgeBase={knowledgeBase} onClose={() => setViewing(null)} />
         )}
       </div>
-
-      {/* Input area */}
-      <ChatInput
-        value={input}
-        onChange={handleInputChange}
-        onSubmit={handleSubmit}
-        isLoading={isLoading}
-        onStop={stop}
-      />
     </div>
   );
 }
@@ -0,0 +1,108 @@
+'use client';
+
+import type { ConversationSummary } from '@/types';
+import { formatRelativeTime } from '@/lib/format';
+
+interface ConversationSidebarProps {
+  conversations: ConversationSummary[];
+  activeSessionId: string | null;
+  error: string | null;
+  disabled?: boolean;
+  onNew: () => void;
+  onSelect: (sessionId: string) => void;
+  onRename: (sessionId: string, title: string) => void;
+  onDelete: (sessionId: string) => void;
+}
+
+export function ConversationSidebar({
+  conversations,
+  activeSessionId,
+  error,
+  disabled,
+  onNew,
+  onSelect,
+  onRename,
+  onDelete,
+}: ConversationSidebarProps) {
+  const handleRename = (conversation: ConversationSummary) => {
+    const title = window.prompt('Rename conversation:', conversation.title);
+    if (!title?.trim() || title.trim() === conversation.title) return;
+    onRename(conversation.sessionId, title.trim());
+  };
+
+  const handleDelete = (conversation: ConversationSummary) => {
+    if (!window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+    onDelete(conversation.sessionId);
+  };
+
+  return (
+    <aside className="w-64 flex-shrink-0 flex flex-col border-r-2 border-black bg-white">
+      <div className="p-3 border-b-2 border-black">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full text-black text-sm px-3 py-2 border-2 border-black bg-[#FFE500] shadow-[3px_3px_0px_#000] hover:shadow-none hover:translate-x-[3px] hover:translate-y-[3px] transition-all font-bold disabled:opacity-50"
+        >
+          + New chat
+        </button>
+      </div>
+
+      {error && (
+        <p className="m-3 text-xs px-2 py-1.5 border-2 border-black bg-[#FF5757] text-white font-bold">
+          {error}
+        </p>
+      )}
+
+      <nav className="flex-1 overflow-y-auto" aria-label="Conversations">
+        {conversations.length === 0 ? (
+          <p className="p-3 text-xs text-black/50">Past conversations will appear here.</p>
+        ) : (
+          <ul>
+            {conversations.map((conversation) => {
+              const isActive = conversation.sessionId === activeSessionId;
+              return (
+                <li
+                  key={conversation.sessionId}
+                  className={`group flex items-start gap-1 border-b-2 border-black ${
+                    isActive ? 'bg-[#FFE500]' : 'hover:bg-[#FFFBF0]'
+                  }`}
+                >
+                  <button
+                    onClick={() => onSelect(conversation.sessionId)}
+                    disabled={disabled || isActive}
+                    className="flex-1 min-w-0 text-left px-3 py-2 disabled:cursor-default"
+                    title={conversation.title}
+                  >
+                    <span className="block text-sm font-bold text-black truncate">{conversation.title}</span>
+                    <span className="block text-xs text-black/60">
+                      {formatRelativeTime(conversation.lastMessageAt)} · {conversation.messageCount} messages
+                      {conversation.knowledgeBase && ` · 📚 ${conversation.knowledgeBase}`}
+                    </span>
+                  </button>
+                  <div className="flex gap-1 py-2 pr-2 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                    <button
+                      onClick={() => handleRename(conversation)}
+                      disabled={disabled}
+                      className="text-black text-xs px-1.5 py-0.5 border-2 border-black bg-white font-bold hover:bg-[#FFE500] disabled:opacity-50"
+                      title="Rename"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      onClick={() => handleDelete(conversation)}
+                      disabled={disabled}
+                      className="text-white text-xs px-1.5 py-0.5 border-2 border-black bg-[#FF5757] font-bold hover:bg-white hover:text-black disabled:opacity-50"
+                      title="Delete"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </nav>
+    </aside>
+  );
+}
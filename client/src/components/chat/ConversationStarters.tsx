@@ -17,7 +17,7 @@ export function ConversationStarters({ onSelect }: ConversationStartersProps) {
         <div className="text-5xl mb-4">📚</div>
         <h2 className="text-2xl font-black text-black mb-2">Ask about your documents</h2>
         <p className="text-gray-600 text-sm">
-          Your PDFs are ready. Start a conversation below.
+          Your documents are ready. Start a conversation below.
         </p>
       </div>
 
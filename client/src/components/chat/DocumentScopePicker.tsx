@@ -0,0 +1,135 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import type { DocumentSummary, RetrievalFilter } from '@/types';
+
+interface DocumentScopePickerProps {
+  documents: DocumentSummary[];
+  scope: RetrievalFilter | null;
+  disabled?: boolean;
+  onChange: (scope: RetrievalFilter | null) => void;
+}
+
+const parsePage = (value: string) => {
+  const page = Number.parseInt(value, 10);
+  return Number.isInteger(page) && page >= 0 ? page : null;
+};
+
+/**
+ * "Scope to these documents" multi-select. An empty selection with no page range
+ * searches the whole knowledge base, so it is reported as null.
+ */
+export function DocumentScopePicker({ documents, scope, disabled, onChange }: DocumentScopePickerProps) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  const selected = scope?.documents ?? [];
+  const pageFrom = scope?.pageFrom ?? null;
+  const pageTo = scope?.pageTo ?? null;
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e: MouseEvent) => {
+      if (!containerRef.current?.contains(e.target as Node)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const update = (next: RetrievalFilter) => {
+    const isEmpty = next.documents.length === 0 && next.pageFrom === null && next.pageTo === null;
+    onChange(isEmpty ? null : next);
+  };
+
+  const toggle = (fileName: string) => {
+    update({
+      documents: selected.includes(fileName)
+        ? selected.filter((name) => name !== fileName)
+        : [...selected, fileName],
+      pageFrom,
+      pageTo,
+    });
+  };
+
+  const label =
+    selected.length === 0
+      ? 'All documents'
+      : selected.length === 1
+        ? selected[0]
+        : `${selected.length} documents`;
+  const pages = pageFrom !== null || pageTo !== null ? ` · p. ${pageFrom ?? 'start'}–${pageTo ?? 'end'}` : '';
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        disabled={disabled}
+        title="Scope to these documents"
+        className={`text-black text-xs px-2 py-1.5 border-2 border-black font-bold max-w-[200px] truncate disabled:opacity-60 ${
+          scope ? 'bg-[#FFE500]' : 'bg-white'
+        }`}
+      >
+        🎯 {label}
+        {pages}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-20 w-72 bg-white border-2 border-black shadow-[3px_3px_0px_#000] p-3 space-y-3">
+          <p className="text-xs font-black uppercase tracking-wide">Scope to these documents</p>
+
+          {documents.length === 0 ? (
+            <p className="text-xs text-black/60">No ingested documents in this knowledge base.</p>
+          ) : (
+            <ul className="max-h-56 overflow-y-auto space-y-1">
+              {documents.map((doc) => (
+                <li key={doc.id}>
+                  <label className="flex items-center gap-2 text-xs cursor-pointer hover:bg-[#FFFBF0] px-1 py-0.5">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(doc.fileName)}
+                      onChange={() => toggle(doc.fileName)}
+                      className="accent-black"
+                    />
+                    <span className="truncate" title={doc.fileName}>
+                      {doc.fileName}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex items-center gap-2 text-xs">
+            <span className="font-bold">Pages</span>
+            <input
+              type="number"
+              min={0}
+              value={pageFrom ?? ''}
+              onChange={(e) => update({ documents: selected, pageFrom: parsePage(e.target.value), pageTo })}
+              placeholder="from"
+              className="w-16 px-1 py-0.5 border-2 border-black"
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min={0}
+              value={pageTo ?? ''}
+              onChange={(e) => update({ documents: selected, pageFrom, pageTo: parsePage(e.target.value) })}
+              placeholder="to"
+              className="w-16 px-1 py-0.5 border-2 border-black"
+            />
+          </div>
+
+          {scope && (
+            <button
+              onClick={() => onChange(null)}
+              className="w-full text-xs px-2 py-1 border-2 border-black bg-white font-bold hover:bg-[#FFE500]"
+            >
+              Search all documents
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+'use client';
+
+import { useState } from 'react';
+import type { AnswerFeedback } from '@/types';
+import { useAnswerFeedback } from '@/hooks/useAnswerFeedback';
+
+interface FeedbackControlsProps {
+  sessionId: string | null;
+  answerId: string;
+  initial?: AnswerFeedback | null;
+}
+
+const RATINGS: { rating: AnswerFeedback['rating']; label: string; title: string }[] = [
+  { rating: 'up', label: '👍', title: 'Good answer' },
+  { rating: 'down', label: '👎', title: 'Bad answer' },
+];
+
+/** Thumbs up/down for an answer, with an optional comment sent after rating */
+export function FeedbackControls({ sessionId, answerId, initial = null }: FeedbackControlsProps) {
+  const { feedback, submitting, error, submit } = useAnswerFeedback(sessionId, answerId, initial);
+  const [commenting, setCommenting] = useState(false);
+  const [comment, setComment] = useState(initial?.comment ?? '');
+
+  const handleRate = async (rating: AnswerFeedback['rating']) => {
+    if (await submit(rating, comment.trim())) setCommenting(true);
+  };
+
+  const handleSendComment = async () => {
+    if (!feedback) return;
+    if (await submit(feedback.rating, comment.trim())) setCommenting(false);
+  };
+
+  return (
+    <div className="mt-3 pt-2 border-t-2 border-black">
+      <div className="flex items-center gap-1.5">
+        {RATINGS.map(({ rating, label, title }) => (
+          <button
+            key={rating}
+            type="button"
+            onClick={() => handleRate(rating)}
+            disabled={submitting || !sessionId}
+            aria-pressed={feedback?.rating === rating}
+            className={`text-xs px-1.5 py-0.5 border-2 border-black font-bold transition-colors disabled:opacity-50 ${
+              feedback?.rating === rating ? 'bg-[#FFE500]' : 'bg-white hover:bg-[#FFFBF0]'
+            }`}
+            title={title}
+          >
+            {label}
+          </button>
+        ))}
+        {feedback && !commenting && (
+          <span className="text-[11px] text-gray-600">
+            Thanks for the feedback ·{' '}
+            <button type="button" onClick={() => setCommenting(true)} className="underline hover:text-black">
+              {feedback.comment ? 'edit comment' : 'add a comment'}
+            </button>
+          </span>
+        )}
+      </div>
+
+      {feedback && commenting && (
+        <div className="mt-2 flex flex-col gap-1.5">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            maxLength={2000}
+            rows={2}
+            placeholder={feedback.rating === 'up' ? 'What was helpful? (optional)' : 'What was wrong? (optional)'}
+            className="w-full text-xs px-2 py-1.5 border-2 border-black bg-[#FFFBF0] focus:outline-none focus:bg-white resize-y"
+          />
+          <div className="flex gap-1.5">
+            <button
+              type="button"
+              onClick={handleSendComment}
+              disabled={submitting}
+              className="text-xs px-2 py-0.5 border-2 border-black bg-[#FFE500] shadow-[2px_2px_0px_#000] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold disabled:opacity-50"
+            >
+              Send
+            </button>
+            <button
+              type="button"
+              onClick={() => setCommenting(false)}
+              className="text-xs px-2 py-0.5 border-2 border-black bg-white font-bold hover:bg-[#FFFBF0]"
+            >
+              Skip
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mt-1.5 text-[11px] font-bold text-[#FF5757]">{error}</p>}
+    </div>
+  );
+}
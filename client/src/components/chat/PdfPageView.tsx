@@ -0,0 +1,122 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import type { PDFDocumentProxy, RenderTask } from 'pdfjs-dist';
+import type { TextItem } from 'pdfjs-dist/types/src/display/api';
+import { findPassageItems, loadPdfjs } from '@/lib/pdf';
+
+interface PdfPageViewProps {
+  pdf: PDFDocumentProxy;
+  pageNumber: number;
+  /** Text to highlight on this page; null highlights nothing */
+  passage: string | null;
+  /** Called once the page is drawn, with whether the passage was found on it */
+  onPassageFound?: (found: boolean) => void;
+}
+
+interface Highlight {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * One PDF page drawn to fit the panel's width, with the text items of the passage
+ * marked over it. The first mark is scrolled into view.
+ */
+export function PdfPageView({ pdf, pageNumber, passage, onPassageFound }: PdfPageViewProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const firstHighlightRef = useRef<HTMLDivElement>(null);
+  const foundRef = useRef(onPassageFound);
+  foundRef.current = onPassageFound;
+  const [width, setWidth] = useState(0);
+  const [size, setSize] = useState<{ width: number; height: number } | null>(null);
+  const [highlights, setHighlights] = useState<Highlight[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width === 0) return;
+    let cancelled = false;
+    let renderTask: RenderTask | null = null;
+    setError(null);
+
+    (async () => {
+      const pdfjs = await loadPdfjs();
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      const context = canvas.getContext('2d');
+      if (cancelled || !context) return;
+      setSize({ width: viewport.width, height: viewport.height });
+
+      renderTask = page.render({ canvasContext: context, viewport, transform: [ratio, 0, 0, ratio, 0, 0] });
+      await renderTask.promise;
+      if (cancelled) return;
+
+      if (!passage) {
+        setHighlights([]);
+        return;
+      }
+      const content = await page.getTextContent();
+      const items = content.items.filter((item): item is TextItem => 'str' in item);
+      const matched = findPassageItems(items, passage);
+      if (cancelled) return;
+      setHighlights(
+        items
+          .filter((item, idx) => matched.has(idx) && item.str.trim())
+          .map((item) => {
+            const [, , c, d, x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+            const height = Math.hypot(c, d);
+            return { left: x, top: y - height, width: item.width * viewport.scale, height };
+          })
+      );
+      foundRef.current?.(matched.size > 0);
+    })().catch((err) => {
+      if (!cancelled && err?.name !== 'RenderingCancelledException') {
+        setError(err instanceof Error ? err.message : 'Failed to draw the page');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, passage, width]);
+
+  useEffect(() => {
+    firstHighlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlights]);
+
+  return (
+    <div ref={containerRef} className="w-full">
+      {error && <div className="text-sm text-white bg-[#FF5757] border-2 border-black px-3 py-2 mb-2">❌ {error}</div>}
+      <div
+        className="relative border-2 border-black bg-white shadow-[3px_3px_0px_#000]"
+        style={size ? { width: size.width, height: size.height } : undefined}
+      >
+        <canvas ref={canvasRef} className="block" style={size ? { width: size.width, height: size.height } : undefined} />
+        {highlights.map((h, idx) => (
+          <div
+            key={idx}
+            ref={idx === 0 ? firstHighlightRef : undefined}
+            className="absolute bg-[#FFE500]/50 mix-blend-multiply pointer-events-none"
+            style={{ left: h.left, top: h.top, width: h.width, height: h.height }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
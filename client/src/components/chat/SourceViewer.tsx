@@ -0,0 +1,155 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import type { PDFDocumentProxy } from 'pdfjs-dist';
+import type { Citation } from '@/types';
+import { isPdf, useDocumentSource } from '@/hooks/useDocumentSource';
+import { loadPdfjs } from '@/lib/pdf';
+import { PdfPageView } from './PdfPageView';
+
+interface SourceViewerProps {
+  citation: Citation;
+  knowledgeBase: string | null;
+  onClose: () => void;
+}
+
+/**
+ * Side panel showing a citation's source: PDFs open at the cited page with the passage
+ * highlighted, other files show the cited passage with a download link.
+ */
+export function SourceViewer({ citation, knowledgeBase, onClose }: SourceViewerProps) {
+  const { file, passage, isLoading, error, download } = useDocumentSource(citation, knowledgeBase);
+  const [pdf, setPdf] = useState<PDFDocumentProxy | null>(null);
+  const [pdfError, setPdfError] = useState<string | null>(null);
+  const [pageNumber, setPageNumber] = useState(citation.pageNumber || 1);
+  const [passageFound, setPassageFound] = useState<boolean | null>(null);
+
+  useEffect(() => {
+    setPageNumber(citation.pageNumber || 1);
+    setPassageFound(null);
+  }, [citation]);
+
+  useEffect(() => {
+    if (!file) return;
+    let cancelled = false;
+    let opened: PDFDocumentProxy | null = null;
+    setPdfError(null);
+
+    // pdf.js takes ownership of the buffer it is given, so it gets a copy
+    loadPdfjs()
+      .then((pdfjs) => pdfjs.getDocument({ data: new Uint8Array(file.slice(0)) }).promise)
+      .then((doc) => {
+        opened = doc;
+        if (cancelled) doc.destroy();
+        else setPdf(doc);
+      })
+      .catch((err) => !cancelled && setPdfError(err instanceof Error ? err.message : 'Failed to open the PDF'));
+
+    return () => {
+      cancelled = true;
+      setPdf(null);
+      opened?.destroy();
+    };
+  }, [file]);
+
+  const onCitedPage = pageNumber === citation.pageNumber;
+  const numPages = pdf?.numPages ?? 0;
+
+  return (
+    <aside className="w-[480px] flex-shrink-0 flex flex-col border-l-2 border-black bg-white min-h-0">
+      <div className="flex items-center gap-2 px-3 py-2 border-b-2 border-black bg-[#FFFBF0]">
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-black truncate" title={citation.fileName}>
+            [{citation.id}] {citation.fileName}
+          </p>
+          {citation.sectionTitle && <p className="text-xs text-gray-600 truncate">{citation.sectionTitle}</p>}
+        </div>
+        <button
+          type="button"
+          onClick={download}
+          className="text-xs px-2 py-1 border-2 border-black bg-white shadow-[2px_2px_0px_#000] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
+        >
+          Download
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-xs px-2 py-1 border-2 border-black bg-[#FFE500] hover:bg-black hover:text-[#FFE500] transition-colors font-black"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="px-3 py-2 border-b-2 border-black text-xs">
+        <p className="font-bold mb-1">Cited passage{citation.pageNumber > 0 && ` · p. ${citation.pageNumber}`}</p>
+        <p className="text-gray-600 italic line-clamp-4 whitespace-pre-wrap">“{passage}”</p>
+        {pdf && passageFound === false && (
+          <p className="mt-1 text-gray-500">
+            The passage couldn&apos;t be matched to the page&apos;s text, e.g. on a scanned page or in a table, so it
+            isn&apos;t highlighted.
+          </p>
+        )}
+      </div>
+
+      {(error || pdfError) && (
+        <div className="m-3 text-sm text-white bg-[#FF5757] border-2 border-black px-3 py-2">❌ {error || pdfError}</div>
+      )}
+
+      {isPdf(citation.fileName) ? (
+        <>
+          {pdf && numPages > 1 && (
+            <div className="flex items-center justify-center gap-3 px-3 py-2 border-b-2 border-black text-xs font-bold">
+              <button
+                type="button"
+                onClick={() => setPageNumber((n) => Math.max(1, n - 1))}
+                disabled={pageNumber <= 1}
+                className="px-2 border-2 border-black bg-white hover:bg-[#FFE500] disabled:opacity-40"
+              >
+                ‹
+              </button>
+              <span>
+                p. {pageNumber} / {numPages}
+              </span>
+              <button
+                type="button"
+                onClick={() => setPageNumber((n) => Math.min(numPages, n + 1))}
+                disabled={pageNumber >= numPages}
+                className="px-2 border-2 border-black bg-white hover:bg-[#FFE500] disabled:opacity-40"
+              >
+                ›
+              </button>
+              {!onCitedPage && citation.pageNumber > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setPageNumber(citation.pageNumber)}
+                  className="px-2 border-2 border-black bg-[#FFE500] hover:bg-black hover:text-[#FFE500]"
+                >
+                  Back to p. {citation.pageNumber}
+                </button>
+              )}
+            </div>
+          )}
+          <div className="flex-1 overflow-y-auto p-3 bg-[#FFFBF0]">
+            {isLoading || (!pdf && !error && !pdfError) ? (
+              <p className="text-sm text-gray-500">Loading document…</p>
+            ) : (
+              pdf && (
+                <PdfPageView
+                  pdf={pdf}
+                  pageNumber={Math.min(pageNumber, numPages)}
+                  passage={onCitedPage && !isLoading ? passage : null}
+                  onPassageFound={setPassageFound}
+                />
+              )
+            )}
+          </div>
+        </>
+      ) : (
+        <p className="p-3 text-xs text-gray-500">
+          Only PDFs can be previewed; download the file to read the passage in context.
+        </p>
+      )}
+    </aside>
+  );
+}
@@ -6,6 +6,8 @@ interface ToolStatusProps {
   annotations: ToolAnnotation[];
 }
 
+const stepLabel = (a: ToolAnnotation) => (a.step ? `Step ${a.step} · ` : '');
+
 export function ToolStatus({ annotations }: ToolStatusProps) {
   const executing = annotations.filter((a) => a.type === 'tool_executing');
   const results = annotations.filter((a) => a.type === 'tool_result');
@@ -21,7 +23,9 @@ export function ToolStatus({ annotations }: ToolStatusProps) {
           className="flex items-center gap-2 text-xs text-black bg-[#FFE500] border-2 border-black shadow-[2px_2px_0px_#000] px-3 py-2 font-medium"
         >
           <span className="animate-spin">⚙️</span>
-          <span>Running: {a.tools?.join(', ')}</span>
+          <span>
+            {stepLabel(a)}Running: {a.tools?.join(', ')}
+          </span>
         </div>
       ))}
       {results.map((a, i) => (
@@ -31,7 +35,10 @@ export function ToolStatus({ annotations }: ToolStatusProps) {
         >
           <span>✅</span>
           <div>
-            <span className="font-bold">{a.tool}</span>
+            <span className="font-bold">
+              {stepLabel(a)}
+              {a.tool}
+            </span>
             {a.result && (
               <p className="mt-0.5 whitespace-pre-wrap">{a.result}</p>
             )}
@@ -45,7 +52,10 @@ export function ToolStatus({ annotations }: ToolStatusProps) {
         >
           <span>❌</span>
           <div>
-            <span className="font-bold">{a.tool}</span>
+            <span className="font-bold">
+              {stepLabel(a)}
+              {a.tool}
+            </span>
             {a.error && <p className="mt-0.5">{a.error}</p>}
           </div>
         </div>
@@ -0,0 +1,103 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import type { DocumentDetail } from '@/types';
+import { formatBytes } from '@/lib/format';
+
+interface DocumentDetailPanelProps {
+  documentId: string;
+  getDocument: (id: string) => Promise<DocumentDetail>;
+  onClose: () => void;
+}
+
+export function DocumentDetailPanel({ documentId, getDocument, onClose }: DocumentDetailPanelProps) {
+  const [detail, setDetail] = useState<DocumentDetail | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setDetail(null);
+    setError(null);
+    getDocument(documentId)
+      .then((d) => !cancelled && setDetail(d))
+      .catch((err) => !cancelled && setError(err instanceof Error ? err.message : 'Failed to load'));
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId, getDocument]);
+
+  return (
+    <aside className="bg-white border-2 border-black shadow-[4px_4px_0px_#000] p-4 flex flex-col gap-3 max-h-[70vh] overflow-y-auto">
+      <div className="flex items-start justify-between gap-2">
+        <h2 className="font-black text-black break-all">📄 {documentId}</h2>
+        <button
+          onClick={onClose}
+          className="text-xs px-2 py-1 border-2 border-black bg-white font-bold hover:bg-[#FFE500]"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-sm text-white bg-[#FF5757] border-2 border-black px-3 py-2">❌ {error}</div>
+      )}
+
+      {!detail && !error && <p className="text-sm text-gray-500">Loading…</p>}
+
+      {detail && (
+        <>
+          <p className="text-xs text-gray-600">
+            {detail.chunkCount} chunk(s) · {detail.pageCount} page(s)
+          </p>
+
+          {detail.versions.length > 0 && (
+            <div>
+              <p className="text-xs font-bold uppercase tracking-wide text-gray-600 mb-1">Versions</p>
+              <ul className="flex flex-col gap-1">
+                {detail.versions.map((v) => (
+                  <li
+                    key={v.version}
+                    className={`text-xs border border-black px-2 py-1 flex items-center justify-between gap-2 ${
+                      v.current ? 'bg-[#FFE500]' : 'bg-white'
+                    }`}
+                  >
+                    <span className="font-bold">
+                      v{v.version}
+                      {v.current && ' (current)'}
+                    </span>
+                    <span className="text-gray-600 truncate" title={v.contentHash}>
+                      {new Date(v.ingestedAt).toLocaleString()} · {formatBytes(v.sizeBytes)} · {v.chunkCount} chunk(s)
+                      {v.chunkStrategy && ` · ${v.chunkStrategy}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {detail.chunks.length === 0 ? (
+            <p className="text-sm text-gray-500">This document has no chunks in the knowledge base.</p>
+          ) : (
+            <ul className="flex flex-col gap-2">
+              {detail.chunks.map((chunk) => (
+                <li key={chunk.id} className="border border-black bg-[#FFFBF0] px-3 py-2 text-xs">
+                  <p className="font-bold mb-1">
+                    Page {chunk.pageNumber || '–'}
+                    {chunk.chunkId !== null && <span className="text-gray-500"> · chunk {chunk.chunkId}</span>}
+                    {chunk.sectionTitle && <span className="text-gray-500"> · {chunk.sectionTitle}</span>}
+                    {chunk.contentType !== 'text' && (
+                      <span className="ml-1 px-1 border border-black bg-[#FFE500] uppercase text-[10px]">
+                        {chunk.contentType}
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-gray-700 whitespace-pre-wrap">{chunk.preview}…</p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,199 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useDocuments } from '@/hooks/useDocuments';
+import { useKnowledgeBases } from '@/hooks/useKnowledgeBases';
+import { KnowledgeBasePicker } from '@/components/knowledge-bases/KnowledgeBasePicker';
+import { UserMenu } from '@/components/auth/UserMenu';
+import { useAuth } from '@/components/auth/AuthProvider';
+import { formatBytes } from '@/lib/format';
+import { ProgressBar } from '@/components/upload/ProgressBar';
+import { DocumentDetailPanel } from './DocumentDetailPanel';
+import type { DocumentStatus } from '@/types';
+
+const STATUS_LABELS: Record<DocumentStatus, { label: string; className: string }> = {
+  ingested: { label: 'Ingested', className: 'bg-[#6BCB77]' },
+  not_ingested: { label: 'Not ingested', className: 'bg-[#FFE500]' },
+  missing_file: { label: 'File missing', className: 'bg-[#FF5757] text-white' },
+};
+
+export function DocumentsPage() {
+  const { user } = useAuth();
+  const {
+    knowledgeBases,
+    selected: knowledgeBase,
+    error: knowledgeBaseError,
+    select: selectKnowledgeBase,
+    createKnowledgeBase,
+    deleteKnowledgeBase,
+  } = useKnowledgeBases();
+  const {
+    documents,
+    isLoading,
+    error,
+    reingesting,
+    refresh,
+    getDocument,
+    deleteDocument,
+    reingestDocument,
+  } = useDocuments(knowledgeBase);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+
+  const handleDelete = async (id: string) => {
+    if (!window.confirm(`Delete "${id}" and all of its chunks? This cannot be undone.`)) return;
+    if (selectedId === id) setSelectedId(null);
+    await deleteDocument(id);
+  };
+
+  const handleKnowledgeBaseChange = (name: string) => {
+    setSelectedId(null);
+    selectKnowledgeBase(name);
+  };
+
+  const busy = reingesting !== null;
+
+  return (
+    <div className="flex flex-col min-h-screen bg-[#FFFBF0]">
+      {/* Header */}
+      <header className="flex-shrink-0 bg-black px-4 py-3 flex items-center justify-between border-b-2 border-black shadow-[0_4px_0px_#000]">
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">🗂️</span>
+          <div>
+            <h1 className="text-[#FFE500] font-black text-lg leading-tight tracking-tight">Documents</h1>
+            <p className="text-white/60 text-xs">Manage your knowledge bases</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <KnowledgeBasePicker
+            knowledgeBases={knowledgeBases}
+            selected={knowledgeBase}
+            error={knowledgeBaseError}
+            disabled={busy}
+            onSelect={handleKnowledgeBaseChange}
+            onCreate={createKnowledgeBase}
+            onDelete={user?.role === 'admin' ? deleteKnowledgeBase : undefined}
+          />
+          <Link
+            href="/chat"
+            className="text-black text-xs px-3 py-1.5 border-2 border-black bg-white shadow-[2px_2px_0px_#FFE500] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
+          >
+            Chat
+          </Link>
+          <Link
+            href="/"
+            className="text-black text-xs px-3 py-1.5 border-2 border-black bg-[#FFE500] shadow-[2px_2px_0px_#fff] hover:shadow-none hover:translate-x-[2px] hover:translate-y-[2px] transition-all font-bold"
+          >
+            + Upload docs
+          </Link>
+          <UserMenu />
+        </div>
+      </header>
+
+      <main className="flex-1 p-4 max-w-6xl w-full mx-auto grid gap-4 md:grid-cols-[1fr_360px] items-start">
+        <section className="bg-white border-2 border-black shadow-[6px_6px_0px_#000] p-4 flex flex-col gap-3">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-bold uppercase tracking-wide text-gray-600">
+              {documents.length} document(s)
+            </p>
+            <button
+              onClick={refresh}
+              disabled={isLoading || busy}
+              className="text-xs px-3 py-1 border-2 border-black bg-white font-bold hover:bg-[#FFE500] disabled:opacity-50"
+            >
+              Refresh
+            </button>
+          </div>
+
+          {error && (
+            <div className="text-sm text-white bg-[#FF5757] border-2 border-black px-3 py-2">❌ {error}</div>
+          )}
+
+          {isLoading && documents.length === 0 ? (
+            <p className="text-sm text-gray-500">Loading documents…</p>
+          ) : documents.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No documents yet.{' '}
+              <Link href="/" className="underline font-bold text-black">
+                Upload some
+              </Link>
+              .
+            </p>
+          ) : (
+            <ul className="flex flex-col gap-2">
+              {documents.map((doc) => {
+                const status = STATUS_LABELS[doc.status];
+                const isReingesting = reingesting?.id === doc.id;
+                // Mirrors the server: owners and admins manage a document; unowned ones are shared
+                const canModify = user?.role === 'admin' || (!!doc.owner && doc.owner === user?.id);
+                return (
+                  <li
+                    key={doc.id}
+                    className={`border-2 border-black px-3 py-2.5 flex flex-col gap-2 ${
+                      selectedId === doc.id ? 'bg-[#FFFBF0]' : 'bg-white'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between gap-3">
+                      <button
+                        onClick={() => setSelectedId(doc.id)}
+                        className="min-w-0 text-left"
+                        title="Inspect document"
+                      >
+                        <p className="text-sm font-bold text-black truncate hover:underline">📄 {doc.fileName}</p>
+                        <p className="text-xs text-gray-500">
+                          {doc.version !== null && `v${doc.version} · `}
+                          {doc.chunkCount} chunk(s) · {doc.pageCount} page(s)
+                          {doc.sizeBytes !== null && ` · ${formatBytes(doc.sizeBytes)}`}
+                          {!doc.owner && ' · shared'}
+                        </p>
+                      </button>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <span className={`text-[10px] font-bold px-2 py-0.5 border border-black ${status.className}`}>
+                          {status.label}
+                        </span>
+                        <button
+                          onClick={() => reingestDocument(doc.id)}
+                          disabled={busy || !canModify || doc.status === 'missing_file'}
+                          className="text-xs px-2 py-1 border-2 border-black bg-white font-bold hover:bg-[#FFE500] disabled:opacity-40 disabled:cursor-not-allowed"
+                          title="Re-ingest from the stored file"
+                        >
+                          Re-ingest
+                        </button>
+                        <button
+                          onClick={() => handleDelete(doc.id)}
+                          disabled={busy || !canModify}
+                          className="text-xs px-2 py-1 border-2 border-black bg-[#FF5757] text-white font-bold hover:bg-black disabled:opacity-40 disabled:cursor-not-allowed"
+                          title="Delete document"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                    {isReingesting && (
+                      <ProgressBar
+                        value={reingesting.total > 0 ? Math.round((reingesting.stored / reingesting.total) * 100) : 10}
+                        label={
+                          reingesting.total > 0
+                            ? `${reingesting.stored}/${reingesting.total} chunks`
+                            : 'Re-ingesting…'
+                        }
+                      />
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </section>
+
+        {selectedId && (
+          <DocumentDetailPanel
+            documentId={selectedId}
+            getDocument={getDocument}
+            onClose={() => setSelectedId(null)}
+          />
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+'use client';
+
+import type { KnowledgeBase } from '@/types';
+
+interface KnowledgeBasePickerProps {
+  knowledgeBases: KnowledgeBase[];
+  selected: string | null;
+  error: string | null;
+  disabled?: boolean;
+  onSelect: (name: string) => void;
+  onCreate: (name: string, description: string) => void;
+  /** Omitted for users who may not delete knowledge bases (only admins can) */
+  onDelete?: (name: string) => void;
+}
+
+export function KnowledgeBasePicker({
+  knowledgeBases,
+  selected,
+  error,
+  disabled,
+  onSelect,
+  onCreate,
+  onDelete,
+}: KnowledgeBasePickerProps) {
+  const current = knowledgeBases.find((kb) => kb.name === selected);
+
+  const handleCreate = () => {
+    const name = window.prompt('Name of the new knowledge base (3-63 letters, digits, "-" or "_"):');
+    if (!name?.trim()) return;
+    const description = window.prompt('Description (optional):') ?? '';
+    onCreate(name.trim(), description);
+  };
+
+  const handleDelete = () => {
+    if (!current || current.isDefault || !onDelete) return;
+    if (
+      !window.confirm(
+        `Delete knowledge base "${current.name}" with all of its documents? This cannot be undone.`
+      )
+    )
+      return;
+    onDelete(current.name);
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <label className="sr-only" htmlFor="knowledge-base-picker">
+        Knowledge base
+      </label>
+      <select
+        id="knowledge-base-picker"
+        value={selected ?? ''}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={disabled || knowledgeBases.length === 0}
+        title={current?.description || 'Knowledge base'}
+        className="text-black text-xs px-2 py-1.5 border-2 border-black bg-white font-bold max-w-[180px] disabled:opacity-60"
+      >
+        {knowledgeBases.length === 0 && <option value={selected ?? ''}>Default knowledge base</option>}
+        {knowledgeBases.map((kb) => (
+          <option key={kb.name} value={kb.name}>
+            📚 {kb.name}
+            {kb.isDefault ? ' (default)' : ''}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={handleCreate}
+        disabled={disabled}
+        className="text-black text-xs px-2 py-1.5 border-2 border-black bg-white font-bold hover:bg-[#FFE500] disabled:opacity-50"
+        title="New knowledge base"
+      >
+        +
+      </button>
+      {current && !current.isDefault && onDelete && (
+        <button
+          onClick={handleDelete}
+          disabled={disabled}
+          className="text-white text-xs px-2 py-1.5 border-2 border-black bg-[#FF5757] font-bold hover:bg-white hover:text-black disabled:opacity-50"
+          title="Delete this knowledge base"
+        >
+          ✕
+        </button>
+      )}
+      {error && (
+        <span
+          className="text-white text-xs px-2 py-1.5 border-2 border-black bg-[#FF5757] font-bold"
+          title={error}
+        >
+          !
+        </span>
+      )}
+    </div>
+  );
+}
@@ -1,17 +1,13 @@
 'use client';
 
+import { formatBytes } from '@/lib/format';
+
 interface FileListProps {
   files: File[];
   onRemove: (index: number) => void;
   disabled?: boolean;
 }
 
-function formatBytes(bytes: number): string {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
-}
-
 export function FileList({ files, onRemove, disabled }: FileListProps) {
   if (files.length === 0) return null;
 
@@ -13,6 +13,9 @@ interface FileProgress {
   total: number;
   stored: number;
   done: boolean;
+  failed?: boolean;
+  note?: string;
+  warnings?: string[];
 }
 
 export function IngestionStatus({ events, isIngesting, error }: IngestionStatusProps) {
@@ -22,6 +25,7 @@ export function IngestionStatus({ events, isIngesting, error }: IngestionStatusP
   const fileProgress: Record<string, FileProgress> = {};
   const savedFiles: string[] = [];
   let isDone = false;
+  let isQueued = false;
 
   for (const event of events) {
     if (event.type === 'file_saved' && event.file && !savedFiles.includes(event.file)) {
@@ -29,7 +33,12 @@ export function IngestionStatus({ events, isIngesting, error }: IngestionStatusP
       fileProgress[event.file] = { total: 0, stored: 0, done: false };
     }
     if (event.type === 'chunks_start' && event.file) {
-      fileProgress[event.file] = { total: event.total ?? 0, stored: 0, done: false };
+      fileProgress[event.file] = {
+        total: event.total ?? 0,
+        stored: 0,
+        done: false,
+        warnings: fileProgress[event.file]?.warnings,
+      };
     }
     if (event.type === 'batch_stored' && event.file) {
       fileProgress[event.file] = {
@@ -39,8 +48,46 @@ export function IngestionStatus({ events, isIngesting, error }: IngestionStatusP
         done: false,
       };
     }
+    if (event.type === 'job_queued') isQueued = true;
+    if (event.type === 'job_started') isQueued = false;
+    if (event.type === 'batch_retry' && event.file) {
+      fileProgress[event.file] = {
+        ...fileProgress[event.file],
+        note: `Storing failed, retrying (attempt ${(event.attempt ?? 0) + 1} of ${event.maxAttempts})…`,
+      };
+    }
+    if (event.type === 'batch_stored' && event.file && fileProgress[event.file]?.note) {
+      fileProgress[event.file] = { ...fileProgress[event.file], note: undefined };
+    }
+    if (event.type === 'file_warning' && event.file && event.message) {
+      const progress = fileProgress[event.file] ?? { total: 0, stored: 0, done: false };
+      fileProgress[event.file] = { ...progress, warnings: [...(progress.warnings ?? []), event.message] };
+    }
     if (event.type === 'file_done' && event.file) {
-      fileProgress[event.file] = { ...fileProgress[event.file], done: true };
+      fileProgress[event.file] = {
+        ...fileProgress[event.file],
+        done: true,
+        note: event.replaced ? `Updated to version ${event.version}` : `Version ${event.version}`,
+      };
+    }
+    if (event.type === 'file_skipped' && event.file) {
+      fileProgress[event.file] = {
+        total: 0,
+        stored: 0,
+        done: true,
+        note:
+          event.reason === 'duplicate'
+            ? `Skipped — identical to ${event.duplicateOf}`
+            : `Skipped — unchanged since version ${event.version}`,
+      };
+    }
+    if (event.type === 'file_error' && event.file) {
+      fileProgress[event.file] = {
+        ...fileProgress[event.file],
+        done: true,
+        failed: true,
+        note: event.message,
+      };
     }
     if (event.type === 'done') {
       isDone = true;
@@ -55,7 +102,13 @@ export function IngestionStatus({ events, isIngesting, error }: IngestionStatusP
         )}
         {isDone && <span className="text-green-600">✅</span>}
         <span className="text-sm font-medium text-gray-700">
-          {isDone ? 'Ingestion complete!' : isIngesting ? 'Processing documents…' : 'Status'}
+          {isDone
+            ? 'Ingestion complete!'
+            : isIngesting
+            ? isQueued
+              ? 'Queued — waiting for earlier uploads…'
+              : 'Processing documents…'
+            : 'Status'}
         </span>
       </div>
 
@@ -83,8 +136,23 @@ export function IngestionStatus({ events, isIngesting, error }: IngestionStatusP
                 <span className="text-xs font-medium text-gray-700 truncate max-w-[80%]">
                   📄 {file}
                 </span>
-                {progress?.done && <span className="text-green-500 text-xs">Done</span>}
+                {progress?.done &&
+                  (progress.failed ? (
+                    <span className="text-red-500 text-xs">Failed</span>
+                  ) : (
+                    <span className="text-green-500 text-xs">Done</span>
+                  ))}
               </div>
+              {progress?.warnings?.map((warning) => (
+                <p key={warning} className="text-xs mb-2 px-2 py-1 bg-[#FFE500] border border-black text-black">
+                  ⚠️ {warning}
+                </p>
+              ))}
+              {progress?.note && (
+                <p className={`text-xs mb-2 ${progress.failed ? 'text-red-600' : 'text-gray-500'}`}>
+                  {progress.note}
+                </p>
+              )}
               <ProgressBar
                 value={pct}
                 label={
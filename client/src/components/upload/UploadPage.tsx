@@ -2,15 +2,28 @@
 
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
+import Link from 'next/link';
 import { UploadZone } from './UploadZone';
 import { FileList } from './FileList';
 import { IngestionStatus } from './IngestionStatus';
 import { useIngestSSE } from '@/hooks/useIngestSSE';
+import { useKnowledgeBases } from '@/hooks/useKnowledgeBases';
+import type { ChunkStrategy } from '@/types';
+
+const CHUNK_STRATEGIES: { value: ChunkStrategy | ''; label: string }[] = [
+  { value: '', label: 'Auto (by file type)' },
+  { value: 'fixed', label: 'Fixed size' },
+  { value: 'section', label: 'Sections' },
+  { value: 'sentence-window', label: 'Sentence window' },
+  { value: 'parent-child', label: 'Parent–child' },
+];
 
 export function UploadPage() {
   const router = useRouter();
   const [files, setFiles] = useState<File[]>([]);
-  const { events, isIngesting, error, startIngest, reset } = useIngestSSE();
+  const [chunkStrategy, setChunkStrategy] = useState<ChunkStrategy | ''>('');
+  const { events, isIngesting, error, canRetry, startIngest, retry, reset } = useIngestSSE();
+  const { knowledgeBases, selected: knowledgeBase, select: selectKnowledgeBase } = useKnowledgeBases();
 
   const isDone = events.some((e) => e.type === 'done');
 
@@ -29,7 +42,7 @@ export function UploadPage() {
   const handleUpload = async () => {
     if (files.length === 0 || isIngesting) return;
     reset();
-    await startIngest(files);
+    await startIngest(files, knowledgeBase, chunkStrategy || null);
   };
 
   const handleSkip = () => {
@@ -50,11 +63,46 @@ export function UploadPage() {
         <div className="text-center mb-8">
           <div className="text-5xl mb-3">📚</div>
           <h1 className="text-3xl font-black text-black mb-1">DocuTalk</h1>
-          <p className="text-gray-600 text-sm">Upload your PDFs and chat with them instantly</p>
+          <p className="text-gray-600 text-sm">Upload your documents and chat with them instantly</p>
         </div>
 
         {/* Card */}
         <div className="bg-white border-2 border-black shadow-[6px_6px_0px_#000] p-6">
+          {knowledgeBases.length > 1 && (
+            <label className="flex items-center justify-between gap-3 mb-4 text-xs font-bold uppercase tracking-wide text-gray-600">
+              Knowledge base
+              <select
+                value={knowledgeBase ?? ''}
+                onChange={(e) => selectKnowledgeBase(e.target.value)}
+                disabled={isIngesting}
+                className="flex-1 max-w-[240px] text-black text-sm normal-case tracking-normal px-2 py-1.5 border-2 border-black bg-[#FFFBF0] font-bold disabled:opacity-60"
+              >
+                {knowledgeBases.map((kb) => (
+                  <option key={kb.name} value={kb.name}>
+                    {kb.name}
+                    {kb.isDefault ? ' (default)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <label className="flex items-center justify-between gap-3 mb-4 text-xs font-bold uppercase tracking-wide text-gray-600">
+            Chunking
+            <select
+              value={chunkStrategy}
+              onChange={(e) => setChunkStrategy(e.target.value as ChunkStrategy | '')}
+              disabled={isIngesting}
+              className="flex-1 max-w-[240px] text-black text-sm normal-case tracking-normal px-2 py-1.5 border-2 border-black bg-[#FFFBF0] font-bold disabled:opacity-60"
+            >
+              {CHUNK_STRATEGIES.map((s) => (
+                <option key={s.value} value={s.value}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
           <UploadZone onFiles={handleFiles} disabled={isIngesting} />
 
           <FileList files={files} onRemove={handleRemove} disabled={isIngesting} />
@@ -69,6 +117,13 @@ export function UploadPage() {
               >
                 Go to Chat →
               </button>
+            ) : canRetry ? (
+              <button
+                onClick={retry}
+                className="w-full py-3 bg-[#FF5757] border-2 border-black shadow-[3px_3px_0px_#000] text-white font-black hover:shadow-none hover:translate-x-[3px] hover:translate-y-[3px] transition-all"
+              >
+                Retry unfinished files
+              </button>
             ) : (
               <button
                 onClick={handleUpload}
@@ -97,7 +152,10 @@ export function UploadPage() {
         </div>
 
         <p className="text-center text-gray-500 text-xs mt-4">
-          Documents are processed and stored locally in ChromaDB
+          Documents are processed and stored locally in ChromaDB ·{' '}
+          <Link href="/documents" className="underline font-bold text-black">
+            Manage documents
+          </Link>
         </p>
       </div>
     </div>
@@ -3,6 +3,16 @@
 import { useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
 
+// Keep in sync with the loader registry in server/utils/loaders/index.js
+const ACCEPTED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'text/markdown': ['.md', '.markdown'],
+  'text/html': ['.html', '.htm'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+};
+
 interface UploadZoneProps {
   onFiles: (files: File[]) => void;
   disabled?: boolean;
@@ -18,7 +28,7 @@ export function UploadZone({ onFiles, disabled }: UploadZoneProps) {
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: { 'application/pdf': ['.pdf'] },
+    accept: ACCEPTED_TYPES,
     maxSize: 50 * 1024 * 1024, // 50 MB
     maxFiles: 10,
     disabled,
@@ -40,13 +50,15 @@ export function UploadZone({ onFiles, disabled }: UploadZoneProps) {
         <span className="text-4xl">{isDragActive ? '📂' : '📁'}</span>
         <div>
           <p className="font-black text-black">
-            {isDragActive ? 'Drop your PDFs here' : 'Drag & drop PDF files'}
+            {isDragActive ? 'Drop your documents here' : 'Drag & drop documents'}
           </p>
           <p className="text-sm text-gray-500 mt-1">
             or <span className="text-black font-bold underline">click to browse</span>
           </p>
         </div>
-        <p className="text-xs text-gray-500">PDF only · up to 50 MB per file · max 10 files</p>
+        <p className="text-xs text-gray-500">
+          PDF, DOCX, Markdown, HTML, TXT, CSV · up to 50 MB per file · max 10 files
+        </p>
       </div>
     </div>
   );
@@ -0,0 +1,48 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import type { AnswerFeedback } from '@/types';
+import { apiFetch } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+
+/**
+ * The user's rating of one answer. `initial` is the feedback stored with a resumed
+ * conversation; submitting again replaces it on the server.
+ */
+export function useAnswerFeedback(
+  sessionId: string | null,
+  answerId: string,
+  initial: AnswerFeedback | null = null
+) {
+  const [feedback, setFeedback] = useState<AnswerFeedback | null>(initial);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const submit = useCallback(
+    async (rating: AnswerFeedback['rating'], comment = '') => {
+      if (!sessionId) return false;
+      setSubmitting(true);
+      setError(null);
+      try {
+        const res = await apiFetch(`${apiUrl}/api/feedback`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId, messageId: answerId, rating, comment }),
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+        setFeedback(body.feedback);
+        return true;
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to send feedback');
+        return false;
+      } finally {
+        setSubmitting(false);
+      }
+    },
+    [sessionId, answerId]
+  );
+
+  return { feedback, submitting, error, submit };
+}
@@ -0,0 +1,94 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import type { ConversationHistory, ConversationSummary } from '@/types';
+import { apiFetch } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+
+/**
+ * The authenticated user's past conversations, most recent first, with helpers
+ * to load, rename and delete them.
+ */
+export function useConversations() {
+  const [conversations, setConversations] = useState<ConversationSummary[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${apiUrl}/api/chat/sessions`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      setConversations(body.sessions);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load conversations');
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /** Full history of a conversation; null when it no longer exists. */
+  const loadConversation = useCallback(
+    async (sessionId: string): Promise<ConversationHistory | null> => {
+      const res = await apiFetch(`${apiUrl}/api/chat/session/${encodeURIComponent(sessionId)}/messages`);
+      if (res.status === 404) return null;
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      return {
+        sessionId,
+        knowledgeBase: body.session.knowledgeBase,
+        filter: body.session.filter,
+        messages: body.messages,
+      };
+    },
+    []
+  );
+
+  const renameConversation = useCallback(
+    async (sessionId: string, title: string) => {
+      setError(null);
+      try {
+        const res = await apiFetch(`${apiUrl}/api/chat/session/${encodeURIComponent(sessionId)}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ title }),
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Rename failed');
+      }
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const deleteConversation = useCallback(
+    async (sessionId: string) => {
+      setError(null);
+      try {
+        const res = await apiFetch(`${apiUrl}/api/chat/session/${encodeURIComponent(sessionId)}`, {
+          method: 'DELETE',
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Delete failed');
+      }
+      await refresh();
+    },
+    [refresh]
+  );
+
+  return {
+    conversations,
+    error,
+    refresh,
+    loadConversation,
+    renameConversation,
+    deleteConversation,
+  };
+}
@@ -0,0 +1,78 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import type { Citation, DocumentChunkText } from '@/types';
+import { apiFetch } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+
+export const isPdf = (fileName: string) => fileName.toLowerCase().endsWith('.pdf');
+
+/**
+ * The original file behind a citation and the full text of the cited chunk, for the
+ * source viewer. Files are fetched with the auth header, so they can't be linked directly.
+ * The citation's snippet stands in for the chunk when it can't be loaded, e.g. after the
+ * document was re-ingested.
+ */
+export function useDocumentSource(citation: Citation, knowledgeBase: string | null) {
+  const [file, setFile] = useState<ArrayBuffer | null>(null);
+  const [passage, setPassage] = useState(citation.snippet);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const query = knowledgeBase ? `?knowledgeBase=${encodeURIComponent(knowledgeBase)}` : '';
+  const documentUrl = `${apiUrl}/api/documents/${encodeURIComponent(citation.fileName)}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    setFile(null);
+    setPassage(citation.snippet);
+    setError(null);
+    setIsLoading(true);
+
+    const loadChunk = async () => {
+      if (citation.chunkId === null) return;
+      const res = await apiFetch(`${documentUrl}/chunks/${citation.chunkId}${query}`);
+      if (!res.ok) return;
+      const body: { chunk: DocumentChunkText } = await res.json();
+      if (!cancelled && body.chunk.text) setPassage(body.chunk.text);
+    };
+
+    const loadFile = async () => {
+      if (!isPdf(citation.fileName)) return;
+      const res = await apiFetch(`${documentUrl}/file${query}`);
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error ?? `Request failed: ${res.status}`);
+      }
+      const data = await res.arrayBuffer();
+      if (!cancelled) setFile(data);
+    };
+
+    Promise.all([loadChunk().catch(() => undefined), loadFile()])
+      .catch((err) => !cancelled && setError(err instanceof Error ? err.message : 'Failed to load the document'))
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [citation.fileName, citation.chunkId, citation.snippet, documentUrl, query]);
+
+  const download = useCallback(async () => {
+    setError(null);
+    try {
+      const res = await apiFetch(`${documentUrl}/file${query ? `${query}&download` : '?download'}`);
+      if (!res.ok) throw new Error(`Request failed: ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = citation.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Download failed');
+    }
+  }, [citation.fileName, documentUrl, query]);
+
+  return { file, passage, isLoading, error, download };
+}
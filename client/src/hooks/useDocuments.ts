@@ -0,0 +1,118 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import type { DocumentSummary, DocumentDetail, IngestEvent } from '@/types';
+import { readSSEEvents } from '@/lib/sse';
+import { apiFetch } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+
+interface ReingestProgress {
+  id: string;
+  stored: number;
+  total: number;
+}
+
+/**
+ * Documents of one knowledge base. Nothing is fetched while `knowledgeBase` is null
+ * (not resolved yet); an empty string targets the server's default knowledge base.
+ */
+export function useDocuments(knowledgeBase: string | null) {
+  const [documents, setDocuments] = useState<DocumentSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reingesting, setReingesting] = useState<ReingestProgress | null>(null);
+
+  const query = knowledgeBase ? `?knowledgeBase=${encodeURIComponent(knowledgeBase)}` : '';
+
+  const refresh = useCallback(async () => {
+    if (knowledgeBase === null) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const res = await apiFetch(`${apiUrl}/api/documents${query}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      setDocuments(body.documents);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load documents');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [knowledgeBase, query]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const getDocument = useCallback(async (id: string): Promise<DocumentDetail> => {
+    const res = await apiFetch(`${apiUrl}/api/documents/${encodeURIComponent(id)}${query}`);
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+    return body.document;
+  }, [query]);
+
+  const deleteDocument = useCallback(
+    async (id: string) => {
+      setError(null);
+      try {
+        const res = await apiFetch(`${apiUrl}/api/documents/${encodeURIComponent(id)}${query}`, {
+          method: 'DELETE',
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Delete failed');
+      }
+      await refresh();
+    },
+    [refresh, query]
+  );
+
+  const reingestDocument = useCallback(
+    async (id: string) => {
+      setError(null);
+      setReingesting({ id, stored: 0, total: 0 });
+      try {
+        const res = await apiFetch(
+          `${apiUrl}/api/documents/${encodeURIComponent(id)}/reingest${query}`,
+          { method: 'POST' }
+        );
+        if (!res.ok || !res.body) {
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error ?? `Re-ingest failed: ${res.status}`);
+        }
+        await readSSEEvents<IngestEvent>(res, (event) => {
+          if (event.type === 'chunks_start' || event.type === 'batch_stored') {
+            setReingesting({ id, stored: event.stored ?? 0, total: event.total ?? 0 });
+          }
+          if (event.type === 'file_error') {
+            setError(`${event.file}: ${event.message ?? 'Re-ingest failed'}`);
+          }
+          if (event.type === 'error') {
+            setError(event.message ?? 'Re-ingest failed');
+            return true;
+          }
+          return event.type === 'done';
+        });
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Re-ingest failed');
+      } finally {
+        setReingesting(null);
+      }
+      await refresh();
+    },
+    [refresh, query]
+  );
+
+  return {
+    documents,
+    isLoading,
+    error,
+    reingesting,
+    refresh,
+    getDocument,
+    deleteDocument,
+    reingestDocument,
+  };
+}
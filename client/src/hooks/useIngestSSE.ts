@@ -1,81 +1,176 @@
 'use client';
 
-import { useState, useCallback } from 'react';
-import type { IngestEvent } from '@/types';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import type { ChunkStrategy, IngestEvent } from '@/types';
+import { readSSEEvents } from '@/lib/sse';
+import { apiFetch } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+
+// Job being watched, so a reloaded page picks it up again
+const STORAGE_KEY = 'docutalk:ingest-job';
+
+const MAX_RECONNECTS = 5;
+const RECONNECT_DELAY_MS = 1000;
 
 interface UseIngestSSEReturn {
   events: IngestEvent[];
   isIngesting: boolean;
   error: string | null;
-  startIngest: (files: File[]) => Promise<void>;
+  canRetry: boolean;
+  startIngest: (files: File[], knowledgeBase?: string | null, chunkStrategy?: ChunkStrategy | null) => Promise<void>;
+  retry: () => Promise<void>;
   reset: () => void;
 }
 
+/**
+ * Upload files as an ingest job and follow its progress. The server keeps running the job
+ * when the connection drops; this hook reconnects, replaying missed events by `seq`,
+ * and resumes watching an unfinished job after a page reload.
+ */
 export function useIngestSSE(): UseIngestSSEReturn {
   const [events, setEvents] = useState<IngestEvent[]>([]);
   const [isIngesting, setIsIngesting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [canRetry, setCanRetry] = useState(false);
+  const jobIdRef = useRef<string | null>(null);
+  const lastSeqRef = useRef(0);
+  const resumedRef = useRef(false);
 
   const reset = useCallback(() => {
     setEvents([]);
     setIsIngesting(false);
     setError(null);
+    setCanRetry(false);
+    jobIdRef.current = null;
+    lastSeqRef.current = 0;
   }, []);
 
-  const startIngest = useCallback(async (files: File[]) => {
-    setEvents([]);
-    setError(null);
-    setIsIngesting(true);
-
-    const formData = new FormData();
-    for (const file of files) {
-      formData.append('files', file);
-    }
-
-    try {
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
-      const res = await fetch(`${apiUrl}/api/ingest`, {
-        method: 'POST',
-        body: formData,
-      });
-
-      if (!res.ok || !res.body) {
-        throw new Error(`Upload failed: ${res.status} ${res.statusText}`);
+  /** Read one job stream; resolves to true once the job has finished. */
+  const readJobStream = useCallback(async (res: Response) => {
+    let finished = false;
+    await readSSEEvents<IngestEvent>(res, (event) => {
+      if (event.type === 'job') {
+        if (event.job) {
+          jobIdRef.current = event.job.id;
+          localStorage.setItem(STORAGE_KEY, event.job.id);
+        }
+        return;
       }
 
-      const reader = res.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() ?? '';
-
-        for (const line of lines) {
-          if (!line.startsWith('data: ')) continue;
-          try {
-            const event: IngestEvent = JSON.parse(line.slice(6));
-            setEvents((prev) => [...prev, event]);
-            if (event.type === 'done' || event.type === 'error') {
-              if (event.type === 'error') setError(event.message ?? 'Ingestion failed');
-              setIsIngesting(false);
-              return;
-            }
-          } catch {
-            // skip malformed lines
-          }
+      if (event.seq) lastSeqRef.current = event.seq;
+      setEvents((prev) => [...prev, event]);
+
+      if (event.type === 'done' || event.type === 'error') {
+        if (event.type === 'error') {
+          setError(event.message ?? 'Ingestion failed');
+          setCanRetry(!!event.retryable && !!jobIdRef.current);
         }
+        localStorage.removeItem(STORAGE_KEY);
+        finished = true;
+        return true;
       }
-    } catch (err) {
-      setError(err instanceof Error ? err.message : 'Upload failed');
-    } finally {
-      setIsIngesting(false);
-    }
+    });
+    return finished;
   }, []);
 
-  return { events, isIngesting, error, startIngest, reset };
+  /** Follow a job to its end, reconnecting to its event stream if the connection drops. */
+  const watchJob = useCallback(
+    async (res: Response) => {
+      let finished = await readJobStream(res);
+
+      for (let attempt = 1; !finished && jobIdRef.current && attempt <= MAX_RECONNECTS; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS * attempt));
+        let next: Response;
+        try {
+          next = await apiFetch(
+            `${apiUrl}/api/ingest/jobs/${encodeURIComponent(jobIdRef.current)}/events?after=${lastSeqRef.current}`
+          );
+        } catch {
+          continue;
+        }
+        if (next.status === 404) {
+          localStorage.removeItem(STORAGE_KEY);
+          throw new Error('Ingest job not found');
+        }
+        if (!next.ok) continue;
+        finished = await readJobStream(next);
+      }
+
+      if (!finished) throw new Error('Lost connection to the ingest job — reload to keep watching it');
+    },
+    [readJobStream]
+  );
+
+  const runJob = useCallback(
+    async (request: () => Promise<Response>) => {
+      setIsIngesting(true);
+      try {
+        const res = await request();
+        if (!res.ok || !res.body) {
+          const body = await res.json().catch(() => null);
+          throw new Error(body?.error ?? `Upload failed: ${res.status} ${res.statusText}`);
+        }
+        await watchJob(res);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Upload failed');
+      } finally {
+        setIsIngesting(false);
+      }
+    },
+    [watchJob]
+  );
+
+  // Resume watching a job left running by a previous page load
+  useEffect(() => {
+    if (resumedRef.current) return;
+    resumedRef.current = true;
+    const storedJobId = localStorage.getItem(STORAGE_KEY);
+    if (!storedJobId) return;
+    (async () => {
+      const res = await apiFetch(`${apiUrl}/api/ingest/jobs/${encodeURIComponent(storedJobId)}/events`).catch(
+        () => null
+      );
+      // Finished jobs are purged after a while; nothing left to show then
+      if (!res || res.status === 404) {
+        if (res) localStorage.removeItem(STORAGE_KEY);
+        return;
+      }
+      jobIdRef.current = storedJobId;
+      await runJob(async () => res);
+    })();
+  }, [runJob]);
+
+  const startIngest = useCallback(
+    async (files: File[], knowledgeBase?: string | null, chunkStrategy?: ChunkStrategy | null) => {
+      reset();
+
+      const formData = new FormData();
+      if (knowledgeBase) formData.append('knowledgeBase', knowledgeBase);
+      if (chunkStrategy) formData.append('chunkStrategy', chunkStrategy);
+      for (const file of files) {
+        formData.append('files', file);
+      }
+
+      await runJob(() =>
+        apiFetch(`${apiUrl}/api/ingest`, {
+          method: 'POST',
+          body: formData,
+        })
+      );
+    },
+    [reset, runJob]
+  );
+
+  const retry = useCallback(async () => {
+    const jobId = jobIdRef.current;
+    if (!jobId) return;
+    setError(null);
+    setCanRetry(false);
+    await runJob(() =>
+      apiFetch(`${apiUrl}/api/ingest/jobs/${encodeURIComponent(jobId)}/retry`, { method: 'POST' })
+    );
+  }, [runJob]);
+
+  return { events, isIngesting, error, canRetry, startIngest, retry, reset };
 }
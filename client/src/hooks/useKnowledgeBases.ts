@@ -0,0 +1,96 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import type { KnowledgeBase } from '@/types';
+import { apiFetch } from '@/lib/auth';
+
+const apiUrl = process.env.NEXT_PUBLIC_API_URL ?? 'http://localhost:3000';
+const STORAGE_KEY = 'docutalk:knowledge-base';
+
+/**
+ * Knowledge bases plus the one selected in the UI. The selection is shared across
+ * pages through localStorage. `selected` is null until the list has loaded; an empty
+ * string means "the server's default" when the list could not be loaded.
+ */
+export function useKnowledgeBases() {
+  const [knowledgeBases, setKnowledgeBases] = useState<KnowledgeBase[]>([]);
+  const [selected, setSelected] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    setError(null);
+    const stored = localStorage.getItem(STORAGE_KEY);
+    try {
+      const res = await apiFetch(`${apiUrl}/api/knowledge-bases`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+      const list: KnowledgeBase[] = body.knowledgeBases;
+      setKnowledgeBases(list);
+      setSelected((current) => {
+        const wanted = current || stored;
+        return list.some((kb) => kb.name === wanted) ? wanted! : body.defaultKnowledgeBase;
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load knowledge bases');
+      setSelected((current) => current ?? stored ?? '');
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const select = useCallback((name: string) => {
+    localStorage.setItem(STORAGE_KEY, name);
+    setSelected(name);
+  }, []);
+
+  const createKnowledgeBase = useCallback(
+    async (name: string, description = '') => {
+      setError(null);
+      try {
+        const res = await apiFetch(`${apiUrl}/api/knowledge-bases`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name, description }),
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+        select(body.knowledgeBase.name);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Create failed');
+      }
+      await refresh();
+    },
+    [refresh, select]
+  );
+
+  const deleteKnowledgeBase = useCallback(
+    async (name: string) => {
+      setError(null);
+      try {
+        const res = await apiFetch(`${apiUrl}/api/knowledge-bases/${encodeURIComponent(name)}`, {
+          method: 'DELETE',
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+        if (localStorage.getItem(STORAGE_KEY) === name) localStorage.removeItem(STORAGE_KEY);
+        setSelected((current) => (current === name ? null : current));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Delete failed');
+      }
+      await refresh();
+    },
+    [refresh]
+  );
+
+  return {
+    knowledgeBases,
+    selected,
+    error,
+    select,
+    refresh,
+    createKnowledgeBase,
+    deleteKnowledgeBase,
+  };
+}
@@ -0,0 +1,39 @@
+const TOKEN_KEY = 'docutalk:auth-token';
+
+// Fired when the server rejects the stored token, so the app can send the user to log in
+export const UNAUTHORIZED_EVENT = 'docutalk:unauthorized';
+
+export function getAuthToken(): string | null {
+  if (typeof window === 'undefined') return null;
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setAuthToken(token: string) {
+  localStorage.setItem(TOKEN_KEY, token);
+}
+
+export function clearAuthToken() {
+  localStorage.removeItem(TOKEN_KEY);
+}
+
+/** `Authorization` header for the stored session token, if any. */
+export function authHeaders(): Record<string, string> {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * fetch() with the session token attached. A 401 drops the token and fires
+ * UNAUTHORIZED_EVENT; the response is still returned for the caller to handle.
+ */
+export async function apiFetch(input: string, init: RequestInit = {}): Promise<Response> {
+  const res = await fetch(input, {
+    ...init,
+    headers: { ...authHeaders(), ...(init.headers as Record<string, string> | undefined) },
+  });
+  if (res.status === 401 && getAuthToken()) {
+    clearAuthToken();
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+  return res;
+}
@@ -0,0 +1,55 @@
+import type { TextItem } from 'pdfjs-dist/types/src/display/api';
+
+type PdfJs = typeof import('pdfjs-dist');
+
+let pdfjsPromise: Promise<PdfJs> | null = null;
+
+/** pdf.js, loaded on first use: it needs browser APIs and is too large for the main bundle. */
+export function loadPdfjs(): Promise<PdfJs> {
+  pdfjsPromise ??= import('pdfjs-dist').then((pdfjs) => {
+    pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+    return pdfjs;
+  });
+  return pdfjsPromise;
+}
+
+// Letters and digits only: the PDF's text items and the stored chunk differ in spacing and line breaks
+const normalize = (text: string) => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+const ANCHOR_LENGTH = 40;
+
+/**
+ * Indexes of the text items covering a passage on a page. The passage is looked up whole,
+ * then by successive 40-character anchors so a passage that starts or ends off the page,
+ * or was cut short (snippets end in "…"), is still found.
+ * @returns Item indexes; empty when the passage isn't on the page
+ */
+export function findPassageItems(items: TextItem[], passage: string): Set<number> {
+  let pageText = '';
+  const owners: number[] = [];
+  items.forEach((item, idx) => {
+    const text = normalize(item.str);
+    pageText += text;
+    for (let i = 0; i < text.length; i++) owners.push(idx);
+  });
+
+  const target = normalize(passage.replace(/…$/, ''));
+  if (!target || !pageText) return new Set();
+
+  let start = pageText.indexOf(target);
+  let end = start + target.length;
+  if (start < 0) {
+    for (let offset = 0; offset < target.length; offset += ANCHOR_LENGTH / 2) {
+      const anchor = target.slice(offset, offset + ANCHOR_LENGTH);
+      if (anchor.length < Math.min(ANCHOR_LENGTH, target.length)) break;
+      const found = pageText.indexOf(anchor);
+      if (found >= 0) {
+        start = Math.max(0, found - offset);
+        end = Math.min(pageText.length, found - offset + target.length);
+        break;
+      }
+    }
+  }
+  if (start < 0) return new Set();
+  return new Set(owners.slice(start, end));
+}
@@ -0,0 +1,37 @@
+/**
+ * Read a `data: {...}` SSE response body and hand each parsed event to `onEvent`.
+ * Return `true` from `onEvent` to stop reading early.
+ */
+export async function readSSEEvents<T>(
+  res: Response,
+  onEvent: (event: T) => boolean | void
+): Promise<void> {
+  if (!res.body) return;
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() ?? '';
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      let event: T;
+      try {
+        event = JSON.parse(line.slice(6));
+      } catch {
+        continue; // skip malformed lines
+      }
+      if (onEvent(event)) {
+        await reader.cancel();
+        return;
+      }
+    }
+  }
+}
@@ -1,23 +1,76 @@
-export interface UserInfo {
-  userId: string;
-  email: string;
-  name: string;
+export interface AuthUser {
+  id: string;
+  username: string;
+  role: 'admin' | 'user';
+  createdAt: string;
 }
 
+// Who the user is comes from the session token; the server adds it to the stored context
 export interface ClientContext {
-  user?: UserInfo;
   deviceType: string;
   bookId?: string;
   currentUrl: string;
   timestamp: string;
 }
 
+/** How documents are split into chunks; see the server's utils/chunkers */
+export type ChunkStrategy = 'fixed' | 'section' | 'sentence-window' | 'parent-child';
+
+/** What a chunk holds: running text, a table (rows as "Header: value") or a figure caption */
+export type ChunkContentType = 'text' | 'table' | 'figure';
+
+export type IngestJobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+export interface IngestJob {
+  id: string;
+  status: IngestJobStatus;
+  knowledgeBase: string;
+  owner: string | null;
+  files: { name: string; status: 'pending' | 'done' | 'skipped' | 'failed' }[];
+  result: { ingested: number; skipped: number; failed: number } | null;
+  error: string | null;
+  attempts: number;
+  eventCount: number;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
 export interface IngestEvent {
-  type: 'file_saved' | 'chunks_start' | 'batch_stored' | 'file_done' | 'done' | 'error';
+  type:
+    | 'job'
+    | 'job_queued'
+    | 'job_started'
+    | 'file_saved'
+    | 'file_skipped'
+    | 'file_error'
+    | 'file_warning'
+    | 'chunks_start'
+    | 'batch_stored'
+    | 'batch_retry'
+    | 'file_done'
+    | 'done'
+    | 'error';
+  /** Position in the job's event log; used to resume a dropped stream */
+  seq?: number;
+  job?: IngestJob;
   file?: string;
   total?: number;
   stored?: number;
   message?: string;
+  /** Kind of file_warning: OCR used or unavailable, low OCR confidence, pages or whole file without text */
+  code?: 'ocr_used' | 'ocr_low_confidence' | 'ocr_unavailable' | 'no_text' | 'empty';
+  /** Pages a file_warning is about */
+  pages?: number[];
+  reason?: 'unchanged' | 'duplicate';
+  duplicateOf?: string;
+  version?: number;
+  replaced?: boolean;
+  attempt?: number;
+  maxAttempts?: number;
+  position?: number;
+  resumed?: boolean;
+  retryable?: boolean;
 }
 
 export interface ToolAnnotation {
@@ -28,4 +81,144 @@ export interface ToolAnnotation {
   error?: string;
   sessionId?: string;
   message?: string;
+  /** Agent loop step the tool event belongs to */
+  step?: number;
+}
+
+export interface Citation {
+  id: number;
+  fileName: string;
+  pageNumber: number;
+  chunkId: number | null;
+  sectionTitle?: string | null;
+  contentType?: ChunkContentType;
+  /** Mean OCR word confidence (0-100) when the page was a scanned image */
+  ocrConfidence?: number | null;
+  snippet: string;
+  score: number | null;
+}
+
+export interface CitationAnnotation {
+  type: 'citations';
+  citations: Citation[];
+}
+
+/** Documents and/or inclusive page range a conversation's retrieval is scoped to */
+export interface RetrievalFilter {
+  documents: string[];
+  pageFrom: number | null;
+  pageTo: number | null;
+}
+
+export interface ScopeAnnotation {
+  type: 'scope';
+  filter: RetrievalFilter | null;
+}
+
+/** What retrieval searched for: the question rewritten to stand alone, plus extra phrasings */
+export interface SearchQueryAnnotation {
+  type: 'search_query';
+  query: string;
+  variants: string[];
+  rewritten: boolean;
+}
+
+/** A user's rating of an answer, with an optional comment (a type alias so it fits in annotations) */
+export type AnswerFeedback = {
+  rating: 'up' | 'down';
+  comment: string;
+};
+
+/** Id of the stored answer, used to rate it; feedback is set when a conversation is resumed */
+export interface AnswerAnnotation {
+  type: 'answer';
+  answerId: string;
+  feedback?: AnswerFeedback | null;
+}
+
+export interface NoRelevantContextAnnotation {
+  type: 'no_relevant_context';
+  message: string;
+}
+
+/** A past conversation of the authenticated user, as listed in the sidebar */
+export interface ConversationSummary {
+  sessionId: string;
+  title: string;
+  knowledgeBase: string | null;
+  messageCount: number;
+  createdAt: string;
+  lastMessageAt: string;
+}
+
+export interface ConversationMessage {
+  id?: string;
+  role: 'user' | 'assistant';
+  content: string;
+  createdAt: string;
+  feedback?: AnswerFeedback | null;
+}
+
+/** Conversation to resume: its messages plus the knowledge base and scope it uses */
+export interface ConversationHistory {
+  sessionId: string;
+  knowledgeBase: string | null;
+  filter: RetrievalFilter | null;
+  messages: ConversationMessage[];
+}
+
+export type DocumentStatus = 'ingested' | 'not_ingested' | 'missing_file';
+
+export interface DocumentSummary {
+  id: string;
+  fileName: string;
+  owner: string | null;
+  status: DocumentStatus;
+  chunkCount: number;
+  pageCount: number;
+  sizeBytes: number | null;
+  updatedAt: string | null;
+  version: number | null;
+  contentHash: string | null;
+}
+
+export interface DocumentChunk {
+  id: string;
+  pageNumber: number;
+  chunkId: number | null;
+  sectionTitle: string | null;
+  contentType: ChunkContentType;
+  preview: string;
+}
+
+/** One chunk in full, from GET /api/documents/:id/chunks/:chunkId */
+export interface DocumentChunkText {
+  chunkId: number;
+  pageNumber: number;
+  sectionTitle: string | null;
+  contentType: ChunkContentType;
+  text: string;
+}
+
+export interface DocumentVersion {
+  version: number;
+  contentHash: string;
+  sizeBytes: number;
+  chunkCount: number;
+  /** Absent for versions ingested before chunking was configurable */
+  chunkStrategy?: ChunkStrategy;
+  ingestedAt: string;
+  current: boolean;
+}
+
+export interface DocumentDetail extends DocumentSummary {
+  versions: DocumentVersion[];
+  chunks: DocumentChunk[];
+}
+
+export interface KnowledgeBase {
+  name: string;
+  description: string;
+  createdAt: string | null;
+  isDefault: boolean;
 }
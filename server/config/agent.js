@@ -0,0 +1,11 @@
+/**
+ * Agent loop settings, read from the environment at call time.
+ *
+ * AGENT_MAX_STEPS   Rounds of tool calls the model may make before it has to answer (default 4)
+ */
+export const getAgentConfig = () => {
+  const maxSteps = Number(process.env.AGENT_MAX_STEPS);
+  return {
+    maxSteps: Number.isInteger(maxSteps) && maxSteps >= 0 ? maxSteps : 4,
+  };
+};
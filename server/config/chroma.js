@@ -1,16 +1,24 @@
 import { Chroma } from '@langchain/community/vectorstores/chroma';
-import { OpenAIEmbeddings } from '@langchain/openai';
+import { createEmbeddings } from './models.js';
+import { MemoryVectorStore } from '../services/memoryVectorStore.js';
 
+/**
+ * Create the vector store of a collection. VECTOR_STORE selects the backend: "chroma"
+ * (default, at CHROMA_URL) or "memory", an in-process store for offline runs such as
+ * `npm run eval -- --offline`.
+ */
 export const createVectorStore = async (collectionName = null) => {
     const collection = collectionName || process.env.CHROMA_COLLECTION || 'rag-collection';
 
+    if ((process.env.VECTOR_STORE || 'chroma').toLowerCase() === 'memory') {
+        console.log(`🧠 Using in-memory collection: ${collection}`);
+        return new MemoryVectorStore(createEmbeddings(), { collectionName: collection });
+    }
+
     console.log(`🔌 Connecting to Chroma at ${process.env.CHROMA_URL}`);
     console.log(`📚 Using collection: ${collection}`);
 
-    const embeddings = new OpenAIEmbeddings({
-        modelName: 'text-embedding-3-small',
-        apiKey: process.env.OPENAI_API_KEY,
-    });
+    const embeddings = createEmbeddings();
 
     try {
         const vectorStore = new Chroma(embeddings, {
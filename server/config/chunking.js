@@ -0,0 +1,49 @@
+export const CHUNK_STRATEGIES = ['fixed', 'section', 'sentence-window', 'parent-child'];
+
+const readNumber = (name, fallback, min = 1) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isInteger(value) && value >= min
+    ? value
+    : fallback;
+};
+
+const readStrategy = (value, variable) => {
+  const strategy = value.trim().toLowerCase();
+  if (!CHUNK_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunk strategy in ${variable}: "${strategy}". Supported: ${CHUNK_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+};
+
+/**
+ * Chunking settings, read from the environment at call time so CLI scripts that
+ * load .env after their imports still see them.
+ *
+ * CHUNK_STRATEGY            Default strategy: fixed (default) | section | sentence-window | parent-child
+ * CHUNK_STRATEGY_BY_TYPE    Per file type, overriding the default, e.g. "markdown:section,pdf:parent-child"
+ *                           (types: pdf, docx, markdown, html, text, csv)
+ * CHUNK_SIZE                Characters per chunk for fixed and section (default 1000)
+ * CHUNK_OVERLAP             Characters shared by consecutive chunks (default 200)
+ * CHUNK_WINDOW_SENTENCES    Sentences on each side sent with a sentence-window chunk (default 2)
+ * CHUNK_PARENT_SIZE         Characters per parent section sent to the LLM by parent-child (default 2000)
+ * CHUNK_CHILD_SIZE          Characters per child chunk searched by parent-child (default 400)
+ */
+export const getChunkingConfig = () => {
+  const byType = {};
+  for (const entry of (process.env.CHUNK_STRATEGY_BY_TYPE || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [type, strategy = ''] = entry.split(':');
+    byType[type.trim().toLowerCase()] = readStrategy(strategy, 'CHUNK_STRATEGY_BY_TYPE');
+  }
+
+  const chunkSize = readNumber('CHUNK_SIZE', 1000);
+  return {
+    strategy: readStrategy(process.env.CHUNK_STRATEGY || 'fixed', 'CHUNK_STRATEGY'),
+    byType,
+    chunkSize,
+    chunkOverlap: Math.min(readNumber('CHUNK_OVERLAP', 200, 0), Math.floor(chunkSize / 2)),
+    windowSentences: readNumber('CHUNK_WINDOW_SENTENCES', 2),
+    parentSize: readNumber('CHUNK_PARENT_SIZE', 2000),
+    childSize: readNumber('CHUNK_CHILD_SIZE', 400),
+  };
+};
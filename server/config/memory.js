@@ -0,0 +1,31 @@
+import { getModelConfig } from './models.js';
+
+// Share of the model's context window that conversation history may use by default,
+// capped so a large window doesn't turn every request into a large bill
+const HISTORY_SHARE = 0.25;
+const MAX_DEFAULT_HISTORY_TOKENS = 8000;
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value > 0
+    ? value
+    : fallback;
+};
+
+/**
+ * Conversation memory settings, read from the environment at call time.
+ *
+ * CONVERSATION_HISTORY_TOKENS   Token budget for the history sent with each question, summary included
+ *                               (default: a quarter of the model's context window, at most 8000)
+ * CONVERSATION_SUMMARY_TOKENS   Target length of the rolling summary of older turns (default 400)
+ */
+export const getMemoryConfig = () => {
+  const { contextWindow } = getModelConfig().chat;
+  return {
+    historyTokens: readNumber(
+      'CONVERSATION_HISTORY_TOKENS',
+      Math.min(MAX_DEFAULT_HISTORY_TOKENS, Math.floor(contextWindow * HISTORY_SHARE))
+    ),
+    summaryTokens: readNumber('CONVERSATION_SUMMARY_TOKENS', 400),
+  };
+};
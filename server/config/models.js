@@ -0,0 +1,170 @@
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+import { ChatDeepSeek } from '@langchain/deepseek';
+import { ChatAnthropic } from '@langchain/anthropic';
+import { Embeddings } from '@langchain/core/embeddings';
+import { StubChatModel, StubEmbeddings } from './stubModels.js';
+
+// Defaults per provider. "openai-compatible" covers local servers such as Ollama,
+// llama.cpp or vLLM that expose the OpenAI API. "stub" answers offline (see stubModels.js).
+const CHAT_PROVIDERS = {
+  deepseek: { model: 'deepseek-chat', apiKeyEnv: 'DEEPSEEK_API_KEY', baseURL: 'https://api.deepseek.com' },
+  openai: { model: 'gpt-4o-mini', apiKeyEnv: 'OPENAI_API_KEY', baseURL: null },
+  anthropic: { model: 'claude-3-5-haiku-latest', apiKeyEnv: 'ANTHROPIC_API_KEY', baseURL: null },
+  'openai-compatible': { model: 'llama3.1', apiKeyEnv: null, baseURL: 'http://localhost:11434/v1' },
+  stub: { model: 'stub', apiKeyEnv: null, baseURL: null },
+};
+
+const EMBEDDING_PROVIDERS = {
+  openai: { model: 'text-embedding-3-small', apiKeyEnv: 'OPENAI_API_KEY', baseURL: null },
+  'openai-compatible': { model: 'nomic-embed-text', apiKeyEnv: null, baseURL: 'http://localhost:11434/v1' },
+  stub: { model: 'stub', apiKeyEnv: null, baseURL: null },
+};
+
+// Context window (tokens) by model name, first match wins. Unknown models, typically
+// local ones, get a conservative default; LLM_CONTEXT_WINDOW overrides both.
+const CONTEXT_WINDOWS = [
+  [/^deepseek/, 64000],
+  [/^(gpt-4o|gpt-4\.1|o\d)/, 128000],
+  [/^gpt-4-turbo/, 128000],
+  [/^gpt-3\.5/, 16000],
+  [/^claude/, 200000],
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const contextWindowFor = (model) =>
+  CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model))?.[1] ?? DEFAULT_CONTEXT_WINDOW;
+
+// Local servers usually ignore the key, but the OpenAI client refuses to start without one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+};
+
+const resolveProvider = (variable, providers, fallback) => {
+  const name = (process.env[variable] || fallback).toLowerCase();
+  if (!providers[name]) {
+    throw new Error(`Unknown ${variable}: "${name}". Supported: ${Object.keys(providers).join(', ')}`);
+  }
+  return { name, defaults: providers[name] };
+};
+
+/**
+ * Model settings, read from the environment at call time so CLI scripts that
+ * load .env after their imports still see them.
+ *
+ * LLM_PROVIDER          deepseek (default) | openai | anthropic | openai-compatible | stub
+ * LLM_MODEL             Chat model (default per provider, e.g. deepseek-chat)
+ * LLM_TEMPERATURE       Sampling temperature (default 0.7)
+ * LLM_MAX_TOKENS        Maximum tokens per reply (default 2000)
+ * LLM_BASE_URL          API base URL (openai-compatible defaults to Ollama's)
+ * LLM_API_KEY           API key (default: the provider's DEEPSEEK_/OPENAI_/ANTHROPIC_API_KEY)
+ * LLM_CONTEXT_WINDOW    Model context window in tokens (default per model, 8192 for unknown models)
+ * EMBEDDING_PROVIDER    openai (default) | openai-compatible | stub
+ * EMBEDDING_MODEL       Embedding model (default text-embedding-3-small)
+ * EMBEDDING_BASE_URL    API base URL for openai-compatible
+ * EMBEDDING_API_KEY     API key (default: OPENAI_API_KEY)
+ */
+export const getModelConfig = () => {
+  const chat = resolveProvider('LLM_PROVIDER', CHAT_PROVIDERS, 'deepseek');
+  const embeddings = resolveProvider('EMBEDDING_PROVIDER', EMBEDDING_PROVIDERS, 'openai');
+  const chatModel = process.env.LLM_MODEL || chat.defaults.model;
+
+  return {
+    chat: {
+      provider: chat.name,
+      model: chatModel,
+      temperature: readNumber('LLM_TEMPERATURE', 0.7),
+      maxTokens: readNumber('LLM_MAX_TOKENS', 2000),
+      baseURL: process.env.LLM_BASE_URL || chat.defaults.baseURL,
+      apiKey: process.env.LLM_API_KEY || (chat.defaults.apiKeyEnv && process.env[chat.defaults.apiKeyEnv]),
+      contextWindow: readNumber('LLM_CONTEXT_WINDOW', contextWindowFor(chatModel)),
+    },
+    embeddings: {
+      provider: embeddings.name,
+      model: process.env.EMBEDDING_MODEL || embeddings.defaults.model,
+      baseURL: process.env.EMBEDDING_BASE_URL || embeddings.defaults.baseURL,
+      apiKey:
+        process.env.EMBEDDING_API_KEY ||
+        (embeddings.defaults.apiKeyEnv && process.env[embeddings.defaults.apiKeyEnv]),
+    },
+  };
+};
+
+/**
+ * Create the configured chat model. Every chat model in the server comes from here.
+ * @param {{ streaming?: boolean }} options
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel}
+ */
+export const createChatModel = ({ streaming = true } = {}) => {
+  const { provider, model, temperature, maxTokens, baseURL, apiKey } = getModelConfig().chat;
+  const common = { model, temperature, maxTokens, streaming, verbose: !!process.env.DEBUG_PROMPTS };
+
+  switch (provider) {
+    case 'stub':
+      return new StubChatModel();
+    case 'anthropic':
+      return new ChatAnthropic({ ...common, apiKey, ...(baseURL && { anthropicApiUrl: baseURL }) });
+    case 'deepseek':
+      return new ChatDeepSeek({ ...common, apiKey, configuration: { baseURL } });
+    case 'openai':
+    case 'openai-compatible':
+      return new ChatOpenAI({
+        ...common,
+        apiKey: apiKey || (provider === 'openai-compatible' ? PLACEHOLDER_API_KEY : undefined),
+        ...(baseURL && { configuration: { baseURL } }),
+      });
+  }
+};
+
+const toUnitLength = (vector) => {
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+};
+
+/**
+ * UnitLengthEmbeddings - Scales another model's vectors to unit length. Chroma's squared L2
+ * distance is then 2 - 2·cos for any model, which is what hybridRetriever.js turns back into
+ * a cosine similarity. OpenAI's vectors already are; local models' often are not.
+ */
+class UnitLengthEmbeddings extends Embeddings {
+  constructor(embeddings) {
+    super({});
+    this.embeddings = embeddings;
+  }
+
+  async embedDocuments(texts) {
+    return (await this.embeddings.embedDocuments(texts)).map(toUnitLength);
+  }
+
+  async embedQuery(text) {
+    return toUnitLength(await this.embeddings.embedQuery(text));
+  }
+}
+
+/**
+ * Create the configured embedding model. Used by config/chroma.js for every collection.
+ * Changing the embedding model requires re-ingesting: vectors of different models don't mix.
+ * @returns {import('@langchain/core/embeddings').Embeddings}
+ */
+export const createEmbeddings = () => {
+  const { provider, model, baseURL, apiKey } = getModelConfig().embeddings;
+  if (provider === 'stub') return new StubEmbeddings();
+  return new UnitLengthEmbeddings(
+    new OpenAIEmbeddings({
+      model,
+      apiKey: apiKey || (provider === 'openai-compatible' ? PLACEHOLDER_API_KEY : undefined),
+      ...(baseURL && { configuration: { baseURL } }),
+    })
+  );
+};
+
+/**
+ * One-line description of the configured models, for startup logs.
+ * @returns {string}
+ */
+export const describeModels = () => {
+  const { chat, embeddings } = getModelConfig();
+  return `chat ${chat.provider}/${chat.model}, embeddings ${embeddings.provider}/${embeddings.model}`;
+};
@@ -0,0 +1,32 @@
+const readNumber = (name, fallback, min = 0) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= min
+    ? value
+    : fallback;
+};
+
+/**
+ * OCR settings for PDF pages without extractable text, read from the environment at call
+ * time so CLI scripts that load .env after their imports still see them. OCR runs the local
+ * `pdftoppm` (poppler-utils) and `tesseract` binaries; without them such pages are skipped
+ * with a warning.
+ *
+ * OCR_ENABLED           OCR pages without a text layer (default true)
+ * OCR_LANGUAGES         Tesseract languages, e.g. "eng+deu" (default eng)
+ * OCR_MIN_TEXT_CHARS    Pages with fewer non-blank characters count as scanned (default 20)
+ * OCR_MIN_CONFIDENCE    Mean word confidence (0-100) under which a page is reported as unreliable (default 60)
+ * OCR_DPI               Resolution pages are rendered at for OCR (default 300)
+ * OCR_PAGE_TIMEOUT_MS   Time allowed to render and read one page (default 60000)
+ * TESSERACT_PATH        tesseract binary (default: found on PATH)
+ * PDFTOPPM_PATH         pdftoppm binary (default: found on PATH)
+ */
+export const getOcrConfig = () => ({
+  enabled: process.env.OCR_ENABLED !== 'false',
+  languages: process.env.OCR_LANGUAGES || 'eng',
+  minTextChars: readNumber('OCR_MIN_TEXT_CHARS', 20),
+  minConfidence: Math.min(readNumber('OCR_MIN_CONFIDENCE', 60), 100),
+  dpi: readNumber('OCR_DPI', 300, 72),
+  pageTimeoutMs: readNumber('OCR_PAGE_TIMEOUT_MS', 60000, 1000),
+  tesseractPath: process.env.TESSERACT_PATH || 'tesseract',
+  pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+});
@@ -0,0 +1,12 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Uploaded originals live here; chunk metadata `source` points into this folder
+export const DOCUMENTS_PATH = path.join(__dirname, '../documents');
+
+// Server-owned state (conversations, indexes, job records); DATA_DIR moves it elsewhere,
+// e.g. to a temporary folder for offline evaluation runs
+export const DATA_PATH = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '../data');
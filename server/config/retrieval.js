@@ -0,0 +1,60 @@
+import { getModelConfig } from './models.js';
+
+// Where cosine similarity runs from unrelated to clearly related text, per embedding model.
+// The local reranker stretches that range onto 0-1; models not listed get no semantic term.
+const SEMANTIC_CALIBRATION = [
+  [/^text-embedding-3-/, { floor: 0.2, range: 0.5 }],
+  [/^text-embedding-ada-002$/, { floor: 0.7, range: 0.2 }],
+  [/^stub$/, { floor: 0.2, range: 0.5 }],
+];
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Retrieval settings, read from the environment at call time so CLI scripts that
+ * load .env after their imports still see them.
+ *
+ * RETRIEVAL_MODE             hybrid (default) | vector | keyword
+ * RETRIEVAL_VECTOR_WEIGHT    Weight of the vector similarity ranking in fusion (default 1)
+ * RETRIEVAL_KEYWORD_WEIGHT   Weight of the BM25 keyword ranking in fusion (default 1)
+ * RETRIEVAL_RRF_K            Reciprocal-rank fusion constant; higher flattens rank differences (default 60)
+ * RETRIEVAL_CANDIDATES       Results fetched from each ranking before fusion (default 20)
+ * RETRIEVAL_TOP_K            Chunks passed to the LLM after reranking (default 4)
+ * RERANKER                   local (default, lexical + embedding cross-scoring) | llm | none
+ * RERANK_CANDIDATES          Fused candidates handed to the reranker (default 12)
+ * RELEVANCE_THRESHOLD        Reranker score (0-1) below which a chunk is dropped (default 0.25)
+ * RERANK_SEMANTIC_FLOOR      Cosine similarity of unrelated text for the embedding model, and the
+ * RERANK_SEMANTIC_RANGE      span above it up to clearly related text. Known for OpenAI's models;
+ *                            set both for others, whose similarity the local reranker otherwise
+ *                            leaves out (RERANK_SEMANTIC_RANGE=0 leaves it out for any model)
+ * QUERY_REWRITE              Rewrite follow-up questions into standalone search queries using the
+ *                            chat history (default true)
+ * QUERY_VARIANTS             Extra phrasings of the query searched too, results merged (default 0, max 4)
+ */
+export const getRetrievalConfig = () => {
+  const mode = (process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+  const reranker = (process.env.RERANKER || 'local').toLowerCase();
+  const queryVariants = Math.trunc(readNumber('QUERY_VARIANTS', 0));
+  const known = SEMANTIC_CALIBRATION.find(([pattern]) => pattern.test(getModelConfig().embeddings.model))?.[1];
+  const semanticFloor = readNumber('RERANK_SEMANTIC_FLOOR', known?.floor ?? null);
+  const semanticRange = readNumber('RERANK_SEMANTIC_RANGE', known?.range ?? null);
+  return {
+    mode: ['hybrid', 'vector', 'keyword'].includes(mode) ? mode : 'hybrid',
+    vectorWeight: readNumber('RETRIEVAL_VECTOR_WEIGHT', 1),
+    keywordWeight: readNumber('RETRIEVAL_KEYWORD_WEIGHT', 1),
+    rrfK: readNumber('RETRIEVAL_RRF_K', 60),
+    candidates: readNumber('RETRIEVAL_CANDIDATES', 20),
+    topK: readNumber('RETRIEVAL_TOP_K', 4),
+    reranker: ['local', 'llm', 'none'].includes(reranker) ? reranker : 'local',
+    rerankCandidates: readNumber('RERANK_CANDIDATES', 12),
+    relevanceThreshold: readNumber('RELEVANCE_THRESHOLD', 0.25),
+    // null: the embedding model's similarities are not calibrated, so they are not scored
+    semanticCalibration:
+      semanticFloor !== null && semanticRange > 0 ? { floor: semanticFloor, range: semanticRange } : null,
+    queryRewrite: process.env.QUERY_REWRITE !== 'false',
+    queryVariants: Math.min(4, Math.max(0, queryVariants)),
+  };
+};
@@ -0,0 +1,98 @@
+import { Embeddings } from '@langchain/core/embeddings';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { tokenize } from '../services/lexicalIndex.js';
+import { extractChunkContent } from '../utils/helpers.js';
+
+/**
+ * Deterministic stand-ins for the chat and embedding providers (LLM_PROVIDER=stub,
+ * EMBEDDING_PROVIDER=stub). They need no network or API key, so the evaluation CLI can
+ * run the real retrieval and chain code in CI. Scores measure retrieval and plumbing,
+ * not the quality of any real model.
+ */
+
+const DIMENSIONS = 256;
+
+// FNV-1a, so a term always lands in the same dimension
+const hashTerm = (term) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const embed = (text) => {
+  const vector = new Array(DIMENSIONS).fill(0);
+  for (const term of tokenize(text)) {
+    const hash = hashTerm(term);
+    vector[hash % DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+};
+
+/**
+ * StubEmbeddings - Hashed bag-of-words vectors, unit length like OpenAI's. Texts sharing
+ * words are close, so similarity search behaves sensibly on small test corpora.
+ */
+export class StubEmbeddings extends Embeddings {
+  constructor() {
+    super({});
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(embed);
+  }
+
+  async embedQuery(text) {
+    return embed(text);
+  }
+}
+
+const overlap = (a, b) => {
+  const terms = new Set(tokenize(b));
+  return tokenize(a).filter((term) => terms.has(term)).length;
+};
+
+// The query rewriter asks for JSON; the question is searched as asked
+const rewriteReply = (prompt) => {
+  const question = prompt.match(/Latest question: ([\s\S]*)$/)?.[1].trim() ?? '';
+  return JSON.stringify({ query: question, variants: [] });
+};
+
+// Answer with the opening sentences of the context block sharing most words with the question
+const answerReply = (prompt) => {
+  const [, context = '', question = ''] = prompt.match(/Context:\n([\s\S]*)\n\nQuestion: ([\s\S]*)$/) ?? [];
+  const blocks = [...context.matchAll(/\[(\d+)\] \([^)]*\)\n([\s\S]*?)(?=\n\n---\n\n|$)/g)].map(
+    ([, id, text]) => ({ id, text })
+  );
+  if (blocks.length === 0) {
+    return "I don't have enough information in your documents to answer that.";
+  }
+
+  const best = blocks.reduce((top, block) => (overlap(question, block.text) > overlap(question, top.text) ? block : top));
+  const sentences = best.text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) ?? [best.text];
+  return `${sentences.slice(0, 2).join('').trim()} [${best.id}]`;
+};
+
+/**
+ * StubChatModel - Replies without a model: search queries for the query rewriter, and
+ * extractive answers citing one context block for the RAG prompt. It never calls tools.
+ */
+export class StubChatModel extends SimpleChatModel {
+  constructor(fields = {}) {
+    super(fields);
+  }
+
+  _llmType() {
+    return 'stub';
+  }
+
+  async _call(messages) {
+    const prompt = extractChunkContent(messages.at(-1));
+    if (prompt.includes('Reply with only JSON: {"query"')) return rewriteReply(prompt);
+    if (prompt.includes('Context:\n')) return answerReply(prompt);
+    return 'Stub reply.';
+  }
+}
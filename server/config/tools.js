@@ -0,0 +1,23 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const readList = (name) =>
+  (process.env[name] ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Tool settings, read from the environment at call time.
+ *
+ * TOOLS_PLUGIN_DIR   Folder of tool plugin modules, relative to server/ (default plugins)
+ * TOOLS_DISABLED     Comma-separated tool names not offered to the model, built-in or plugin
+ *                    (e.g. summarize_topic,ticket_lookup)
+ */
+export const getToolsConfig = () => ({
+  pluginDir: path.resolve(path.join(__dirname, '..'), process.env.TOOLS_PLUGIN_DIR || 'plugins'),
+  disabled: new Set(readList('TOOLS_DISABLED')),
+});
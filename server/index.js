@@ -1,10 +1,16 @@
+import 'dotenv/config'; // Must load before route modules construct their services
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import chatRoutes from './routes/chat.js';
+import chatRoutes, { chatHealth } from './routes/chat.js';
 import ingestRoutes from './routes/ingest.js';
-
-dotenv.config();
+import documentRoutes from './routes/documents.js';
+import knowledgeBaseRoutes from './routes/knowledgeBases.js';
+import authRoutes from './routes/auth.js';
+import feedbackRoutes from './routes/feedback.js';
+import openaiRoutes from './routes/openai.js';
+import mcpRoutes from './routes/mcp.js';
+import { requireAuth } from './middleware/auth.js';
+import { getAvailableTools } from './services/tools.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,7 +22,7 @@ app.use(
       'http://127.0.0.1:3001',
       'http://client:3001', // Docker network (Next.js)
     ],
-    methods: ['GET', 'POST', 'DELETE'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true,
   })
@@ -28,8 +34,17 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use('/api/chat', chatRoutes);
-app.use('/api/ingest', ingestRoutes);
+// Everything but login/registration and the health checks needs a session token or API key
+app.use('/api/auth', authRoutes);
+app.get('/api/chat/health', chatHealth);
+app.use('/api/chat', requireAuth, chatRoutes);
+app.use('/api/ingest', requireAuth, ingestRoutes);
+app.use('/api/documents', requireAuth, documentRoutes);
+app.use('/api/knowledge-bases', requireAuth, knowledgeBaseRoutes);
+app.use('/api/feedback', requireAuth, feedbackRoutes);
+app.use('/mcp', requireAuth, mcpRoutes);
+// Authenticates itself, answering in OpenAI's error shape
+app.use('/v1', openaiRoutes);
 
 app.get('/health', (req, res) => {
   res.json({
@@ -46,9 +61,15 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       chat: '/api/chat',
       chatHealth: '/api/chat/health',
       ingest: '/api/ingest',
+      documents: '/api/documents',
+      knowledgeBases: '/api/knowledge-bases',
+      feedback: '/api/feedback',
+      openai: '/v1',
+      mcp: '/mcp',
     },
   });
 });
@@ -70,8 +91,16 @@ app.listen(PORT, () => {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`📡 Server: http://localhost:${PORT}`);
   console.log(`🏥 Health: http://localhost:${PORT}/health`);
+  console.log(`🔐 Auth API: http://localhost:${PORT}/api/auth`);
   console.log(`💬 Chat API: http://localhost:${PORT}/api/chat`);
   console.log(`📤 Ingest API: http://localhost:${PORT}/api/ingest`);
+  console.log(`🗂️  Documents API: http://localhost:${PORT}/api/documents`);
+  console.log(`📚 Knowledge Bases API: http://localhost:${PORT}/api/knowledge-bases`);
+  console.log(`👍 Feedback API: http://localhost:${PORT}/api/feedback`);
+  console.log(`🔌 OpenAI-compatible API: http://localhost:${PORT}/v1`);
+  console.log(`🧩 MCP: http://localhost:${PORT}/mcp`);
   console.log(`📊 Chroma: ${process.env.CHROMA_URL}`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  // Load the tool plugins now so a broken one is reported at startup, not on the first chat
+  getAvailableTools().catch((error) => console.error('❌ Failed to load tool plugins:', error.message));
 });
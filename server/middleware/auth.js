@@ -0,0 +1,38 @@
+import { authService } from '../services/authService.js';
+import { isAdmin } from '../utils/access.js';
+
+/**
+ * Read the token from an `Authorization: Bearer <token>` header.
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+export const readBearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Reject requests without a valid session token or API key; sets `req.user` otherwise.
+ */
+export const requireAuth = async (req, res, next) => {
+  try {
+    const user = await authService.authenticate(readBearerToken(req));
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject authenticated requests from non-admin users. Use after requireAuth.
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+};
@@ -0,0 +1,20 @@
+import { z } from 'zod';
+
+// Example tool plugin: copy it into plugins/ (or TOOLS_PLUGIN_DIR) to offer it to the model
+
+const TO_METRES = { mm: 0.001, cm: 0.01, m: 1, km: 1000, in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344 };
+
+export default {
+  name: 'convert_length',
+  description:
+    'Convert a length between units (mm, cm, m, km, in, ft, yd, mi). Use it when the user asks for a measurement from the documents in other units.',
+  schema: z.object({
+    value: z.number().describe('The length to convert'),
+    from: z.enum(Object.keys(TO_METRES)).describe('Unit of the value'),
+    to: z.enum(Object.keys(TO_METRES)).describe('Unit to convert to'),
+  }),
+  handler: async ({ value, from, to }) => {
+    const result = (value * TO_METRES[from]) / TO_METRES[to];
+    return `${value} ${from} = ${Number(result.toPrecision(6))} ${to}`;
+  },
+};
@@ -0,0 +1,108 @@
+import express from 'express';
+import { authService } from '../services/authService.js';
+import { requireAuth, readBearerToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => {
+  console.error('❌ Auth API error:', error.message);
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+/**
+ * POST /api/auth/register
+ * Create an account and log it in. Body: { username, password }
+ * Open for the AUTH_ADMIN_USERNAME account (which becomes the admin); anyone else only with
+ * AUTH_ALLOW_SIGNUP=true.
+ */
+router.post('/register', async (req, res) => {
+  const { username, password } = req.body ?? {};
+  try {
+    const session = await authService.register(username, password);
+    res.status(201).json({ success: true, ...session });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Start a session. Body: { username, password } → { user, token, expiresAt }
+ * Repeated failures for a username from one address answer 429 with Retry-After.
+ */
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body ?? {};
+  try {
+    const session = await authService.login(username, password, { ip: req.ip });
+    console.log(`🔓 ${session.user.username} logged in`);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session whose token authenticated this request.
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await authService.logout(readBearerToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The authenticated user.
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+/**
+ * GET /api/auth/api-keys
+ * The authenticated user's API keys (names and prefixes only).
+ */
+router.get('/api-keys', requireAuth, async (req, res) => {
+  try {
+    const apiKeys = await authService.listApiKeys(req.user.id);
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key for service callers. Body: { name }. The key is only shown in this response.
+ */
+router.post('/api-keys', requireAuth, async (req, res) => {
+  try {
+    const { apiKey, key } = await authService.createApiKey(req.user.id, req.body?.name);
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke one of the authenticated user's API keys.
+ */
+router.delete('/api-keys/:id', requireAuth, async (req, res) => {
+  try {
+    await authService.revokeApiKey(req.user.id, req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
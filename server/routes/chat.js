@@ -1,28 +1,35 @@
 import express from 'express';
-import { SystemMessage, HumanMessage, AIMessage } from '@langchain/core/messages';
-import { ragService } from '../services/RAGService.js';
+import { v4 as uuidv4 } from 'uuid';
 import { conversationManager } from '../services/conversationManager.js';
-import {
-  validateChatRequest,
-  setupSSEResponse,
-  sendSSEEvent,
-  extractChunkContent,
-} from '../utils/helpers.js';
-import { executeToolCallsWithSSE } from '../utils/streamProcessor.js';
-import { buildToolMessages } from '../services/tools/toolExecutor.js';
+import { knowledgeBaseService } from '../services/knowledgeBaseService.js';
+import { runChatPipeline } from '../services/chatPipeline.js';
+import { validateChatRequest, setupSSEResponse, sendSSEEvent } from '../utils/helpers.js';
+import { isAdmin } from '../utils/access.js';
 
 const router = express.Router();
 
-router.get('/health', (req, res) => {
+/**
+ * GET /api/chat/health
+ * Liveness of the chat API. Mounted in index.js ahead of requireAuth, so probes need no token.
+ */
+export const chatHealth = (req, res) => {
   res.json({
     status: 'ok',
     service: 'chat',
     timestamp: new Date().toISOString(),
   });
-});
+};
+
+/**
+ * Whether the authenticated user may read or clear a session: its owner, or an admin.
+ */
+const canAccessSession = (user, owner) => owner === user.id || isAdmin(user);
 
 /**
  * Streaming chat endpoint with conversation history.
+ * The session is bound to the authenticated user, and retrieval skips documents owned by others.
+ * The answer is stored with a trace of how it was produced (search, chunks, tool calls) and
+ * its id is sent as an `answer` event, so the user can rate it (see routes/feedback.js).
  */
 router.post('/', async (req, res) => {
 
@@ -31,95 +38,69 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: validation.error });
   }
 
-  const { message, sessionId, context } = validation;
+  const { message, sessionId } = validation;
   console.log('📨 Received message:', message);
-  console.log('🔑 Session ID:', sessionId);
-
-  if (context) {
-    conversationManager.setSessionContext(sessionId, context);
-    console.log('📱 Client context stored:', {
-      hasUser: !!context.user,
-      bookId: context.bookId,
-      url: context.currentUrl,
-    });
-  }
+  console.log('🔑 Session ID:', sessionId, `(${req.user.username})`);
 
-  try {
-    setupSSEResponse(res);
-    sendSSEEvent(res, 'session', { sessionId });
+  // The client describes its device and page; who the user is comes from authentication
+  const context = validation.context && {
+    ...validation.context,
+    user: { userId: req.user.id, name: req.user.username },
+  };
 
-    const chatHistory = await conversationManager.getMessages(sessionId);
-    console.log(`💬 Loaded ${chatHistory.length} messages from history`);
-
-    await conversationManager.addMessage(sessionId, message, true);
-
-    const { ragChain, tools, llm, contextRetriever } = await ragService.getChain();
-    console.log('🤖 Starting RAG generation...');
-
-    const stream = await ragChain.stream(
-      { question: message, chat_history: chatHistory },
+  // A request's knowledge base binds the session to it; otherwise the session keeps its own
+  let knowledgeBase;
+  try {
+    await conversationManager.claimSession(sessionId, req.user.id);
+    knowledgeBase = await knowledgeBaseService.requireExisting(
+      validation.knowledgeBase ?? (await conversationManager.getSessionKnowledgeBase(sessionId))
     );
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
 
-    let accumulated = null;
-    const textParts = [];
-
-    for await (const chunk of stream) {
-      // Accumulate all chunks - this properly merges tool_call_chunks
-      accumulated = accumulated ? accumulated.concat(chunk) : chunk;
+  try {
+    setupSSEResponse(res);
+    sendSSEEvent(res, 'session', { sessionId, knowledgeBase });
 
-      // Stream text tokens to client in real-time
-      const textContent = extractChunkContent(chunk);
-      if (textContent) {
-        textParts.push(textContent);
-        sendSSEEvent(res, 'token', { content: textContent });
-      }
+    // A request's filter re-scopes the session; moving to another knowledge base drops the scope
+    const previousKnowledgeBase = await conversationManager.getSessionKnowledgeBase(sessionId);
+    await conversationManager.setSessionKnowledgeBase(sessionId, knowledgeBase);
+    if (validation.hasFilter) {
+      await conversationManager.setSessionFilter(sessionId, validation.filter);
+    } else if (previousKnowledgeBase && previousKnowledgeBase !== knowledgeBase) {
+      await conversationManager.setSessionFilter(sessionId, null);
     }
+    const filter = await conversationManager.getSessionFilter(sessionId);
+    sendSSEEvent(res, 'scope', { filter });
 
-    // After stream ends, execute complete tool_calls from accumulated message
-    const allToolResults = [];
-    if (accumulated?.tool_calls?.length > 0) {
-      console.log('🔧 Tool calls detected:', accumulated.tool_calls.map(tc => tc.name));
-      sendSSEEvent(res, 'tool_executing', {
-        tools: accumulated.tool_calls.map((tc) => tc.name),
+    if (context) {
+      await conversationManager.setSessionContext(sessionId, context);
+      console.log('📱 Client context stored:', {
+        hasUser: !!context.user,
+        bookId: context.bookId,
+        url: context.currentUrl,
       });
-      const results = await executeToolCallsWithSSE(
-        accumulated.tool_calls, tools, res, sessionId
-      );
-      allToolResults.push(...results);
     }
 
-    let savedResponse;
-    if (allToolResults.length > 0) {
-      // Synthesis step: call raw LLM with tool results to produce a natural response
-      console.log('🔄 Starting synthesis step...');
-      const ragContext = await contextRetriever(message);
-      const synthesisMessages = [
-        new SystemMessage(
-          `You are a helpful assistant. Use the tool results and document context below to answer the user's question naturally and completely.\n\nDocument context:\n${ragContext}`
-        ),
-        ...chatHistory,
-        new HumanMessage(message),
-        new AIMessage({ content: '', tool_calls: accumulated.tool_calls }),
-        ...buildToolMessages(allToolResults, accumulated.tool_calls),
-      ];
-
-      const synthesisStream = await llm.stream(synthesisMessages);
-      const synthesisParts = [];
-      for await (const chunk of synthesisStream) {
-        const text = typeof chunk.content === 'string' ? chunk.content : '';
-        if (text) {
-          synthesisParts.push(text);
-          sendSSEEvent(res, 'token', { content: text });
-        }
-      }
-      savedResponse = synthesisParts.join('');
-      console.log('✅ Synthesis complete');
-    } else {
-      savedResponse = textParts.join('');
-    }
+    const chatHistory = await conversationManager.getMessages(sessionId);
+    console.log(`💬 Loaded ${chatHistory.length} messages from history`);
+
+    await conversationManager.addMessage(sessionId, message, true);
+
+    const { answer, trace } = await runChatPipeline({
+      question: message,
+      chatHistory,
+      knowledgeBase,
+      user: req.user,
+      sessionId,
+      emit: (type, data) => sendSSEEvent(res, type, data),
+    });
 
-    await conversationManager.addMessage(sessionId, savedResponse, false);
+    const answerId = uuidv4();
+    await conversationManager.addMessage(sessionId, answer, false, { id: answerId, trace });
 
+    sendSSEEvent(res, 'answer', { answerId });
     sendSSEEvent(res, 'done');
     res.end();
 
@@ -136,7 +117,91 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Clear conversation session.
+ * List the authenticated user's conversations, most recently active first:
+ * { sessionId, title, knowledgeBase, messageCount, createdAt, lastMessageAt }
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await conversationManager.listSessions(req.user.id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('❌ Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get the full message history of a session, for resuming it.
+ * Sessions of other users are reported as not found.
+ */
+router.get('/session/:sessionId/messages', async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const owner = await conversationManager.getSessionOwner(sessionId);
+    if (owner === undefined || !canAccessSession(req.user, owner)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    const [session, messages] = await Promise.all([
+      conversationManager.getSessionInfo(sessionId),
+      conversationManager.getTranscript(sessionId),
+    ]);
+
+    res.json({
+      success: true,
+      session,
+      messages,
+    });
+  } catch (error) {
+    console.error('❌ Error getting session messages:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Rename a conversation. Body: { title }
+ */
+router.patch('/session/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const owner = await conversationManager.getSessionOwner(sessionId);
+    if (owner === undefined || !canAccessSession(req.user, owner)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    const title = await conversationManager.renameSession(sessionId, req.body?.title);
+    console.log(`✏️  Renamed session ${sessionId}: "${title}"`);
+
+    res.json({
+      success: true,
+      sessionId,
+      title,
+    });
+  } catch (error) {
+    console.error('❌ Error renaming session:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Clear conversation session. Only its owner (or an admin) can clear it.
  */
 router.delete('/session/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
@@ -144,6 +209,14 @@ router.delete('/session/:sessionId', async (req, res) => {
   console.log('🗑️  Request to clear session:', sessionId);
 
   try {
+    const owner = await conversationManager.getSessionOwner(sessionId);
+    if (owner !== undefined && !canAccessSession(req.user, owner)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
     await conversationManager.clearSession(sessionId);
 
     res.json({
@@ -160,7 +233,7 @@ router.delete('/session/:sessionId', async (req, res) => {
 });
 
 /**
- * Get session information.
+ * Get session information. Sessions of other users are reported as not found.
  */
 router.get('/session/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
@@ -168,7 +241,7 @@ router.get('/session/:sessionId', async (req, res) => {
   try {
     const sessionInfo = await conversationManager.getSessionInfo(sessionId);
 
-    if (!sessionInfo) {
+    if (!sessionInfo || !canAccessSession(req.user, sessionInfo.userId)) {
       return res.status(404).json({
         success: false,
         error: 'Session not found',
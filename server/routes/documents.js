@@ -0,0 +1,144 @@
+import express from 'express';
+import { documentService } from '../services/documentService.js';
+import { knowledgeBaseService } from '../services/knowledgeBaseService.js';
+import { setupSSEResponse, sendSSEEvent } from '../utils/helpers.js';
+import { parseChunkStrategy } from '../utils/chunkers/index.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => {
+  console.error('❌ Document API error:', error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+/**
+ * GET /api/documents?knowledgeBase=<name>
+ * List ingested documents and stored files. Every route here takes an optional
+ * `knowledgeBase` query parameter and defaults to the default knowledge base.
+ * Documents owned by other users are hidden (404); changing one needs ownership or admin (403).
+ */
+router.get('/', async (req, res) => {
+  try {
+    const documents = await documentService.listDocuments(req.query.knowledgeBase, req.user);
+    res.json({ success: true, documents });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/documents/:id
+ * Inspect a document and preview its chunks.
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const document = await documentService.getDocument(req.params.id, req.query.knowledgeBase, req.user);
+    res.json({ success: true, document });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/documents/:id/versions
+ * Version history of a document name, newest first.
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await documentService.getVersions(req.params.id, req.query.knowledgeBase, req.user);
+    res.json({ success: true, id: req.params.id, versions });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/documents/:id/file?download
+ * The stored original. PDFs are served inline for the viewer; other types, and any
+ * file with `download`, as attachments so uploaded HTML never renders on the API origin.
+ */
+router.get('/:id/file', async (req, res) => {
+  try {
+    const file = await documentService.getFile(req.params.id, req.query.knowledgeBase, req.user);
+    const inline = file.mimeType === 'application/pdf' && req.query.download === undefined;
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-cache',
+    });
+    res.sendFile(file.filePath, { dotfiles: 'allow' }, (error) => {
+      if (error && !res.headersSent) sendError(res, error);
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/documents/:id/chunks/:chunkId
+ * Full text and location of one chunk of the current version.
+ */
+router.get('/:id/chunks/:chunkId', async (req, res) => {
+  try {
+    const chunk = await documentService.getChunk(req.params.id, req.params.chunkId, req.query.knowledgeBase, req.user);
+    res.json({ success: true, id: req.params.id, chunk });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/documents/:id
+ * Remove a document's chunks from Chroma, its stored file and its version history.
+ */
+router.delete('/:id', async (req, res) => {
+  console.log('🗑️  Request to delete document:', req.params.id);
+
+  try {
+    const result = await documentService.deleteDocument(req.params.id, req.query.knowledgeBase, req.user);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/documents/:id/reingest?chunkStrategy=<strategy>
+ * Drop a document's chunks and ingest its stored file again, with SSE progress.
+ * Without `chunkStrategy` the document is chunked as its current version was; `auto`
+ * applies the configured default for its file type.
+ */
+router.post('/:id/reingest', async (req, res) => {
+  const { id } = req.params;
+  console.log('🔁 Request to re-ingest document:', id);
+
+  let knowledgeBase;
+  let chunkStrategy;
+  try {
+    chunkStrategy = req.query.chunkStrategy === undefined ? undefined : parseChunkStrategy(req.query.chunkStrategy);
+    knowledgeBase = await knowledgeBaseService.requireExisting(req.query.knowledgeBase);
+    documentService.resolvePath(id, knowledgeBase);
+    await documentService.checkAccess(id, knowledgeBase, req.user, { modify: true });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  setupSSEResponse(res);
+
+  try {
+    await documentService.reingestDocument(id, (event) => {
+      sendSSEEvent(res, event.type, event);
+    }, knowledgeBase, req.user, chunkStrategy);
+    sendSSEEvent(res, 'done');
+  } catch (error) {
+    console.error('❌ Re-ingest error:', error.message);
+    sendSSEEvent(res, 'error', { message: error.message });
+  }
+  res.end();
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import { conversationManager } from '../services/conversationManager.js';
+import { feedbackService, FeedbackError } from '../services/feedbackService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => {
+  console.error('❌ Feedback API error:', error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+/**
+ * POST /api/feedback
+ * Rate an answer: { sessionId, messageId, rating: "up"|"down", comment? }.
+ * messageId is the id sent in the chat stream's `answer` event. Only the user who had the
+ * conversation can rate its answers; rating again replaces the earlier feedback.
+ */
+router.post('/', async (req, res) => {
+  const { sessionId, messageId, rating, comment } = req.body ?? {};
+
+  try {
+    if (typeof sessionId !== 'string' || typeof messageId !== 'string') {
+      throw new FeedbackError('sessionId and messageId are required');
+    }
+    if ((await conversationManager.getSessionOwner(sessionId)) !== req.user.id) {
+      throw new FeedbackError('Session not found', 404);
+    }
+    const answer = await conversationManager.getAnswer(sessionId, messageId);
+    if (!answer) {
+      throw new FeedbackError('Answer not found', 404);
+    }
+
+    const feedback = await feedbackService.submit({ answer, sessionId, user: req.user, rating, comment });
+    await conversationManager.setAnswerFeedback(sessionId, messageId, feedback);
+    res.json({ success: true, feedback });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/feedback/export?rating=up|down&since=<ISO date>
+ * All feedback as JSON Lines, one record per rated answer with its question, retrieved
+ * chunks, tool calls and answer. Admins only, since it contains every user's conversations.
+ */
+router.get('/export', requireAdmin, async (req, res) => {
+  const { rating, since } = req.query;
+
+  try {
+    if (rating !== undefined && !['up', 'down'].includes(rating)) {
+      throw new FeedbackError('rating must be "up" or "down"');
+    }
+    const sinceDate = since !== undefined ? new Date(since) : null;
+    if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+      throw new FeedbackError('since must be an ISO date');
+    }
+
+    const records = await feedbackService.list({ rating, since: sinceDate });
+    const fileName = `feedback-${new Date().toISOString().slice(0, 10)}.jsonl`;
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(records.map((record) => JSON.stringify(record)).join('\n') + (records.length ? '\n' : ''));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
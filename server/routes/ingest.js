@@ -1,43 +1,102 @@
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { ingestDocuments } from '../utils/documentLoader.js';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { DOCUMENTS_PATH as documentsPath, DATA_PATH } from '../config/paths.js';
+import { knowledgeBaseService } from '../services/knowledgeBaseService.js';
+import { ingestJobQueue } from '../services/ingestJobQueue.js';
+import { getLoader, isSupportedFile, SUPPORTED_EXTENSIONS } from '../utils/loaders/index.js';
 import { setupSSEResponse, sendSSEEvent } from '../utils/helpers.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { parseChunkStrategy } from '../utils/chunkers/index.js';
 
 const router = express.Router();
 
-const documentsPath = path.join(__dirname, '../documents');
+// Uploads land in a staging folder and are only moved into documents/ once ingested,
+// so an unchanged or failed upload never overwrites the stored original
+const stagingPath = path.join(DATA_PATH, 'uploads');
 
-// Ensure documents directory exists
-if (!fs.existsSync(documentsPath)) {
-  fs.mkdirSync(documentsPath, { recursive: true });
+// Ensure documents and staging directories exist
+for (const dir of [documentsPath, stagingPath]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
 }
 
+/**
+ * Name a document is stored under. Files accepted by MIME type alone get their
+ * loader's extension so folder re-scans pick them up.
+ * @param {Object} file - Multer file
+ * @returns {string}
+ */
+const toDocumentName = (file) => {
+  const name = path.basename(file.originalname);
+  if (isSupportedFile(name)) return name;
+  const loader = getLoader(name, file.mimetype);
+  return `${path.basename(name, path.extname(name))}${loader.extensions[0]}`;
+};
+
 const storage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, documentsPath),
-  filename: (_req, file, cb) => cb(null, file.originalname),
+  destination: (_req, _file, cb) => cb(null, stagingPath),
+  filename: (_req, file, cb) => cb(null, `${uuidv4()}-${toDocumentName(file)}`),
 });
 
 const upload = multer({
   storage,
   fileFilter: (_req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (getLoader(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      cb(new Error(`Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(', ')}`));
     }
   },
   limits: { fileSize: 50 * 1024 * 1024, files: 10 },
 });
 
+const sendError = (res, error) => {
+  console.error('❌ Ingest API error:', error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+const isTerminalEvent = (event) => event.type === 'done' || event.type === 'error';
+
+/**
+ * Stream a job's events over SSE: a `job` event with its summary, the stored events after
+ * `after` (their `seq`), then live events until the job finishes. Closing the connection
+ * only stops watching; the job keeps running.
+ */
+const streamJobEvents = (res, job, after = 0) => {
+  sendSSEEvent(res, 'job', { job: ingestJobQueue.toSummary(job) });
+
+  for (const event of job.events) {
+    if (event.seq > after) sendSSEEvent(res, event.type, event);
+  }
+  if (job.status === 'completed' || job.status === 'failed') {
+    res.end();
+    return;
+  }
+
+  const unsubscribe = ingestJobQueue.subscribe(job.id, (event) => {
+    sendSSEEvent(res, event.type, event);
+    if (isTerminalEvent(event)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  res.on('close', unsubscribe);
+};
+
 /**
  * POST /api/ingest
- * Accepts multipart PDF uploads, saves them, then runs ingestion with SSE progress.
+ * Accepts multipart document uploads, stages them and queues an ingest job.
+ * Streams the job's progress over SSE (first event: `job`, with its id); the job keeps
+ * running if the connection drops and can be watched again via /api/ingest/jobs/:id/events.
+ * An optional `knowledgeBase` form field selects the target knowledge base (default otherwise), and
+ * `chunkStrategy` how every file is chunked (default: per file type, see config/chunking.js).
+ * The ingested documents are owned by the authenticated user.
  */
 router.post('/', upload.array('files', 10), async (req, res) => {
   setupSSEResponse(res);
@@ -50,29 +109,73 @@ router.post('/', upload.array('files', 10), async (req, res) => {
     return;
   }
 
-  console.log(`📤 Ingest request: ${files.length} file(s)`);
-  files.forEach((f) => console.log(`   - ${f.originalname} (${f.size} bytes)`));
-
-  // Notify which files were saved
-  for (const file of files) {
-    sendSSEEvent(res, 'file_saved', { file: file.originalname });
-  }
-
-  const uploadedFileNames = files.map((f) => f.originalname);
+  const uploads = files.map((f) => ({ name: toDocumentName(f), path: f.path }));
+  const removeStaged = () => Promise.all(uploads.map((u) => fs.promises.rm(u.path, { force: true })));
 
+  let job;
   try {
-    await ingestDocuments(documentsPath, (event) => {
-      sendSSEEvent(res, event.type, event);
-    }, uploadedFileNames);
+    const knowledgeBase = await knowledgeBaseService.requireExisting(req.body?.knowledgeBase);
+    const chunkStrategy = parseChunkStrategy(req.body?.chunkStrategy);
 
-    sendSSEEvent(res, 'done');
-    res.end();
-    console.log('✅ Ingest complete');
+    console.log(`📤 Ingest request from ${req.user.username}: ${files.length} file(s) into ${knowledgeBase}`);
+    uploads.forEach((u, idx) => console.log(`   - ${u.name} (${files[idx].mimetype}, ${files[idx].size} bytes)`));
+
+    job = await ingestJobQueue.enqueue({ knowledgeBase, uploads, owner: req.user.id, chunkStrategy });
   } catch (error) {
     console.error('❌ Ingest error:', error.message);
     sendSSEEvent(res, 'error', { message: error.message });
     res.end();
+    await removeStaged();
+    return;
   }
+
+  streamJobEvents(res, job);
+});
+
+/**
+ * GET /api/ingest/jobs/:id
+ * Job status: per-file status, result counts and error, without the event log.
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await ingestJobQueue.get(req.params.id, req.user);
+    res.json({ success: true, job: ingestJobQueue.toSummary(job) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/ingest/jobs/:id/events?after=<seq>
+ * Reconnectable SSE stream of a job's progress, replaying the events after `after`.
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+  let job;
+  try {
+    job = await ingestJobQueue.get(req.params.id, req.user);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  setupSSEResponse(res);
+  const after = Number.parseInt(req.query.after, 10);
+  streamJobEvents(res, job, Number.isInteger(after) ? after : 0);
+});
+
+/**
+ * POST /api/ingest/jobs/:id/retry
+ * Queue a failed job again for the files it did not finish; streams progress like POST /api/ingest.
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  let job;
+  try {
+    job = await ingestJobQueue.retry(req.params.id, req.user);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  setupSSEResponse(res);
+  streamJobEvents(res, job, job.events.length - 1);
 });
 
 export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { knowledgeBaseService } from '../services/knowledgeBaseService.js';
+import { ragService } from '../services/RAGService.js';
+import { documentService } from '../services/documentService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const sendError = (res, error) => {
+  console.error('❌ Knowledge base API error:', error.message);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+/**
+ * GET /api/knowledge-bases
+ * List knowledge bases, default first.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const knowledgeBases = await knowledgeBaseService.list();
+    res.json({ success: true, knowledgeBases, defaultKnowledgeBase: knowledgeBaseService.defaultName });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/knowledge-bases
+ * Create a knowledge base. Body: { name, description? }
+ */
+router.post('/', async (req, res) => {
+  const { name, description } = req.body ?? {};
+  console.log('📚 Request to create knowledge base:', name);
+
+  try {
+    const knowledgeBase = await knowledgeBaseService.create(
+      name,
+      typeof description === 'string' ? description.trim() : ''
+    );
+    res.status(201).json({ success: true, knowledgeBase });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/knowledge-bases/:name
+ * Delete a knowledge base with all of its chunks, stored files and version history.
+ * Admins only, since it removes every user's documents in it.
+ */
+router.delete('/:name', requireAdmin, async (req, res) => {
+  const { name } = req.params;
+  console.log('🗑️  Request to delete knowledge base:', name);
+
+  try {
+    await knowledgeBaseService.delete(name);
+    ragService.evictKnowledgeBase(name);
+    documentService.evictKnowledgeBase(name);
+    res.json({ success: true, name });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { knowledgeBaseService } from '../services/knowledgeBaseService.js';
+import { createMcpServer } from '../services/mcpServer.js';
+
+/**
+ * MCP over Streamable HTTP, stateless: every request gets its own server, acting for the
+ * authenticated user on the knowledge base in `?knowledgeBase=` (default otherwise).
+ * Errors use JSON-RPC's shape, since MCP clients read nothing else.
+ */
+const router = express.Router();
+
+const sendError = (res, error, status = error.status || 500) => {
+  console.error('❌ MCP API error:', error.message);
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: status >= 500 ? -32603 : -32000, message: error.message },
+    id: null,
+  });
+};
+
+/**
+ * POST /mcp?knowledgeBase=
+ * One MCP JSON-RPC message (or batch); replies as JSON or an SSE stream, as the client accepts.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.requireExisting(req.query.knowledgeBase);
+    const server = await createMcpServer({ knowledgeBase, user: req.user });
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    if (!res.headersSent) sendError(res, error);
+    else console.error('❌ MCP API error:', error.message);
+  }
+});
+
+// Stateless: no server-initiated stream to open and no session to end
+router.get('/', (req, res) => sendError(res, new Error('Method not allowed'), 405));
+router.delete('/', (req, res) => sendError(res, new Error('Method not allowed'), 405));
+
+export default router;
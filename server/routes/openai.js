@@ -0,0 +1,160 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { authService } from '../services/authService.js';
+import { knowledgeBaseService, KnowledgeBaseError } from '../services/knowledgeBaseService.js';
+import { runChatPipeline } from '../services/chatPipeline.js';
+import { readBearerToken } from '../middleware/auth.js';
+import { setupSSEResponse } from '../utils/helpers.js';
+import {
+  OpenAIError,
+  parseChatCompletionRequest,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toModel,
+} from '../utils/openai.js';
+
+/**
+ * OpenAI-compatible API, for tools that speak the OpenAI protocol (IDE plugins, scripts, bots).
+ * Every knowledge base is a "model"; a chat completion runs the same retrieval and tools as
+ * /api/chat against it. The API is stateless like OpenAI's: the history comes with each request.
+ * Errors use OpenAI's shape: { error: { message, type, code, param } }.
+ */
+const router = express.Router();
+
+const sendError = (res, error) => {
+  console.error('❌ OpenAI API error:', error.message);
+  const status = error.status || 500;
+  res.status(status).json({
+    error: {
+      message: error.message,
+      type: status >= 500 ? 'server_error' : status === 401 ? 'authentication_error' : 'invalid_request_error',
+      code: error.code ?? null,
+      param: null,
+    },
+  });
+};
+
+const writeData = (res, data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+
+// OpenAI clients send the key as a bearer token too: a DocuTalk API key (or session token)
+router.use(async (req, res, next) => {
+  try {
+    const user = await authService.authenticate(readBearerToken(req));
+    if (!user) {
+      return sendError(res, new OpenAIError('Invalid or missing API key', 401, 'invalid_api_key'));
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Resolve a model name to an existing knowledge base.
+ * @param {string} model
+ * @returns {Promise<string>}
+ */
+const requireModel = async (model) => {
+  try {
+    return await knowledgeBaseService.requireExisting(model);
+  } catch (error) {
+    if (!(error instanceof KnowledgeBaseError)) throw error;
+    throw new OpenAIError(
+      `The model "${model}" does not exist; models are the knowledge bases listed by /v1/models`,
+      404,
+      'model_not_found'
+    );
+  }
+};
+
+/**
+ * GET /v1/models
+ * List the knowledge bases as models.
+ */
+router.get('/models', async (req, res) => {
+  try {
+    const knowledgeBases = await knowledgeBaseService.list();
+    res.json({ object: 'list', data: knowledgeBases.map(toModel) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /v1/models/:model
+ * Describe one knowledge base as a model.
+ */
+router.get('/models/:model', async (req, res) => {
+  try {
+    const name = await requireModel(req.params.model);
+    const knowledgeBase = (await knowledgeBaseService.list()).find((kb) => kb.name === name);
+    res.json(toModel(knowledgeBase));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /v1/chat/completions
+ * Answer the last user message from the knowledge base named by `model`, streaming
+ * (`stream: true`, chunks then `data: [DONE]`) or not. The answer's sources are in the
+ * `citations` extension field: on the completion, or on the last chunk when streaming.
+ * `filter` ({ documents?, pageFrom?, pageTo? }) scopes retrieval like /api/chat's.
+ * The request runs without a session: the history comes from the request and the scope
+ * set_document_scope sets only lasts for this answer, so nothing is stored.
+ */
+router.post('/chat/completions', async (req, res) => {
+  let request;
+  let knowledgeBase;
+  try {
+    request = parseChatCompletionRequest(req.body);
+    knowledgeBase = await requireModel(request.model);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  console.log(`📨 OpenAI-compatible request for "${knowledgeBase}" (${req.user.username}):`, request.question);
+
+  const completion = { id: `chatcmpl-${uuidv4()}`, created: Math.floor(Date.now() / 1000), model: knowledgeBase };
+  try {
+    if (request.stream) {
+      setupSSEResponse(res);
+      writeData(res, toChatCompletionChunk(completion, { role: 'assistant', content: '' }));
+    }
+
+    const { answer, citations } = await runChatPipeline({
+      question: request.question,
+      chatHistory: request.chatHistory,
+      knowledgeBase,
+      user: req.user,
+      filter: request.filter,
+      // Only the answer is streamed; tool calls run on the server and aren't the client's to handle
+      emit: (type, data) => {
+        if (request.stream && type === 'token') {
+          writeData(res, toChatCompletionChunk(completion, { content: data.content }));
+        }
+      },
+    });
+
+    if (request.stream) {
+      writeData(res, toChatCompletionChunk(completion, {}, { finishReason: 'stop', citations }));
+      writeData(res, '[DONE]');
+      res.end();
+    } else {
+      res.json(toChatCompletion({ ...completion, answer, citations }));
+    }
+    console.log('✅ OpenAI-compatible response completed');
+  } catch (error) {
+    if (!res.headersSent) {
+      sendError(res, error);
+    } else {
+      console.error('❌ OpenAI API error:', error.message);
+      writeData(res, { error: { message: error.message, type: 'server_error', code: null, param: null } });
+      writeData(res, '[DONE]');
+      res.end();
+    }
+  }
+});
+
+export default router;
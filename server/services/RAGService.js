@@ -1,29 +1,67 @@
 import { RunnableSequence } from '@langchain/core/runnables';
-import { ChatDeepSeek } from '@langchain/deepseek';
-import { Chroma } from '@langchain/community/vectorstores/chroma';
-import { OpenAIEmbeddings } from '@langchain/openai';
 import { ChatPromptTemplate, MessagesPlaceholder } from '@langchain/core/prompts';
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { getAvailableTools } from './tools.js';
+import { knowledgeBaseService } from './knowledgeBaseService.js';
+import { createVectorStore } from '../config/chroma.js';
+import { createChatModel, describeModels } from '../config/models.js';
+import { getLexicalIndex } from './lexicalIndex.js';
+import { backfillChunkFileNames } from '../utils/documentLoader.js';
+import { createHybridRetriever, reciprocalRankFusion } from './hybridRetriever.js';
+import { createReranker } from './rerankers/index.js';
+import { QueryRewriter } from './queryRewriter.js';
+import { getRetrievalConfig } from '../config/retrieval.js';
+import { describeRetrievalFilter } from '../utils/retrievalFilter.js';
+import { buildCitations, formatContextWithCitations } from '../utils/citations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const SYSTEM_PROMPT_PATH = join(__dirname, '../prompts/system.md');
 
 const BASE_RAG_INSTRUCTION = `You are a helpful AI assistant with access to a knowledge base. Use the following context to answer the user's question accurately and concisely.
-If the context doesn't contain enough information to answer the question, politely say that you don't have enough information rather than making up an answer.`;
+If the context doesn't contain enough information to answer the question, politely say that you don't have enough information rather than making up an answer.
+Each context block is numbered like [1], [2]. When you use a fact from a block, cite it inline with its number in square brackets, e.g. "The policy took effect in 2021 [2]." Only cite numbers that appear in the context.
+Blocks marked as a table hold a Markdown table: read a value from the row and the column it belongs to, and quote it exactly.
+If the context says no relevant passages were found, tell the user their documents don't cover the question instead of answering from general knowledge.`;
 
+/**
+ * Swap chunks searched small for the text they are answered from (sentence windows, parent
+ * sections; see utils/chunkers/). The matched chunk stays in metadata.matchedText for
+ * citations, and later hits in a parent already sent are dropped.
+ */
+const expandChunks = (docs) => {
+  const seenParents = new Set();
+  return docs.flatMap((doc) => {
+    const { contextText, parentIndex, ingestId } = doc.metadata;
+    if (parentIndex !== undefined) {
+      const parentKey = `${ingestId}:${parentIndex}`;
+      if (seenParents.has(parentKey)) return [];
+      seenParents.add(parentKey);
+    }
+    if (!contextText) return [doc];
+    const { contextText: _contextText, ...metadata } = doc.metadata;
+    return [{ ...doc, pageContent: contextText, metadata: { ...metadata, matchedText: doc.pageContent } }];
+  });
+};
+
+// Context sent to the LLM when every retrieved chunk fell under the relevance threshold
+const NO_RELEVANT_CONTEXT = 'No relevant passages were found in the knowledge base for this question.';
+
+/**
+ * RAGService - Builds the RAG chain. The LLM, prompt and tools are shared; the vector
+ * store, retriever and chain are built lazily and cached per knowledge base (collection).
+ */
 class RAGService {
   constructor() {
     this.llm = null;
     this.rawLlm = null;
-    this.vectorStore = null;
     this.prompt = null;
-    this.contextRetriever = null;
-    this.ragChain = null;
     this.tools = null;
+    this.queryRewriter = null;
+    // Map of knowledge base name -> pending { vectorStore, retriever, retrieveContext, contextRetriever, ragChain }
+    this.knowledgeBases = new Map();
     this.initialized = false;
   }
 
@@ -32,30 +70,17 @@ class RAGService {
 
     console.log('🔗 Initializing RAGService...');
 
-    this.tools = getAvailableTools();
+    this.tools = await getAvailableTools();
     console.log(`🔧 Loaded ${this.tools.length} tool(s):`, this.tools.map((t) => t.name).join(', '));
 
-    this.rawLlm = new ChatDeepSeek({
-      modelName: 'deepseek-chat',
-      temperature: 0.7,
-      maxTokens: 2000,
-      streaming: true,
-      verbose: !!process.env.DEBUG_PROMPTS,
-      apiKey: process.env.DEEPSEEK_API_KEY,
-      configuration: { baseURL: 'https://api.deepseek.com' },
-    });
+    this.rawLlm = createChatModel();
     this.llm = this.tools.length > 0 ? this.rawLlm.bind({ tools: this.tools }) : this.rawLlm;
-    console.log('🤖 LLM initialized');
-
-    const embeddings = new OpenAIEmbeddings({
-      modelName: 'text-embedding-3-small',
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.vectorStore = new Chroma(embeddings, {
-      collectionName: process.env.CHROMA_COLLECTION || 'rag-collection',
-      url: process.env.CHROMA_URL || 'http://localhost:8000',
-    });
-    console.log(`📚 Vector store connected to ${process.env.CHROMA_URL}`);
+    console.log(`🤖 LLM initialized (${describeModels()})`);
+    const { reranker, semanticCalibration } = getRetrievalConfig();
+    if (reranker === 'local' && !semanticCalibration) {
+      console.warn('⚠️ Embedding similarity is not calibrated for this model: the local reranker scores terms only (see RERANK_SEMANTIC_FLOOR)');
+    }
+    this.queryRewriter = new QueryRewriter(this.rawLlm);
 
     let systemPrompt = '';
     try {
@@ -75,26 +100,91 @@ class RAGService {
     ]);
     console.log('📝 Prompt template created');
 
-    const retriever = this.vectorStore.asRetriever({ k: 4, searchType: 'similarity' });
-    this.contextRetriever = async (question) => {
-      console.log('🔍 RAG Query:', question);
-      const docs = await retriever.invoke(question);
-      console.log(`📄 Retrieved ${docs.length} document(s)`);
+    this.initialized = true;
+    console.log('✅ RAGService initialized');
+  }
+
+  /**
+   * Build the retrieval functions and chain for one knowledge base.
+   * @param {string} knowledgeBase - Knowledge base (collection) name
+   */
+  async buildKnowledgeBase(knowledgeBase) {
+    const vectorStore = await createVectorStore(knowledgeBase);
+    await backfillChunkFileNames(vectorStore);
+    const { lexicalIndexPath } = knowledgeBaseService.getPaths(knowledgeBase);
+    const lexicalIndex = getLexicalIndex(lexicalIndexPath);
+    await lexicalIndex.ensureBuilt(vectorStore);
+
+    const hybridRetriever = createHybridRetriever(vectorStore, lexicalIndex);
+
+    /**
+     * Over-fetch fused candidates, rerank them and keep the best k above the relevance threshold.
+     * Kept chunks carry their reranker score as metadata.relevanceScore, and chunks with a
+     * larger context (sentence window, parent section) are expanded to it.
+     * An optional retrieval filter scopes the search to documents and/or a page range.
+     * Variants (other phrasings of the query) are searched too and their candidates fused
+     * with the query's; the reranker still scores everything against the query itself.
+     */
+    const retrieve = async (query, k = getRetrievalConfig().topK, filter = null, variants = []) => {
+      const { reranker: rerankerName, rerankCandidates, relevanceThreshold, rrfK } = getRetrievalConfig();
+      const limit = Math.max(k, rerankCandidates);
+      const rankings = await Promise.all(
+        [query, ...variants].map((text) => hybridRetriever.search(text, limit, filter))
+      );
+      const candidates =
+        rankings.length === 1
+          ? rankings[0]
+          : reciprocalRankFusion(rankings.map((items) => ({ items, weight: 1 })), { rrfK, limit });
+      const reranked = await createReranker(rerankerName, { llm: this.rawLlm }).rerank(query, candidates);
+
+      const relevant = reranked.filter(({ score }) => score === null || score >= relevanceThreshold);
+      if (relevant.length < reranked.length) {
+        console.log(`✂️  Dropped ${reranked.length - relevant.length} candidate(s) under relevance ${relevanceThreshold}`);
+      }
+
+      return expandChunks(
+        relevant.map(({ doc, score }) => ({ ...doc, metadata: { ...doc.metadata, relevanceScore: score } }))
+      ).slice(0, k);
+    };
+    const retriever = { invoke: retrieve };
+
+    /**
+     * Retrieve the numbered context and citations for a question. The question is first
+     * rewritten into a standalone search query using `chatHistory`; callers retrieving
+     * again for the same question pass the earlier `search` to skip the rewrite.
+     * The retrieved documents are returned too (`docs`, in citation order).
+     */
+    const retrieveContext = async (question, filter = null, { chatHistory = [], search = null } = {}) => {
+      console.log(`🔍 RAG Query [${knowledgeBase}]:`, question);
+      if (filter) console.log(`🎯 Scoped to: ${describeRetrievalFilter(filter)}`);
+      const searched = search ?? (await this.queryRewriter.rewrite(question, chatHistory));
+      if (searched.rewritten) console.log('✍️  Rewritten query:', searched.query);
+      if (searched.variants.length > 0) console.log('🔀 Query variants:', searched.variants.join(' | '));
+      const docs = await retrieve(searched.query, undefined, filter, searched.variants);
+      console.log(`📄 Retrieved ${docs.length} relevant document(s)`);
       if (docs.length > 0) {
         docs.forEach((doc, idx) => {
-          console.log(`  [Doc ${idx + 1}] ${doc.pageContent.substring(0, 100)}...`);
+          const score = doc.metadata.relevanceScore;
+          console.log(`  [Doc ${idx + 1}]${score === null ? '' : ` (${score.toFixed(2)})`} ${doc.pageContent.substring(0, 100)}...`);
         });
       } else {
-        console.log('  ⚠️ No documents found for query');
+        console.log('  ⚠️ No relevant documents found for query');
       }
-      return docs
-        .map((doc, idx) => `[Document ${idx + 1}]\n${doc.pageContent}`)
-        .join('\n\n---\n\n');
+      return {
+        context: docs.length > 0 ? formatContextWithCitations(docs) : NO_RELEVANT_CONTEXT,
+        citations: buildCitations(docs),
+        hasRelevantContext: docs.length > 0,
+        search: searched,
+        docs,
+      };
     };
+    const contextRetriever = async (question, filter = null, chatHistory = []) =>
+      (await retrieveContext(question, filter, { chatHistory })).context;
 
-    this.ragChain = RunnableSequence.from([
+    const ragChain = RunnableSequence.from([
       {
-        context: (input) => this.contextRetriever(input.question),
+        // Callers that already retrieved (to emit citations) pass the context through
+        context: (input) => input.context ?? contextRetriever(input.question, input.filter, input.chat_history),
         question: (input) => input.question,
         chat_history: (input) => input.chat_history || [],
       },
@@ -102,17 +192,62 @@ class RAGService {
       this.llm,
     ]);
 
-    this.initialized = true;
-    console.log('✅ RAGService initialized');
+    console.log(`📚 Chain ready for knowledge base: ${knowledgeBase}`);
+    return { vectorStore, retriever, retrieveContext, contextRetriever, ragChain };
   }
 
-  async getChain() {
+  /**
+   * Get (building on first use) the cached chain parts for a knowledge base.
+   * @param {string|null} knowledgeBase - Knowledge base name (default when empty)
+   */
+  async getKnowledgeBase(knowledgeBase = null) {
     await this.initialize();
+    const name = knowledgeBaseService.resolveName(knowledgeBase);
+
+    if (!this.knowledgeBases.has(name)) {
+      const pending = this.buildKnowledgeBase(name);
+      // Don't cache a failed build, so the next request retries
+      pending.catch(() => this.knowledgeBases.delete(name));
+      this.knowledgeBases.set(name, pending);
+    }
+    return this.knowledgeBases.get(name);
+  }
+
+  /**
+   * Get the vector store of a knowledge base (used by tools).
+   * @param {string|null} knowledgeBase - Knowledge base name (default when empty)
+   */
+  async getVectorStore(knowledgeBase = null) {
+    return (await this.getKnowledgeBase(knowledgeBase)).vectorStore;
+  }
+
+  /**
+   * Get the reranked, relevance-filtered retriever of a knowledge base (used by tools).
+   * invoke(query, k, filter) resolves to documents.
+   * @param {string|null} knowledgeBase - Knowledge base name (default when empty)
+   */
+  async getRetriever(knowledgeBase = null) {
+    return (await this.getKnowledgeBase(knowledgeBase)).retriever;
+  }
+
+  /**
+   * Drop the cached chain of a deleted knowledge base.
+   * @param {string} knowledgeBase - Knowledge base name
+   */
+  evictKnowledgeBase(knowledgeBase) {
+    this.knowledgeBases.delete(knowledgeBase);
+  }
+
+  async getChain(knowledgeBase = null) {
+    const { ragChain, contextRetriever, retrieveContext } = await this.getKnowledgeBase(knowledgeBase);
     return {
-      ragChain: this.ragChain,
+      ragChain,
+      prompt: this.prompt,
       tools: this.tools,
-      llm: this.rawLlm, // Raw (unbound) LLM for synthesis — no tool recursion
-      contextRetriever: this.contextRetriever,
+      toolLlm: this.llm, // Tool-bound LLM for agent steps
+      llm: this.rawLlm, // Raw (unbound) LLM for the final answer once the step budget is spent
+      contextRetriever,
+      retrieveContext,
     };
   }
 }
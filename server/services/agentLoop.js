@@ -0,0 +1,150 @@
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { extractChunkContent } from '../utils/helpers.js';
+import { executeToolCallsWithSSE } from '../utils/streamProcessor.js';
+import { buildToolMessages } from './tools/toolExecutor.js';
+import { getAgentConfig } from '../config/agent.js';
+
+const callKey = (call) => `${call.name}:${JSON.stringify(call.args ?? {})}`;
+
+/**
+ * Rewrite the tool steps after the prompt as plain text for the unbound LLM. Providers reject
+ * tool calls and tool results in a request that binds no tools (Anthropic fails outright), so
+ * the calls become one assistant message and their results one user message.
+ * @param {Array} messages - Prompt messages followed by the AIMessage/ToolMessage steps
+ * @param {number} promptLength - Number of prompt messages at the start
+ * @returns {Array} Messages without tool calls or ToolMessages
+ */
+const foldToolSteps = (messages, promptLength) => {
+  const steps = messages.slice(promptLength);
+  if (steps.length === 0) return messages;
+
+  const calls = [];
+  const results = [];
+  for (const message of steps) {
+    if (message.tool_calls?.length) {
+      const text = typeof message.content === 'string' ? message.content.trim() : '';
+      if (text) calls.push(text);
+      calls.push(...message.tool_calls.map((call) => `Called ${call.name} with ${JSON.stringify(call.args ?? {})}`));
+    } else if (message.tool_call_id) {
+      results.push(`Result of ${message.name}:\n${message.content}`);
+    }
+  }
+
+  return [
+    ...messages.slice(0, promptLength),
+    new AIMessage(calls.join('\n')),
+    new HumanMessage(
+      `${results.join('\n\n')}\n\nNo more tools can be called. Answer the question with these results and the context above.`
+    ),
+  ];
+};
+
+/**
+ * Stream one model turn to the client as `token` events.
+ * @returns {Promise<{ message: Object|null, text: string }>} Merged AIMessageChunk and its text
+ */
+const streamTurn = async (llm, messages, emit) => {
+  let accumulated = null;
+  const textParts = [];
+
+  for await (const chunk of await llm.stream(messages)) {
+    // Accumulate all chunks - this properly merges tool_call_chunks
+    accumulated = accumulated ? accumulated.concat(chunk) : chunk;
+
+    const textContent = extractChunkContent(chunk);
+    if (textContent) {
+      textParts.push(textContent);
+      emit('token', { content: textContent });
+    }
+  }
+
+  return { message: accumulated, text: textParts.join('') };
+};
+
+/**
+ * Let the model call tools until it answers.
+ *
+ * Each step streams a turn of the tool-bound LLM; if it asks for tools they are run
+ * (`tool_executing`, then `tool_result`/`tool_error` per call, all carrying `step`) and their
+ * results are fed back for the next step. A call identical to an earlier one (same tool and
+ * arguments) is not run again; the model is told to use the earlier result. Once AGENT_MAX_STEPS
+ * rounds of tools have run, the unbound LLM gives the final answer, with the tool steps
+ * folded into plain text.
+ *
+ * @param {Object} params
+ * @param {Array} params.messages - Prompt messages: system, history and the question with its context
+ * @param {Object} params.toolLlm - LLM bound to the tools
+ * @param {Object} params.llm - Unbound LLM, used when the step budget is spent
+ * @param {Array} params.tools - Available tools
+ * @param {Function} params.emit - Receives each event as (type, data), e.g. to send it as SSE
+ * @param {string|null} params.sessionId - Session ID, passed to the tools
+ * @param {Object|null} [params.scope] - Retrieval scope the tools read and set (see chatPipeline.js)
+ * @param {string|null} params.knowledgeBase - Knowledge base the tools should search
+ * @param {Object|null} params.user - Authenticated user, whose access the tools respect
+ * @param {Function} [params.onToolStep] - Awaited after each step's tools ran, with
+ *   { step, toolCalls, toolMessages }; may amend the tool messages before they are sent back
+ * @returns {Promise<string>} All answer text streamed to the client
+ */
+export const runAgentLoop = async ({
+  messages: initialMessages,
+  toolLlm,
+  llm,
+  tools,
+  emit,
+  sessionId,
+  scope = null,
+  knowledgeBase = null,
+  user = null,
+  onToolStep = null,
+}) => {
+  const { maxSteps } = getAgentConfig();
+  const messages = [...initialMessages];
+  // Map of call key -> step that first made the call
+  const seenCalls = new Map();
+  const textParts = [];
+
+  for (let step = 1; ; step++) {
+    const isFinal = step > maxSteps;
+    const { message, text } = isFinal
+      ? await streamTurn(llm, foldToolSteps(messages, initialMessages.length), emit)
+      : await streamTurn(toolLlm, messages, emit);
+    if (text) textParts.push(text);
+
+    const toolCalls = isFinal ? [] : (message?.tool_calls ?? []);
+    if (toolCalls.length === 0) {
+      if (step > 1) console.log(`✅ Agent answered after ${step - 1} tool step(s)`);
+      break;
+    }
+
+    console.log(`🔧 Step ${step}/${maxSteps} tool calls:`, toolCalls.map((tc) => tc.name));
+    emit('tool_executing', { tools: toolCalls.map((tc) => tc.name), step });
+
+    const results = [];
+    for (const call of toolCalls) {
+      const key = callKey(call);
+      if (seenCalls.has(key)) {
+        const firstStep = seenCalls.get(key);
+        console.log(`🔁 Skipping repeated call to ${call.name} (first made in step ${firstStep})`);
+        emit('tool_error', {
+          tool: call.name,
+          error: `Skipped: same call as in step ${firstStep}`,
+          step,
+        });
+        results.push({
+          name: call.name,
+          result: `This exact call was already made in step ${firstStep}. Use that result instead of calling it again.`,
+        });
+        continue;
+      }
+      seenCalls.set(key, step);
+      results.push(...(await executeToolCallsWithSSE([call], tools, emit, sessionId, knowledgeBase, step, user, scope)));
+    }
+
+    const toolMessages = buildToolMessages(results, toolCalls);
+    await onToolStep?.({ step, toolCalls, toolMessages });
+
+    messages.push(new AIMessage({ content: text, tool_calls: toolCalls }), ...toolMessages);
+  }
+
+  return textParts.join('');
+};
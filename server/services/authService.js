@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { DATA_PATH } from '../config/paths.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_FILE = path.join(DATA_PATH, 'auth.json');
+
+// API keys are recognizable by their prefix; anything else is a login session token
+const API_KEY_PREFIX = 'dtk_';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Failed logins are forgotten after this long without another one
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+// Lockout after the allowed failures, doubling with each further one up to the cap
+const LOGIN_LOCKOUT_BASE_MS = 30 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 15 * 60 * 1000;
+
+/**
+ * Error carrying an HTTP status, thrown for client-facing failures (bad credentials, taken name).
+ */
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, 64);
+  return `scrypt:${salt}:${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [, salt, hash] = stored.split(':');
+  const key = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+};
+
+/**
+ * AuthService - Users, login sessions and API keys.
+ *
+ * The web app logs in with a username and password and gets a session token; service callers
+ * use API keys. Both are sent as `Authorization: Bearer <token>` and only their SHA-256 hashes
+ * are stored. Only the account named by AUTH_ADMIN_USERNAME becomes an admin, and it can
+ * register while sign-up is closed; anyone else needs AUTH_ALLOW_SIGNUP=true. Repeated failed
+ * logins for a username from one address are locked out for a growing delay
+ * (AUTH_LOGIN_MAX_ATTEMPTS, default 5), kept in memory only.
+ *
+ * Persisted as a single JSON file (data/auth.json):
+ * { users: [{ id, username, role, passwordHash, createdAt, apiKeys: [{ id, name, prefix, hash, createdAt }] }],
+ *   sessions: { [tokenHash]: { userId, createdAt, expiresAt } } }
+ */
+class AuthService {
+  constructor() {
+    this.state = null;
+    this.loading = null;
+    // Writes are chained so concurrent logins never interleave partial files
+    this.writeQueue = Promise.resolve();
+    // `${username}|${ip}` -> { count, lastFailedAt, lockedUntil }
+    this.loginFailures = new Map();
+  }
+
+  get sessionTtl() {
+    const hours = Number(process.env.AUTH_SESSION_TTL_HOURS ?? 168);
+    return (hours > 0 ? hours : 168) * 60 * 60 * 1000;
+  }
+
+  get signupAllowed() {
+    return process.env.AUTH_ALLOW_SIGNUP === 'true';
+  }
+
+  get adminUsername() {
+    return process.env.AUTH_ADMIN_USERNAME?.trim().toLowerCase() || null;
+  }
+
+  get maxLoginAttempts() {
+    const attempts = Number(process.env.AUTH_LOGIN_MAX_ATTEMPTS ?? 5);
+    return attempts > 0 ? attempts : 5;
+  }
+
+  async load() {
+    if (this.state) return this.state;
+    // Concurrent first calls share one read, so none of them replaces a state another changed
+    this.loading ??= fs
+      .readFile(AUTH_FILE, 'utf-8')
+      .then(JSON.parse, (error) => {
+        if (error.code !== 'ENOENT') throw error;
+        return { users: [], sessions: {} };
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+    this.state ??= await this.loading;
+    return this.state;
+  }
+
+  async save() {
+    const write = async () => {
+      await fs.mkdir(path.dirname(AUTH_FILE), { recursive: true });
+      const tmp = `${AUTH_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(this.state, null, 2), { encoding: 'utf-8', mode: 0o600 });
+      await fs.rename(tmp, AUTH_FILE);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Public view of a user: no password hash and no API key hashes.
+   * @param {Object} user - User record
+   * @returns {{ id: string, username: string, role: string, createdAt: string }}
+   */
+  toPublicUser(user) {
+    return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+  }
+
+  async findUser(userId) {
+    const { users } = await this.load();
+    return users.find((u) => u.id === userId) ?? null;
+  }
+
+  async createSession(user) {
+    const state = await this.load();
+    const now = Date.now();
+
+    // Drop expired sessions while we're writing anyway
+    for (const [hash, session] of Object.entries(state.sessions)) {
+      if (Date.parse(session.expiresAt) <= now) delete state.sessions[hash];
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now + this.sessionTtl).toISOString();
+    state.sessions[sha256(token)] = { userId: user.id, createdAt: new Date(now).toISOString(), expiresAt };
+    await this.save();
+    return { user: this.toPublicUser(user), token, expiresAt };
+  }
+
+  /**
+   * Create an account and log it in. The account named by AUTH_ADMIN_USERNAME is the admin.
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<{ user: Object, token: string, expiresAt: string }>}
+   * @throws {AuthError} 400 for invalid input, 403 when sign-up is closed, 409 when the name is taken
+   */
+  async register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AuthError('Username must be 3-32 letters, digits, ".", "_" or "-"');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const isAdmin = username.toLowerCase() === this.adminUsername;
+    const checkAvailable = (state) => {
+      if (!isAdmin && !this.signupAllowed) {
+        throw new AuthError(
+          state.users.length === 0 && !this.adminUsername
+            ? 'Sign-up is closed; set AUTH_ADMIN_USERNAME to create the admin account'
+            : 'Sign-up is closed; ask an admin for an account',
+          403
+        );
+      }
+      if (state.users.some((u) => u.username.toLowerCase() === username.toLowerCase())) {
+        throw new AuthError(`Username already taken: "${username}"`, 409);
+      }
+    };
+
+    // Checked before hashing to fail fast, and again after it: another registration may have
+    // completed meanwhile. Nothing awaits between the second check and the push.
+    checkAvailable(await this.load());
+    const passwordHash = await hashPassword(password);
+    const state = await this.load();
+    checkAvailable(state);
+
+    const user = {
+      id: uuidv4(),
+      username,
+      role: isAdmin ? 'admin' : 'user',
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      apiKeys: [],
+    };
+    state.users.push(user);
+    console.log(`👤 Registered ${user.role} ${username}`);
+    return this.createSession(user);
+  }
+
+  /**
+   * Count a login attempt against its username and address, refusing it while they are locked out.
+   * Counted before the password is checked, so concurrent guesses can't all slip in ahead of the
+   * lockout; a successful login clears the count.
+   * @param {string} key - `${username}|${ip}`
+   * @throws {AuthError} 429 with `retryAfter` (seconds) while locked out
+   */
+  countLoginAttempt(key) {
+    const now = Date.now();
+    for (const [other, entry] of this.loginFailures) {
+      if (entry.lastFailedAt + LOGIN_FAILURE_WINDOW_MS <= now && entry.lockedUntil <= now) {
+        this.loginFailures.delete(other);
+      }
+    }
+
+    const entry = this.loginFailures.get(key) ?? { count: 0, lastFailedAt: 0, lockedUntil: 0 };
+    if (entry.lockedUntil > now) {
+      const error = new AuthError('Too many failed logins; try again later', 429);
+      error.retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+      throw error;
+    }
+
+    entry.count += 1;
+    entry.lastFailedAt = now;
+    const excess = entry.count - this.maxLoginAttempts;
+    if (excess >= 0) {
+      entry.lockedUntil = now + Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** excess, LOGIN_LOCKOUT_MAX_MS);
+    }
+    this.loginFailures.set(key, entry);
+  }
+
+  /**
+   * Check a username and password and start a session.
+   * @param {string} username
+   * @param {string} password
+   * @param {Object} [options]
+   * @param {string} [options.ip] - Client address, so one client's failures don't lock out others
+   * @returns {Promise<{ user: Object, token: string, expiresAt: string }>}
+   * @throws {AuthError} 401 for unknown users and wrong passwords alike, 429 after too many failures
+   */
+  async login(username, password, { ip = '' } = {}) {
+    const key = `${String(username).toLowerCase()}|${ip}`;
+    this.countLoginAttempt(key);
+
+    const { users } = await this.load();
+    const user =
+      typeof username === 'string' && users.find((u) => u.username.toLowerCase() === username.toLowerCase());
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+      throw new AuthError('Invalid username or password', 401);
+    }
+    this.loginFailures.delete(key);
+    return this.createSession(user);
+  }
+
+  /**
+   * End a login session. API keys are revoked with revokeApiKey instead.
+   * @param {string} token - Session token
+   */
+  async logout(token) {
+    const state = await this.load();
+    const hash = sha256(token);
+    if (!state.sessions[hash]) return;
+    delete state.sessions[hash];
+    await this.save();
+  }
+
+  /**
+   * Resolve a bearer token (session token or API key) to its user.
+   * @param {string} token
+   * @returns {Promise<Object|null>} Public user, with `authMethod` ("session" or "api_key"), or null
+   */
+  async authenticate(token) {
+    if (!token) return null;
+    const state = await this.load();
+    const hash = sha256(token);
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+      const user = state.users.find((u) => u.apiKeys.some((key) => key.hash === hash));
+      return user ? { ...this.toPublicUser(user), authMethod: 'api_key' } : null;
+    }
+
+    const session = state.sessions[hash];
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+    const user = await this.findUser(session.userId);
+    return user ? { ...this.toPublicUser(user), authMethod: 'session' } : null;
+  }
+
+  /**
+   * Create an API key for a user. The key itself is only returned here.
+   * @param {string} userId
+   * @param {string} name - Label to recognize the key by
+   * @returns {Promise<{ apiKey: Object, key: string }>}
+   */
+  async createApiKey(userId, name) {
+    const user = await this.findUser(userId);
+    if (!user) throw new AuthError('User not found', 404);
+    const label = typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : 'API key';
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = {
+      id: uuidv4(),
+      name: label,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: sha256(key),
+      createdAt: new Date().toISOString(),
+    };
+    user.apiKeys.push(apiKey);
+    await this.save();
+    console.log(`🔑 Created API key "${label}" for ${user.username}`);
+
+    const { hash: _hash, ...publicKey } = apiKey;
+    return { apiKey: publicKey, key };
+  }
+
+  /**
+   * List a user's API keys (without their hashes).
+   * @param {string} userId
+   * @returns {Promise<Array<{ id: string, name: string, prefix: string, createdAt: string }>>}
+   */
+  async listApiKeys(userId) {
+    const user = await this.findUser(userId);
+    return (user?.apiKeys ?? []).map(({ hash: _hash, ...key }) => key);
+  }
+
+  /**
+   * Revoke one of a user's API keys.
+   * @param {string} userId
+   * @param {string} keyId
+   * @throws {AuthError} 404 when the user has no such key
+   */
+  async revokeApiKey(userId, keyId) {
+    const user = await this.findUser(userId);
+    const index = user?.apiKeys.findIndex((key) => key.id === keyId) ?? -1;
+    if (index === -1) throw new AuthError(`API key not found: "${keyId}"`, 404);
+    user.apiKeys.splice(index, 1);
+    await this.save();
+  }
+}
+
+export const authService = new AuthService();
@@ -0,0 +1,171 @@
+import { SystemMessage } from '@langchain/core/messages';
+import { ragService } from './RAGService.js';
+import { conversationManager } from './conversationManager.js';
+import { documentService } from './documentService.js';
+import { runAgentLoop } from './agentLoop.js';
+import { excludeDocuments } from '../utils/retrievalFilter.js';
+import { getModelConfig } from '../config/models.js';
+
+// Tool results kept in an answer's trace are cut to this length
+const MAX_TRACED_TOOL_RESULT = 4000;
+
+/**
+ * Merge the prompt's system messages (the instructions, then the rolling summary at the head of
+ * the history) into one at the start: Anthropic only accepts a single, leading system message.
+ * @param {Array} messages - Formatted prompt messages
+ * @returns {Array}
+ */
+const mergeSystemMessages = (messages) => {
+  const system = messages.filter((message) => message instanceof SystemMessage);
+  if (system.length <= 1) return messages;
+  return [
+    new SystemMessage(system.map((message) => message.content).join('\n\n---\n\n')),
+    ...messages.filter((message) => !(message instanceof SystemMessage)),
+  ];
+};
+
+/**
+ * The retrieval scope an answer starts from and set_document_scope changes, handed to the tools
+ * as `config.configurable.scope`. Stored on the session when there is one; otherwise it only
+ * lasts for this answer.
+ * @param {string|null} sessionId
+ * @param {Object|null} filter - Scope of a session-less answer
+ * @returns {{ get: () => Promise<Object|null>, set: (filter: Object|null) => Promise<void> }}
+ */
+const createScope = (sessionId, filter) => {
+  if (sessionId) {
+    return {
+      get: () => conversationManager.getSessionFilter(sessionId),
+      set: (updated) => conversationManager.setSessionFilter(sessionId, updated),
+    };
+  }
+  let current = filter;
+  return {
+    get: async () => current,
+    set: async (updated) => {
+      current = updated;
+    },
+  };
+};
+
+/**
+ * Answer a question from a knowledge base: retrieve the numbered context, then let the model
+ * call tools until it answers. Shared by the chat route and the OpenAI-compatible API.
+ *
+ * Events go to `emit` as (type, data): `search_query`, `citations`, `no_relevant_context`,
+ * `scope` when set_document_scope re-scoped the session (the context is then retrieved again
+ * and handed to the model), and the agent loop's `token` and tool events.
+ *
+ * @param {Object} params
+ * @param {string} params.question - The user's message
+ * @param {Array} params.chatHistory - Earlier LangChain messages of the conversation
+ * @param {string} params.knowledgeBase - Existing knowledge base name
+ * @param {Object} params.user - Authenticated user; documents owned by others are not searched
+ * @param {string|null} [params.sessionId] - Session holding the retrieval scope and client context;
+ *   null to answer without one (the OpenAI-compatible API), nothing is stored then
+ * @param {Object|null} [params.filter] - Retrieval scope when there is no session
+ * @param {Function} params.emit - Event sink
+ * @returns {Promise<{ answer: string, citations: Array, filter: Object|null, trace: Object }>}
+ *   The answer text, the citations of the latest retrieval, the scope it ended with and a trace
+ *   of how it was produced (search, chunks, tool calls) to store with the answer
+ */
+export const runChatPipeline = async ({
+  question,
+  chatHistory,
+  knowledgeBase,
+  user,
+  sessionId = null,
+  filter: initialFilter = null,
+  emit,
+}) => {
+  const scope = createScope(sessionId, initialFilter);
+  const filter = await scope.get();
+  const { prompt, tools, toolLlm, llm, retrieveContext } = await ragService.getChain(knowledgeBase);
+  const hiddenDocuments = await documentService.getHiddenDocuments(knowledgeBase, user);
+
+  // The standalone query is worked out once; retrieving again after a scope change reuses it
+  let search = null;
+  let citations = [];
+  // Chunks behind the latest citations and every tool call, for the answer's trace
+  let tracedChunks = [];
+  const tracedToolCalls = [];
+  const retrieve = async (scope) => {
+    const retrieved = await retrieveContext(question, excludeDocuments(scope, hiddenDocuments), {
+      chatHistory,
+      search,
+    });
+    if (!search) {
+      search = retrieved.search;
+      emit('search_query', search);
+    }
+    citations = retrieved.citations;
+    tracedChunks = citations.map(({ snippet: _snippet, ...citation }, idx) => ({
+      ...citation,
+      content: retrieved.docs[idx].pageContent,
+    }));
+    emit('citations', { citations });
+    if (!retrieved.hasRelevantContext) {
+      emit('no_relevant_context', {
+        message: 'Nothing relevant to this question was found in your documents.',
+      });
+    }
+    return retrieved.context;
+  };
+
+  const messages = mergeSystemMessages(
+    await prompt.formatMessages({
+      context: await retrieve(filter),
+      question,
+      chat_history: chatHistory,
+    })
+  );
+
+  console.log('🤖 Starting RAG generation...');
+
+  let currentFilter = filter;
+  const answer = await runAgentLoop({
+    messages,
+    toolLlm,
+    llm,
+    tools,
+    emit,
+    sessionId,
+    scope,
+    knowledgeBase,
+    user,
+    // set_document_scope may have re-scoped the session: hand the model the context of the new scope
+    onToolStep: async ({ step, toolCalls, toolMessages }) => {
+      toolCalls.forEach((call, idx) => {
+        tracedToolCalls.push({
+          step,
+          name: call.name,
+          args: call.args ?? {},
+          result: String(toolMessages[idx]?.content ?? '').slice(0, MAX_TRACED_TOOL_RESULT),
+        });
+      });
+      const updatedFilter = await scope.get();
+      if (JSON.stringify(updatedFilter) === JSON.stringify(currentFilter)) return;
+      currentFilter = updatedFilter;
+      emit('scope', { filter: updatedFilter });
+      const scopedContext = await retrieve(updatedFilter);
+      const scopeMessage = toolMessages.findLast((m) => m.name === 'set_document_scope') ?? toolMessages.at(-1);
+      scopeMessage.content += `\n\nDocument context for the question within the new scope (cite these numbers):\n${scopedContext}`;
+    },
+  });
+
+  const { provider, model } = getModelConfig().chat;
+  return {
+    answer,
+    citations,
+    filter: currentFilter,
+    trace: {
+      question,
+      knowledgeBase,
+      model: `${provider}/${model}`,
+      filter: currentFilter,
+      search,
+      retrieved: tracedChunks,
+      toolCalls: tracedToolCalls,
+    },
+  };
+};
@@ -1,47 +1,176 @@
 import { InMemoryChatMessageHistory } from '@langchain/core/chat_history';
-import { HumanMessage, AIMessage } from '@langchain/core/messages';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  HumanMessage,
+  AIMessage,
+  SystemMessage,
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages,
+} from '@langchain/core/messages';
+import { createConversationStore } from './stores/index.js';
+import { summarizeConversation } from './conversationSummarizer.js';
+import { getMemoryConfig } from '../config/memory.js';
+import { countMessageTokens } from '../utils/tokens.js';
+
+// Auto-generated titles are the first question, cut at a word boundary
+const MAX_AUTO_TITLE_LENGTH = 60;
+const MAX_TITLE_LENGTH = 120;
 
 /**
- * ConversationManager - Manages in-memory chat sessions with automatic cleanup
+ * Title a conversation after its first question.
+ * @param {string} content - First user message
+ * @returns {string}
+ */
+const deriveTitle = (content) => {
+  const text = String(content).replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_AUTO_TITLE_LENGTH) return text || 'New conversation';
+  const cut = text.slice(0, MAX_AUTO_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_AUTO_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+/**
+ * The rolling summary as it is placed at the head of chat_history. A system message, so the
+ * model doesn't take it for something the user said; the chat pipeline merges it into the
+ * system prompt for providers (Anthropic) that only accept one system message, first.
+ * @param {string} summary
+ * @returns {SystemMessage}
+ */
+const toSummaryMessage = (summary) =>
+  new SystemMessage(`Summary of the earlier conversation (older messages are no longer shown):\n${summary}`);
+
+/**
+ * Build a transcript from stored chat messages, for sessions saved before transcripts were kept.
+ * @param {Array} messages - LangChain messages
+ * @param {number} timestamp - Time to stamp them with (their individual times weren't recorded)
+ * @returns {Array<{ role: string, content: string, createdAt: string }>}
+ */
+const toTranscript = (messages, timestamp) =>
+  messages.map((message) => ({
+    role: message instanceof HumanMessage ? 'user' : 'assistant',
+    content: typeof message.content === 'string' ? message.content : '',
+    createdAt: new Date(timestamp ?? Date.now()).toISOString(),
+  }));
+
+/**
+ * Error carrying an HTTP status, thrown for client-facing failures (someone else's session, bad title).
+ */
+export class ConversationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ConversationError';
+    this.status = status;
+  }
+}
+
+/**
+ * ConversationManager - Manages chat sessions backed by a persistent store
  *
  * Features:
  * - Session-based conversation history storage
- * - Automatic session timeout (30 minutes)
- * - Message windowing (keeps last 10 messages per session)
- * - Periodic cleanup of inactive sessions
+ * - Sessions bound to the user who started them (see claimSession)
+ * - Titled, listable conversations with a full transcript for resuming them in the UI
+ * - Pluggable persistence backend (file by default, see stores/index.js)
+ * - In-memory cache of recently used sessions (evicted after 30 minutes idle)
+ * - Configurable retention of persisted sessions (CONVERSATION_RETENTION_DAYS)
+ * - Token-budgeted history: older turns are folded into a rolling summary kept at the head
+ *   of the model's history (the transcript shown to the user keeps every message)
+ * - Periodic cleanup of idle cache entries and expired sessions
  */
 class ConversationManager {
   constructor() {
-    // Map of sessionId -> { history: ChatMessageHistory, lastAccessed: timestamp }
+    // Map of sessionId -> { history, summary, compactedMessageCount, transcript, title, createdAt,
+    //                       lastAccessed, lastMessageAt, userId, context, knowledgeBase, filter }
     this.sessions = new Map();
 
-    // Session expires after 30 minutes of inactivity
+    // Map of sessionId -> pending load promise, so concurrent requests hydrate once
+    this.loading = new Map();
+
+    // Map of sessionId -> running compaction, so a session is compacted once at a time
+    this.compactions = new Map();
+
+    this.store = createConversationStore();
+
+    // Cached sessions are evicted after 30 minutes of inactivity (they stay persisted)
     this.sessionTimeout = 30 * 60 * 1000;
 
+    // Persisted sessions are deleted after this many days without activity (0 = keep forever)
+    const retentionDays = Number(process.env.CONVERSATION_RETENTION_DAYS ?? 30);
+    this.retentionPeriod = retentionDays > 0 ? retentionDays * 24 * 60 * 60 * 1000 : 0;
+
     // Cleanup runs every 5 minutes
     this.cleanupInterval = 5 * 60 * 1000;
 
-    // Keep only last 10 messages (5 exchanges) per session to manage token usage
-    this.maxMessagesPerSession = 10;
-
     // Start automatic cleanup
     this.startCleanup();
 
-    console.log('✅ ConversationManager initialized');
+    console.log(`✅ ConversationManager initialized (${this.store.constructor.name})`);
+  }
+
+  /**
+   * Load a session into the cache from the store, if it exists there.
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Cached session entry or null if unknown
+   */
+  async loadSession(sessionId) {
+    if (this.sessions.has(sessionId)) return this.sessions.get(sessionId);
+
+    if (!this.loading.has(sessionId)) {
+      const pending = this.store
+        .load(sessionId)
+        .then((record) => {
+          if (!record || this.sessions.has(sessionId)) return;
+          const messages = mapStoredMessagesToChatMessages(record.messages ?? []);
+          const history = new InMemoryChatMessageHistory(messages);
+          this.sessions.set(sessionId, {
+            history,
+            summary: record.summary ?? null,
+            compactedMessageCount: record.compactedMessageCount ?? 0,
+            // Sessions from before transcripts were kept start from their windowed history
+            transcript: record.transcript ?? toTranscript(messages, record.lastAccessed),
+            title: record.title ?? null,
+            createdAt: record.createdAt,
+            lastAccessed: record.lastAccessed,
+            lastMessageAt: record.lastMessageAt ?? (messages.length ? record.lastAccessed : null),
+            userId: record.userId ?? null,
+            context: record.context ?? null,
+            knowledgeBase: record.knowledgeBase ?? null,
+            filter: record.filter ?? null,
+          });
+          console.log(`📂 Restored session from store: ${sessionId}`);
+        })
+        .finally(() => this.loading.delete(sessionId));
+      this.loading.set(sessionId, pending);
+    }
+
+    await this.loading.get(sessionId);
+    return this.sessions.get(sessionId) ?? null;
   }
 
   /**
    * Get or create a session's message history
    * @param {string} sessionId - Unique session identifier
-   * @returns {InMemoryChatMessageHistory} The message history for this session
+   * @returns {Promise<InMemoryChatMessageHistory>} The message history for this session
    */
-  getOrCreateSession(sessionId) {
-    if (!this.sessions.has(sessionId)) {
+  async getOrCreateSession(sessionId) {
+    const existing = await this.loadSession(sessionId);
+
+    // Concurrent first calls all find no stored session; only the first creates it
+    if (!existing && !this.sessions.has(sessionId)) {
       console.log(`🆕 Creating new session: ${sessionId}`);
       this.sessions.set(sessionId, {
         history: new InMemoryChatMessageHistory(),
+        summary: null,
+        compactedMessageCount: 0,
+        transcript: [],
+        title: null,
+        createdAt: Date.now(),
         lastAccessed: Date.now(),
+        lastMessageAt: null,
+        userId: null,
         context: null,
+        knowledgeBase: null,
+        filter: null,
       });
     } else {
       this.sessions.get(sessionId).lastAccessed = Date.now();
@@ -50,34 +179,137 @@ class ConversationManager {
     return this.sessions.get(sessionId).history;
   }
 
+  /**
+   * Write a cached session through to the store
+   * @param {string} sessionId - Session identifier
+   */
+  async persistSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    const messages = await session.history.getMessages();
+    await this.store.save({
+      sessionId,
+      messages: mapChatMessagesToStoredMessages(messages),
+      summary: session.summary,
+      compactedMessageCount: session.compactedMessageCount,
+      transcript: session.transcript,
+      title: session.title,
+      userId: session.userId,
+      context: session.context,
+      knowledgeBase: session.knowledgeBase,
+      filter: session.filter,
+      createdAt: session.createdAt,
+      lastAccessed: session.lastAccessed,
+      lastMessageAt: session.lastMessageAt,
+    });
+  }
+
+  /**
+   * Bind a session to the user chatting in it. A new session, or one from before
+   * authentication, is claimed by its first user; nobody else can use it afterwards.
+   * @param {string} sessionId - Session identifier
+   * @param {string} userId - Authenticated user's id
+   * @throws {ConversationError} 404 when the session belongs to another user
+   */
+  async claimSession(sessionId, userId) {
+    await this.getOrCreateSession(sessionId);
+    const session = this.sessions.get(sessionId);
+    if (session.userId === userId) return;
+    if (session.userId) {
+      throw new ConversationError('Session not found', 404);
+    }
+    session.userId = userId;
+    await this.persistSession(sessionId);
+  }
+
+  /**
+   * Get the user a session belongs to
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<string|null|undefined>} User id, null when unclaimed, undefined when the session is unknown
+   */
+  async getSessionOwner(sessionId) {
+    const session = await this.loadSession(sessionId);
+    return session ? session.userId : undefined;
+  }
+
   /**
    * Set client context for a session (user info, device, URL, etc.)
    * @param {string} sessionId - Session identifier
    * @param {Object} context - Client context object
    */
-  setSessionContext(sessionId, context) {
-    this.getOrCreateSession(sessionId); // Ensure session exists
+  async setSessionContext(sessionId, context) {
+    await this.getOrCreateSession(sessionId); // Ensure session exists
     this.sessions.get(sessionId).context = context;
+    await this.persistSession(sessionId);
   }
 
   /**
    * Get client context for a session
    * @param {string} sessionId - Session identifier
-   * @returns {Object|null} Client context or null if not set
+   * @returns {Promise<Object|null>} Client context or null if not set
    */
-  getSessionContext(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async getSessionContext(sessionId) {
+    const session = await this.loadSession(sessionId);
     return session ? session.context : null;
   }
 
+  /**
+   * Bind a session to a knowledge base; later requests without one keep using it
+   * @param {string} sessionId - Session identifier
+   * @param {string} knowledgeBase - Knowledge base name
+   */
+  async setSessionKnowledgeBase(sessionId, knowledgeBase) {
+    await this.getOrCreateSession(sessionId);
+    const session = this.sessions.get(sessionId);
+    if (session.knowledgeBase === knowledgeBase) return;
+    session.knowledgeBase = knowledgeBase;
+    await this.persistSession(sessionId);
+  }
+
+  /**
+   * Get the knowledge base a session is bound to
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<string|null>} Knowledge base name or null for the default
+   */
+  async getSessionKnowledgeBase(sessionId) {
+    const session = await this.loadSession(sessionId);
+    return session ? session.knowledgeBase : null;
+  }
+
+  /**
+   * Scope a session's retrieval to documents and/or pages; null searches everything
+   * @param {string} sessionId - Session identifier
+   * @param {Object|null} filter - Normalized retrieval filter (see utils/retrievalFilter.js)
+   */
+  async setSessionFilter(sessionId, filter) {
+    await this.getOrCreateSession(sessionId);
+    const session = this.sessions.get(sessionId);
+    if (JSON.stringify(session.filter) === JSON.stringify(filter)) return;
+    session.filter = filter;
+    await this.persistSession(sessionId);
+  }
+
+  /**
+   * Get the retrieval filter a session is scoped to
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} Retrieval filter or null when unscoped
+   */
+  async getSessionFilter(sessionId) {
+    const session = await this.loadSession(sessionId);
+    return session ? session.filter : null;
+  }
+
   /**
    * Add a message to a session's history
    * @param {string} sessionId - Session identifier
    * @param {string} content - Message content
    * @param {boolean} isUser - True for user messages, false for AI messages
+   * @param {{ id?: string, trace?: Object }} details - Transcript id (generated if omitted) and, for
+   *   answers, how they were produced (question, search, retrieved chunks, tool calls), kept for feedback
    */
-  async addMessage(sessionId, content, isUser = true) {
-    const history = this.getOrCreateSession(sessionId);
+  async addMessage(sessionId, content, isUser = true, { id = uuidv4(), trace = null } = {}) {
+    const history = await this.getOrCreateSession(sessionId);
 
     const message = isUser
       ? new HumanMessage(content)
@@ -85,51 +317,222 @@ class ConversationManager {
 
     await history.addMessage(message);
 
-    await this.applyMessageWindowing(sessionId);
+    const session = this.sessions.get(sessionId);
+    session.lastMessageAt = Date.now();
+    session.transcript.push({
+      id,
+      role: isUser ? 'user' : 'assistant',
+      content,
+      createdAt: new Date(session.lastMessageAt).toISOString(),
+      ...(trace && { trace, feedback: null }),
+    });
+    if (isUser && !session.title) {
+      session.title = deriveTitle(content);
+    }
+
+    await this.persistSession(sessionId);
+
+    // Compact once per exchange, after the answer, in the background so neither the answer
+    // nor the next question waits on a summary
+    if (!isUser) {
+      this.scheduleCompaction(sessionId);
+    }
   }
 
   /**
-   * Get messages from a session's history
+   * Compact a session's history in the background, unless a compaction is already running.
+   * Failures are logged; the history is then compacted after the next answer.
    * @param {string} sessionId - Session identifier
-   * @param {number} limit - Maximum number of messages to retrieve (default: all)
+   * @returns {Promise<void>} Settles when the compaction is done (never rejects)
+   */
+  scheduleCompaction(sessionId) {
+    if (!this.compactions.has(sessionId)) {
+      const compaction = (async () => {
+        try {
+          if (await this.compactHistory(sessionId)) await this.persistSession(sessionId);
+        } catch (error) {
+          console.error(`❌ Error compacting session ${sessionId}:`, error);
+        } finally {
+          this.compactions.delete(sessionId);
+        }
+      })();
+      this.compactions.set(sessionId, compaction);
+    }
+    return this.compactions.get(sessionId);
+  }
+
+  /**
+   * Get the chat history to send to the model: the rolling summary of compacted turns
+   * (if any) followed by the recent messages
+   * @param {string} sessionId - Session identifier
+   * @param {number} limit - Maximum number of recent messages to retrieve (default: all)
    * @returns {Promise<Array>} Array of message objects
    */
   async getMessages(sessionId, limit = null) {
-    const history = this.getOrCreateSession(sessionId);
-    const messages = await history.getMessages();
+    const history = await this.getOrCreateSession(sessionId);
+    const session = this.sessions.get(sessionId);
+    let messages = await history.getMessages();
 
     if (limit && messages.length > limit) {
-      return messages.slice(-limit);
+      messages = messages.slice(-limit);
+    }
+
+    return session.summary ? [toSummaryMessage(session.summary), ...messages] : messages;
+  }
+
+  /**
+   * Get the full transcript of a session, for showing a resumed conversation.
+   * Unlike getMessages it is never compacted. Answer traces are left out.
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<{ id?: string, role: 'user'|'assistant', content: string, createdAt: string,
+   *   feedback?: Object|null }>|null>} Messages oldest first, or null if the session is unknown
+   */
+  async getTranscript(sessionId) {
+    const session = await this.loadSession(sessionId);
+    return session ? session.transcript.map(({ trace: _trace, ...message }) => message) : null;
+  }
+
+  /**
+   * Get an answer with its trace, for attaching feedback to it
+   * @param {string} sessionId - Session identifier
+   * @param {string} messageId - Transcript id of the answer
+   * @returns {Promise<Object|null>} Assistant transcript entry, or null if there is no traced answer with that id
+   */
+  async getAnswer(sessionId, messageId) {
+    const session = await this.loadSession(sessionId);
+    const answer = session?.transcript.find((message) => message.id === messageId);
+    return answer?.trace ? answer : null;
+  }
+
+  /**
+   * Remember the feedback given to an answer, so a resumed conversation shows it
+   * @param {string} sessionId - Session identifier
+   * @param {string} messageId - Transcript id of the answer
+   * @param {{ rating: string, comment: string }} feedback
+   */
+  async setAnswerFeedback(sessionId, messageId, feedback) {
+    const answer = await this.getAnswer(sessionId, messageId);
+    if (!answer) return;
+    answer.feedback = feedback;
+    await this.persistSession(sessionId);
+  }
+
+  /**
+   * Rename a conversation
+   * @param {string} sessionId - Session identifier
+   * @param {string} title - New title
+   * @returns {Promise<string>} The stored title
+   * @throws {ConversationError} 400 for an empty or too long title, 404 if the session is unknown
+   */
+  async renameSession(sessionId, title) {
+    const trimmed = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+    if (!trimmed || trimmed.length > MAX_TITLE_LENGTH) {
+      throw new ConversationError(`Title must be 1-${MAX_TITLE_LENGTH} characters`);
     }
+    const session = await this.loadSession(sessionId);
+    if (!session) throw new ConversationError('Session not found', 404);
+    session.title = trimmed;
+    await this.persistSession(sessionId);
+    return trimmed;
+  }
 
-    return messages;
+  /**
+   * List a user's conversations, most recently active first. Sessions without
+   * messages (e.g. a request that failed before the first answer) are left out.
+   * @param {string} userId - Owner's user id
+   * @returns {Promise<Array<{ sessionId: string, title: string, knowledgeBase: string|null,
+   *   messageCount: number, createdAt: string, lastMessageAt: string }>>}
+   */
+  async listSessions(userId) {
+    const records = await this.store.list();
+    const summaries = [];
+
+    for (const record of records) {
+      // Cached sessions are written through, but prefer them in case a write is in flight
+      const session = this.sessions.get(record.sessionId);
+      const owner = session ? session.userId : record.userId;
+      if (owner !== userId) continue;
+
+      const transcript =
+        session?.transcript ??
+        record.transcript ??
+        toTranscript(mapStoredMessagesToChatMessages(record.messages ?? []), record.lastAccessed);
+      if (transcript.length === 0) continue;
+
+      const firstQuestion = transcript.find((m) => m.role === 'user')?.content ?? '';
+
+      const lastMessageAt = session?.lastMessageAt ?? record.lastMessageAt ?? record.lastAccessed;
+      summaries.push({
+        sessionId: record.sessionId,
+        title: session?.title ?? record.title ?? deriveTitle(firstQuestion),
+        knowledgeBase: session ? session.knowledgeBase : record.knowledgeBase ?? null,
+        messageCount: transcript.length,
+        createdAt: new Date(session?.createdAt ?? record.createdAt).toISOString(),
+        lastMessageAt: new Date(lastMessageAt).toISOString(),
+      });
+    }
+
+    return summaries.sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt));
   }
 
   /**
-   * Apply message windowing to keep session size manageable
-   * Keeps only the last N messages to optimize token usage
+   * Keep the history sent to the model within the token budget (CONVERSATION_HISTORY_TOKENS,
+   * by default derived from the model's context window). When it runs over, the oldest
+   * exchanges are folded into the rolling summary until the rest fits in half of what the
+   * summary leaves of the budget, so compaction doesn't run again on every message. The latest exchange is always kept.
+   * If summarizing fails, the old exchanges are dropped and the previous summary stays.
+   * Messages added while the summary is written are kept.
    * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} Whether the history was compacted
    */
-  async applyMessageWindowing(sessionId) {
+  async compactHistory(sessionId) {
     const session = this.sessions.get(sessionId);
-    if (!session) return;
+    if (!session) return false;
 
+    const { historyTokens, summaryTokens } = getMemoryConfig();
     const messages = await session.history.getMessages();
+    const summaryMessages = session.summary ? [toSummaryMessage(session.summary)] : [];
+    if (countMessageTokens([...summaryMessages, ...messages]) <= historyTokens) return false;
+
+    // Walk back from the newest message, keeping whole exchanges (each starts at a user message)
+    const target = Math.max(0, historyTokens - summaryTokens) / 2;
+    let keepFrom = messages.length;
+    let keptTokens = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      keptTokens += countMessageTokens([messages[i]]);
+      if (keptTokens > target) break;
+      if (messages[i] instanceof HumanMessage) keepFrom = i;
+    }
+    const lastExchange = messages.findLastIndex((message) => message instanceof HumanMessage);
+    if (lastExchange !== -1) keepFrom = Math.min(keepFrom, lastExchange);
+    if (keepFrom === 0) return false;
 
-    if (messages.length > this.maxMessagesPerSession) {
-      const messagesToKeep = messages.slice(-this.maxMessagesPerSession);
-
-      await session.history.clear();
-      for (const msg of messagesToKeep) {
-        await session.history.addMessage(msg);
-      }
+    const compacted = messages.slice(0, keepFrom);
 
-      console.log(`🪟 Applied windowing to session ${sessionId}: kept ${messagesToKeep.length} messages`);
+    let summary = session.summary;
+    try {
+      summary = await summarizeConversation(session.summary, compacted, summaryTokens);
+    } catch (error) {
+      console.warn(`⚠️ Could not summarize session ${sessionId} (${error.message}), dropping its oldest messages`);
     }
+    // The session was cleared or evicted while summarizing
+    if (this.sessions.get(sessionId) !== session) return false;
+
+    const kept = (await session.history.getMessages()).slice(compacted.length);
+    session.summary = summary;
+    session.compactedMessageCount += compacted.length;
+
+    await session.history.clear();
+    await session.history.addMessages(kept);
+
+    console.log(
+      `🗜️  Compacted session ${sessionId}: ${compacted.length} message(s) summarized, ${kept.length} kept (~${countMessageTokens(kept)} tokens)`
+    );
+    return true;
   }
 
   /**
-   * Clear a specific session's history
+   * Clear a specific session's history, both cached and persisted
    * @param {string} sessionId - Session identifier
    */
   async clearSession(sessionId) {
@@ -137,12 +540,13 @@ class ConversationManager {
       const session = this.sessions.get(sessionId);
       await session.history.clear();
       this.sessions.delete(sessionId);
-      console.log(`🗑️  Cleared session: ${sessionId}`);
     }
+    await this.store.delete(sessionId);
+    console.log(`🗑️  Cleared session: ${sessionId}`);
   }
 
   /**
-   * Get count of active sessions
+   * Get count of sessions currently cached in memory
    * @returns {number} Number of active sessions
    */
   getSessionCount() {
@@ -152,43 +556,69 @@ class ConversationManager {
   /**
    * Get session information for debugging
    * @param {string} sessionId - Session identifier
-   * @returns {Object|null} Session info or null if not found
+   * @returns {Promise<Object|null>} Session info or null if not found
    */
   async getSessionInfo(sessionId) {
-    if (!this.sessions.has(sessionId)) return null;
+    const session = await this.loadSession(sessionId);
+    if (!session) return null;
 
-    const session = this.sessions.get(sessionId);
     const messages = await session.history.getMessages();
 
     return {
       sessionId,
+      userId: session.userId,
+      title: session.title,
       messageCount: messages.length,
+      transcriptLength: session.transcript.length,
+      summary: session.summary,
+      compactedMessageCount: session.compactedMessageCount,
+      historyTokens: countMessageTokens(
+        session.summary ? [toSummaryMessage(session.summary), ...messages] : messages
+      ),
+      knowledgeBase: session.knowledgeBase,
+      filter: session.filter,
+      createdAt: new Date(session.createdAt).toISOString(),
       lastAccessed: new Date(session.lastAccessed).toISOString(),
+      lastMessageAt: session.lastMessageAt ? new Date(session.lastMessageAt).toISOString() : null,
       ageMinutes: Math.floor((Date.now() - session.lastAccessed) / 60000),
     };
   }
 
   /**
-   * Start periodic cleanup of inactive sessions
+   * Start periodic cleanup: evict idle sessions from the cache and
+   * delete persisted sessions past the retention period
    */
   startCleanup() {
-    this.cleanupTimer = setInterval(() => {
+    this.cleanupTimer = setInterval(async () => {
       const now = Date.now();
-      let cleanedCount = 0;
+      let evictedCount = 0;
 
       for (const [sessionId, session] of this.sessions.entries()) {
         const inactiveTime = now - session.lastAccessed;
 
         if (inactiveTime > this.sessionTimeout) {
           this.sessions.delete(sessionId);
-          cleanedCount++;
+          evictedCount++;
         }
       }
 
-      if (cleanedCount > 0) {
-        console.log(`🧹 Cleaned up ${cleanedCount} inactive session(s). Active sessions: ${this.sessions.size}`);
+      if (evictedCount > 0) {
+        console.log(`🧹 Evicted ${evictedCount} idle session(s) from cache. Cached sessions: ${this.sessions.size}`);
+      }
+
+      if (this.retentionPeriod > 0) {
+        try {
+          const expired = await this.store.deleteOlderThan(now - this.retentionPeriod);
+          if (expired > 0) {
+            console.log(`🧹 Deleted ${expired} expired session(s) from store`);
+          }
+        } catch (error) {
+          console.error('❌ Failed to purge expired sessions:', error.message);
+        }
       }
     }, this.cleanupInterval);
+    // Don't keep the process alive just for cleanup (CLI scripts import this module)
+    this.cleanupTimer.unref?.();
   }
 
   /**
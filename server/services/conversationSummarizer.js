@@ -0,0 +1,37 @@
+import { HumanMessage } from '@langchain/core/messages';
+import { createChatModel } from '../config/models.js';
+import { extractChunkContent } from '../utils/helpers.js';
+
+let llm = null;
+
+const formatTurns = (messages) =>
+  messages
+    .map((message) => `${message instanceof HumanMessage ? 'User' : 'Assistant'}: ${extractChunkContent(message)}`)
+    .join('\n\n');
+
+/**
+ * Fold conversation turns that no longer fit the history budget into the running summary.
+ * @param {string|null} previousSummary - Summary of everything before `messages`, if any
+ * @param {Array} messages - LangChain messages being dropped from the history, oldest first
+ * @param {number} maxTokens - Target summary length in tokens
+ * @returns {Promise<string>} The updated summary
+ */
+export const summarizeConversation = async (previousSummary, messages, maxTokens) => {
+  // Created on first use: CLI scripts import the conversation manager without an API key
+  llm ??= createChatModel({ streaming: false });
+
+  const prompt = `You maintain the memory of a conversation between a user and a document assistant.
+Update the summary below with the new turns. Keep what later questions may refer back to: the user's goals, names, numbers, documents and pages discussed, decisions and open questions. Drop small talk.
+Write plain prose in the third person, at most ${Math.round(maxTokens * 0.75)} words. Reply with the summary only.
+
+Current summary:
+${previousSummary || '(none yet)'}
+
+New turns:
+${formatTurns(messages)}`;
+
+  const response = await llm.invoke(prompt);
+  const summary = extractChunkContent(response).trim();
+  if (!summary) throw new Error('empty summary');
+  return summary;
+};
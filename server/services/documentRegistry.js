@@ -0,0 +1,191 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * DocumentRegistry - Tracks the owner, content hash and version history of each document name
+ * within one knowledge base.
+ *
+ * Persisted as a single JSON file:
+ * { [fileName]: { owner, currentVersion, versions: [{ version, contentHash, sizeBytes, chunkCount, chunkStrategy, ingestId, ingestedAt }] } }
+ * `owner` is the id of the user who first uploaded the name (null when ingested without one).
+ * The ingest CLI writes the same file while the server runs, so the file is read again
+ * whenever its modification time changes, and every change starts from what is on disk.
+ */
+export class DocumentRegistry {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = null;
+    // Modification time of the file the entries were read from or written to (null: no file)
+    this.mtimeMs = null;
+    // Changes are chained so concurrent ingests never interleave partial files
+    this.writeQueue = Promise.resolve();
+  }
+
+  async modifiedAt() {
+    try {
+      return (await fs.stat(this.filePath)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async load() {
+    const mtimeMs = await this.modifiedAt();
+    if (this.entries && mtimeMs === this.mtimeMs) return this.entries;
+    try {
+      this.entries = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.entries = {};
+    }
+    this.mtimeMs = mtimeMs;
+    return this.entries;
+  }
+
+  /**
+   * Change the entries and write them back, after the changes already queued. The change
+   * gets the entries as on disk now, edits them in place and returns its result;
+   * returning null means nothing changed and skips the write.
+   * @param {(entries: Object) => *} change
+   * @returns {Promise<*>} The change's result
+   */
+  update(change) {
+    const run = async () => {
+      const result = change(await this.load());
+      if (result === null) return null;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(this.entries, null, 2), 'utf-8');
+      await fs.rename(tmp, this.filePath);
+      this.mtimeMs = await this.modifiedAt();
+      return result;
+    };
+    const queued = this.writeQueue.then(run, run);
+    this.writeQueue = queued.catch(() => {});
+    return queued;
+  }
+
+  /**
+   * Get the current version of a document.
+   * @param {string} fileName - Document name
+   * @returns {Promise<Object|null>} Current version entry or null if unknown
+   */
+  async getCurrent(fileName) {
+    const entry = (await this.load())[fileName];
+    return entry?.versions.find((v) => v.version === entry.currentVersion) ?? null;
+  }
+
+  /**
+   * Get the owner of a document.
+   * @param {string} fileName - Document name
+   * @returns {Promise<string|null|undefined>} Owner's user id, null when unowned, undefined when unknown
+   */
+  async getOwner(fileName) {
+    const entry = (await this.load())[fileName];
+    return entry ? (entry.owner ?? null) : undefined;
+  }
+
+  /**
+   * Get the owner of every known document.
+   * @returns {Promise<Map<string, string|null>>} Map of document name -> owner's user id (null when unowned)
+   */
+  async getOwners() {
+    const entries = await this.load();
+    return new Map(Object.entries(entries).map(([fileName, entry]) => [fileName, entry.owner ?? null]));
+  }
+
+  /**
+   * Find the document whose current version has this content hash.
+   * With `owner`, only that user's documents and unowned ones are considered.
+   * @param {string} contentHash - SHA-256 hex digest
+   * @param {string|null} owner - Owner's user id
+   * @returns {Promise<string|null>} Document name or null
+   */
+  async findByHash(contentHash, owner = null) {
+    const entries = await this.load();
+    for (const [fileName, entry] of Object.entries(entries)) {
+      if (owner && entry.owner && entry.owner !== owner) continue;
+      const current = entry.versions.find((v) => v.version === entry.currentVersion);
+      if (current?.contentHash === contentHash) return fileName;
+    }
+    return null;
+  }
+
+  /**
+   * Record a newly ingested version and make it current.
+   * Re-ingesting identical content refreshes the current version instead of adding one.
+   * A new document is owned by `owner`; an existing one keeps its owner.
+   * @param {string} fileName - Document name
+   * @param {{ contentHash: string, sizeBytes: number, chunkCount: number, ingestId: string }} details
+   * @param {string|null} owner - Uploader's user id
+   * @returns {Promise<Object>} The current version entry
+   */
+  async recordVersion(fileName, details, owner = null) {
+    return this.update((entries) => {
+      const entry = entries[fileName] ?? { owner, currentVersion: 0, versions: [] };
+      const current = entry.versions.find((v) => v.version === entry.currentVersion);
+
+      let version;
+      if (current && current.contentHash === details.contentHash) {
+        Object.assign(current, details, { ingestedAt: new Date().toISOString() });
+        version = current;
+      } else {
+        const next = Math.max(0, ...entry.versions.map((v) => v.version)) + 1;
+        version = { version: next, ...details, ingestedAt: new Date().toISOString() };
+        entry.versions.push(version);
+        entry.currentVersion = next;
+      }
+
+      entries[fileName] = entry;
+      return version;
+    });
+  }
+
+  /**
+   * Get a document's version history, newest first.
+   * @param {string} fileName - Document name
+   * @returns {Promise<Array|null>} Versions (flagged with `current`) or null if unknown
+   */
+  async getVersions(fileName) {
+    const entry = (await this.load())[fileName];
+    if (!entry) return null;
+    return [...entry.versions]
+      .sort((a, b) => b.version - a.version)
+      .map((v) => ({ ...v, current: v.version === entry.currentVersion }));
+  }
+
+  /**
+   * Forget a document and its history.
+   * @param {string} fileName - Document name
+   */
+  async remove(fileName) {
+    await this.update((entries) => {
+      if (!entries[fileName]) return null;
+      delete entries[fileName];
+      return true;
+    });
+  }
+}
+
+const registries = new Map();
+
+/**
+ * Get the shared registry instance for a file (one per knowledge base).
+ * @param {string} filePath - Registry JSON path, from knowledgeBaseService.getPaths()
+ * @returns {DocumentRegistry}
+ */
+export const getDocumentRegistry = (filePath) => {
+  if (!registries.has(filePath)) {
+    registries.set(filePath, new DocumentRegistry(filePath));
+  }
+  return registries.get(filePath);
+};
+
+/**
+ * Drop the shared instance for a file (after its knowledge base was deleted).
+ * @param {string} filePath - Registry JSON path
+ */
+export const forgetDocumentRegistry = (filePath) => {
+  registries.delete(filePath);
+};
@@ -0,0 +1,435 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createVectorStore } from '../config/chroma.js';
+import { ingestDocuments, removeDocumentChunks, backfillChunkFileNames, hashFile } from '../utils/documentLoader.js';
+import { getLoader, isSupportedFile, loadFile } from '../utils/loaders/index.js';
+import { getDocumentRegistry, forgetDocumentRegistry } from './documentRegistry.js';
+import { getLexicalIndex, forgetLexicalIndex } from './lexicalIndex.js';
+import { knowledgeBaseService } from './knowledgeBaseService.js';
+import { canView, canModify } from '../utils/access.js';
+import { chunkFileName } from '../utils/retrievalFilter.js';
+
+const PREVIEW_LENGTH = 200;
+
+// Extracted texts kept by getText (reading some means OCR)
+const TEXT_CACHE_SIZE = 20;
+
+/**
+ * Error carrying an HTTP status, thrown for client-facing failures (bad id, unknown document).
+ */
+export class DocumentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+/**
+ * DocumentService - Inspects and manages ingested documents.
+ *
+ * A document is identified by its file name in its knowledge base's documents folder.
+ * Its chunks are found in that knowledge base's collection through the `fileName`
+ * metadata written by ingestDocuments, and its version history and owner live in the document registry.
+ * Public methods take the knowledge base name and then the requesting user last; an empty knowledge
+ * base means the default one, and documents the user may not see are reported as not found.
+ */
+class DocumentService {
+  constructor() {
+    // Map of knowledge base name -> Chroma vector store
+    this.vectorStores = new Map();
+    // Map of content hash -> extracted text (promise), least recently used first
+    this.texts = new Map();
+  }
+
+  async getVectorStore(knowledgeBase) {
+    if (!this.vectorStores.has(knowledgeBase)) {
+      const vectorStore = await createVectorStore(knowledgeBase);
+      await backfillChunkFileNames(vectorStore);
+      this.vectorStores.set(knowledgeBase, vectorStore);
+    }
+    return this.vectorStores.get(knowledgeBase);
+  }
+
+  async getCollection(knowledgeBase) {
+    return (await this.getVectorStore(knowledgeBase)).ensureCollection();
+  }
+
+  getRegistry(knowledgeBase) {
+    return getDocumentRegistry(knowledgeBaseService.getPaths(knowledgeBase).registryPath);
+  }
+
+  getLexicalIndex(knowledgeBase) {
+    return getLexicalIndex(knowledgeBaseService.getPaths(knowledgeBase).lexicalIndexPath);
+  }
+
+  /**
+   * Drop the cached vector store, registry and keyword index of a deleted knowledge base.
+   * @param {string} knowledgeBase - Knowledge base name
+   */
+  evictKnowledgeBase(knowledgeBase) {
+    this.vectorStores.delete(knowledgeBase);
+    const { registryPath, lexicalIndexPath } = knowledgeBaseService.getPaths(knowledgeBase);
+    forgetDocumentRegistry(registryPath);
+    forgetLexicalIndex(lexicalIndexPath);
+  }
+
+  /**
+   * Names of documents owned by someone other than the user, to keep out of their searches.
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<string[]>}
+   */
+  async getHiddenDocuments(knowledgeBase, user) {
+    const owners = await this.getRegistry(knowledgeBaseService.resolveName(knowledgeBase)).getOwners();
+    return [...owners].filter(([, owner]) => !canView(user, owner)).map(([fileName]) => fileName);
+  }
+
+  /**
+   * Check a user may see a document, and optionally change it.
+   * @param {string} id - Document id (file name)
+   * @param {string} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @param {{ modify?: boolean }} options
+   * @throws {DocumentError} 404 when the document is hidden from the user, 403 when they may only read it
+   */
+  async checkAccess(id, knowledgeBase, user, { modify = false } = {}) {
+    const owner = (await this.getRegistry(knowledgeBase).getOwner(id)) ?? null;
+    if (!canView(user, owner)) {
+      throw new DocumentError(`Document not found: "${id}"`, 404);
+    }
+    if (modify && !canModify(user, owner)) {
+      throw new DocumentError(`Only the owner of "${id}" or an admin can change it`, 403);
+    }
+  }
+
+  /**
+   * Validate a document id and resolve it to its path on disk.
+   * Ids are plain file names; anything with path segments is rejected.
+   * @param {string} id - Document id (file name)
+   * @param {string} knowledgeBase - Knowledge base name
+   * @returns {string} Absolute file path
+   */
+  resolvePath(id, knowledgeBase) {
+    if (!id || path.basename(id) !== id || id.startsWith('.')) {
+      throw new DocumentError(`Invalid document id: "${id}"`);
+    }
+    return path.join(knowledgeBaseService.getPaths(knowledgeBase).documentsPath, id);
+  }
+
+  /**
+   * Count a document's chunks and the pages they cover.
+   * @param {Array<Object>} metadatas - The document's chunk metadata
+   * @returns {{ chunkCount: number, pages: Set<number> }}
+   */
+  summarizeChunks(metadatas) {
+    const pages = new Set(metadatas.map((metadata) => metadata?.pageNumber).filter(Boolean));
+    return { chunkCount: metadatas.length, pages };
+  }
+
+  /**
+   * Read all chunk metadata and group it by file name, for listing every document.
+   * @param {string} knowledgeBase - Knowledge base name
+   * @returns {Promise<Map<string, { chunkCount: number, pages: Set<number> }>>}
+   */
+  async groupChunksByFile(knowledgeBase) {
+    const collection = await this.getCollection(knowledgeBase);
+    const result = await collection.get({ include: ['metadatas'] });
+
+    const byFile = new Map();
+    for (const metadata of result.metadatas ?? []) {
+      if (!metadata?.source) continue;
+      const fileName = chunkFileName(metadata);
+      if (!byFile.has(fileName)) byFile.set(fileName, []);
+      byFile.get(fileName).push(metadata);
+    }
+    return new Map([...byFile].map(([fileName, metadatas]) => [fileName, this.summarizeChunks(metadatas)]));
+  }
+
+  /**
+   * Read one document's chunks by their `fileName` metadata.
+   * @param {string} id - Document id (file name)
+   * @param {string} knowledgeBase - Knowledge base name
+   * @param {{ where?: Object, include?: string[] }} options - where narrows the chunks further
+   * @returns {Promise<{ ids: string[], metadatas: Array, documents: Array }>}
+   */
+  async getDocumentChunks(id, knowledgeBase, { where = null, include = ['metadatas'] } = {}) {
+    const collection = await this.getCollection(knowledgeBase);
+    return collection.get({
+      where: where ? { $and: [{ fileName: { $eq: id } }, where] } : { fileName: id },
+      include,
+    });
+  }
+
+  async statFile(id, knowledgeBase) {
+    try {
+      return await fs.stat(this.resolvePath(id, knowledgeBase));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize a document from its chunk group, file stats and current registry version.
+   * status: "ingested" (chunks + file), "not_ingested" (file only), "missing_file" (chunks only)
+   */
+  async toSummary(id, group, stat, knowledgeBase) {
+    const registry = this.getRegistry(knowledgeBase);
+    const current = await registry.getCurrent(id);
+    return {
+      id,
+      fileName: id,
+      owner: (await registry.getOwner(id)) ?? null,
+      status: group ? (stat ? 'ingested' : 'missing_file') : 'not_ingested',
+      chunkCount: group?.chunkCount ?? 0,
+      pageCount: group?.pages.size ?? 0,
+      sizeBytes: stat?.size ?? null,
+      updatedAt: stat ? stat.mtime.toISOString() : null,
+      version: current?.version ?? null,
+      contentHash: current?.contentHash ?? null,
+    };
+  }
+
+  /**
+   * List every document known either to Chroma or to the documents folder that the user may see.
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<Array>} Document summaries sorted by file name
+   */
+  async listDocuments(knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    const groups = await this.groupChunksByFile(kb);
+
+    const { documentsPath } = knowledgeBaseService.getPaths(kb);
+    const entries = await fs.readdir(documentsPath).catch(() => []);
+    const onDisk = entries.filter((name) => isSupportedFile(name));
+
+    const hidden = new Set(await this.getHiddenDocuments(kb, user));
+    const ids = [...new Set([...groups.keys(), ...onDisk])].filter((id) => !hidden.has(id)).sort();
+    return Promise.all(
+      ids.map(async (id) => this.toSummary(id, groups.get(id), await this.statFile(id, kb), kb))
+    );
+  }
+
+  /**
+   * Get a document's summary plus a preview of each of its chunks.
+   * @param {string} id - Document id (file name)
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<Object>} Document details
+   */
+  async getDocument(id, knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    this.resolvePath(id, kb);
+    await this.checkAccess(id, kb, user);
+    const result = await this.getDocumentChunks(id, kb, { include: ['metadatas', 'documents'] });
+    const group = result.ids.length > 0 ? this.summarizeChunks(result.metadatas) : null;
+    const stat = await this.statFile(id, kb);
+
+    if (!group && !stat) {
+      throw new DocumentError(`Document not found: "${id}"`, 404);
+    }
+
+    const chunks = result.ids
+      .map((chunkId, idx) => ({
+        id: chunkId,
+        pageNumber: result.metadatas[idx]?.pageNumber ?? 0,
+        chunkId: result.metadatas[idx]?.chunkId ?? null,
+        sectionTitle: result.metadatas[idx]?.sectionTitle ?? null,
+        contentType: result.metadatas[idx]?.contentType ?? 'text',
+        preview: (result.documents[idx] ?? '').substring(0, PREVIEW_LENGTH),
+      }))
+      .sort((a, b) => a.pageNumber - b.pageNumber || (a.chunkId ?? 0) - (b.chunkId ?? 0));
+
+    const versions = (await this.getRegistry(kb).getVersions(id)) ?? [];
+    return { ...(await this.toSummary(id, group, stat, kb)), versions, chunks };
+  }
+
+  /**
+   * Locate a document's stored original for download or viewing.
+   * @param {string} id - Document id (file name)
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<{ filePath: string, fileName: string, mimeType: string, sizeBytes: number }>}
+   */
+  async getFile(id, knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    const filePath = this.resolvePath(id, kb);
+    await this.checkAccess(id, kb, user);
+    const stat = await this.statFile(id, kb);
+    if (!stat?.isFile()) {
+      throw new DocumentError(`Stored file not found for document: "${id}"`, 404);
+    }
+    return {
+      filePath,
+      fileName: id,
+      mimeType: getLoader(id)?.mimeTypes[0] ?? 'application/octet-stream',
+      sizeBytes: stat.size,
+    };
+  }
+
+  /**
+   * Get one chunk of a document's current version in full, e.g. to highlight a cited passage.
+   * @param {string} id - Document id (file name)
+   * @param {number|string} chunkId - Chunk index within the version (chunkId metadata)
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<{ chunkId: number, pageNumber: number, sectionTitle: string|null, contentType: string, text: string }>}
+   */
+  async getChunk(id, chunkId, knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    this.resolvePath(id, kb);
+    await this.checkAccess(id, kb, user);
+    if (!/^\d+$/.test(String(chunkId))) {
+      throw new DocumentError(`Invalid chunk id: "${chunkId}"`);
+    }
+    const index = Number(chunkId);
+
+    const result = await this.getDocumentChunks(id, kb, {
+      where: { chunkId: { $eq: index } },
+      include: ['metadatas', 'documents'],
+    });
+    if (result.ids.length === 0) {
+      throw new DocumentError(`Chunk ${index} not found in document: "${id}"`, 404);
+    }
+
+    const metadata = result.metadatas[0] ?? {};
+    return {
+      chunkId: index,
+      pageNumber: metadata.pageNumber ?? 0,
+      sectionTitle: metadata.sectionTitle ?? null,
+      contentType: metadata.contentType ?? 'text',
+      text: result.documents[0] ?? '',
+    };
+  }
+
+  /**
+   * Read a document's text from its stored file, the way the loaders read it for ingestion.
+   * Tables are given as Markdown. Paged formats get a "[Page n]" line before each page.
+   * Texts are cached by the content hash the registry recorded for the current version, so a
+   * file is only read (and OCRed) again once a new version is ingested. Files the registry
+   * doesn't know are hashed to find their cached text.
+   * @param {string} id - Document id (file name)
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<string>}
+   */
+  async getText(id, knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    const { filePath } = await this.getFile(id, kb, user);
+    const contentHash = (await this.getRegistry(kb).getCurrent(id))?.contentHash ?? (await hashFile(filePath));
+
+    let text = this.texts.get(contentHash);
+    if (text) {
+      this.texts.delete(contentHash);
+    } else {
+      text = this.extractText(filePath);
+      // Don't cache a failed read, so the next request retries
+      text.catch(() => this.texts.delete(contentHash));
+    }
+    this.texts.set(contentHash, text);
+    if (this.texts.size > TEXT_CACHE_SIZE) this.texts.delete(this.texts.keys().next().value);
+    return text;
+  }
+
+  async extractText(filePath) {
+    const { docs } = await loadFile(filePath);
+
+    const parts = [];
+    let page = null;
+    for (const doc of docs) {
+      const pageNumber = doc.metadata.loc?.pageNumber || null;
+      if (pageNumber !== null && pageNumber !== page) parts.push(`[Page ${pageNumber}]`);
+      page = pageNumber;
+      parts.push(doc.metadata.contextText ?? doc.pageContent);
+    }
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Get a document's version history, newest first.
+   * @param {string} id - Document id (file name)
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<Array>} Versions
+   */
+  async getVersions(id, knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    this.resolvePath(id, kb);
+    await this.checkAccess(id, kb, user);
+    const versions = await this.getRegistry(kb).getVersions(id);
+    if (!versions) {
+      throw new DocumentError(`No version history for document: "${id}"`, 404);
+    }
+    return versions;
+  }
+
+  /**
+   * Remove a document's chunks from Chroma and the keyword index.
+   * @param {string} id - Document id (file name)
+   * @param {string} knowledgeBase - Knowledge base name
+   * @returns {Promise<number>} Number of chunks removed from Chroma
+   */
+  async deleteChunks(id, knowledgeBase) {
+    const removed = await removeDocumentChunks(await this.getVectorStore(knowledgeBase), id);
+    await this.getLexicalIndex(knowledgeBase).removeDocument(id);
+    if (removed > 0) {
+      console.log(`🗑️  Removed ${removed} chunk(s) for ${id}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Delete a document's chunks from Chroma, its file from disk and its version history.
+   * @param {string} id - Document id (file name)
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user; must own the document or be an admin
+   * @returns {Promise<{ id: string, chunksDeleted: number, fileDeleted: boolean }>}
+   */
+  async deleteDocument(id, knowledgeBase = null, user = null) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    const filePath = this.resolvePath(id, kb);
+    await this.checkAccess(id, kb, user, { modify: true });
+    const stat = await this.statFile(id, kb);
+    const chunksDeleted = await this.deleteChunks(id, kb);
+
+    if (!stat && chunksDeleted === 0) {
+      throw new DocumentError(`Document not found: "${id}"`, 404);
+    }
+
+    if (stat) {
+      await fs.rm(filePath, { force: true });
+      console.log(`🗑️  Deleted file ${filePath}`);
+    }
+    await this.getRegistry(kb).remove(id);
+
+    return { id, chunksDeleted, fileDeleted: !!stat };
+  }
+
+  /**
+   * Replace a document's chunks by re-running ingestion on its stored file.
+   * The old chunks are only removed once the new ones are stored.
+   * @param {string} id - Document id (file name)
+   * @param {Function} progressCallback - Receives ingestDocuments progress events
+   * @param {string|null} knowledgeBase - Knowledge base name
+   * @param {Object|null} user - Requesting user; must own the document or be an admin
+   * @param {string|null|undefined} chunkStrategy - Strategy to chunk with; null for the file type's
+   *   default, undefined to keep the strategy of the current version
+   */
+  async reingestDocument(id, progressCallback = null, knowledgeBase = null, user = null, chunkStrategy = undefined) {
+    const kb = await knowledgeBaseService.requireExisting(knowledgeBase);
+    this.resolvePath(id, kb);
+    await this.checkAccess(id, kb, user, { modify: true });
+    const stat = await this.statFile(id, kb);
+    if (!stat) {
+      throw new DocumentError(`Stored file not found for document: "${id}"`, 404);
+    }
+
+    const strategy =
+      chunkStrategy === undefined ? ((await this.getRegistry(kb).getCurrent(id))?.chunkStrategy ?? null) : chunkStrategy;
+    await ingestDocuments(null, progressCallback, [id], { force: true, knowledgeBase: kb, chunkStrategy: strategy });
+  }
+}
+
+export const documentService = new DocumentService();
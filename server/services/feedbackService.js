@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_PATH } from '../config/paths.js';
+
+const FEEDBACK_PATH = path.join(DATA_PATH, 'feedback');
+
+const RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Error carrying an HTTP status, thrown for client-facing failures (bad rating, long comment).
+ */
+export class FeedbackError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.status = status;
+  }
+}
+
+/**
+ * FeedbackService - Ratings users give to answers, kept as regression cases.
+ *
+ * Each record is a snapshot copied from the conversation when the rating is given: the
+ * question, what was searched, the retrieved chunks, the tool calls and the answer. Feedback
+ * therefore outlives conversation retention and deletion. Rating an answer again replaces
+ * its record. Persisted as one JSON file per answer in data/feedback/.
+ */
+class FeedbackService {
+  constructor() {
+    // Writes are chained so two ratings of the same answer never interleave partial files
+    this.writeQueue = Promise.resolve();
+  }
+
+  filePath(answerId) {
+    return path.join(FEEDBACK_PATH, `${answerId}.json`);
+  }
+
+  async load(answerId) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(answerId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async persist(record) {
+    const write = async () => {
+      await fs.mkdir(FEEDBACK_PATH, { recursive: true });
+      const target = this.filePath(record.id);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(record, null, 2), 'utf-8');
+      await fs.rename(tmp, target);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Record a rating for an answer.
+   * @param {Object} params
+   * @param {Object} params.answer - Assistant transcript entry with its trace (see ConversationManager.getAnswer)
+   * @param {string} params.sessionId - Conversation the answer belongs to
+   * @param {Object} params.user - Authenticated user giving the rating
+   * @param {string} params.rating - "up" or "down"
+   * @param {string} [params.comment] - Optional free text
+   * @returns {Promise<{ rating: string, comment: string }>} The stored feedback
+   * @throws {FeedbackError} 400 for an unknown rating or a comment that is too long
+   */
+  async submit({ answer, sessionId, user, rating, comment = '' }) {
+    if (!RATINGS.includes(rating)) {
+      throw new FeedbackError(`Rating must be one of: ${RATINGS.join(', ')}`);
+    }
+    if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+      throw new FeedbackError(`Comment must be text of at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const existing = await this.load(answer.id);
+    const now = new Date().toISOString();
+    const { trace } = answer;
+
+    const record = {
+      id: answer.id,
+      rating,
+      comment: comment.trim(),
+      sessionId,
+      userId: user.id,
+      username: user.username,
+      knowledgeBase: trace.knowledgeBase,
+      model: trace.model,
+      question: trace.question,
+      search: trace.search,
+      filter: trace.filter,
+      retrieved: trace.retrieved,
+      toolCalls: trace.toolCalls,
+      answer: answer.content,
+      answeredAt: answer.createdAt,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+    await this.persist(record);
+    console.log(`${rating === 'up' ? '👍' : '👎'} Feedback from ${user.username} on answer ${answer.id}`);
+
+    return { rating: record.rating, comment: record.comment };
+  }
+
+  /**
+   * All feedback records, oldest first.
+   * @param {{ rating?: string, since?: Date|null }} options - Only this rating / only given since
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ rating, since = null } = {}) {
+    let entries;
+    try {
+      entries = await fs.readdir(FEEDBACK_PATH);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(FEEDBACK_PATH, entry), 'utf-8')));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable feedback file ${entry}:`, error.message);
+      }
+    }
+
+    return records
+      .filter((record) => !rating || record.rating === rating)
+      .filter((record) => !since || Date.parse(record.updatedAt) >= since.getTime())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+export const feedbackService = new FeedbackService();
@@ -0,0 +1,87 @@
+import { getRetrievalConfig } from '../config/retrieval.js';
+import { toChromaWhere } from '../utils/retrievalFilter.js';
+
+/**
+ * Identify a chunk across result lists. Chunks carry their ingest run and position;
+ * older chunks without them fall back to their text.
+ */
+const chunkKey = (doc) =>
+  doc.metadata?.ingestId !== undefined
+    ? `${doc.metadata.ingestId}:${doc.metadata.chunkId}`
+    : `${doc.metadata?.source}:${doc.pageContent}`;
+
+/**
+ * Merge ranked result lists with weighted reciprocal-rank fusion:
+ * score(d) = Σ weight / (rrfK + rank), ranks starting at 1.
+ * Scores a list attaches to its items (e.g. vectorScore) are merged into the fused item.
+ * @param {Array<{ items: Array<{ doc: Object }>, weight: number }>} rankings - Ranked lists
+ * @param {{ rrfK?: number, limit?: number }} options
+ * @returns {Array<{ doc: Object, fusedScore: number }>} Fused items, best first
+ */
+export const reciprocalRankFusion = (rankings, { rrfK = 60, limit = Infinity } = {}) => {
+  const fused = new Map();
+  for (const { items, weight } of rankings) {
+    if (!weight) continue;
+    items.forEach((item, idx) => {
+      const key = chunkKey(item.doc);
+      const entry = fused.get(key) ?? { doc: item.doc, fusedScore: 0 };
+      Object.assign(entry, item, { doc: entry.doc, fusedScore: entry.fusedScore + weight / (rrfK + idx + 1) });
+      fused.set(key, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore).slice(0, limit);
+};
+
+/**
+ * Create a retriever combining Chroma similarity search with the BM25 keyword index.
+ * The mode, weights and candidate counts come from getRetrievalConfig() on every call.
+ * @param {Object} vectorStore - Chroma vector store
+ * @param {import('./lexicalIndex.js').LexicalIndex} lexicalIndex - Keyword index of the same knowledge base
+ */
+export const createHybridRetriever = (vectorStore, lexicalIndex) => {
+  /**
+   * Fused candidates with the scores each ranking gave them.
+   * vectorScore is a cosine similarity; Chroma collections use squared L2 distance,
+   * which for unit-length embeddings (see createEmbeddings) is 2 - 2·cos.
+   * @param {string} query - Search text
+   * @param {number} k - Maximum number of candidates
+   * @param {Object|null} filter - Normalized retrieval filter (see utils/retrievalFilter.js)
+   * @returns {Promise<Array<{ doc: Object, fusedScore: number, vectorScore?: number, keywordScore?: number }>>}
+   */
+  const search = async (query, k = 4, filter = null) => {
+    const { mode, vectorWeight, keywordWeight, rrfK, candidates } = getRetrievalConfig();
+    const fetchCount = Math.max(k, candidates);
+
+    const [vectorResults, keywordResults] = await Promise.all([
+      mode === 'keyword'
+        ? []
+        : vectorStore.similaritySearchWithScore(query, fetchCount, toChromaWhere(filter)),
+      mode === 'vector' ? [] : lexicalIndex.search(query, fetchCount, filter),
+    ]);
+
+    if (mode !== 'vector') {
+      console.log(`🔎 Hybrid search: ${vectorResults.length} vector + ${keywordResults.length} keyword candidate(s)`);
+    }
+
+    return reciprocalRankFusion(
+      [
+        {
+          items: vectorResults.map(([doc, distance]) => ({ doc, vectorScore: 1 - distance / 2 })),
+          weight: mode === 'keyword' ? 0 : vectorWeight,
+        },
+        {
+          items: keywordResults.map(([doc, score]) => ({ doc, keywordScore: score })),
+          weight: mode === 'vector' ? 0 : keywordWeight,
+        },
+      ],
+      { rrfK, limit: k }
+    );
+  };
+
+  return {
+    search,
+    async invoke(query, k = 4, filter = null) {
+      return (await search(query, k, filter)).map(({ doc }) => doc);
+    },
+  };
+};
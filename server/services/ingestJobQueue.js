@@ -0,0 +1,363 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { DATA_PATH } from '../config/paths.js';
+import { ingestDocuments } from '../utils/documentLoader.js';
+import { canView } from '../utils/access.js';
+
+const JOBS_PATH = path.join(DATA_PATH, 'ingest-jobs');
+
+// Per-file status implied by ingestDocuments progress events
+const FILE_STATUS_BY_EVENT = {
+  file_done: 'done',
+  file_skipped: 'skipped',
+  file_error: 'failed',
+};
+
+// Progress events that don't settle a file are written to the job file at most this often
+const PROGRESS_PERSIST_INTERVAL_MS = 2000;
+
+/**
+ * Error carrying an HTTP status, thrown for client-facing failures (unknown job, bad retry).
+ */
+export class IngestJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IngestJobError';
+    this.status = status;
+  }
+}
+
+/**
+ * IngestJobQueue - Runs uploads through ingestDocuments as background jobs, one at a time.
+ *
+ * Each job is persisted as data/ingest-jobs/<id>.json with its files, status and the full
+ * list of progress events (numbered by `seq`), so a client can reconnect and replay what it
+ * missed. Jobs interrupted by a restart are queued again on startup and continue with the
+ * files they had not finished; a job that failed as a whole keeps its unfinished uploads
+ * staged so it can be retried. A job belongs to the user who uploaded it; others get a 404.
+ *
+ * Job statuses: queued → running → completed | failed
+ * File statuses: pending → done | skipped | failed
+ */
+export class IngestJobQueue {
+  constructor() {
+    // Map of jobId -> job record
+    this.jobs = new Map();
+
+    // Map of jobId -> Set of listeners receiving each new event
+    this.listeners = new Map();
+
+    this.pending = [];
+    this.running = false;
+
+    // Writes are chained so a job file never interleaves partial writes
+    this.writeQueue = Promise.resolve();
+
+    // Finished jobs are deleted after this many days (0 = keep forever)
+    const retentionDays = Number(process.env.INGEST_JOB_RETENTION_DAYS ?? 7);
+    this.retentionPeriod = retentionDays > 0 ? retentionDays * 24 * 60 * 60 * 1000 : 0;
+
+    this.ready = this.restore();
+  }
+
+  filePath(jobId) {
+    return path.join(JOBS_PATH, `${jobId}.json`);
+  }
+
+  /**
+   * Load persisted jobs, purge expired ones and re-queue those a restart interrupted.
+   */
+  async restore() {
+    await fs.mkdir(JOBS_PATH, { recursive: true });
+    const now = Date.now();
+    const resumed = [];
+
+    for (const entry of await fs.readdir(JOBS_PATH)) {
+      if (!entry.endsWith('.json')) continue;
+      let job;
+      try {
+        job = JSON.parse(await fs.readFile(path.join(JOBS_PATH, entry), 'utf-8'));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable ingest job file ${entry}:`, error.message);
+        continue;
+      }
+
+      if (this.isFinished(job) && this.retentionPeriod > 0 && now - Date.parse(job.finishedAt) > this.retentionPeriod) {
+        await this.discardStagedFiles(job);
+        await fs.rm(this.filePath(job.id), { force: true });
+        continue;
+      }
+
+      this.jobs.set(job.id, job);
+      if (!this.isFinished(job)) {
+        job.status = 'queued';
+        resumed.push(job);
+      }
+    }
+
+    resumed.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of resumed) {
+      this.record(job, { type: 'job_queued', resumed: true });
+      await this.persist(job);
+      this.pending.push(job);
+    }
+    if (resumed.length > 0) {
+      console.log(`📥 Resuming ${resumed.length} interrupted ingest job(s)`);
+    }
+    this.processNext();
+  }
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  async persist(job) {
+    const write = async () => {
+      const target = this.filePath(job.id);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(job), 'utf-8');
+      await fs.rename(tmp, target);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  async discardStagedFiles(job) {
+    await Promise.all(
+      job.files.filter((f) => f.status === 'pending').map((f) => fs.rm(f.path, { force: true }))
+    );
+  }
+
+  /**
+   * Append an event to a job's log and hand it to live listeners.
+   * @param {Object} job - Job record
+   * @param {Object} event - Event with a `type`
+   * @returns {Object} The stored event, with its `seq`
+   */
+  record(job, event) {
+    const stored = { ...event, seq: job.events.length + 1 };
+    job.events.push(stored);
+
+    const fileStatus = FILE_STATUS_BY_EVENT[event.type];
+    const file = fileStatus && job.files.find((f) => f.name === event.file && f.status === 'pending');
+    if (file) file.status = fileStatus;
+
+    for (const listener of this.listeners.get(job.id) ?? []) {
+      listener(stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Public view of a job: no staging paths and no event log.
+   * @param {Object} job - Job record
+   */
+  toSummary(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      knowledgeBase: job.knowledgeBase,
+      owner: job.owner ?? null,
+      chunkStrategy: job.chunkStrategy ?? null,
+      files: job.files.map(({ name, status }) => ({ name, status })),
+      result: job.result,
+      error: job.error,
+      attempts: job.attempts,
+      eventCount: job.events.length,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  /**
+   * Queue staged uploads for ingestion.
+   * @param {{ knowledgeBase: string, uploads: Array<{ name: string, path: string }>, owner?: string|null, chunkStrategy?: string|null }} params
+   *   owner is the uploading user's id; the ingested documents are recorded as theirs. chunkStrategy
+   *   applies to every file (null: the default for each file type)
+   * @returns {Promise<Object>} The job record
+   */
+  async enqueue({ knowledgeBase, uploads, owner = null, chunkStrategy = null }) {
+    await this.ready;
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      knowledgeBase,
+      owner,
+      chunkStrategy,
+      files: uploads.map(({ name, path: filePath }) => ({ name, path: filePath, status: 'pending' })),
+      events: [],
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+
+    for (const { name } of job.files) {
+      this.record(job, { type: 'file_saved', file: name });
+    }
+    this.record(job, { type: 'job_queued', position: this.pending.length + (this.running ? 1 : 0) });
+    await this.persist(job);
+
+    console.log(`📥 Queued ingest job ${job.id}: ${job.files.length} file(s) into ${knowledgeBase}`);
+    this.pending.push(job);
+    this.processNext();
+    return job;
+  }
+
+  /**
+   * Get a job record.
+   * @param {string} jobId - Job id
+   * @param {Object|null} user - Requesting user; only the job's owner and admins see it
+   * @returns {Promise<Object>}
+   * @throws {IngestJobError} 404 when the job is unknown or belongs to someone else
+   */
+  async get(jobId, user = null) {
+    await this.ready;
+    const job = this.jobs.get(jobId);
+    if (!job || !canView(user, job.owner ?? null)) {
+      throw new IngestJobError(`Ingest job not found: "${jobId}"`, 404);
+    }
+    return job;
+  }
+
+  /**
+   * Listen to a job's new events.
+   * @param {string} jobId - Job id
+   * @param {Function} listener - Receives each stored event
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    if (!this.listeners.has(jobId)) this.listeners.set(jobId, new Set());
+    const listeners = this.listeners.get(jobId);
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) this.listeners.delete(jobId);
+    };
+  }
+
+  /**
+   * Queue a failed job again for the files it did not finish.
+   * @param {string} jobId - Job id
+   * @param {Object|null} user - Requesting user
+   * @returns {Promise<Object>} The job record
+   */
+  async retry(jobId, user = null) {
+    const job = await this.get(jobId, user);
+    if (job.status !== 'failed') {
+      throw new IngestJobError(`Only failed jobs can be retried (job is ${job.status})`, 409);
+    }
+    if (!job.files.some((f) => f.status === 'pending')) {
+      throw new IngestJobError('Job has no unfinished files left to retry', 409);
+    }
+
+    job.status = 'queued';
+    job.error = null;
+    job.finishedAt = null;
+    this.record(job, { type: 'job_queued', retry: true, position: this.pending.length + (this.running ? 1 : 0) });
+    await this.persist(job);
+    this.pending.push(job);
+    this.processNext();
+    return job;
+  }
+
+  /**
+   * Run the next queued job, unless one is running. Never rejects: a job that fails outside
+   * ingestion (e.g. its file can't be written) is marked failed, so callers needn't wait.
+   */
+  async processNext() {
+    if (this.running) return;
+    const job = this.pending.shift();
+    if (!job) return;
+
+    this.running = true;
+    try {
+      await this.run(job);
+    } catch (error) {
+      await this.fail(job, error);
+    } finally {
+      this.running = false;
+      this.processNext();
+    }
+  }
+
+  async fail(job, error) {
+    console.error(`❌ Ingest job ${job.id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    this.record(job, { type: 'error', message: error.message, retryable: job.files.some((f) => f.status === 'pending') });
+    try {
+      await this.persist(job);
+    } catch (persistError) {
+      console.error(`❌ Failed to persist ingest job ${job.id}:`, persistError.message);
+    }
+  }
+
+  /**
+   * Ingest a job's files; progress events go to `onProgress`.
+   * @param {Object} job - Job record
+   * @param {Array<{ name: string, path: string }>} files - Staged uploads still pending
+   * @param {Function} onProgress - Receives each ingestDocuments progress event
+   */
+  async ingest(job, files, onProgress) {
+    await ingestDocuments(null, onProgress, files, {
+      knowledgeBase: job.knowledgeBase,
+      owner: job.owner ?? null,
+      chunkStrategy: job.chunkStrategy ?? null,
+    });
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    this.record(job, { type: 'job_started', attempt: job.attempts });
+    await this.persist(job);
+    console.log(`⚙️  Running ingest job ${job.id} (attempt ${job.attempts})`);
+
+    // A restart between storing a file and recording it can leave an upload already moved
+    for (const file of job.files.filter((f) => f.status === 'pending')) {
+      const exists = await fs.access(file.path).then(() => true, () => false);
+      if (!exists) {
+        this.record(job, { type: 'file_error', file: file.name, message: 'Staged upload is no longer available' });
+      }
+    }
+
+    const files = job.files
+      .filter((f) => f.status === 'pending')
+      .map(({ name, path: filePath }) => ({ name, path: filePath }));
+
+    try {
+      if (files.length > 0) {
+        // A settled file is written at once, so a restart doesn't ingest it again
+        let persistedAt = Date.now();
+        await this.ingest(job, files, (event) => {
+          this.record(job, event);
+          if (!FILE_STATUS_BY_EVENT[event.type] && Date.now() - persistedAt < PROGRESS_PERSIST_INTERVAL_MS) return;
+          persistedAt = Date.now();
+          this.persist(job).catch((error) => {
+            console.error(`❌ Failed to persist ingest job ${job.id}:`, error.message);
+          });
+        });
+      }
+
+      const count = (status) => job.files.filter((f) => f.status === status).length;
+      job.status = 'completed';
+      job.result = { ingested: count('done'), skipped: count('skipped'), failed: count('failed') };
+      job.finishedAt = new Date().toISOString();
+      this.record(job, { type: 'done', result: job.result });
+      console.log(`✅ Ingest job ${job.id} complete`);
+      await this.persist(job);
+    } catch (error) {
+      await this.fail(job, error);
+    }
+  }
+}
+
+export const ingestJobQueue = new IngestJobQueue();
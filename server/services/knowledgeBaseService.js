@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ChromaClient } from 'chromadb';
+import { DOCUMENTS_PATH, DATA_PATH } from '../config/paths.js';
+
+// Chroma collection names: 3-63 chars, alphanumeric at both ends. Dots are disallowed
+// here so a knowledge base folder can never be mistaken for a document file.
+const NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{1,61}[a-zA-Z0-9]$/;
+
+/**
+ * Error carrying an HTTP status, thrown for client-facing failures (bad name, unknown knowledge base).
+ */
+export class KnowledgeBaseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KnowledgeBaseError';
+    this.status = status;
+  }
+}
+
+/**
+ * KnowledgeBaseService - Manages knowledge bases, each backed by its own Chroma collection.
+ *
+ * The default knowledge base (CHROMA_COLLECTION) keeps its files directly in server/documents
+ * and its registry and keyword index in data/; any other knowledge base gets server/documents/<name>/
+ * and data/knowledge-bases/<name>/.
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.client = null;
+    // Known collection names; refreshed on a miss so collections created elsewhere are found
+    this.knownNames = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new ChromaClient({ path: process.env.CHROMA_URL || 'http://localhost:8000' });
+    }
+    return this.client;
+  }
+
+  get defaultName() {
+    return process.env.CHROMA_COLLECTION || 'rag-collection';
+  }
+
+  /**
+   * Resolve a requested knowledge base name, falling back to the default.
+   * @param {string|null|undefined} name - Requested name
+   * @returns {string} Validated name
+   */
+  resolveName(name) {
+    if (!name) return this.defaultName;
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new KnowledgeBaseError(
+        `Invalid knowledge base name: "${name}". Use 3-63 letters, digits, "-" or "_".`
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Folder and registry locations for a knowledge base.
+   * @param {string} name - Knowledge base name
+   * @returns {{ documentsPath: string, registryPath: string, lexicalIndexPath: string }}
+   */
+  getPaths(name) {
+    if (name === this.defaultName) {
+      return {
+        documentsPath: DOCUMENTS_PATH,
+        registryPath: path.join(DATA_PATH, 'documents.json'),
+        lexicalIndexPath: path.join(DATA_PATH, 'lexical-index.json'),
+      };
+    }
+    const dataPath = path.join(DATA_PATH, 'knowledge-bases', name);
+    return {
+      documentsPath: path.join(DOCUMENTS_PATH, name),
+      registryPath: path.join(dataPath, 'documents.json'),
+      lexicalIndexPath: path.join(dataPath, 'lexical-index.json'),
+    };
+  }
+
+  /**
+   * Resolve a name and make sure the knowledge base exists.
+   * @param {string|null|undefined} name - Requested name (default when empty)
+   * @returns {Promise<string>} Validated, existing name
+   */
+  async requireExisting(name) {
+    const resolved = this.resolveName(name);
+    if (resolved === this.defaultName) return resolved;
+
+    if (!this.knownNames?.has(resolved)) {
+      const collections = await this.getClient().listCollections();
+      this.knownNames = new Set(collections);
+    }
+    if (!this.knownNames.has(resolved)) {
+      throw new KnowledgeBaseError(`Knowledge base not found: "${resolved}"`, 404);
+    }
+    return resolved;
+  }
+
+  /**
+   * List all knowledge bases. The default one is always included, even before its first ingest.
+   * @returns {Promise<Array<{ name: string, description: string, createdAt: string|null, isDefault: boolean }>>}
+   */
+  async list() {
+    const collections = await this.getClient().listCollectionsAndMetadata();
+    this.knownNames = new Set(collections.map((c) => c.name));
+
+    const knowledgeBases = collections.map((c) => ({
+      name: c.name,
+      description: c.metadata?.description ?? '',
+      createdAt: c.metadata?.createdAt ?? null,
+      isDefault: c.name === this.defaultName,
+    }));
+
+    if (!this.knownNames.has(this.defaultName)) {
+      knowledgeBases.push({ name: this.defaultName, description: '', createdAt: null, isDefault: true });
+    }
+
+    return knowledgeBases.sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create a knowledge base and its documents folder.
+   * @param {string} name - Knowledge base name
+   * @param {string} description - Free-text description
+   * @returns {Promise<Object>} The created knowledge base
+   */
+  async create(name, description = '') {
+    const resolved = this.resolveName(name);
+    const existing = await this.getClient().listCollections();
+    if (existing.includes(resolved)) {
+      throw new KnowledgeBaseError(`Knowledge base already exists: "${resolved}"`, 409);
+    }
+
+    const createdAt = new Date().toISOString();
+    await this.getClient().createCollection({
+      name: resolved,
+      metadata: { description, createdAt },
+    });
+    await fs.mkdir(this.getPaths(resolved).documentsPath, { recursive: true });
+    this.knownNames?.add(resolved);
+
+    console.log(`📚 Created knowledge base: ${resolved}`);
+    return { name: resolved, description, createdAt, isDefault: resolved === this.defaultName };
+  }
+
+  /**
+   * Delete a knowledge base: its collection, stored files, version history and keyword index.
+   * The default knowledge base cannot be deleted.
+   * @param {string} name - Knowledge base name
+   */
+  async delete(name) {
+    const resolved = await this.requireExisting(name);
+    if (resolved === this.defaultName) {
+      throw new KnowledgeBaseError('The default knowledge base cannot be deleted');
+    }
+
+    await this.getClient().deleteCollection({ name: resolved });
+    const { documentsPath, registryPath } = this.getPaths(resolved);
+    await fs.rm(documentsPath, { recursive: true, force: true });
+    await fs.rm(path.dirname(registryPath), { recursive: true, force: true });
+    this.knownNames?.delete(resolved);
+
+    console.log(`🗑️  Deleted knowledge base: ${resolved}`);
+  }
+}
+
+export const knowledgeBaseService = new KnowledgeBaseService();
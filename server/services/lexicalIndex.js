@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+import { matchesRetrievalFilter, chunkFileName } from '../utils/retrievalFilter.js';
+
+// BM25 parameters: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Words joined by "-", "_", "." or "/" (part numbers, error codes, versions) are kept
+// whole as well as split, so "ERR-4012" matches both "ERR-4012" and "4012"
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into lowercase search terms.
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+export const tokenize = (text = '') => {
+  const terms = [];
+  for (const [match] of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    terms.push(match);
+    if (/[-_./]/.test(match)) {
+      terms.push(...match.split(/[-_./]/).filter(Boolean));
+    }
+  }
+  return terms;
+};
+
+const countTerms = (terms) => {
+  const counts = new Map();
+  for (const term of terms) counts.set(term, (counts.get(term) ?? 0) + 1);
+  return counts;
+};
+
+/**
+ * LexicalIndex - Local BM25 keyword index over the chunks of one knowledge base.
+ *
+ * Kept next to the Chroma collection so exact terms (part numbers, error codes, acronyms)
+ * that embeddings blur can still be found. Persisted as a JSON file of chunks:
+ * { chunks: [{ text, metadata }] }; term statistics are rebuilt in memory on load.
+ * The ingest CLI writes the same file while the server runs, so the file is read again
+ * whenever its modification time changes, and every change starts from what is on disk.
+ */
+export class LexicalIndex {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.chunks = null;
+    // Modification time of the file the chunks were read from or written to (null: no file)
+    this.mtimeMs = null;
+    // Changes are chained so concurrent ingests never interleave partial files
+    this.writeQueue = Promise.resolve();
+  }
+
+  async modifiedAt() {
+    try {
+      return (await fs.stat(this.filePath)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async load() {
+    const mtimeMs = await this.modifiedAt();
+    if (this.chunks && mtimeMs === this.mtimeMs) return this.chunks;
+    let stored = [];
+    try {
+      stored = JSON.parse(await fs.readFile(this.filePath, 'utf-8')).chunks ?? [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.setChunks(stored);
+    this.mtimeMs = mtimeMs;
+    return this.chunks;
+  }
+
+  /**
+   * Whether the index has been written to disk yet.
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    try {
+      await fs.access(this.filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  setChunks(chunks) {
+    this.chunks = chunks.map(({ text, metadata }) => {
+      const terms = tokenize(text);
+      return { text, metadata, length: terms.length, counts: countTerms(terms) };
+    });
+    this.documentFrequency = new Map();
+    for (const chunk of this.chunks) {
+      for (const term of chunk.counts.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) ?? 0) + 1);
+      }
+    }
+    this.averageLength =
+      this.chunks.reduce((sum, chunk) => sum + chunk.length, 0) / (this.chunks.length || 1);
+  }
+
+  /**
+   * Change the chunks and write them back, after the changes already queued. The change
+   * gets the chunks as on disk now and returns the new list, or null when nothing changed.
+   * @param {(chunks: Array) => Array|null} change
+   * @returns {Promise<Array|null>} The new chunks, or null when nothing changed
+   */
+  update(change) {
+    const run = async () => {
+      const next = change(await this.load());
+      if (!next) return null;
+      this.setChunks(next);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ chunks: next.map(({ text, metadata }) => ({ text, metadata })) }), 'utf-8');
+      await fs.rename(tmp, this.filePath);
+      this.mtimeMs = await this.modifiedAt();
+      return next;
+    };
+    const queued = this.writeQueue.then(run, run);
+    this.writeQueue = queued.catch(() => {});
+    return queued;
+  }
+
+  /**
+   * Add chunks to the index.
+   * @param {Array} docs - LangChain documents (pageContent + metadata)
+   */
+  async addDocuments(docs) {
+    await this.update((chunks) => [
+      ...chunks,
+      ...docs.map((doc) => ({ text: doc.pageContent, metadata: doc.metadata })),
+    ]);
+  }
+
+  /**
+   * Remove every chunk of a document, optionally sparing one ingest run.
+   * Matches on the chunk's document name (see chunkFileName), like removeDocumentChunks does for Chroma.
+   * @param {string} fileName - Document name
+   * @param {string|null} keepIngestId - Chunks from this ingest run are kept
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async removeDocument(fileName, keepIngestId = null) {
+    let removed = 0;
+    await this.update((chunks) => {
+      const kept = chunks.filter(
+        ({ metadata }) =>
+          chunkFileName(metadata) !== fileName ||
+          (keepIngestId && metadata.ingestId === keepIngestId)
+      );
+      removed = chunks.length - kept.length;
+      return removed > 0 ? kept : null;
+    });
+    return removed;
+  }
+
+  /**
+   * Replace the whole index, e.g. when backfilling from an existing Chroma collection.
+   * @param {Array} docs - LangChain documents (pageContent + metadata)
+   */
+  async rebuild(docs) {
+    await this.update(() => docs.map((doc) => ({ text: doc.pageContent, metadata: doc.metadata })));
+  }
+
+  /**
+   * Build a missing index from the chunks already in Chroma
+   * (collections ingested before the index existed).
+   * @param {Object} vectorStore - Chroma vector store of the same knowledge base
+   */
+  async ensureBuilt(vectorStore) {
+    if (await this.exists()) return;
+
+    const collection = await vectorStore.ensureCollection();
+    const result = await collection.get({ include: ['metadatas', 'documents'] });
+    await this.rebuild(
+      result.ids.map((_id, idx) => ({
+        pageContent: result.documents[idx] ?? '',
+        metadata: result.metadatas[idx] ?? {},
+      }))
+    );
+    console.log(`🔤 Built keyword index from ${result.ids.length} existing chunk(s)`);
+  }
+
+  /**
+   * Rank chunks against a query with BM25.
+   * @param {string} query - Search text
+   * @param {number} k - Maximum number of results
+   * @param {Object|null} filter - Normalized retrieval filter (see utils/retrievalFilter.js)
+   * @returns {Promise<Array<[Document, number]>>} Documents with their BM25 score, best first
+   */
+  async search(query, k = 4, filter = null) {
+    const chunks = await this.load();
+    const terms = [...new Set(tokenize(query))];
+    if (chunks.length === 0 || terms.length === 0) return [];
+
+    const scored = [];
+    for (const chunk of chunks) {
+      if (!matchesRetrievalFilter(chunk.metadata, filter)) continue;
+      let score = 0;
+      for (const term of terms) {
+        const tf = chunk.counts.get(term);
+        if (!tf) continue;
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        score +=
+          (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * chunk.length) / this.averageLength));
+      }
+      if (score > 0) scored.push([chunk, score]);
+    }
+
+    return scored
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([chunk, score]) => [
+        new Document({ pageContent: chunk.text, metadata: { ...chunk.metadata } }),
+        score,
+      ]);
+  }
+}
+
+const indexes = new Map();
+
+/**
+ * Get the shared index instance for a file (one per knowledge base).
+ * @param {string} filePath - Index JSON path, from knowledgeBaseService.getPaths()
+ * @returns {LexicalIndex}
+ */
+export const getLexicalIndex = (filePath) => {
+  if (!indexes.has(filePath)) {
+    indexes.set(filePath, new LexicalIndex(filePath));
+  }
+  return indexes.get(filePath);
+};
+
+/**
+ * Drop the shared instance for a file (after its knowledge base was deleted).
+ * @param {string} filePath - Index JSON path
+ */
+export const forgetLexicalIndex = (filePath) => {
+  indexes.delete(filePath);
+};
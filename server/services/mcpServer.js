@@ -0,0 +1,117 @@
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { ragService } from './RAGService.js';
+import { documentService } from './documentService.js';
+import { getRetrievalConfig } from '../config/retrieval.js';
+import { parseRetrievalFilter, excludeDocuments, toChromaWhere, chunkFileName } from '../utils/retrievalFilter.js';
+
+// Chat tools that need a conversation: set_document_scope scopes the session's later questions
+const SESSION_TOOLS = ['set_document_scope'];
+
+const MAX_SEARCH_RESULTS = 20;
+
+const DOCUMENT_URI = 'docutalk://documents/{fileName}';
+
+const textResult = (text, isError = false) => ({ content: [{ type: 'text', text }], ...(isError && { isError }) });
+
+// One search hit with the chunk metadata a caller can cite or filter by
+const toSearchResult = (doc, distance) => ({
+  fileName: chunkFileName(doc.metadata),
+  pageNumber: doc.metadata.pageNumber ?? 0,
+  chunkId: doc.metadata.chunkId ?? null,
+  sectionTitle: doc.metadata.sectionTitle ?? null,
+  contentType: doc.metadata.contentType ?? 'text',
+  // Squared L2 distance of unit-length embeddings, as cosine similarity (see hybridRetriever.js)
+  similarity: Number((1 - distance / 2).toFixed(4)),
+  text: doc.pageContent,
+  // The larger text the chunk is answered from: a table as Markdown, a sentence window, a parent section
+  ...(doc.metadata.contextText && { context: doc.metadata.contextText }),
+});
+
+/**
+ * Build a Model Context Protocol server over one knowledge base, for coding assistants and
+ * other MCP clients. It offers the chat's tools, plugins included, except set_document_scope, a
+ * search_documents tool returning the nearest chunks straight from the vector store (no
+ * keyword search, reranking or threshold), and every ingested document as a text resource
+ * (docutalk://documents/<file name>). Documents the user may not see are left out, as in chat.
+ * @param {{ knowledgeBase: string, user: Object|null }} options - An existing knowledge base,
+ *   and the user the server acts for (null for a trusted local caller, who sees everything)
+ * @returns {Promise<McpServer>} Server to connect to a transport
+ */
+export const createMcpServer = async ({ knowledgeBase, user = null }) => {
+  await ragService.initialize();
+  const server = new McpServer({ name: 'docutalk', version: '1.0.0' });
+  const configurable = { knowledgeBase, sessionId: null, user };
+
+  for (const tool of ragService.tools.filter((t) => !SESSION_TOOLS.includes(t.name))) {
+    server.registerTool(tool.name, { description: tool.description, inputSchema: tool.schema }, async (args) =>
+      textResult(String(await tool.invoke(args, { configurable })))
+    );
+  }
+
+  server.registerTool(
+    'search_documents',
+    {
+      description:
+        'Semantic search over the documents: returns the chunks closest in meaning to the query as JSON, with file name, page, section, content type and similarity (0-1). Use it to find passages to quote or cite.',
+      inputSchema: {
+        query: z.string().min(1).describe('What to search for'),
+        k: z
+          .number()
+          .int()
+          .min(1)
+          .max(MAX_SEARCH_RESULTS)
+          .optional()
+          .describe(`Number of chunks to return (default ${getRetrievalConfig().topK})`),
+        documents: z.array(z.string()).default([]).describe('Only search these file names; empty means all documents'),
+        pageFrom: z.number().int().min(0).optional().describe('First page to search (inclusive)'),
+        pageTo: z.number().int().min(0).optional().describe('Last page to search (inclusive)'),
+      },
+    },
+    async ({ query, k = getRetrievalConfig().topK, documents, pageFrom, pageTo }) => {
+      try {
+        const filter = excludeDocuments(
+          parseRetrievalFilter({ documents, pageFrom, pageTo }),
+          await documentService.getHiddenDocuments(knowledgeBase, user)
+        );
+        const vectorStore = await ragService.getVectorStore(knowledgeBase);
+        const results = await vectorStore.similaritySearchWithScore(query, k, toChromaWhere(filter));
+        console.log(`🔎 MCP search [${knowledgeBase}]: "${query}" → ${results.length} chunk(s)`);
+        return textResult(JSON.stringify(results.map(([doc, distance]) => toSearchResult(doc, distance)), null, 2));
+      } catch (error) {
+        return textResult(`Error searching documents: ${error.message}`, true);
+      }
+    }
+  );
+
+  server.registerResource(
+    'document',
+    new ResourceTemplate(DOCUMENT_URI, {
+      list: async () => {
+        const documents = await documentService.listDocuments(knowledgeBase, user);
+        return {
+          resources: documents
+            .filter((doc) => doc.status === 'ingested')
+            .map((doc) => ({
+              uri: DOCUMENT_URI.replace('{fileName}', encodeURIComponent(doc.fileName)),
+              name: doc.fileName,
+              mimeType: 'text/plain',
+              description: `${doc.chunkCount} chunk(s)${doc.pageCount > 0 ? `, ${doc.pageCount} page(s)` : ''}`,
+            })),
+        };
+      },
+    }),
+    { description: 'Text of an ingested document, read from its stored file', mimeType: 'text/plain' },
+    async (uri, { fileName }) => ({
+      contents: [
+        {
+          uri: uri.href,
+          mimeType: 'text/plain',
+          text: await documentService.getText(decodeURIComponent(String(fileName)), knowledgeBase, user),
+        },
+      ],
+    })
+  );
+
+  return server;
+};
@@ -0,0 +1,125 @@
+import { VectorStore } from '@langchain/core/vectorstores';
+import { Document } from '@langchain/core/documents';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Check metadata against a Chroma `where` clause. Supports the operators this server
+ * writes (see utils/retrievalFilter.js): $and, $or, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte.
+ */
+const matchesWhere = (metadata, where) => {
+  if (!where) return true;
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every((clause) => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some((clause) => matchesWhere(metadata, clause));
+
+    const value = metadata?.[key];
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        default: throw new Error(`Unsupported where operator: ${operator}`);
+      }
+    });
+  });
+};
+
+const squaredDistance = (a, b) => a.reduce((sum, value, idx) => sum + (value - b[idx]) ** 2, 0);
+
+// Rows per collection name, shared by every store of the process like a Chroma server's collections
+const collections = new Map();
+
+/**
+ * MemoryVectorStore - Chroma stand-in that keeps a collection in process memory.
+ *
+ * Selected with VECTOR_STORE=memory (see config/chroma.js) for offline runs such as the
+ * evaluation CLI in CI. It implements the part of the Chroma API the server uses: `where`
+ * filters, squared L2 distances as scores, and ensureCollection() with get (paged), update
+ * and delete by ids.
+ * Nothing is persisted; the collection is gone when the process exits.
+ */
+export class MemoryVectorStore extends VectorStore {
+  constructor(embeddings, { collectionName }) {
+    super(embeddings, {});
+    this.collectionName = collectionName;
+    if (!collections.has(collectionName)) collections.set(collectionName, []);
+    this._collection = this.createCollection();
+  }
+
+  _vectorstoreType() {
+    return 'memory';
+  }
+
+  get rows() {
+    return collections.get(this.collectionName);
+  }
+
+  set rows(rows) {
+    collections.set(this.collectionName, rows);
+  }
+
+  createCollection() {
+    return {
+      get: async ({ ids, where, limit, offset = 0, include = ['metadatas', 'documents'] } = {}) => {
+        const rows = this.rows
+          .filter((row) => (!ids || ids.includes(row.id)) && matchesWhere(row.metadata, where))
+          .slice(offset, limit === undefined ? undefined : offset + limit);
+        return {
+          ids: rows.map((row) => row.id),
+          metadatas: include.includes('metadatas') ? rows.map((row) => row.metadata) : null,
+          documents: include.includes('documents') ? rows.map((row) => row.document) : null,
+        };
+      },
+      delete: async ({ ids, where } = {}) => {
+        this.rows = this.rows.filter(
+          (row) => !((!ids || ids.includes(row.id)) && matchesWhere(row.metadata, where))
+        );
+      },
+      update: async ({ ids, metadatas }) => {
+        ids.forEach((id, idx) => {
+          const row = this.rows.find((candidate) => candidate.id === id);
+          if (row) row.metadata = metadatas[idx];
+        });
+      },
+      count: async () => this.rows.length,
+    };
+  }
+
+  async ensureCollection() {
+    return this._collection;
+  }
+
+  async addVectors(vectors, documents, { ids } = {}) {
+    const rowIds = ids ?? documents.map(() => uuidv4());
+    documents.forEach((doc, idx) => {
+      this.rows.push({ id: rowIds[idx], embedding: vectors[idx], document: doc.pageContent, metadata: doc.metadata });
+    });
+    return rowIds;
+  }
+
+  async addDocuments(documents, options) {
+    const vectors = await this.embeddings.embedDocuments(documents.map((doc) => doc.pageContent));
+    return this.addVectors(vectors, documents, options);
+  }
+
+  async delete({ ids, filter } = {}) {
+    await this._collection.delete({ ids, where: filter });
+  }
+
+  async similaritySearchVectorWithScore(query, k, filter) {
+    return this.rows
+      .filter((row) => matchesWhere(row.metadata, filter))
+      .map((row) => [
+        new Document({ pageContent: row.document, metadata: row.metadata }),
+        squaredDistance(query, row.embedding),
+      ])
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, k);
+  }
+}
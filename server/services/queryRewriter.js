@@ -0,0 +1,78 @@
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { getRetrievalConfig } from '../config/retrieval.js';
+import { extractChunkContent } from '../utils/helpers.js';
+
+// Only the end of the conversation is needed to resolve "it", "the second one" and the like
+const HISTORY_MESSAGES = 6;
+const EXCERPT_LENGTH = 600;
+
+const formatHistory = (chatHistory) =>
+  chatHistory
+    .slice(-HISTORY_MESSAGES)
+    .map((message) => {
+      const text = extractChunkContent(message);
+      const excerpt = text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH)}…` : text;
+      // The rolling summary of older turns says what it is
+      if (message instanceof SystemMessage) return excerpt;
+      return `${message instanceof HumanMessage ? 'User' : 'Assistant'}: ${excerpt}`;
+    })
+    .join('\n\n');
+
+/**
+ * QueryRewriter - Turns the latest question into what retrieval should search for.
+ * A follow-up such as "what about the second one?" is rewritten into a standalone query
+ * using the chat history, and QUERY_VARIANTS extra phrasings can be searched alongside it.
+ * One call produces both; if the reply can't be parsed, the question is searched as asked.
+ */
+export class QueryRewriter {
+  constructor(llm) {
+    this.llm = llm;
+  }
+
+  /**
+   * @param {string} question - Latest user message
+   * @param {Array} chatHistory - Earlier messages of the conversation (LangChain messages)
+   * @returns {Promise<{ query: string, variants: string[], rewritten: boolean }>}
+   *   The query to search, extra phrasings, and whether the query differs from the question
+   */
+  async rewrite(question, chatHistory = []) {
+    const { queryRewrite, queryVariants } = getRetrievalConfig();
+    const shouldRewrite = queryRewrite && chatHistory.length > 0;
+    if (!shouldRewrite && queryVariants === 0) {
+      return { query: question, variants: [], rewritten: false };
+    }
+
+    const instructions = [
+      'You write search queries for a document search engine.',
+      shouldRewrite
+        ? 'Rewrite the latest question into a standalone search query: resolve pronouns and references using the conversation, keep names, numbers and terms exactly as written, and do not answer it. If it already stands on its own, repeat it.'
+        : 'Use the latest question as the query.',
+      queryVariants > 0 &&
+        `Also write ${queryVariants} alternative phrasing(s) of the query, using different wording or likely synonyms.`,
+      'Reply with only JSON: {"query": "...", "variants": ["..."]}',
+    ];
+    const conversation = shouldRewrite ? `Conversation:\n${formatHistory(chatHistory)}\n\n` : '';
+    const prompt = `${instructions.filter(Boolean).join('\n')}\n\n${conversation}Latest question: ${question}`;
+
+    try {
+      const response = await this.llm.invoke(prompt);
+      const match = extractChunkContent(response).match(/\{[\s\S]*\}/);
+      const parsed = match ? JSON.parse(match[0]) : null;
+      if (typeof parsed?.query !== 'string' || !parsed.query.trim()) {
+        throw new Error('unexpected reply format');
+      }
+
+      const query = shouldRewrite ? parsed.query.trim() : question;
+      const variants = (Array.isArray(parsed.variants) ? parsed.variants : [])
+        .filter((variant) => typeof variant === 'string' && variant.trim())
+        .map((variant) => variant.trim())
+        .filter((variant) => variant !== query)
+        .slice(0, queryVariants);
+
+      return { query, variants, rewritten: query !== question };
+    } catch (error) {
+      console.warn(`⚠️ Query rewrite failed (${error.message}), searching the question as asked`);
+      return { query: question, variants: [], rewritten: false };
+    }
+  }
+}
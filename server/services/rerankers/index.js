@@ -0,0 +1,32 @@
+import { LocalReranker } from './localReranker.js';
+import { LLMReranker } from './llmReranker.js';
+
+/**
+ * NoopReranker - Keeps the fused order and assigns no score, so no threshold applies.
+ */
+class NoopReranker {
+  async rerank(_query, candidates) {
+    return candidates.map((candidate) => ({ ...candidate, score: null }));
+  }
+}
+
+/**
+ * Create the reranker selected by RERANKER (see config/retrieval.js).
+ * Supported: "local" (default), "llm" and "none". Every reranker exposes
+ * rerank(query, candidates) → candidates with a 0-1 (or null) `score`, best first.
+ * @param {string} name - Reranker name
+ * @param {{ llm?: Object }} deps - Chat model, required by "llm"
+ * @returns {LocalReranker|LLMReranker|NoopReranker}
+ */
+export const createReranker = (name, { llm } = {}) => {
+  switch (name) {
+    case 'none':
+      return new NoopReranker();
+    case 'llm':
+      return new LLMReranker(llm);
+    case 'local':
+      return new LocalReranker();
+    default:
+      throw new Error(`Unknown RERANKER: "${name}"`);
+  }
+};
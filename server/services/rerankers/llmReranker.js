@@ -0,0 +1,54 @@
+import { extractChunkContent } from '../../utils/helpers.js';
+import { LocalReranker } from './localReranker.js';
+
+const EXCERPT_LENGTH = 800;
+
+/**
+ * LLMReranker - Asks the chat model to rate how well each candidate answers the query.
+ * One call rates all candidates; if the reply can't be parsed, local scores are used instead.
+ */
+export class LLMReranker {
+  constructor(llm) {
+    this.llm = llm;
+    this.fallback = new LocalReranker();
+  }
+
+  /**
+   * @param {string} query - User question
+   * @param {Array<{ doc: Object }>} candidates - Fused candidates
+   * @returns {Promise<Array>} Candidates with a 0-1 `score`, best first
+   */
+  async rerank(query, candidates) {
+    if (candidates.length === 0) return [];
+
+    const passages = candidates
+      .map(({ doc }, idx) => `[${idx + 1}]\n${doc.pageContent.substring(0, EXCERPT_LENGTH)}`)
+      .join('\n\n');
+
+    const prompt = `Rate how relevant each passage is to answering the question, from 0 (unrelated) to 10 (answers it directly).
+Reply with only a JSON array of ${candidates.length} numbers, one per passage, in order.
+
+Question: ${query}
+
+${passages}`;
+
+    try {
+      const response = await this.llm.invoke(prompt);
+      const match = extractChunkContent(response).match(/\[[\s\S]*?\]/);
+      const ratings = match ? JSON.parse(match[0]) : null;
+      if (!Array.isArray(ratings) || ratings.length !== candidates.length) {
+        throw new Error('unexpected reply format');
+      }
+
+      return candidates
+        .map((candidate, idx) => ({
+          ...candidate,
+          score: Math.min(1, Math.max(0, Number(ratings[idx]) / 10 || 0)),
+        }))
+        .sort((a, b) => b.score - a.score);
+    } catch (error) {
+      console.warn(`⚠️ LLM rerank failed (${error.message}), using local scores`);
+      return this.fallback.rerank(query, candidates);
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import { tokenize } from '../lexicalIndex.js';
+import { getRetrievalConfig } from '../../config/retrieval.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'the', 'their', 'this', 'that',
+  'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+const stem = (term) => (term.length > 4 ? term.replace(/(ing|ed|es|s)$/, '') : term);
+
+/**
+ * Stemmed terms of a text without stopwords (also used by the evaluation CLI's answer scores).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const contentTerms = (text) =>
+  tokenize(text)
+    .filter((term) => !STOPWORDS.has(term))
+    .map(stem);
+
+const bigrams = (terms) => terms.slice(1).map((term, idx) => `${terms[idx]} ${term}`);
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * LocalReranker - Scores each candidate against the query without any model call.
+ *
+ * Lexical score: share of the query's content terms found in the chunk (75%) and share of
+ * its adjacent term pairs found as phrases (25%). When the candidate came from vector search,
+ * its embedding similarity is blended in equally, so paraphrases still score. The similarity
+ * is stretched onto 0-1 by the embedding model's calibration (semanticCalibration in
+ * config/retrieval.js); without one, candidates are scored on their terms alone.
+ */
+export class LocalReranker {
+  /**
+   * @param {{ floor: number, range: number }|null} semanticCalibration - Similarity of unrelated
+   *   text and the span above it to clearly related text; null leaves similarity out
+   */
+  constructor(semanticCalibration = getRetrievalConfig().semanticCalibration) {
+    this.semanticCalibration = semanticCalibration;
+  }
+
+  /**
+   * @param {string} query - User question
+   * @param {Array<{ doc: Object, vectorScore?: number }>} candidates - Fused candidates
+   * @returns {Promise<Array>} Candidates with a 0-1 `score`, best first
+   */
+  async rerank(query, candidates) {
+    const queryTerms = contentTerms(query);
+    const uniqueTerms = [...new Set(queryTerms)];
+    const queryBigrams = [...new Set(bigrams(queryTerms))];
+
+    return candidates
+      .map((candidate) => {
+        const terms = contentTerms(candidate.doc.pageContent);
+        const termSet = new Set(terms);
+        const bigramSet = new Set(bigrams(terms));
+
+        const coverage = uniqueTerms.length
+          ? uniqueTerms.filter((term) => termSet.has(term)).length / uniqueTerms.length
+          : 0;
+        const phrase = queryBigrams.length
+          ? queryBigrams.filter((pair) => bigramSet.has(pair)).length / queryBigrams.length
+          : 0;
+        const lexical = queryBigrams.length ? 0.75 * coverage + 0.25 * phrase : coverage;
+
+        const semantic = this.semanticCalibration;
+        const score =
+          candidate.vectorScore === undefined || !semantic
+            ? lexical
+            : 0.5 * lexical + 0.5 * clamp((candidate.vectorScore - semantic.floor) / semantic.range);
+
+        return { ...candidate, score };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+}
@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * FileConversationStore - Persists each session as a JSON file on disk.
+ *
+ * Files are written to a temp file and renamed into place so a crash mid-write
+ * never leaves a half-written session behind. Writes to one session are chained, so
+ * concurrent saves (a chat turn and a feedback write, two tabs) never interleave.
+ */
+export class FileConversationStore {
+  /**
+   * @param {string} directory - Directory that holds one <sessionId>.json per session
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = fs.mkdir(directory, { recursive: true });
+    // Session id -> its pending writes
+    this.writeQueues = new Map();
+  }
+
+  filePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  async load(sessionId) {
+    await this.ready;
+    try {
+      const raw = await fs.readFile(this.filePath(sessionId), 'utf-8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a write to a session's file after the ones already queued for it.
+   */
+  enqueue(sessionId, write) {
+    const previous = this.writeQueues.get(sessionId) ?? this.ready;
+    const queued = previous.then(write, write);
+    this.writeQueues.set(sessionId, queued);
+    const forget = () => {
+      if (this.writeQueues.get(sessionId) === queued) this.writeQueues.delete(sessionId);
+    };
+    queued.then(forget, forget);
+    return queued;
+  }
+
+  async save(record) {
+    const snapshot = JSON.stringify(record);
+    return this.enqueue(record.sessionId, async () => {
+      const target = this.filePath(record.sessionId);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot, 'utf-8');
+      await fs.rename(tmp, target);
+    });
+  }
+
+  async delete(sessionId) {
+    return this.enqueue(sessionId, () => fs.rm(this.filePath(sessionId), { force: true }));
+  }
+
+  async list() {
+    await this.ready;
+    const entries = await fs.readdir(this.directory);
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        const raw = await fs.readFile(path.join(this.directory, entry), 'utf-8');
+        records.push(JSON.parse(raw));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable session file ${entry}:`, error.message);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Delete every session not accessed since the cutoff.
+   * @param {number} cutoff - Epoch milliseconds
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteOlderThan(cutoff) {
+    const records = await this.list();
+    let deleted = 0;
+    for (const record of records) {
+      if (record.lastAccessed < cutoff) {
+        await this.delete(record.sessionId);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
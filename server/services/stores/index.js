@@ -0,0 +1,26 @@
+import path from 'path';
+import { DATA_PATH } from '../../config/paths.js';
+import { FileConversationStore } from './fileConversationStore.js';
+import { MemoryConversationStore } from './memoryConversationStore.js';
+
+const DEFAULT_CONVERSATIONS_PATH = path.join(DATA_PATH, 'conversations');
+
+/**
+ * Create the conversation store selected by CONVERSATION_STORE.
+ * Supported backends: "file" (default) and "memory".
+ * @returns {FileConversationStore|MemoryConversationStore}
+ */
+export const createConversationStore = () => {
+  const backend = (process.env.CONVERSATION_STORE || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryConversationStore();
+    case 'file':
+      return new FileConversationStore(
+        process.env.CONVERSATION_STORE_PATH || DEFAULT_CONVERSATIONS_PATH
+      );
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE backend: "${backend}"`);
+  }
+};
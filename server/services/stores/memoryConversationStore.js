@@ -0,0 +1,44 @@
+/**
+ * MemoryConversationStore - Non-persistent conversation store.
+ * Useful for tests and throwaway environments; everything is lost on restart.
+ *
+ * Records have the shape:
+ * { sessionId, messages: StoredMessage[], userId, context, knowledgeBase, filter, createdAt, lastAccessed }
+ */
+export class MemoryConversationStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async load(sessionId) {
+    return this.records.get(sessionId) ?? null;
+  }
+
+  async save(record) {
+    this.records.set(record.sessionId, record);
+  }
+
+  async delete(sessionId) {
+    this.records.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.records.values()];
+  }
+
+  /**
+   * Delete every record not accessed since the cutoff.
+   * @param {number} cutoff - Epoch milliseconds
+   * @returns {Promise<number>} Number of deleted records
+   */
+  async deleteOlderThan(cutoff) {
+    let deleted = 0;
+    for (const [sessionId, record] of this.records.entries()) {
+      if (record.lastAccessed < cutoff) {
+        this.records.delete(sessionId);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
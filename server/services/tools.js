@@ -1,27 +1,46 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
 import { ragService } from './RAGService.js';
+import { documentService } from './documentService.js';
+import { parseRetrievalFilter, describeRetrievalFilter, excludeDocuments, chunkFileName } from '../utils/retrievalFilter.js';
+import { extractChunkContent } from '../utils/helpers.js';
+import { getToolsConfig } from '../config/tools.js';
+import { loadToolPlugins } from './tools/pluginLoader.js';
+
+/**
+ * File names of the documents ingested into a knowledge base that a user may see.
+ * @param {string|null} knowledgeBase - Knowledge base name
+ * @param {Object|null} user - Authenticated user (`config.configurable.user`)
+ * @returns {Promise<string[]>}
+ */
+const listIngestedFileNames = async (knowledgeBase, user) => {
+  const vectorStore = await ragService.getVectorStore(knowledgeBase);
+  const collection = await vectorStore.ensureCollection();
+  const result = await collection.get({ include: ['metadatas'] });
+  const fileNames = result.metadatas?.filter((m) => m?.source).map(chunkFileName) ?? [];
+  const hidden = new Set(await documentService.getHiddenDocuments(knowledgeBase, user));
+  return [...new Set(fileNames)].filter((name) => !hidden.has(name));
+};
 
 /**
  * Tool: list all ingested document filenames from ChromaDB.
- * Accesses ragService.vectorStore lazily (at call time, not at module load time)
- * so the circular import with RAGService.js is safe.
+ * Resolves the session's vector store lazily (at call time, not at module load time)
+ * so the circular import with RAGService.js is safe. The knowledge base and user come from
+ * `config.configurable`, passed by executeToolCallsWithSSE.
  */
 const listDocuments = new DynamicStructuredTool({
   name: 'list_documents',
   description:
     'List all document filenames that have been ingested into the knowledge base. Use this when the user asks what documents are available or what files have been uploaded.',
   schema: z.object({}),
-  func: async () => {
-    const vectorStore = ragService.vectorStore;
+  func: async (_input, _runManager, config) => {
     try {
-      const result = await vectorStore._collection.get();
-      const sources = result.metadatas?.map((m) => m?.source).filter(Boolean);
-      const unique = [...new Set(sources)];
-      if (unique.length === 0) {
+      const { knowledgeBase, user } = config?.configurable ?? {};
+      const fileNames = await listIngestedFileNames(knowledgeBase, user);
+      if (fileNames.length === 0) {
         return 'No documents have been ingested yet.';
       }
-      const list = unique.map((s, i) => `${i + 1}. ${s.split('/').pop()}`).join('\n');
+      const list = fileNames.map((name, i) => `${i + 1}. ${name}`).join('\n');
       return `The following documents are in the knowledge base:\n${list}`;
     } catch (error) {
       return `Error listing documents: ${error.message}`;
@@ -31,7 +50,8 @@ const listDocuments = new DynamicStructuredTool({
 
 /**
  * Tool: generate a focused summary of a topic from the ingested documents.
- * Performs a vector search then calls the LLM with a format-specific prompt.
+ * Performs a hybrid (vector + keyword) search within the session's document scope,
+ * then calls the LLM with a format-specific prompt.
  */
 const summarizeTopic = new DynamicStructuredTool({
   name: 'summarize_topic',
@@ -44,12 +64,17 @@ const summarizeTopic = new DynamicStructuredTool({
       .default('brief')
       .describe('How verbose the summary should be'),
   }),
-  func: async ({ topic, format }) => {
-    const vectorStore = ragService.vectorStore;
+  func: async ({ topic, format }, _runManager, config) => {
     const llm = ragService.rawLlm;
+    const { knowledgeBase, scope, user } = config?.configurable ?? {};
     try {
-      const retriever = vectorStore.asRetriever({ k: 6, searchType: 'similarity' });
-      const docs = await retriever.invoke(topic);
+      const retriever = await ragService.getRetriever(knowledgeBase);
+      // Callers without a scope (the MCP server) search everything they may see
+      const filter = excludeDocuments(
+        scope ? await scope.get() : null,
+        await documentService.getHiddenDocuments(knowledgeBase, user)
+      );
+      const docs = await retriever.invoke(topic, 6, filter);
 
       if (docs.length === 0) {
         return `No relevant content found for topic: "${topic}"`;
@@ -74,7 +99,7 @@ ${context}
 Summary:`;
 
       const response = await llm.invoke(prompt);
-      return response.content;
+      return extractChunkContent(response);
     } catch (error) {
       return `Error summarizing topic: ${error.message}`;
     }
@@ -82,9 +107,69 @@ Summary:`;
 });
 
 /**
- * Get all available tools.
- * Called by RAGService.initialize() — tools access ragService lazily inside func,
- * so they work correctly even though this is called early in initialization.
- * @returns {DynamicStructuredTool[]}
+ * Tool: scope the session's retrieval to specific documents and/or a page range.
+ * The scope (`config.configurable.scope`) is stored on the session, if there is one, so it
+ * applies to this answer and to later questions, until the user or the model changes it.
  */
-export const getAvailableTools = () => [listDocuments, summarizeTopic];
+const setDocumentScope = new DynamicStructuredTool({
+  name: 'set_document_scope',
+  description:
+    'Restrict which documents (and optionally which pages) are searched for this conversation. Use this when the user asks to focus on, only use, or compare specific documents or pages. Pass an empty document list and no pages to search all documents again.',
+  schema: z.object({
+    documents: z
+      .array(z.string())
+      .default([])
+      .describe('Exact file names from list_documents; empty means all documents'),
+    pageFrom: z.number().int().min(0).optional().describe('First page to search (inclusive)'),
+    pageTo: z.number().int().min(0).optional().describe('Last page to search (inclusive)'),
+  }),
+  func: async ({ documents, pageFrom, pageTo }, _runManager, config) => {
+    const { knowledgeBase, scope, user } = config?.configurable ?? {};
+    try {
+      const filter = parseRetrievalFilter({ documents, pageFrom, pageTo });
+
+      if (filter?.documents.length > 0) {
+        const known = new Set(await listIngestedFileNames(knowledgeBase, user));
+        const unknown = filter.documents.filter((name) => !known.has(name));
+        if (unknown.length > 0) {
+          return `Unknown document(s): ${unknown.join(', ')}. Use list_documents to get the exact file names.`;
+        }
+      }
+
+      await scope.set(filter);
+      return `Search is now scoped to: ${describeRetrievalFilter(filter)}`;
+    } catch (error) {
+      return `Error setting document scope: ${error.message}`;
+    }
+  },
+});
+
+let availableTools = null;
+
+/**
+ * Get the tools offered to the model: the built-in ones and those loaded from the plugin
+ * folder (see tools/pluginLoader.js), less the ones named in TOOLS_DISABLED.
+ * Loaded once, at startup (index.js) so broken plugins are reported right away, and reused
+ * by RAGService.initialize(). Tools access ragService lazily inside func, so they work
+ * correctly even though this runs before the service is initialized.
+ * @returns {Promise<DynamicStructuredTool[]>}
+ */
+export const getAvailableTools = () => {
+  availableTools ??= (async () => {
+    const { pluginDir, disabled } = getToolsConfig();
+    const builtIn = [listDocuments, summarizeTopic, setDocumentScope];
+    const { tools: plugins, errors } = await loadToolPlugins(pluginDir, new Set(builtIn.map((t) => t.name)));
+
+    errors.forEach((error) => console.error(`❌ Tool plugin skipped: ${error}`));
+    if (plugins.length > 0) {
+      console.log(`🔧 Loaded ${plugins.length} tool plugin(s) from ${pluginDir}:`, plugins.map((t) => t.name).join(', '));
+    }
+
+    const tools = [...builtIn, ...plugins];
+    const unknown = [...disabled].filter((name) => !tools.some((t) => t.name === name));
+    if (unknown.length > 0) console.warn(`⚠️ TOOLS_DISABLED names unknown tool(s): ${unknown.join(', ')}`);
+    if (disabled.size > unknown.length) console.log(`🚫 Disabled tool(s): ${[...disabled].filter((n) => !unknown.includes(n)).join(', ')}`);
+    return tools.filter((t) => !disabled.has(t.name));
+  })();
+  return availableTools;
+};
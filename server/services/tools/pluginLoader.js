@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { ragService } from '../RAGService.js';
+import { documentService } from '../documentService.js';
+import { excludeDocuments } from '../../utils/retrievalFilter.js';
+
+// Tool names the model providers accept
+const TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+// Zod schemas are recognised by shape, so a plugin with its own copy of zod works too
+const isZodObject = (schema) => typeof schema?.safeParse === 'function' && schema?._def?.typeName === 'ZodObject';
+
+/**
+ * What a plugin handler gets besides its arguments. Built when the tool is called, from
+ * the `config.configurable` the chat (executeToolCallsWithSSE) or the MCP server passes.
+ */
+const buildContext = async ({
+  knowledgeBase = null,
+  sessionId = null,
+  scope = null,
+  user = null,
+  clientContext = null,
+} = {}) => ({
+  knowledgeBase,
+  sessionId,
+  user,
+  clientContext,
+  llm: ragService.rawLlm,
+  // Raw access to the collection: it does not hide documents owned by other users
+  vectorStore: await ragService.getVectorStore(knowledgeBase),
+  // Search the way chat does: hybrid, reranked, within the user's documents and the session's scope
+  search: async (query, k) => {
+    const retriever = await ragService.getRetriever(knowledgeBase);
+    const filter = excludeDocuments(
+      scope ? await scope.get() : null,
+      await documentService.getHiddenDocuments(knowledgeBase, user)
+    );
+    return retriever.invoke(query, k, filter);
+  },
+});
+
+/**
+ * Check a plugin's tool definition.
+ * @returns {string[]} Problems, empty when the definition is valid
+ */
+const validateDefinition = (definition) => {
+  const problems = [];
+  if (!definition || typeof definition !== 'object') return ['the tool definition must be an object'];
+  if (typeof definition.name !== 'string' || !TOOL_NAME.test(definition.name)) {
+    problems.push(`name must be 1-64 letters, digits, "_" or "-" (got ${JSON.stringify(definition.name)})`);
+  }
+  if (typeof definition.description !== 'string' || !definition.description.trim()) {
+    problems.push('description must be a non-empty string');
+  }
+  if (!isZodObject(definition.schema)) {
+    problems.push('schema must be a zod object, e.g. z.object({ term: z.string() })');
+  }
+  if (typeof definition.handler !== 'function') {
+    problems.push('handler must be a function (args, context) => string');
+  }
+  return problems;
+};
+
+const toTool = ({ name, description, schema, handler }) =>
+  new DynamicStructuredTool({
+    name,
+    description,
+    schema,
+    func: async (args, _runManager, config) => {
+      const result = await handler(args, await buildContext(config?.configurable));
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    },
+  });
+
+/**
+ * Load the tool plugins in a folder. Every .js/.mjs file directly in it is a plugin whose default
+ * export is a tool definition, or an array of them:
+ *
+ *   { name, description, schema: z.object({...}), handler: async (args, context) => string }
+ *
+ * The handler's context holds knowledgeBase, sessionId, user, clientContext (what the client
+ * sent about its device and page), llm, vectorStore and search(query, k).
+ * A plugin that fails to import, or holds an invalid definition or a name already taken,
+ * is skipped and reported in `errors`.
+ * @param {string} pluginDir - Folder to load from; a missing folder holds no plugins
+ * @param {Set<string>} takenNames - Names already in use (the built-in tools)
+ * @returns {Promise<{ tools: DynamicStructuredTool[], errors: string[] }>}
+ */
+export const loadToolPlugins = async (pluginDir, takenNames = new Set()) => {
+  let entries;
+  try {
+    entries = await fs.readdir(pluginDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return { tools: [], errors: [] };
+    throw error;
+  }
+
+  const names = new Set(takenNames);
+  const tools = [];
+  const errors = [];
+  const files = entries
+    .filter((entry) => entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)))
+    .map((entry) => entry.name)
+    .sort();
+
+  for (const file of files) {
+    let definitions;
+    try {
+      const module = await import(pathToFileURL(path.join(pluginDir, file)).href);
+      definitions = [module.default].flat();
+    } catch (error) {
+      errors.push(`${file}: failed to load (${error.message})`);
+      continue;
+    }
+
+    for (const definition of definitions) {
+      const problems = validateDefinition(definition);
+      if (problems.length === 0 && names.has(definition.name)) {
+        problems.push(`a tool named "${definition.name}" already exists`);
+      }
+      if (problems.length > 0) {
+        errors.push(`${file}${definition?.name ? ` (${definition.name})` : ''}: ${problems.join('; ')}`);
+        continue;
+      }
+      names.add(definition.name);
+      tools.push(toTool(definition));
+    }
+  }
+
+  return { tools, errors };
+};
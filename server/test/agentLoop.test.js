@@ -0,0 +1,134 @@
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AIMessageChunk, HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { DynamicStructuredTool } from '@langchain/core/tools';
+import { z } from 'zod';
+
+// Tool calls look up the session's client context, kept in DATA_DIR
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-agent-'));
+process.env.DATA_DIR = dataDir;
+process.env.CONVERSATION_STORE = 'memory';
+const { runAgentLoop } = await import('../services/agentLoop.js');
+
+/** LLM replying with the queued turns in order and recording each request */
+const scriptedLlm = (turns) => {
+  const requests = [];
+  return {
+    requests,
+    async stream(messages) {
+      requests.push(messages);
+      const { content = '', tool_calls = [] } = turns.shift() ?? {};
+      return (async function* () {
+        yield new AIMessageChunk({ content, tool_calls });
+      })();
+    },
+  };
+};
+
+const searchCall = (id, query) => ({ id, name: 'search', args: { query }, type: 'tool_call' });
+
+const run = async ({ toolTurns, finalTurns = [{ content: 'Final answer.' }] }) => {
+  const invocations = [];
+  const tools = [
+    new DynamicStructuredTool({
+      name: 'search',
+      description: 'Search the documents',
+      schema: z.object({ query: z.string() }),
+      func: async ({ query }) => {
+        invocations.push(query);
+        return `results for ${query}`;
+      },
+    }),
+  ];
+  const toolLlm = scriptedLlm(toolTurns);
+  const llm = scriptedLlm(finalTurns);
+  const events = [];
+  const answer = await runAgentLoop({
+    messages: [new SystemMessage('You answer questions.'), new HumanMessage('What is the price?')],
+    toolLlm,
+    llm,
+    tools,
+    emit: (type, data) => events.push({ type, ...data }),
+    sessionId: 'agent-test',
+  });
+  return { answer, invocations, toolLlm, llm, events };
+};
+
+describe('runAgentLoop', () => {
+  after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.AGENT_MAX_STEPS;
+  });
+
+  it('runs tools and feeds their results back until the model answers', async () => {
+    const { answer, invocations, toolLlm, llm } = await run({
+      toolTurns: [{ tool_calls: [searchCall('c1', 'price')] }, { content: 'It costs 10.' }],
+    });
+
+    assert.equal(answer, 'It costs 10.');
+    assert.deepEqual(invocations, ['price']);
+    assert.equal(llm.requests.length, 0);
+    const second = toolLlm.requests[1];
+    assert.deepEqual(second.at(-2).tool_calls.map((call) => call.id), ['c1']);
+    assert.equal(second.at(-1).tool_call_id, 'c1');
+    assert.equal(second.at(-1).content, 'results for price');
+  });
+
+  it('does not run a repeated call again', async () => {
+    const { invocations, toolLlm, events } = await run({
+      toolTurns: [
+        { tool_calls: [searchCall('c1', 'price')] },
+        { tool_calls: [searchCall('c2', 'price'), searchCall('c3', 'discount')] },
+        { content: 'Done.' },
+      ],
+    });
+
+    assert.deepEqual(invocations, ['price', 'discount']);
+    const skipped = events.find((event) => event.type === 'tool_error');
+    assert.deepEqual(skipped, { type: 'tool_error', tool: 'search', error: 'Skipped: same call as in step 1', step: 2 });
+    // Every call still gets a result, in call order
+    const [repeated, fresh] = toolLlm.requests[2].slice(-2);
+    assert.equal(repeated.tool_call_id, 'c2');
+    assert.match(repeated.content, /already made in step 1/);
+    assert.equal(fresh.content, 'results for discount');
+  });
+
+  it('answers with the unbound LLM once AGENT_MAX_STEPS rounds ran', async () => {
+    process.env.AGENT_MAX_STEPS = '2';
+    const { answer, invocations, toolLlm, llm } = await run({
+      toolTurns: [
+        { content: 'Searching.', tool_calls: [searchCall('c1', 'price')] },
+        { tool_calls: [searchCall('c2', 'discount')] },
+        { tool_calls: [searchCall('c3', 'never run')] },
+      ],
+    });
+
+    assert.equal(toolLlm.requests.length, 2);
+    assert.deepEqual(invocations, ['price', 'discount']);
+    assert.equal(answer, 'Searching.Final answer.');
+
+    // The final request carries no tool calls or tool results, only their text
+    const [final] = llm.requests;
+    assert.equal(final.length, 4);
+    assert.ok(final.every((message) => !message.tool_calls?.length && !message.tool_call_id));
+    assert.equal(final[2]._getType(), 'ai');
+    assert.match(final[2].content, /Searching\.\nCalled search with \{"query":"price"\}\nCalled search with \{"query":"discount"\}/);
+    assert.equal(final[3]._getType(), 'human');
+    assert.match(final[3].content, /Result of search:\nresults for price\n\nResult of search:\nresults for discount/);
+  });
+
+  it('answers without tools when AGENT_MAX_STEPS is 0', async () => {
+    process.env.AGENT_MAX_STEPS = '0';
+    const { answer, toolLlm, llm } = await run({ toolTurns: [] });
+    assert.equal(answer, 'Final answer.');
+    assert.equal(toolLlm.requests.length, 0);
+    assert.equal(llm.requests[0].length, 2);
+  });
+});
+
@@ -0,0 +1,205 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Accounts are kept in DATA_DIR, read when the service is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-auth-'));
+process.env.DATA_DIR = dataDir;
+const { authService, AuthError } = await import('../services/authService.js');
+
+const rejectsWith = (promise, status, message) =>
+  assert.rejects(promise, (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.status, status);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+
+describe('authService', () => {
+  before(() => {
+    delete process.env.AUTH_ALLOW_SIGNUP;
+    process.env.AUTH_ADMIN_USERNAME = 'alice';
+  });
+
+  beforeEach(async () => {
+    await authService.writeQueue;
+    await fs.rm(path.join(dataDir, 'auth.json'), { force: true });
+    authService.state = null;
+    authService.loginFailures.clear();
+  });
+
+  after(async () => {
+    delete process.env.AUTH_ADMIN_USERNAME;
+    await authService.writeQueue;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  describe('register', () => {
+    it('lets only the configured admin register while sign-up is closed', async () => {
+      await rejectsWith(authService.register('bob', 'correct horse'), 403, /Sign-up is closed/);
+      const { user, token } = await authService.register('Alice', 'correct horse');
+      assert.equal(user.role, 'admin');
+      assert.equal(user.passwordHash, undefined);
+      assert.ok(token);
+      await rejectsWith(authService.register('bob', 'correct horse'), 403, /Sign-up is closed/);
+    });
+
+    it('makes no admin without AUTH_ADMIN_USERNAME', async (t) => {
+      delete process.env.AUTH_ADMIN_USERNAME;
+      t.after(() => (process.env.AUTH_ADMIN_USERNAME = 'alice'));
+      await rejectsWith(authService.register('alice', 'correct horse'), 403, /set AUTH_ADMIN_USERNAME/);
+
+      process.env.AUTH_ALLOW_SIGNUP = 'true';
+      t.after(() => delete process.env.AUTH_ALLOW_SIGNUP);
+      const { user } = await authService.register('alice', 'correct horse');
+      assert.equal(user.role, 'user');
+    });
+
+    it('opens sign-up to regular users with AUTH_ALLOW_SIGNUP', async (t) => {
+      process.env.AUTH_ALLOW_SIGNUP = 'true';
+      t.after(() => delete process.env.AUTH_ALLOW_SIGNUP);
+      const { user } = await authService.register('bob', 'correct horse');
+      assert.equal(user.role, 'user');
+      assert.equal((await authService.register('alice', 'correct horse')).user.role, 'admin');
+    });
+
+    it('refuses a taken username, whatever its case', async (t) => {
+      process.env.AUTH_ALLOW_SIGNUP = 'true';
+      t.after(() => delete process.env.AUTH_ALLOW_SIGNUP);
+      await authService.register('alice', 'correct horse');
+      await rejectsWith(authService.register('ALICE', 'correct horse'), 409, /already taken/);
+    });
+
+    it('validates usernames and passwords', async () => {
+      for (const username of ['al', 'a'.repeat(33), 'alice smith', '../alice', 42]) {
+        await rejectsWith(authService.register(username, 'correct horse'), 400, /Username/);
+      }
+      await rejectsWith(authService.register('alice', 'short'), 400, /Password/);
+      await rejectsWith(authService.register('alice', undefined), 400, /Password/);
+    });
+
+    it('makes only one admin of concurrent admin registrations', async () => {
+      const results = await Promise.allSettled([
+        authService.register('alice', 'correct horse'),
+        authService.register('ALICE', 'battery staple'),
+        authService.register('bob', 'correct horse'),
+      ]);
+      const registered = results.filter(({ status }) => status === 'fulfilled');
+      assert.equal(registered.length, 1);
+      assert.equal(registered[0].value.user.role, 'admin');
+      assert.deepEqual(
+        results.filter(({ status }) => status === 'rejected').map(({ reason }) => reason.status).sort(),
+        [403, 409]
+      );
+    });
+
+    it('creates a username once under concurrent registrations', async (t) => {
+      process.env.AUTH_ALLOW_SIGNUP = 'true';
+      t.after(() => delete process.env.AUTH_ALLOW_SIGNUP);
+      await authService.register('alice', 'correct horse');
+      const results = await Promise.allSettled([
+        authService.register('bob', 'correct horse'),
+        authService.register('Bob', 'battery staple'),
+      ]);
+      assert.equal(results.filter(({ status }) => status === 'fulfilled').length, 1);
+      const { users } = JSON.parse(await fs.readFile(path.join(dataDir, 'auth.json'), 'utf-8'));
+      assert.deepEqual(users.map((u) => u.username.toLowerCase()).sort(), ['alice', 'bob']);
+    });
+  });
+
+  describe('login', () => {
+    it('checks the password and hides which part was wrong', async () => {
+      await authService.register('alice', 'correct horse');
+      const { user } = await authService.login('Alice', 'correct horse');
+      assert.equal(user.username, 'alice');
+      await rejectsWith(authService.login('alice', 'wrong horse'), 401, /Invalid username or password/);
+      await rejectsWith(authService.login('mallory', 'correct horse'), 401, /Invalid username or password/);
+    });
+
+    it('locks out a username and address after repeated failures, with a growing delay', async (t) => {
+      await authService.register('alice', 'correct horse');
+      let now = Date.parse('2030-01-01T00:00:00Z');
+      t.mock.method(Date, 'now', () => now);
+
+      for (let i = 0; i < 5; i++) {
+        await rejectsWith(authService.login('alice', 'wrong horse', { ip: '10.0.0.1' }), 401);
+      }
+      // Even the right password is refused without checking it while locked out
+      await assert.rejects(authService.login('alice', 'correct horse', { ip: '10.0.0.1' }), (error) => {
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 30);
+        return true;
+      });
+      // Other addresses aren't affected
+      await authService.login('alice', 'correct horse', { ip: '10.0.0.2' });
+
+      now += 30 * 1000;
+      await rejectsWith(authService.login('alice', 'wrong horse', { ip: '10.0.0.1' }), 401);
+      await assert.rejects(authService.login('alice', 'correct horse', { ip: '10.0.0.1' }), (error) => {
+        assert.equal(error.retryAfter, 60);
+        return true;
+      });
+
+      now += 60 * 1000;
+      await authService.login('alice', 'correct horse', { ip: '10.0.0.1' });
+      assert.equal(authService.loginFailures.size, 0);
+    });
+
+    it('counts concurrent guesses before checking them', async () => {
+      await authService.register('alice', 'correct horse');
+      const results = await Promise.allSettled(
+        Array.from({ length: 8 }, () => authService.login('alice', 'wrong horse'))
+      );
+      assert.deepEqual(
+        results.map(({ reason }) => reason.status),
+        [401, 401, 401, 401, 401, 429, 429, 429]
+      );
+    });
+  });
+
+  describe('authenticate', () => {
+    it('resolves session tokens until logout', async () => {
+      const { token, user } = await authService.register('alice', 'correct horse');
+      assert.deepEqual(await authService.authenticate(token), { ...user, authMethod: 'session' });
+      await authService.logout(token);
+      assert.equal(await authService.authenticate(token), null);
+    });
+
+    it('rejects expired sessions', async (t) => {
+      const { token } = await authService.register('alice', 'correct horse');
+      t.mock.method(Date, 'now', () => Date.parse('2999-01-01T00:00:00Z'));
+      assert.equal(await authService.authenticate(token), null);
+    });
+
+    it('resolves API keys until they are revoked', async () => {
+      const { user } = await authService.register('alice', 'correct horse');
+      const { apiKey, key } = await authService.createApiKey(user.id, 'CI');
+      assert.match(key, /^dtk_/);
+      assert.equal(apiKey.hash, undefined);
+      assert.equal((await authService.authenticate(key)).authMethod, 'api_key');
+
+      await authService.revokeApiKey(user.id, apiKey.id);
+      assert.equal(await authService.authenticate(key), null);
+    });
+
+    it('rejects missing and unknown tokens', async () => {
+      await authService.register('alice', 'correct horse');
+      assert.equal(await authService.authenticate(''), null);
+      assert.equal(await authService.authenticate(undefined), null);
+      assert.equal(await authService.authenticate('not-a-session'), null);
+      assert.equal(await authService.authenticate('dtk_not-a-key'), null);
+    });
+
+    it('stores only hashes of passwords, tokens and keys', async () => {
+      const { user, token } = await authService.register('alice', 'correct horse');
+      const { key } = await authService.createApiKey(user.id, 'CI');
+      await authService.writeQueue;
+      const stored = await fs.readFile(path.join(dataDir, 'auth.json'), 'utf-8');
+      for (const secret of ['correct horse', token, key]) {
+        assert.equal(stored.includes(secret), false);
+      }
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AIMessage, AIMessageChunk, HumanMessage, SystemMessage } from '@langchain/core/messages';
+
+// Sessions and the document registry are kept in DATA_DIR, read when the services are imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-pipeline-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE = 'memory';
+process.env.EMBEDDING_PROVIDER = 'stub';
+process.env.LLM_PROVIDER = 'stub';
+process.env.CONVERSATION_STORE = 'memory';
+const { runChatPipeline } = await import('../services/chatPipeline.js');
+const { ragService } = await import('../services/RAGService.js');
+const { documentService } = await import('../services/documentService.js');
+const { conversationManager } = await import('../services/conversationManager.js');
+const { getAvailableTools } = await import('../services/tools.js');
+
+/** LLM replying with the queued turns in order and recording each request */
+const scriptedLlm = (turns) => {
+  const requests = [];
+  return {
+    requests,
+    async stream(messages) {
+      requests.push([...messages]);
+      const { content = '', tool_calls = [] } = turns.shift() ?? {};
+      return (async function* () {
+        yield new AIMessageChunk({ content, tool_calls });
+      })();
+    },
+  };
+};
+
+/**
+ * Stub the chain so the model scopes the search to pages 2-3 and then answers; returns the
+ * scopes retrieval ran with and the model.
+ */
+const stubChain = async (t) => {
+  const scopes = [];
+  const toolLlm = scriptedLlm([
+    {
+      tool_calls: [
+        { id: 'c1', name: 'set_document_scope', args: { documents: [], pageFrom: 2, pageTo: 3 }, type: 'tool_call' },
+      ],
+    },
+    { content: 'It costs 10.' },
+  ]);
+  t.mock.method(console, 'log', () => {});
+  const tools = (await getAvailableTools()).filter((tool) => tool.name === 'set_document_scope');
+  t.mock.method(documentService, 'getHiddenDocuments', async () => []);
+  t.mock.method(ragService, 'getChain', async () => ({
+    prompt: {
+      formatMessages: async ({ context, question, chat_history }) => [
+        new SystemMessage(`Answer from the context.\n${context}`),
+        ...chat_history,
+        new HumanMessage(question),
+      ],
+    },
+    tools,
+    toolLlm,
+    llm: scriptedLlm([]),
+    retrieveContext: async (question, scope) => {
+      scopes.push(scope);
+      return { search: question, citations: [], docs: [], context: 'No context', hasRelevantContext: false };
+    },
+  }));
+  return { scopes, toolLlm };
+};
+
+describe('runChatPipeline', () => {
+  after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps the scope of a session-less answer to itself', async (t) => {
+    const { scopes } = await stubChain(t);
+    for (const method of ['getOrCreateSession', 'loadSession']) {
+      t.mock.method(conversationManager, method, async () => assert.fail(`${method} called without a session`));
+    }
+
+    const filter = { documents: ['pricing.pdf'], pageFrom: null, pageTo: null };
+    const events = [];
+    const result = await runChatPipeline({
+      question: 'What is the price?',
+      chatHistory: [],
+      knowledgeBase: 'rag-collection',
+      user: null,
+      filter,
+      emit: (type, data) => events.push({ type, ...data }),
+    });
+
+    const scoped = { documents: [], pageFrom: 2, pageTo: 3 };
+    assert.equal(result.answer, 'It costs 10.');
+    assert.deepEqual(scopes, [filter, scoped]);
+    assert.deepEqual(result.filter, scoped);
+    assert.deepEqual(events.find((event) => event.type === 'scope'), { type: 'scope', filter: scoped });
+  });
+
+  it('stores the scope on the session when there is one', async (t) => {
+    const { scopes } = await stubChain(t);
+    await conversationManager.setSessionFilter('pipeline-test', { documents: ['pricing.pdf'], pageFrom: null, pageTo: null });
+
+    await runChatPipeline({
+      question: 'What is the price?',
+      chatHistory: [],
+      knowledgeBase: 'rag-collection',
+      user: null,
+      sessionId: 'pipeline-test',
+      emit: () => {},
+    });
+
+    assert.deepEqual(scopes[0].documents, ['pricing.pdf']);
+    assert.deepEqual(await conversationManager.getSessionFilter('pipeline-test'), {
+      documents: [],
+      pageFrom: 2,
+      pageTo: 3,
+    });
+  });
+
+  it('sends the conversation summary as part of the one leading system message', async (t) => {
+    const { toolLlm } = await stubChain(t);
+    await runChatPipeline({
+      question: 'And with a discount?',
+      chatHistory: [
+        new SystemMessage('Summary of the earlier conversation:\nThe user asked about prices.'),
+        new HumanMessage('What is the price?'),
+        new AIMessage('It costs 10.'),
+      ],
+      knowledgeBase: 'rag-collection',
+      user: null,
+      emit: () => {},
+    });
+
+    const [request] = toolLlm.requests;
+    assert.deepEqual(request.map((message) => message._getType()), ['system', 'human', 'ai', 'human']);
+    assert.match(request[0].content, /^Answer from the context\.[\s\S]*---\n\nSummary of the earlier conversation:/);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@langchain/core/documents';
+import {
+  chunkDocuments,
+  resolveChunkStrategy,
+  parseChunkStrategy,
+  ChunkStrategyError,
+} from '../utils/chunkers/index.js';
+import { createHeadingTracker, splitSections } from '../utils/chunkers/sections.js';
+
+const page = (text, pageNumber = 1, extra = {}) =>
+  new Document({ pageContent: text, metadata: { loc: { pageNumber }, ...extra } });
+
+const MARKDOWN = `# Pump manual
+
+Intro to the pump.
+
+## Maintenance
+
+Check the seals every month. Replace worn seals at once. Clean the filter with warm water.
+
+### Seals
+
+Seals are made of rubber and wear out over time.`;
+
+const CHUNK_ENV = ['CHUNK_SIZE', 'CHUNK_OVERLAP', 'CHUNK_WINDOW_SENTENCES', 'CHUNK_PARENT_SIZE', 'CHUNK_CHILD_SIZE', 'CHUNK_STRATEGY', 'CHUNK_STRATEGY_BY_TYPE'];
+
+describe('section detection', () => {
+  it('tracks the Markdown heading path and skips code fences', () => {
+    const tracker = createHeadingTracker('markdown');
+    for (const line of ['# Guide', '## Setup', '```', '# not a heading', '```', '### Wiring']) tracker.read(line);
+    assert.equal(tracker.title(), 'Guide > Setup > Wiring');
+  });
+
+  it('guesses numbered and capitalised headings in PDF text', () => {
+    const tracker = createHeadingTracker('pdf');
+    assert.equal(tracker.read('WARRANTY'), true);
+    assert.equal(tracker.read('2.1 Installation steps'), true);
+    assert.equal(tracker.read('3. This line ends like a sentence.'), false);
+    assert.equal(tracker.title(), 'WARRANTY > 2.1 Installation steps');
+  });
+
+  it('starts a section at each heading and never spans pages', () => {
+    const sections = splitSections([page(MARKDOWN, 1), page('More on seals.', 2)], 'markdown');
+    assert.deepEqual(
+      sections.map(({ title, pageNumber }) => [title, pageNumber]),
+      [
+        ['Pump manual', 1],
+        ['Pump manual > Maintenance', 1],
+        ['Pump manual > Maintenance > Seals', 1],
+        ['Pump manual > Maintenance > Seals', 2],
+      ]
+    );
+  });
+});
+
+describe('chunkDocuments', () => {
+  afterEach(() => {
+    for (const name of CHUNK_ENV) delete process.env[name];
+  });
+
+  it('fixed: splits pages by size and titles chunks by their heading', async () => {
+    process.env.CHUNK_SIZE = '80';
+    process.env.CHUNK_OVERLAP = '0';
+    const chunks = await chunkDocuments([page(MARKDOWN)], { strategy: 'fixed', fileType: 'markdown' });
+    assert.ok(chunks.length > 3);
+    assert.ok(chunks.every((chunk) => chunk.pageContent.length <= 80));
+    assert.equal(chunks[0].metadata.sectionTitle, 'Pump manual');
+    assert.equal(chunks.at(-1).metadata.sectionTitle, 'Pump manual > Maintenance > Seals');
+    assert.deepEqual(chunks[0].metadata.loc, { pageNumber: 1 });
+  });
+
+  it('section: one chunk per heading section', async () => {
+    const chunks = await chunkDocuments([page(MARKDOWN)], { strategy: 'section', fileType: 'markdown' });
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.metadata.sectionTitle),
+      ['Pump manual', 'Pump manual > Maintenance', 'Pump manual > Maintenance > Seals']
+    );
+    assert.match(chunks[1].pageContent, /^## Maintenance\n\nCheck the seals/);
+  });
+
+  it('sentence-window: searches sentences and answers from their neighbours', async () => {
+    process.env.CHUNK_WINDOW_SENTENCES = '1';
+    const chunks = await chunkDocuments([page(MARKDOWN)], { strategy: 'sentence-window', fileType: 'markdown' });
+    const replace = chunks.find((chunk) => chunk.pageContent === 'Replace worn seals at once.');
+    assert.ok(replace);
+    // The short heading line is joined to the sentence after it
+    assert.equal(
+      replace.metadata.contextText,
+      '## Maintenance Check the seals every month. Replace worn seals at once. Clean the filter with warm water.'
+    );
+    assert.equal(replace.metadata.sectionTitle, 'Pump manual > Maintenance');
+  });
+
+  it('parent-child: searches small children and answers from their parent', async () => {
+    process.env.CHUNK_PARENT_SIZE = '120';
+    process.env.CHUNK_CHILD_SIZE = '40';
+    const chunks = await chunkDocuments([page(MARKDOWN)], { strategy: 'parent-child', fileType: 'markdown' });
+    const children = chunks.filter((chunk) => chunk.metadata.contextText);
+    assert.ok(children.length > 0);
+    for (const child of children) {
+      assert.ok(child.pageContent.length <= 40);
+      assert.ok(child.metadata.contextText.includes(child.pageContent));
+    }
+    // Children of one parent share its index
+    const parents = children.map((chunk) => chunk.metadata.parentIndex);
+    assert.ok(parents.some((parentIndex, idx) => parents.indexOf(parentIndex) !== idx));
+  });
+
+  it('keeps tables whole and orders them by page', async () => {
+    const table = page('| a | b |\n| - | - |\n| 1 | 2 |', 2, { contentType: 'table' });
+    const chunks = await chunkDocuments([page('Page one text.', 1), table, page('Page three text.', 3)], {
+      strategy: 'fixed',
+      fileType: 'pdf',
+    });
+    assert.deepEqual(chunks.map((chunk) => chunk.metadata.loc.pageNumber), [1, 2, 3]);
+    assert.equal(chunks[1], table);
+  });
+
+  it('carries the section index of formats without pages', async () => {
+    const chunks = await chunkDocuments([page('Row text', 0, { sectionIndex: 3 })], { strategy: 'section', fileType: 'csv' });
+    assert.equal(chunks[0].metadata.sectionIndex, 3);
+    assert.equal(chunks[0].metadata.loc.pageNumber, 0);
+  });
+});
+
+describe('strategy selection', () => {
+  afterEach(() => {
+    for (const name of CHUNK_ENV) delete process.env[name];
+  });
+
+  it('prefers the requested strategy, then the file type default, then CHUNK_STRATEGY', () => {
+    process.env.CHUNK_STRATEGY = 'section';
+    process.env.CHUNK_STRATEGY_BY_TYPE = 'pdf:parent-child';
+    assert.equal(resolveChunkStrategy('pdf', 'fixed'), 'fixed');
+    assert.equal(resolveChunkStrategy('pdf'), 'parent-child');
+    assert.equal(resolveChunkStrategy('markdown'), 'section');
+  });
+
+  it('validates strategies sent by clients', () => {
+    assert.equal(parseChunkStrategy('auto'), null);
+    assert.equal(parseChunkStrategy(''), null);
+    assert.equal(parseChunkStrategy('sentence-window'), 'sentence-window');
+    assert.throws(() => parseChunkStrategy('semantic'), (error) => error instanceof ChunkStrategyError && error.status === 400);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Sessions are kept in DATA_DIR, read when the manager is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-conversations-'));
+process.env.DATA_DIR = dataDir;
+process.env.CONVERSATION_STORE = 'memory';
+process.env.LLM_PROVIDER = 'stub';
+const { conversationManager } = await import('../services/conversationManager.js');
+const { SystemMessage } = await import('@langchain/core/messages');
+
+const contents = (messages) => messages.map((message) => message.content);
+
+describe('conversationManager compaction', () => {
+  after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.CONVERSATION_HISTORY_TOKENS;
+  });
+
+  const exchange = async (sessionId, n) => {
+    await conversationManager.addMessage(sessionId, `Question ${n} ${'words '.repeat(20)}`, true);
+    await conversationManager.addMessage(sessionId, `Answer ${n} ${'words '.repeat(20)}`, false);
+  };
+
+  it('summarizes old exchanges in the background after an answer', async () => {
+    process.env.CONVERSATION_HISTORY_TOKENS = '120';
+    const sessionId = 'compaction-background';
+    for (let n = 1; n <= 3; n++) {
+      await exchange(sessionId, n);
+      await conversationManager.scheduleCompaction(sessionId);
+    }
+
+    const messages = await conversationManager.getMessages(sessionId);
+    // The summary isn't passed off as something the user said
+    assert.ok(messages[0] instanceof SystemMessage);
+    assert.match(messages[0].content, /Stub reply\./);
+    assert.match(messages.at(-1).content, /^Answer 3/);
+    // The transcript is never compacted
+    assert.equal((await conversationManager.getTranscript(sessionId)).length, 6);
+  });
+
+  it('keeps messages added while the summary is written', async () => {
+    process.env.CONVERSATION_HISTORY_TOKENS = '120';
+    const sessionId = 'compaction-concurrent';
+    await exchange(sessionId, 1);
+    await conversationManager.scheduleCompaction(sessionId);
+    await exchange(sessionId, 2);
+    // Compaction started by the answer is still running
+    await conversationManager.addMessage(sessionId, 'Question 3', true);
+    await conversationManager.scheduleCompaction(sessionId);
+
+    const recent = contents(await conversationManager.getMessages(sessionId)).slice(1);
+    assert.equal(recent.at(-1), 'Question 3');
+    assert.match(recent.at(-2), /^Answer 2/);
+  });
+
+  it('logs a failed compaction instead of failing the answer', async (t) => {
+    const sessionId = 'compaction-failure';
+    const compactHistory = t.mock.method(conversationManager, 'compactHistory', async () => {
+      throw new Error('store unavailable');
+    });
+    t.mock.method(console, 'error', () => {});
+
+    await exchange(sessionId, 1);
+    await conversationManager.compactions.get(sessionId);
+    assert.equal(compactHistory.mock.callCount(), 1);
+    assert.equal(conversationManager.compactions.size, 0);
+    assert.equal((await conversationManager.getTranscript(sessionId)).length, 2);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DocumentRegistry } from '../services/documentRegistry.js';
+
+const details = (contentHash) => ({ contentHash, sizeBytes: 10, chunkCount: 1, ingestId: `run-${contentHash}` });
+
+describe('DocumentRegistry', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-registry-'));
+    filePath = path.join(dir, 'registry.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('adds a version for new content and refreshes it for identical content', async () => {
+    const registry = new DocumentRegistry(filePath);
+    await registry.recordVersion('a.md', details('h1'), 'alice');
+    await registry.recordVersion('a.md', details('h1'), 'bob');
+    await registry.recordVersion('a.md', details('h2'), 'bob');
+
+    const versions = await registry.getVersions('a.md');
+    assert.deepEqual(versions.map((v) => [v.version, v.contentHash, v.current]), [[2, 'h2', true], [1, 'h1', false]]);
+    assert.equal(await registry.getOwner('a.md'), 'alice');
+    assert.equal(await registry.findByHash('h2', 'alice'), 'a.md');
+    assert.equal(await registry.findByHash('h1'), null);
+  });
+
+  it('sees documents another process recorded', async () => {
+    const server = new DocumentRegistry(filePath);
+    await server.recordVersion('a.md', details('h1'));
+
+    // The ingest CLI has its own instance of the same file
+    const cli = new DocumentRegistry(filePath);
+    await cli.recordVersion('b.md', details('h2'));
+
+    assert.equal((await server.getCurrent('b.md'))?.contentHash, 'h2');
+  });
+
+  it('keeps documents another process recorded when it changes the file', async () => {
+    const server = new DocumentRegistry(filePath);
+    await server.recordVersion('a.md', details('h1'));
+    await server.getOwners();
+
+    const cli = new DocumentRegistry(filePath);
+    await cli.recordVersion('b.md', details('h2'));
+    await server.recordVersion('c.md', details('h3'));
+    await server.remove('a.md');
+
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    assert.deepEqual(Object.keys(stored).sort(), ['b.md', 'c.md']);
+  });
+
+  it('serializes concurrent changes', async () => {
+    const registry = new DocumentRegistry(filePath);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => registry.recordVersion(`${i}.md`, details(`h${i}`))));
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    assert.equal(Object.keys(stored).length, 10);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+
+// The document registry is kept in DATA_DIR, read when the service is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-documents-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE = 'memory';
+process.env.EMBEDDING_PROVIDER = 'stub';
+const { documentService } = await import('../services/documentService.js');
+const { knowledgeBaseService } = await import('../services/knowledgeBaseService.js');
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('documentService.getText', () => {
+  let filePath;
+  let extracted;
+
+  before(() => {
+    // Stand in for the stored file and the loaders
+    documentService.getFile = async () => ({ filePath });
+    documentService.extractText = async (readPath) => {
+      extracted.push(readPath);
+      return fs.readFile(readPath, 'utf-8');
+    };
+  });
+
+  beforeEach(() => {
+    filePath = path.join(dataDir, 'notes.md');
+    extracted = [];
+    documentService.texts.clear();
+  });
+
+  it("reuses the current version's text without reading the file", async () => {
+    await fs.writeFile(filePath, 'Version one');
+    await documentService.getRegistry(knowledgeBaseService.defaultName).recordVersion('notes.md', {
+      contentHash: 'hash-1', sizeBytes: 11, chunkCount: 1, ingestId: 'run-1',
+    });
+
+    assert.equal(await documentService.getText('notes.md'), 'Version one');
+    await fs.rm(filePath);
+    assert.equal(await documentService.getText('notes.md'), 'Version one');
+    assert.equal(extracted.length, 1);
+  });
+
+  it('reads the file again once a new version is recorded', async () => {
+    await fs.writeFile(filePath, 'Version one');
+    const registry = documentService.getRegistry(knowledgeBaseService.defaultName);
+    await registry.recordVersion('notes.md', { contentHash: 'hash-1', sizeBytes: 11, chunkCount: 1, ingestId: 'run-1' });
+    await documentService.getText('notes.md');
+
+    await fs.writeFile(filePath, 'Version two');
+    await registry.recordVersion('notes.md', { contentHash: 'hash-2', sizeBytes: 11, chunkCount: 1, ingestId: 'run-2' });
+    assert.equal(await documentService.getText('notes.md'), 'Version two');
+    assert.equal(extracted.length, 2);
+  });
+
+  it('hashes files the registry does not know', async () => {
+    filePath = path.join(dataDir, 'unknown.md');
+    await fs.writeFile(filePath, 'Loose file');
+    assert.equal(await documentService.getText('unknown.md'), 'Loose file');
+    assert.equal(await documentService.getText('unknown.md'), 'Loose file');
+    assert.equal(extracted.length, 1);
+
+    await fs.writeFile(filePath, 'Edited file');
+    assert.equal(await documentService.getText('unknown.md'), 'Edited file');
+  });
+});
+
+describe('documentService chunk lookups', () => {
+  const chunk = (fileName, chunkId, pageNumber, text) =>
+    new Document({
+      pageContent: text,
+      metadata: { source: `/documents/${fileName}`, fileName, chunkId, pageNumber, ingestId: `run-${fileName}` },
+    });
+
+  before(async () => {
+    const vectorStore = await documentService.getVectorStore(knowledgeBaseService.defaultName);
+    await vectorStore.addDocuments([
+      chunk('manual.pdf', 1, 2, 'Second chunk'),
+      chunk('manual.pdf', 0, 1, 'First chunk'),
+      chunk('policy.md', 0, 0, 'Policy text'),
+    ]);
+  });
+
+  it("reads only the document's chunks", async (t) => {
+    const collection = await documentService.getCollection(knowledgeBaseService.defaultName);
+    const get = t.mock.method(collection, 'get');
+
+    const document = await documentService.getDocument('manual.pdf');
+    assert.deepEqual(document.chunks.map((c) => c.preview), ['First chunk', 'Second chunk']);
+    assert.equal(document.chunkCount, 2);
+    assert.equal(document.pageCount, 2);
+    assert.equal(document.status, 'missing_file');
+    assert.ok(get.mock.calls.every(({ arguments: [query] }) => query.where));
+  });
+
+  it('gets one chunk by its id', async () => {
+    const found = await documentService.getChunk('manual.pdf', '1');
+    assert.deepEqual(found, { chunkId: 1, pageNumber: 2, sectionTitle: null, contentType: 'text', text: 'Second chunk' });
+    await assert.rejects(documentService.getChunk('policy.md', '1'), { status: 404 });
+    await assert.rejects(documentService.getDocument('missing.md'), { status: 404 });
+  });
+
+  it('lists chunk counts per document', async () => {
+    const documents = await documentService.listDocuments();
+    const counts = Object.fromEntries(documents.map((d) => [d.id, d.chunkCount]));
+    assert.equal(counts['manual.pdf'], 2);
+    assert.equal(counts['policy.md'], 1);
+  });
+});
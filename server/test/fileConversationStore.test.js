@@ -0,0 +1,60 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Sessions are written to DATA_DIR, read when the manager is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-store-'));
+process.env.DATA_DIR = dataDir;
+process.env.CONVERSATION_STORE = 'file';
+process.env.CONVERSATION_STORE_PATH = path.join(dataDir, 'conversations');
+process.env.LLM_PROVIDER = 'stub';
+const { FileConversationStore } = await import('../services/stores/fileConversationStore.js');
+const { conversationManager } = await import('../services/conversationManager.js');
+
+describe('FileConversationStore', () => {
+  after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps the last of concurrent saves and leaves no temp files', async () => {
+    const store = new FileConversationStore(path.join(dataDir, 'direct'));
+    await Promise.all(
+      Array.from({ length: 20 }, (_, n) => store.save({ sessionId: 'a/b', lastAccessed: n, transcript: [n] }))
+    );
+    assert.deepEqual(await store.load('a/b'), { sessionId: 'a/b', lastAccessed: 19, transcript: [19] });
+    assert.deepEqual(await fs.readdir(path.join(dataDir, 'direct')), [`${encodeURIComponent('a/b')}.json`]);
+    assert.equal(store.writeQueues.size, 0);
+  });
+
+  it('keeps every message of interleaved addMessage calls on one session', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const sessionId = 'concurrent-session';
+    await Promise.all(
+      Array.from({ length: 10 }, (_, n) => [
+        conversationManager.addMessage(sessionId, `Question ${n}`, true),
+        conversationManager.addMessage(sessionId, `Answer ${n}`, false),
+      ]).flat()
+    );
+    await conversationManager.scheduleCompaction(sessionId);
+
+    // Read the session back from its file
+    conversationManager.sessions.delete(sessionId);
+    const transcript = await conversationManager.getTranscript(sessionId);
+    const expected = Array.from({ length: 10 }, (_, n) => [`Question ${n}`, `Answer ${n}`]).flat();
+    assert.deepEqual(transcript.map((message) => message.content), expected);
+    assert.deepEqual(
+      (await conversationManager.getMessages(sessionId)).map((message) => message.content),
+      expected
+    );
+  });
+
+  it('deletes sessions idle since the cutoff', async () => {
+    const store = new FileConversationStore(path.join(dataDir, 'expiry'));
+    await store.save({ sessionId: 'old', lastAccessed: 1 });
+    await store.save({ sessionId: 'new', lastAccessed: 100 });
+    assert.equal(await store.deleteOlderThan(50), 1);
+    assert.deepEqual((await store.list()).map((record) => record.sessionId), ['new']);
+  });
+});
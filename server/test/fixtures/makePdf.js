@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+
+const escapeText = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Write a minimal PDF of Helvetica text lines, one content stream per page.
+ * A page without lines has no text layer, like a scanned page.
+ * @param {string} filePath - Where to write the PDF
+ * @param {Array<Array<{ x: number, y: number, text: string, size?: number }>>} pages - Lines per page
+ */
+export const makePdf = async (filePath, pages) => {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  for (const lines of pages) {
+    const content = lines
+      .map(({ x, y, text, size = 11 }) => `BT /F1 ${size} Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`)
+      .join('\n');
+    objects.push(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`
+    );
+    kids.push(objects.length);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.map((id) => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, idx) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${idx + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  await fs.writeFile(filePath, pdf);
+};
@@ -0,0 +1,92 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+import { reciprocalRankFusion, createHybridRetriever } from '../services/hybridRetriever.js';
+import { LexicalIndex } from '../services/lexicalIndex.js';
+import { MemoryVectorStore } from '../services/memoryVectorStore.js';
+import { StubEmbeddings } from '../config/stubModels.js';
+
+const doc = (id, text = id) => new Document({ pageContent: text, metadata: { ingestId: 'run', chunkId: id, fileName: `${id}.md` } });
+
+describe('reciprocalRankFusion', () => {
+  it('ranks items found by both lists above items found by one', () => {
+    const fused = reciprocalRankFusion(
+      [
+        { items: [{ doc: doc('a'), vectorScore: 0.9 }, { doc: doc('b'), vectorScore: 0.8 }], weight: 1 },
+        { items: [{ doc: doc('b'), keywordScore: 7 }, { doc: doc('c'), keywordScore: 3 }], weight: 1 },
+      ],
+      { rrfK: 60 }
+    );
+    assert.deepEqual(fused.map((item) => item.doc.metadata.chunkId), ['b', 'a', 'c']);
+    assert.equal(fused[0].fusedScore, 1 / 62 + 1 / 61);
+    // Scores each list attached are merged into the fused item
+    assert.equal(fused[0].vectorScore, 0.8);
+    assert.equal(fused[0].keywordScore, 7);
+  });
+
+  it('weights lists and ignores those weighted 0', () => {
+    const rankings = (keywordWeight) => [
+      { items: [{ doc: doc('a') }], weight: 1 },
+      { items: [{ doc: doc('b') }], weight: keywordWeight },
+    ];
+    assert.deepEqual(reciprocalRankFusion(rankings(3)).map((item) => item.doc.metadata.chunkId), ['b', 'a']);
+    assert.deepEqual(reciprocalRankFusion(rankings(0)).map((item) => item.doc.metadata.chunkId), ['a']);
+  });
+
+  it('stops at the limit', () => {
+    const items = ['a', 'b', 'c'].map((id) => ({ doc: doc(id) }));
+    assert.equal(reciprocalRankFusion([{ items, weight: 1 }], { limit: 2 }).length, 2);
+  });
+});
+
+describe('createHybridRetriever', () => {
+  const dirs = [];
+  afterEach(async () => {
+    delete process.env.RETRIEVAL_MODE;
+    await Promise.all(dirs.splice(0).map((dir) => fs.rm(dir, { recursive: true, force: true })));
+  });
+
+  const setup = async (name) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-hybrid-'));
+    dirs.push(dir);
+    const docs = [
+      doc('manual', 'The pump shows error ERR-4012 when the seal leaks'),
+      doc('policy', 'Travel policy for booking flights and hotels'),
+    ];
+    const vectorStore = new MemoryVectorStore(new StubEmbeddings(), { collectionName: name });
+    await vectorStore.addDocuments(docs);
+    const lexicalIndex = new LexicalIndex(path.join(dir, 'index.json'));
+    await lexicalIndex.addDocuments(docs);
+    return createHybridRetriever(vectorStore, lexicalIndex);
+  };
+
+  it('fuses vector and keyword candidates with their scores', async () => {
+    const retriever = await setup('hybrid-both');
+    const [best] = await retriever.search('ERR-4012 seal', 2);
+    assert.equal(best.doc.metadata.chunkId, 'manual');
+    assert.ok(best.vectorScore > 0 && best.vectorScore <= 1);
+    assert.ok(best.keywordScore > 0);
+  });
+
+  it('searches one ranking only in vector and keyword mode', async () => {
+    const retriever = await setup('hybrid-modes');
+    process.env.RETRIEVAL_MODE = 'keyword';
+    const [keyword] = await retriever.search('ERR-4012', 2);
+    assert.equal(keyword.vectorScore, undefined);
+    assert.ok(keyword.keywordScore > 0);
+
+    process.env.RETRIEVAL_MODE = 'vector';
+    const results = await retriever.search('ERR-4012', 2);
+    assert.ok(results.every((item) => item.keywordScore === undefined));
+  });
+
+  it('keeps excluded documents out of both rankings', async () => {
+    const retriever = await setup('hybrid-filter');
+    const filter = { documents: [], pageFrom: null, pageTo: null, excludedDocuments: ['manual.md'] };
+    const results = await retriever.search('ERR-4012 seal pump', 5, filter);
+    assert.deepEqual(results.map((item) => item.doc.metadata.chunkId), ['policy']);
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Job records are kept in DATA_DIR, read when the queue is imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-jobs-'));
+process.env.DATA_DIR = dataDir;
+const { IngestJobQueue, IngestJobError, ingestJobQueue } = await import('../services/ingestJobQueue.js');
+
+const jobsPath = path.join(dataDir, 'ingest-jobs');
+const uploadsPath = path.join(dataDir, 'uploads');
+
+const stage = async (...names) =>
+  Promise.all(
+    names.map(async (name) => {
+      const filePath = path.join(uploadsPath, name);
+      await fs.writeFile(filePath, `Contents of ${name}`);
+      return { name, path: filePath };
+    })
+  );
+
+/** Resolves with the job's next `done` or `error` event, once the job record is written */
+const finished = (queue, jobId) =>
+  new Promise((resolve) => {
+    const unsubscribe = queue.subscribe(jobId, (event) => {
+      if (event.type !== 'done' && event.type !== 'error') return;
+      unsubscribe();
+      // The record is written right after the event is sent
+      resolve(Promise.resolve().then(() => queue.writeQueue).then(() => event));
+    });
+  });
+
+const createQueue = async (t, ingest) => {
+  const queue = new IngestJobQueue();
+  t.mock.method(queue, 'ingest', ingest);
+  await queue.ready;
+  return queue;
+};
+
+const readJob = async (jobId) => JSON.parse(await fs.readFile(path.join(jobsPath, `${jobId}.json`), 'utf-8'));
+
+describe('IngestJobQueue', () => {
+  before(async () => {
+    // The shared queue restores from the same folder; let it finish before tests add jobs
+    await ingestJobQueue.ready;
+  });
+
+  after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    await fs.rm(jobsPath, { recursive: true, force: true });
+    await fs.mkdir(jobsPath, { recursive: true });
+    await fs.mkdir(uploadsPath, { recursive: true });
+  });
+
+  it('ingests a job and records each file', async (t) => {
+    const queue = await createQueue(t, async (job, files, onProgress) => {
+      onProgress({ type: 'file_done', file: 'a.md' });
+      onProgress({ type: 'file_skipped', file: 'b.md', reason: 'unchanged' });
+    });
+    const job = await queue.enqueue({ knowledgeBase: 'kb', uploads: await stage('a.md', 'b.md'), owner: 'u1' });
+    const event = await finished(queue, job.id);
+
+    assert.deepEqual(event.result, { ingested: 1, skipped: 1, failed: 0 });
+    const stored = await readJob(job.id);
+    assert.equal(stored.status, 'completed');
+    assert.deepEqual(stored.files.map((f) => f.status), ['done', 'skipped']);
+    assert.deepEqual(
+      stored.events.map((e) => e.type),
+      ['file_saved', 'file_saved', 'job_queued', 'job_started', 'file_done', 'file_skipped', 'done']
+    );
+  });
+
+  it('retries a failed job with only the files it did not finish', async (t) => {
+    const attempts = [];
+    const queue = await createQueue(t, async (job, files, onProgress) => {
+      attempts.push(files.map((f) => f.name));
+      onProgress({ type: 'file_done', file: files[0].name });
+      if (attempts.length === 1) throw new Error('Embedding service unavailable');
+    });
+    const job = await queue.enqueue({ knowledgeBase: 'kb', uploads: await stage('a.md', 'b.md') });
+
+    const error = await finished(queue, job.id);
+    assert.deepEqual(error, { type: 'error', message: 'Embedding service unavailable', retryable: true, seq: error.seq });
+    assert.equal((await readJob(job.id)).status, 'failed');
+
+    const retried = finished(queue, job.id);
+    await queue.retry(job.id);
+    assert.deepEqual((await retried).result, { ingested: 2, skipped: 0, failed: 0 });
+    assert.deepEqual(attempts, [['a.md', 'b.md'], ['b.md']]);
+    assert.equal(job.attempts, 2);
+
+    await assert.rejects(queue.retry(job.id), (e) => e instanceof IngestJobError && e.status === 409);
+  });
+
+  it('resumes jobs a restart interrupted', async (t) => {
+    const [a, b] = await stage('a.md', 'b.md');
+    const interrupted = {
+      id: 'interrupted-job',
+      status: 'running',
+      knowledgeBase: 'kb',
+      owner: null,
+      chunkStrategy: null,
+      files: [{ ...a, status: 'done' }, { ...b, status: 'pending' }],
+      events: [{ type: 'job_started', attempt: 1, seq: 1 }, { type: 'file_done', file: 'a.md', seq: 2 }],
+      result: null,
+      error: null,
+      attempts: 1,
+      createdAt: new Date().toISOString(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    await fs.writeFile(path.join(jobsPath, `${interrupted.id}.json`), JSON.stringify(interrupted));
+
+    const ingested = [];
+    const queue = new IngestJobQueue();
+    t.mock.method(queue, 'ingest', async (job, files, onProgress) => {
+      ingested.push(...files.map((f) => f.name));
+      onProgress({ type: 'file_done', file: 'b.md' });
+    });
+    const job = await queue.get(interrupted.id);
+    assert.equal(job.events[2].resumed, true);
+    await (job.status === 'completed' ? null : finished(queue, job.id));
+
+    assert.deepEqual(ingested, ['b.md']);
+    assert.deepEqual(job.result, { ingested: 2, skipped: 0, failed: 0 });
+    assert.equal(job.attempts, 2);
+  });
+
+  it('marks a job failed when its record cannot be written', async (t) => {
+    const queue = await createQueue(t, async () => {});
+    const persist = queue.persist.bind(queue);
+    let broken = true;
+    t.mock.method(queue, 'persist', async (job) => {
+      if (broken && job.status === 'running') throw new Error('disk full');
+      return persist(job);
+    });
+
+    const job = await queue.enqueue({ knowledgeBase: 'kb', uploads: await stage('a.md') });
+    const error = await finished(queue, job.id);
+    assert.equal(error.message, 'disk full');
+    assert.equal((await readJob(job.id)).status, 'failed');
+
+    // The queue goes on with the next job
+    broken = false;
+    const next = await queue.enqueue({ knowledgeBase: 'kb', uploads: await stage('b.md') });
+    assert.equal((await finished(queue, next.id)).type, 'done');
+  });
+
+  it('writes progress events at most every few seconds, settled files at once', async (t) => {
+    const queue = await createQueue(t, async (job, files, onProgress) => {
+      for (let stored = 1; stored <= 20; stored++) {
+        onProgress({ type: 'batch_stored', file: 'a.md', stored, total: 20 });
+      }
+      onProgress({ type: 'file_done', file: 'a.md' });
+    });
+    const job = await queue.enqueue({ knowledgeBase: 'kb', uploads: await stage('a.md') });
+    const persist = t.mock.method(queue, 'persist');
+    await finished(queue, job.id);
+
+    // file_done and done (job_started was written before the mock)
+    assert.equal(persist.mock.callCount(), 2);
+    assert.equal((await readJob(job.id)).events.length, 25);
+  });
+});
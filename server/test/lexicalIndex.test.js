@@ -0,0 +1,97 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+import { LexicalIndex, tokenize } from '../services/lexicalIndex.js';
+
+const chunk = (fileName, text, ingestId = 'run-1') =>
+  new Document({ pageContent: text, metadata: { fileName, source: `/docs/${fileName}`, ingestId, pageNumber: 1 } });
+
+const fileNames = (results) => results.map(([doc]) => doc.metadata.fileName);
+
+describe('tokenize', () => {
+  it('keeps joined codes whole as well as split', () => {
+    assert.deepEqual(tokenize('Error ERR-4012 on v2.1'), ['error', 'err-4012', 'err', '4012', 'on', 'v2.1', 'v2', '1']);
+  });
+});
+
+describe('LexicalIndex', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-lexical-'));
+    filePath = path.join(dir, 'lexical-index.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('ranks chunks with BM25, rarer and repeated terms first', async () => {
+    const index = new LexicalIndex(filePath);
+    await index.addDocuments([
+      chunk('a.md', 'The pump motor hums. The pump is quiet.'),
+      chunk('b.md', 'The pump shows error E4 when the motor overheats.'),
+      chunk('c.md', 'Travel policy: book flights early.'),
+    ]);
+
+    assert.deepEqual(fileNames(await index.search('error E4')), ['b.md']);
+    assert.deepEqual(fileNames(await index.search('pump')), ['a.md', 'b.md']);
+    assert.deepEqual(await index.search('submarine'), []);
+    assert.equal((await index.search('pump', 1)).length, 1);
+  });
+
+  it('applies retrieval filters', async () => {
+    const index = new LexicalIndex(filePath);
+    await index.addDocuments([chunk('a.md', 'pump manual'), chunk('b.md', 'pump warranty')]);
+    const filter = { documents: [], pageFrom: null, pageTo: null, excludedDocuments: ['a.md'] };
+    assert.deepEqual(fileNames(await index.search('pump', 4, filter)), ['b.md']);
+  });
+
+  it('removes a document, sparing its newest ingest run', async () => {
+    const index = new LexicalIndex(filePath);
+    await index.addDocuments([chunk('a.md', 'old pump text', 'run-1'), chunk('b.md', 'pump b')]);
+    await index.addDocuments([chunk('a.md', 'new pump text', 'run-2')]);
+
+    assert.equal(await index.removeDocument('a.md', 'run-2'), 1);
+    assert.deepEqual((await index.search('pump')).map(([doc]) => doc.pageContent).sort(), ['new pump text', 'pump b']);
+    assert.equal(await index.removeDocument('missing.md'), 0);
+  });
+
+  it('sees chunks another process wrote to the file', async () => {
+    const server = new LexicalIndex(filePath);
+    await server.addDocuments([chunk('a.md', 'pump manual')]);
+
+    // The ingest CLI has its own instance of the same file
+    const cli = new LexicalIndex(filePath);
+    await cli.addDocuments([chunk('b.md', 'pump warranty')]);
+
+    assert.deepEqual(fileNames(await server.search('pump')).sort(), ['a.md', 'b.md']);
+  });
+
+  it('keeps chunks another process wrote when it changes the file', async () => {
+    const server = new LexicalIndex(filePath);
+    await server.addDocuments([chunk('a.md', 'pump manual')]);
+    await server.search('pump');
+
+    const cli = new LexicalIndex(filePath);
+    await cli.addDocuments([chunk('b.md', 'pump warranty')]);
+    await server.addDocuments([chunk('c.md', 'pump seals')]);
+    await server.removeDocument('a.md');
+
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf-8')).chunks;
+    assert.deepEqual(stored.map(({ metadata }) => metadata.fileName).sort(), ['b.md', 'c.md']);
+  });
+
+  it('serializes concurrent changes', async () => {
+    const index = new LexicalIndex(filePath);
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => index.addDocuments([chunk(`${i}.md`, `pump part ${i}`)]))
+    );
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf-8')).chunks;
+    assert.equal(stored.length, 10);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadFile, getLoader, isSupportedFile } from '../utils/loaders/index.js';
+import { makeDocx } from './fixtures/makeDocx.js';
+
+describe('document loaders', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-loaders-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const write = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+
+  it('loads Word documents as Markdown sections by heading style', async () => {
+    const filePath = path.join(dir, 'manual.docx');
+    await makeDocx(filePath, [
+      { text: 'Setup', style: 'Heading1' },
+      { text: 'Plug in the pump & switch it on.' },
+      { text: 'Seals', style: 'Heading2' },
+      { text: 'Replace worn seals.' },
+    ]);
+
+    const { type, docs } = await loadFile(filePath);
+    assert.equal(type, 'docx');
+    assert.deepEqual(
+      docs.map((doc) => [doc.pageContent, doc.metadata.sectionIndex, doc.metadata.loc.pageNumber]),
+      [
+        ['# Setup\n\nPlug in the pump & switch it on.', 1, 0],
+        ['## Seals\n\nReplace worn seals.', 2, 0],
+      ]
+    );
+    assert.equal(docs[0].metadata.source, filePath);
+  });
+
+  it('loads CSV rows as "column: value" pairs in groups of 25', async () => {
+    const rows = Array.from({ length: 30 }, (_, idx) => `SKU-${idx + 1},Pump ${idx + 1},${idx % 2 ? '' : '10'}`);
+    const filePath = await write('parts.csv', `\uFEFFsku,name,price\n${rows.join('\n')}\n`);
+
+    const { type, docs } = await loadFile(filePath);
+    assert.equal(type, 'csv');
+    assert.deepEqual(docs.map((doc) => doc.metadata.rowGroup), [1, 2]);
+    const lines = docs[0].pageContent.split('\n');
+    assert.equal(lines.length, 25);
+    assert.equal(lines[0], 'Row 1: sku: SKU-1; name: Pump 1; price: 10');
+    // Empty cells are left out
+    assert.equal(lines[1], 'Row 2: sku: SKU-2; name: Pump 2');
+    assert.match(docs[1].pageContent, /^Row 26: sku: SKU-26/);
+  });
+
+  it('splits Markdown and HTML at headings, outside code fences', async () => {
+    const markdown = await loadFile(await write('notes.md', '# One\n\nText\n\n```\n# not a heading\n```\n\n# Two\n\nMore'));
+    assert.deepEqual(markdown.docs.map((doc) => doc.pageContent.split('\n')[0]), ['# One', '# Two']);
+
+    const html = await loadFile(
+      await write('page.html', '<html><head><title>x</title><script>var a;</script></head><body><h1>Intro</h1><p>Hello</p><h2>Usage</h2><p>Run it</p></body></html>')
+    );
+    assert.deepEqual(html.docs.map((doc) => doc.pageContent), ['# Intro\n\nHello', '## Usage\n\nRun it']);
+  });
+
+  it('picks loaders by extension before MIME type', () => {
+    assert.equal(getLoader('report.PDF').type, 'pdf');
+    assert.equal(getLoader('data.csv', 'application/octet-stream').type, 'csv');
+    assert.equal(getLoader('upload', 'text/markdown').type, 'markdown');
+    assert.equal(getLoader('archive.zip'), null);
+    assert.equal(isSupportedFile('notes.txt'), true);
+    assert.equal(isSupportedFile('image.png'), false);
+  });
+
+  it('rejects unsupported files', async () => {
+    await assert.rejects(loadFile(await write('image.png', 'x')), /Unsupported file type: image\.png/);
+  });
+});
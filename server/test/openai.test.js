@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OpenAIError,
+  parseChatCompletionRequest,
+  toChatCompletion,
+  toChatCompletionChunk,
+  toModel,
+} from '../utils/openai.js';
+
+const rejects = (body, pattern, status = 400) =>
+  assert.throws(
+    () => parseChatCompletionRequest(body),
+    (error) => error instanceof OpenAIError && error.status === status && pattern.test(error.message)
+  );
+
+describe('parseChatCompletionRequest', () => {
+  it('takes the last user message as the question and earlier turns as history', () => {
+    const request = parseChatCompletionRequest({
+      model: 'manuals',
+      stream: true,
+      messages: [
+        { role: 'system', content: 'Answer in French.' },
+        { role: 'user', content: 'What is the warranty?' },
+        { role: 'assistant', content: 'Two years.' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1' }] },
+        { role: 'tool', content: '{}', tool_call_id: 'call_1' },
+        { role: 'user', content: [{ type: 'text', text: 'And for ' }, { type: 'image_url' }, { type: 'text', text: 'seals?' }] },
+      ],
+    });
+
+    assert.equal(request.model, 'manuals');
+    assert.equal(request.question, 'And for seals?');
+    assert.equal(request.stream, true);
+    assert.equal(request.filter, null);
+    assert.deepEqual(
+      request.chatHistory.map((message) => [message._getType(), message.content]),
+      [
+        ['human', 'Instructions for this conversation:\nAnswer in French.'],
+        ['human', 'What is the warranty?'],
+        ['ai', 'Two years.'],
+      ]
+    );
+  });
+
+  it('passes the retrieval filter extension on', () => {
+    const { filter } = parseChatCompletionRequest({
+      model: 'manuals',
+      messages: [{ role: 'user', content: 'Seals?' }],
+      filter: { documents: ['pump.pdf'], pageFrom: 2 },
+    });
+    assert.deepEqual(filter.documents, ['pump.pdf']);
+    assert.equal(filter.pageFrom, 2);
+  });
+
+  it('rejects malformed requests', () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+    assert.throws(
+      () => parseChatCompletionRequest({ messages }),
+      (error) => error.code === 'invalid_model' && error.status === 400
+    );
+    rejects({ model: 'kb', messages: [] }, /non-empty array/);
+    rejects({ model: 'kb', messages, n: 2 }, /n=1/);
+    rejects({ model: 'kb', messages: [{ role: 'assistant', content: 'Hi' }] }, /last message must be a user message/);
+    rejects({ model: 'kb', messages: [{ role: 'user', content: '  ' }] }, /last message must be a user message/);
+    rejects({ model: 'kb', messages: [{ role: 'critic', content: 'x' }, ...messages] }, /Unsupported message role: "critic"/);
+    rejects({ model: 'kb', messages, filter: { pageFrom: -1 } }, /pageFrom/);
+  });
+});
+
+describe('OpenAI response mapping', () => {
+  const completion = { id: 'chatcmpl-1', created: 1700000000, model: 'manuals' };
+  const citations = [{ id: 1, fileName: 'pump.pdf', pageNumber: 3 }];
+
+  it('builds a chat.completion with citations', () => {
+    assert.deepEqual(toChatCompletion({ ...completion, answer: 'Two years [1].', citations }), {
+      ...completion,
+      object: 'chat.completion',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Two years [1].' }, finish_reason: 'stop' }],
+      citations,
+    });
+  });
+
+  it('builds chat.completion.chunk deltas, with citations on the last', () => {
+    assert.deepEqual(toChatCompletionChunk(completion, { content: 'Two' }), {
+      ...completion,
+      object: 'chat.completion.chunk',
+      choices: [{ index: 0, delta: { content: 'Two' }, finish_reason: null }],
+    });
+    const last = toChatCompletionChunk(completion, {}, { finishReason: 'stop', citations });
+    assert.equal(last.choices[0].finish_reason, 'stop');
+    assert.deepEqual(last.citations, citations);
+  });
+
+  it('describes knowledge bases as models', () => {
+    assert.deepEqual(toModel({ name: 'manuals', description: 'Pump manuals', createdAt: '2024-01-01T00:00:00.000Z' }), {
+      id: 'manuals',
+      object: 'model',
+      created: 1704067200,
+      owned_by: 'docutalk',
+      description: 'Pump manuals',
+    });
+    assert.equal(toModel({ name: 'default', description: '', createdAt: null }).created, 0);
+  });
+});
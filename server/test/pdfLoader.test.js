@@ -0,0 +1,193 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadPdf } from '../utils/loaders/pdfLoader.js';
+import { parseTesseractTsv } from '../utils/loaders/ocr.js';
+import { makePdf } from './fixtures/makePdf.js';
+
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+const word = (block, paragraph, line, conf, text) => `5\t1\t${block}\t${paragraph}\t${line}\t1\t0\t0\t10\t10\t${conf}\t${text}`;
+
+const OCR_ENV = ['OCR_ENABLED', 'OCR_MIN_CONFIDENCE', 'TESSERACT_PATH', 'PDFTOPPM_PATH'];
+
+describe('parseTesseractTsv', () => {
+  it('rebuilds lines and paragraphs and averages word confidence', () => {
+    const tsv = [
+      TSV_HEADER,
+      '1\t1\t0\t0\t0\t0\t0\t0\t10\t10\t-1\t',
+      word(1, 1, 1, 90, 'Scanned'),
+      word(1, 1, 1, 80, 'warranty'),
+      word(1, 1, 2, 70, 'three'),
+      word(1, 2, 1, 60, 'years'),
+      word(1, 2, 1, -1, 'ignored'),
+    ].join('\n');
+    assert.deepEqual(parseTesseractTsv(tsv), { text: 'Scanned warranty\nthree\n\nyears', confidence: 75 });
+  });
+
+  it('reports no confidence when no word was found', () => {
+    assert.deepEqual(parseTesseractTsv(TSV_HEADER), { text: '', confidence: null });
+  });
+});
+
+describe('loadPdf OCR', () => {
+  let dir;
+  let pdfPath;
+
+  // Stand-ins for pdftoppm (writes the page image) and tesseract (prints fixed TSV)
+  const fakeTools = async (confidence) => {
+    const pdftoppm = path.join(dir, 'pdftoppm');
+    await fs.writeFile(pdftoppm, '#!/bin/sh\nfor last; do :; done\necho image > "$last.png"\n', { mode: 0o755 });
+    const tesseract = path.join(dir, 'tesseract');
+    const tsv = [TSV_HEADER, word(1, 1, 1, confidence, 'Warranty'), word(1, 1, 1, confidence, 'covers'), word(1, 1, 1, confidence, 'motors')];
+    await fs.writeFile(tesseract, `#!/bin/sh\nprintf '${tsv.join('\\n')}\\n'\n`, { mode: 0o755 });
+    process.env.PDFTOPPM_PATH = pdftoppm;
+    process.env.TESSERACT_PATH = tesseract;
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-pdf-'));
+    pdfPath = path.join(dir, 'scan.pdf');
+    // Page 2 has no text layer, as if scanned
+    await makePdf(pdfPath, [[{ x: 72, y: 700, text: 'Page one has a proper text layer with enough characters.' }], []]);
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    for (const name of OCR_ENV) delete process.env[name];
+  });
+
+  const load = async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const warnings = [];
+    const docs = await loadPdf(pdfPath, { warn: (warning) => warnings.push(warning) });
+    return { docs, warnings };
+  };
+
+  it('reads pages without text with OCR and records the confidence', async (t) => {
+    await fakeTools(92);
+    const { docs, warnings } = await load(t);
+
+    assert.deepEqual(docs.map((doc) => doc.metadata.loc.pageNumber), [1, 2]);
+    assert.equal(docs[1].pageContent, 'Warranty covers motors');
+    assert.equal(docs[1].metadata.ocrConfidence, 92);
+    assert.equal(docs[0].metadata.ocrConfidence, undefined);
+    assert.deepEqual(warnings.map(({ code, pages }) => [code, pages]), [['ocr_used', [2]]]);
+  });
+
+  it('warns when OCR confidence is low', async (t) => {
+    await fakeTools(41);
+    process.env.OCR_MIN_CONFIDENCE = '60';
+    const { warnings } = await load(t);
+    assert.deepEqual(warnings.map(({ code }) => code), ['ocr_used', 'ocr_low_confidence']);
+    assert.match(warnings[1].message, /under 60% on page\(s\) 2/);
+  });
+
+  it('skips scanned pages with a warning when OCR is not installed', async (t) => {
+    process.env.TESSERACT_PATH = path.join(dir, 'missing-tesseract');
+    process.env.PDFTOPPM_PATH = path.join(dir, 'missing-pdftoppm');
+    const { docs, warnings } = await load(t);
+    assert.deepEqual(docs.map((doc) => doc.metadata.loc.pageNumber), [1]);
+    assert.deepEqual(warnings.map(({ code, pages }) => [code, pages]), [['ocr_unavailable', [2]]]);
+  });
+
+  it('skips scanned pages when OCR is disabled', async (t) => {
+    await fakeTools(92);
+    process.env.OCR_ENABLED = 'false';
+    const { docs, warnings } = await load(t);
+    assert.equal(docs.length, 1);
+    assert.equal(warnings[0].code, 'no_text');
+    assert.match(warnings[0].message, /OCR is disabled/);
+  });
+
+  it('reports pages OCR finds no text on', async (t) => {
+    await fakeTools(92);
+    await fs.writeFile(process.env.TESSERACT_PATH, `#!/bin/sh\nprintf '${TSV_HEADER}\\n'\n`, { mode: 0o755 });
+    const { docs, warnings } = await load(t);
+    assert.equal(docs.length, 1);
+    assert.deepEqual(warnings.map(({ code, pages }) => [code, pages]), [['no_text', [2]]]);
+  });
+});
+
+describe('loadPdf tables and figures', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-pdf-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.CHUNK_SIZE;
+  });
+
+  const row = (y, cells) => cells.map((text, idx) => ({ x: [72, 200, 320, 420][idx], y, text }));
+
+  const PRICING = [
+    { x: 72, y: 740, text: 'Pricing Overview', size: 16 },
+    { x: 72, y: 710, text: 'Our plans are billed monthly. Prices below exclude VAT and apply to all regions.' },
+    { x: 72, y: 680, text: 'Table 2: Subscription tiers' },
+    ...row(660, ['Tier', 'Price', 'Users', 'Support']),
+    ...row(645, ['Tier 1', '$10/month', '5', 'Email']),
+    ...row(630, ['Tier 2', '$25/month', '20', 'Phone']),
+    ...row(615, ['Tier 3', '$60/month', '100', 'Dedicated']),
+    { x: 72, y: 585, text: 'Discounts apply to annual contracts. Contact sales for details on enterprise plans.' },
+    { x: 72, y: 560, text: 'Figure 1: Monthly active users by tier, 2024.', size: 10 },
+  ];
+
+  const load = async (t, name, pages) => {
+    t.mock.method(console, 'log', () => {});
+    const filePath = path.join(dir, name);
+    await makePdf(filePath, pages);
+    return loadPdf(filePath);
+  };
+
+  it('extracts tables as row text answered from Markdown', async (t) => {
+    const docs = await load(t, 'pricing.pdf', [PRICING]);
+    const [table] = docs.filter((doc) => doc.metadata.contentType === 'table');
+
+    assert.equal(table.metadata.tableCaption, 'Table 2: Subscription tiers');
+    assert.equal(table.metadata.tableRows, '1-3');
+    assert.match(table.pageContent, /Tier: Tier 2; Price: \$25\/month; Users: 20; Support: Phone/);
+    assert.match(table.metadata.contextText, /\| Tier \| Price \| Users \| Support \|\n\| --- \| --- \| --- \| --- \|\n\| Tier 1 \| \$10\/month \| 5 \| Email \|/);
+
+    // The table is taken out of the page text
+    const [text] = docs.filter((doc) => !doc.metadata.contentType);
+    assert.doesNotMatch(text.pageContent, /\$25\/month/);
+    assert.match(text.pageContent, /Discounts apply/);
+  });
+
+  it('extracts figure captions', async (t) => {
+    const docs = await load(t, 'figure.pdf', [PRICING]);
+    const figures = docs.filter((doc) => doc.metadata.contentType === 'figure');
+    assert.deepEqual(figures.map((doc) => doc.pageContent), ['Figure 1: Monthly active users by tier, 2024.']);
+  });
+
+  it('splits long tables into row groups repeating the header', async (t) => {
+    process.env.CHUNK_SIZE = '100';
+    const docs = await load(t, 'long.pdf', [PRICING]);
+    const tables = docs.filter((doc) => doc.metadata.contentType === 'table');
+    assert.ok(tables.length > 1);
+    assert.equal(tables[0].metadata.tableRows, '1-1');
+    for (const table of tables) assert.match(table.metadata.contextText, /^Table 2: Subscription tiers\n\| Tier \| Price/);
+  });
+
+  it('does not mistake a two-column page for a table', async (t) => {
+    const left = ['The committee met in March to review', 'the proposed budget for the coming', 'year and discussed several options'];
+    const right = ['Members agreed that travel spending', 'should be cut by ten percent while', 'training budgets remain unchanged'];
+    const lines = left.flatMap((text, idx) => [
+      { x: 72, y: 700 - idx * 14, text },
+      { x: 320, y: 700 - idx * 14, text: right[idx] },
+    ]);
+    const docs = await load(t, 'columns.pdf', [lines]);
+    assert.deepEqual(docs.map((doc) => doc.metadata.contentType), [undefined]);
+  });
+});
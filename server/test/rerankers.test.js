@@ -0,0 +1,134 @@
+import { describe, it, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+
+// The keyword index of the retrieval tests is kept in DATA_DIR, read when the services are imported
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docutalk-rerank-'));
+process.env.DATA_DIR = dataDir;
+process.env.VECTOR_STORE = 'memory';
+process.env.EMBEDDING_PROVIDER = 'stub';
+process.env.LLM_PROVIDER = 'stub';
+process.env.CHROMA_COLLECTION = 'rerank-test';
+const { createReranker } = await import('../services/rerankers/index.js');
+const { LocalReranker } = await import('../services/rerankers/localReranker.js');
+const { LLMReranker } = await import('../services/rerankers/llmReranker.js');
+const { ragService } = await import('../services/RAGService.js');
+const { createVectorStore } = await import('../config/chroma.js');
+
+const candidate = (text, extra = {}) => ({ doc: new Document({ pageContent: text, metadata: { chunkId: text } }), ...extra });
+const texts = (ranked) => ranked.map(({ doc }) => doc.pageContent);
+
+const QUERY = 'How do I reset the router password?';
+const candidates = [
+  candidate('Our office opens at nine.'),
+  candidate('Reset the password from the admin page.'),
+  candidate('To reset the router password, hold the reset button.'),
+];
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('LocalReranker', () => {
+  it('scores term coverage and phrases, best first', async () => {
+    const ranked = await new LocalReranker(null).rerank(QUERY, candidates);
+    assert.deepEqual(texts(ranked), [
+      'To reset the router password, hold the reset button.',
+      'Reset the password from the admin page.',
+      'Our office opens at nine.',
+    ]);
+    assert.equal(ranked[0].score, 1);
+    assert.equal(ranked[2].score, 0);
+  });
+
+  it('blends in calibrated vector similarity', async () => {
+    const reranker = new LocalReranker({ floor: 0.5, range: 0.25 });
+    const [paraphrase] = await reranker.rerank(QUERY, [candidate('Our office opens at nine.', { vectorScore: 1 })]);
+    assert.equal(paraphrase.score, 0.5);
+    const [unrelated] = await reranker.rerank(QUERY, [candidate('Our office opens at nine.', { vectorScore: 0.25 })]);
+    assert.equal(unrelated.score, 0);
+  });
+
+  it('ignores vector similarity without a calibration', async () => {
+    const [scored] = await new LocalReranker(null).rerank(QUERY, [candidate('Our office opens at nine.', { vectorScore: 0.9 })]);
+    assert.equal(scored.score, 0);
+  });
+});
+
+describe('LLMReranker', () => {
+  const replying = (reply) => ({ invoke: async () => reply });
+
+  it("orders candidates by the model's 0-10 ratings", async () => {
+    const ranked = await new LLMReranker(replying('Ratings: [2, 9, 15]')).rerank(QUERY, candidates);
+    assert.deepEqual(ranked.map(({ score }) => score), [1, 0.9, 0.2]);
+    assert.equal(texts(ranked)[0], 'To reset the router password, hold the reset button.');
+  });
+
+  it('falls back to local scores when the reply cannot be used', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const local = await new LocalReranker().rerank(QUERY, candidates);
+    for (const reply of ['I think the second one.', '[1, 2]']) {
+      const ranked = await new LLMReranker(replying(reply)).rerank(QUERY, candidates);
+      assert.deepEqual(ranked.map(({ score }) => score), local.map(({ score }) => score));
+    }
+    const failing = { invoke: async () => { throw new Error('rate limited'); } };
+    assert.equal((await new LLMReranker(failing).rerank(QUERY, candidates)).length, 3);
+  });
+
+  it('does not call the model without candidates', async () => {
+    const llm = { invoke: async () => assert.fail('called') };
+    assert.deepEqual(await new LLMReranker(llm).rerank(QUERY, []), []);
+  });
+});
+
+describe('createReranker', () => {
+  it('keeps the fused order without scores for "none"', async () => {
+    const ranked = await createReranker('none').rerank(QUERY, candidates);
+    assert.deepEqual(texts(ranked), texts(candidates));
+    assert.ok(ranked.every(({ score }) => score === null));
+  });
+
+  it('rejects unknown names', () => {
+    assert.throws(() => createReranker('cohere'), /Unknown RERANKER: "cohere"/);
+  });
+});
+
+describe('relevance threshold', () => {
+  afterEach(() => {
+    delete process.env.RERANKER;
+    delete process.env.RELEVANCE_THRESHOLD;
+  });
+
+  const retrieve = async (query) => {
+    if (!ragService.knowledgeBases.size) {
+      const vectorStore = await createVectorStore('rerank-test');
+      await vectorStore.addDocuments(
+        candidates.map(({ doc }) => new Document({ pageContent: doc.pageContent, metadata: { source: '/docs/faq.md', fileName: 'faq.md', pageNumber: 0 } }))
+      );
+    }
+    return (await ragService.getRetriever()).invoke(query, 4);
+  };
+
+  it('drops chunks scored under RELEVANCE_THRESHOLD and keeps their scores', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    process.env.RELEVANCE_THRESHOLD = '0';
+    assert.equal((await retrieve(QUERY)).length, 3);
+
+    process.env.RELEVANCE_THRESHOLD = '0.75';
+    const docs = await retrieve(QUERY);
+    assert.deepEqual(docs.map((doc) => doc.pageContent), ['To reset the router password, hold the reset button.']);
+    assert.ok(docs[0].metadata.relevanceScore >= 0.75);
+  });
+
+  it('applies no threshold without reranker scores', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    process.env.RERANKER = 'none';
+    process.env.RELEVANCE_THRESHOLD = '0.99';
+    const docs = await retrieve(QUERY);
+    assert.equal(docs.length, 3);
+    assert.ok(docs.every((doc) => doc.metadata.relevanceScore === null));
+  });
+});
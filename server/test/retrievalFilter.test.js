@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@langchain/core/documents';
+import {
+  parseRetrievalFilter,
+  excludeDocuments,
+  toChromaWhere,
+  matchesRetrievalFilter,
+  chunkFileName,
+} from '../utils/retrievalFilter.js';
+import { MemoryVectorStore } from '../services/memoryVectorStore.js';
+import { StubEmbeddings } from '../config/stubModels.js';
+
+describe('parseRetrievalFilter', () => {
+  it('treats a missing or empty filter as no filter', () => {
+    assert.equal(parseRetrievalFilter(undefined), null);
+    assert.equal(parseRetrievalFilter(null), null);
+    assert.equal(parseRetrievalFilter({}), null);
+    assert.equal(parseRetrievalFilter({ documents: [] }), null);
+  });
+
+  it('normalizes documents and page bounds', () => {
+    assert.deepEqual(parseRetrievalFilter({ documents: ['a.pdf', 'b.md', 'a.pdf'], pageFrom: 2 }), {
+      documents: ['a.pdf', 'b.md'],
+      pageFrom: 2,
+      pageTo: null,
+    });
+    assert.deepEqual(parseRetrievalFilter({ pageFrom: 0, pageTo: 0 }), { documents: [], pageFrom: 0, pageTo: 0 });
+  });
+
+  it('rejects anything but an object', () => {
+    for (const raw of ['a.pdf', 3, ['a.pdf']]) {
+      assert.throws(() => parseRetrievalFilter(raw), /filter must be an object/);
+    }
+  });
+
+  it('rejects document names with path segments', () => {
+    for (const name of ['../auth.json', 'kb/a.pdf', '/etc/passwd', '']) {
+      assert.throws(() => parseRetrievalFilter({ documents: [name] }), /filter.documents/);
+    }
+  });
+
+  it('rejects malformed document lists', () => {
+    assert.throws(() => parseRetrievalFilter({ documents: 'a.pdf' }), /filter.documents/);
+    assert.throws(() => parseRetrievalFilter({ documents: [42] }), /filter.documents/);
+    const tooMany = Array.from({ length: 51 }, (_, i) => `doc-${i}.pdf`);
+    assert.throws(() => parseRetrievalFilter({ documents: tooMany }), /at most 50/);
+  });
+
+  it('rejects invalid page bounds', () => {
+    for (const bounds of [{ pageFrom: -1 }, { pageTo: 1.5 }, { pageFrom: '2' }]) {
+      assert.throws(() => parseRetrievalFilter(bounds), /non-negative integers/);
+    }
+    assert.throws(() => parseRetrievalFilter({ pageFrom: 5, pageTo: 2 }), /not be greater/);
+  });
+});
+
+describe('document ownership filtering', () => {
+  // The same documents, ingested on the host and read back in a container
+  const chunks = [
+    { fileName: 'private.pdf', source: '/home/alice/docutalk/server/documents/private.pdf', pageNumber: 1 },
+    { fileName: 'public.pdf', source: '/app/server/documents/public.pdf', pageNumber: 3 },
+  ];
+
+  it('adds hidden documents to any filter, without one too', () => {
+    assert.equal(excludeDocuments(null, []), null);
+    assert.deepEqual(excludeDocuments(null, ['private.pdf']), {
+      documents: [],
+      pageFrom: null,
+      pageTo: null,
+      excludedDocuments: ['private.pdf'],
+    });
+    const scoped = parseRetrievalFilter({ documents: ['public.pdf'], pageTo: 4 });
+    assert.deepEqual(excludeDocuments(scoped, ['private.pdf']).excludedDocuments, ['private.pdf']);
+  });
+
+  it('matches hidden documents on their name, not their absolute path', () => {
+    assert.deepEqual(toChromaWhere(excludeDocuments(null, ['private.pdf'])), { fileName: { $nin: ['private.pdf'] } });
+    const filter = excludeDocuments(null, ['private.pdf']);
+    assert.deepEqual(
+      chunks.filter((metadata) => matchesRetrievalFilter(metadata, filter)).map(chunkFileName),
+      ['public.pdf']
+    );
+  });
+
+  it('falls back to the file name of source for chunks without fileName', () => {
+    const legacy = { source: '/elsewhere/private.pdf', pageNumber: 1 };
+    assert.equal(chunkFileName(legacy), 'private.pdf');
+    assert.equal(matchesRetrievalFilter(legacy, excludeDocuments(null, ['private.pdf'])), false);
+  });
+
+  it('keeps hidden documents out even when the scope names them', () => {
+    const filter = excludeDocuments(parseRetrievalFilter({ documents: ['private.pdf', 'public.pdf'] }), ['private.pdf']);
+    assert.deepEqual(toChromaWhere(filter), {
+      $and: [{ fileName: { $in: ['private.pdf', 'public.pdf'] } }, { fileName: { $nin: ['private.pdf'] } }],
+    });
+    assert.equal(matchesRetrievalFilter(chunks[0], filter), false);
+    assert.equal(matchesRetrievalFilter(chunks[1], filter), true);
+  });
+
+  it('keeps hidden documents out of vector search results', async () => {
+    const vectorStore = new MemoryVectorStore(new StubEmbeddings(), { collectionName: 'ownership-test' });
+    await vectorStore.addDocuments(
+      chunks.map((metadata) => new Document({ pageContent: `pricing plan of ${metadata.fileName}`, metadata }))
+    );
+
+    const where = toChromaWhere(excludeDocuments(null, ['private.pdf']));
+    const results = await vectorStore.similaritySearchWithScore('pricing plan', 10, where);
+    assert.deepEqual(results.map(([doc]) => doc.metadata.fileName), ['public.pdf']);
+    assert.equal((await vectorStore.similaritySearchWithScore('pricing plan', 10, toChromaWhere(null))).length, 2);
+  });
+
+  it('applies page bounds with the exclusion', () => {
+    const filter = excludeDocuments(parseRetrievalFilter({ pageFrom: 2 }), ['private.pdf']);
+    assert.deepEqual(toChromaWhere(filter), {
+      $and: [{ fileName: { $nin: ['private.pdf'] } }, { pageNumber: { $gte: 2 } }],
+    });
+    assert.equal(matchesRetrievalFilter(chunks[1], filter), true);
+    assert.equal(matchesRetrievalFilter({ ...chunks[1], pageNumber: 1 }, filter), false);
+  });
+});
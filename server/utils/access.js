@@ -0,0 +1,30 @@
+/**
+ * Ownership rules shared by routes, services and tools.
+ *
+ * Documents and ingest jobs record the id of the user who uploaded them. Admins see and manage
+ * everything; other users see their own documents plus unowned ones (ingested from the CLI or
+ * before authentication existed), and only manage their own. A null user means a trusted
+ * in-process caller (CLI scripts) and is unrestricted.
+ */
+
+/**
+ * @param {Object|null} user - Authenticated user
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => user?.role === 'admin';
+
+/**
+ * Whether a user may see (search, list, inspect) something owned by `owner`.
+ * @param {Object|null} user - Authenticated user
+ * @param {string|null} owner - Owner's user id, null for shared
+ * @returns {boolean}
+ */
+export const canView = (user, owner) => !user || isAdmin(user) || !owner || owner === user.id;
+
+/**
+ * Whether a user may change or delete something owned by `owner`.
+ * @param {Object|null} user - Authenticated user
+ * @param {string|null} owner - Owner's user id, null for shared
+ * @returns {boolean}
+ */
+export const canModify = (user, owner) => !user || isAdmin(user) || (!!owner && owner === user.id);
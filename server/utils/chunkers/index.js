@@ -0,0 +1,171 @@
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
+import { Document } from '@langchain/core/documents';
+import { CHUNK_STRATEGIES, getChunkingConfig } from '../../config/chunking.js';
+import { createHeadingTracker, splitSections, positionOf } from './sections.js';
+
+const SEPARATORS = ['\n\n', '\n', '. ', ' ', ''];
+// Sentences shorter than this ("Dr.", "Why?") are joined to their neighbour
+const MIN_SENTENCE_LENGTH = 20;
+
+/**
+ * Error carrying an HTTP status, thrown for an unknown strategy requested by a client.
+ */
+export class ChunkStrategyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChunkStrategyError';
+    this.status = status;
+  }
+}
+
+const createSplitter = (chunkSize, chunkOverlap) =>
+  new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap, separators: SEPARATORS });
+
+const toChunk = (text, { pageNumber, sectionIndex, rowGroup, title }, extra = {}) =>
+  new Document({
+    pageContent: text,
+    metadata: {
+      loc: { pageNumber },
+      ...(sectionIndex !== undefined && { sectionIndex }),
+      ...(rowGroup !== undefined && { rowGroup }),
+      ...(title && { sectionTitle: title }),
+      ...extra,
+    },
+  });
+
+const splitSentences = (text) => {
+  const segmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+  const sentences = [];
+  // Paragraphs and headings end a sentence even without punctuation
+  for (const block of text.split(/\n\s*\n|\n(?=#)/)) {
+    for (const { segment } of segmenter.segment(block.replace(/\s+/g, ' ').trim())) {
+      const sentence = segment.trim();
+      if (!sentence) continue;
+      const last = sentences.length - 1;
+      if (last >= 0 && (sentences[last].length < MIN_SENTENCE_LENGTH || sentence.length < MIN_SENTENCE_LENGTH)) {
+        sentences[last] = `${sentences[last]} ${sentence}`;
+      } else {
+        sentences.push(sentence);
+      }
+    }
+  }
+  return sentences;
+};
+
+/**
+ * Chunking strategies. Each turns loaded pages into chunks whose metadata carries
+ * `loc.pageNumber` (with `sectionIndex`/`rowGroup` for formats without pages) and, when
+ * known, `sectionTitle` (the heading path). Strategies that search
+ * small chunks but answer from more text put that text in `contextText`; retrieval sends it
+ * to the LLM instead of the chunk (see RAGService). Parent-child chunks also carry
+ * `parentIndex`, so several hits in one parent are sent once.
+ */
+const STRATEGIES = {
+  /** Fixed-size recursive splitting of each page; sections only supply titles */
+  fixed: async (docs, fileType, config) => {
+    const splitter = createSplitter(config.chunkSize, config.chunkOverlap);
+    const tracker = createHeadingTracker(fileType);
+    const chunks = [];
+
+    for (const doc of docs) {
+      const titleAtLine = doc.pageContent.split(/\r?\n/).map((line) => {
+        tracker.read(line);
+        return tracker.title();
+      });
+      const position = positionOf(doc);
+      for (const piece of await splitter.splitDocuments([doc])) {
+        const title = titleAtLine[(piece.metadata.loc?.lines?.from ?? 1) - 1];
+        chunks.push(toChunk(piece.pageContent, { ...position, title }));
+      }
+    }
+    return chunks;
+  },
+
+  /** One chunk per heading section, split further only when a section is too long */
+  section: async (docs, fileType, config) => {
+    const splitter = createSplitter(config.chunkSize, config.chunkOverlap);
+    const chunks = [];
+    for (const section of splitSections(docs, fileType)) {
+      for (const text of await splitter.splitText(section.text)) {
+        chunks.push(toChunk(text, section));
+      }
+    }
+    return chunks;
+  },
+
+  /** One chunk per sentence, answered from the sentences around it within its section */
+  'sentence-window': async (docs, fileType, config) => {
+    const chunks = [];
+    for (const section of splitSections(docs, fileType)) {
+      const sentences = splitSentences(section.text);
+      sentences.forEach((sentence, idx) => {
+        const window = sentences
+          .slice(Math.max(0, idx - config.windowSentences), idx + config.windowSentences + 1)
+          .join(' ');
+        chunks.push(toChunk(sentence, section, window !== sentence ? { contextText: window } : {}));
+      });
+    }
+    return chunks;
+  },
+
+  /** Small child chunks are searched; the larger parent section they belong to is answered from */
+  'parent-child': async (docs, fileType, config) => {
+    const parentSplitter = createSplitter(config.parentSize, 0);
+    const childSplitter = createSplitter(config.childSize, Math.floor(config.childSize / 8));
+    const chunks = [];
+    let parentIndex = 0;
+
+    for (const section of splitSections(docs, fileType)) {
+      for (const parent of await parentSplitter.splitText(section.text)) {
+        for (const child of await childSplitter.splitText(parent)) {
+          chunks.push(toChunk(child, section, { parentIndex, ...(child !== parent && { contextText: parent }) }));
+        }
+        parentIndex++;
+      }
+    }
+    return chunks;
+  },
+};
+
+/**
+ * Strategy for a file: the one requested for the upload, else CHUNK_STRATEGY_BY_TYPE's
+ * entry for the file type, else CHUNK_STRATEGY.
+ * @param {string} fileType - Loader type (pdf, docx, markdown, html, text, csv)
+ * @param {string|null} requested - Strategy chosen for the upload, if any
+ * @returns {string}
+ */
+export const resolveChunkStrategy = (fileType, requested = null) => {
+  const { strategy, byType } = getChunkingConfig();
+  return requested || byType[fileType] || strategy;
+};
+
+/**
+ * Validate a strategy name sent by a client. Empty and "auto" mean "by file type".
+ * @param {unknown} value - Requested strategy
+ * @returns {string|null} The strategy, or null for the configured default
+ * @throws {ChunkStrategyError} 400 for an unknown strategy
+ */
+export const parseChunkStrategy = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'auto') return null;
+  if (!CHUNK_STRATEGIES.includes(value)) {
+    throw new ChunkStrategyError(`Unknown chunk strategy "${value}". Supported: auto, ${CHUNK_STRATEGIES.join(', ')}`);
+  }
+  return value;
+};
+
+// Tables and figure captions come out of the PDF loader as finished chunks
+const isStructured = (doc) => doc.metadata?.contentType === 'table' || doc.metadata?.contentType === 'figure';
+
+/**
+ * Split loaded documents into chunks with the given strategy. Table and figure documents
+ * are kept whole, with their metadata, and ordered by page among the text chunks.
+ * @param {Array} docs - Documents from loadFile()
+ * @param {{ strategy: string, fileType: string }} options
+ * @returns {Promise<Document[]>}
+ */
+export const chunkDocuments = async (docs, { strategy, fileType }) => {
+  const chunks = await STRATEGIES[strategy](docs.filter((doc) => !isStructured(doc)), fileType, getChunkingConfig());
+  return [...chunks, ...docs.filter(isStructured)].sort((a, b) => (a.metadata.loc?.pageNumber || 0) - (b.metadata.loc?.pageNumber || 0));
+};
+
+export { CHUNK_STRATEGIES };
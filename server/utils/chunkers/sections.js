@@ -0,0 +1,105 @@
+// Markdown, HTML and Word documents are loaded as Markdown (see utils/loaders/), so their
+// headings are explicit; PDF and plain text only have layout, so headings are guessed
+const MARKDOWN_TYPES = new Set(['markdown', 'html', 'docx']);
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const FENCE = /^(```|~~~)/;
+// "2.1 Installation", "3. Safety notes": short, capitalised, no sentence punctuation at the end
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2})*)\.?\s+(\p{Lu}[^.!?:;]{1,78})$/u;
+// "WARRANTY", "TERMS AND CONDITIONS"
+const CAPS_HEADING = /^(?=(?:.*\p{Lu}){3})[\p{Lu}\d][\p{Lu}\d\s,&/'()-]{2,59}$/u;
+const MAX_NUMBERED_HEADING_WORDS = 8;
+
+const cleanTitle = (title) => title.replace(/[*_`]/g, '').trim();
+
+/**
+ * Track the heading path ("Maintenance > Seals") while reading a document line by line.
+ * @param {string} fileType - Loader type of the document
+ * @returns {{ read: (line: string) => boolean, title: () => string }} read() consumes a line and
+ *   tells whether it was a heading; title() is the path of the headings read so far
+ */
+export const createHeadingTracker = (fileType) => {
+  const stack = [];
+  const markdown = MARKDOWN_TYPES.has(fileType);
+  let inFence = false;
+
+  const push = (level, title) => {
+    stack.length = level - 1;
+    stack[level - 1] = cleanTitle(title);
+  };
+
+  return {
+    read(rawLine) {
+      const line = rawLine.trim();
+      if (markdown) {
+        if (FENCE.test(line)) inFence = !inFence;
+        const match = !inFence && line.match(MARKDOWN_HEADING);
+        if (match) push(match[1].length, match[2]);
+        return !!match;
+      }
+
+      const numbered = line.match(NUMBERED_HEADING);
+      if (numbered && numbered[2].split(/\s+/).length <= MAX_NUMBERED_HEADING_WORDS) {
+        push(numbered[1].split('.').length, line);
+        return true;
+      }
+      if (CAPS_HEADING.test(line)) {
+        push(1, line);
+        return true;
+      }
+      return false;
+    },
+    title: () => stack.filter(Boolean).join(' > '),
+  };
+};
+
+// Where a loaded document sits in a file without pages (see utils/loaders/)
+const POSITION_FIELDS = ['sectionIndex', 'rowGroup'];
+
+/**
+ * Position of a loaded document that its chunks carry: the page number, and the section
+ * index or row group of formats without pages.
+ * @param {Object} doc - Loaded document
+ * @returns {{ pageNumber: number, sectionIndex?: number, rowGroup?: number }}
+ */
+export const positionOf = (doc) => ({
+  pageNumber: doc.metadata?.loc?.pageNumber || 0,
+  ...Object.fromEntries(
+    POSITION_FIELDS.filter((field) => doc.metadata?.[field] !== undefined).map((field) => [field, doc.metadata[field]])
+  ),
+});
+
+/**
+ * Regroup loaded pages into sections that start at headings. A section never spans two
+ * pages, so its page number stays exact; the heading path carries over to the next page.
+ * @param {Array} docs - Loaded documents (pages or sections) with `loc.pageNumber` metadata
+ * @param {string} fileType - Loader type of the file
+ * @returns {Array<{ title: string, text: string, pageNumber: number, sectionIndex?: number, rowGroup?: number }>}
+ */
+export const splitSections = (docs, fileType) => {
+  const tracker = createHeadingTracker(fileType);
+  const sections = [];
+  let current = null;
+
+  const flush = () => {
+    const text = current?.lines.join('\n').trim();
+    if (text) sections.push({ title: current.title, text, ...current.position });
+  };
+
+  for (const doc of docs) {
+    const position = positionOf(doc);
+    flush();
+    current = { title: tracker.title(), lines: [], position };
+
+    for (const line of doc.pageContent.split(/\r?\n/)) {
+      if (tracker.read(line)) {
+        flush();
+        current = { title: tracker.title(), lines: [], position };
+      }
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+};
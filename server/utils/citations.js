@@ -0,0 +1,56 @@
+import { chunkFileName } from './retrievalFilter.js';
+
+const SNIPPET_LENGTH = 300;
+
+/**
+ * Trim a chunk's text to a short, single-line snippet for display.
+ * @param {string} text - Raw chunk text
+ * @returns {string} Snippet of at most SNIPPET_LENGTH characters
+ */
+const toSnippet = (text = '') => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.substring(0, SNIPPET_LENGTH)}…` : flat;
+};
+
+/**
+ * Build structured citations from retrieved documents.
+ * Citation ids are 1-based and match the numbered context blocks sent to the LLM.
+ * @param {Array} docs - Retrieved LangChain documents
+ * @returns {Array<{ id: number, fileName: string, pageNumber: number, chunkId: number|null, snippet: string, sectionTitle: string|null, contentType: string, ocrConfidence: number|null, score: number|null }>}
+ */
+export const buildCitations = (docs) => {
+  return docs.map((doc, idx) => {
+    return {
+      id: idx + 1,
+      fileName: chunkFileName(doc.metadata) || 'unknown',
+      pageNumber: doc.metadata?.pageNumber ?? 0,
+      chunkId: doc.metadata?.chunkId ?? null,
+      // The chunk that matched, when the context sent was widened around it
+      snippet: toSnippet(doc.metadata?.matchedText ?? doc.pageContent),
+      sectionTitle: doc.metadata?.sectionTitle ?? null,
+      contentType: doc.metadata?.contentType ?? 'text',
+      // Set when the page was read with OCR, so the text may be misread
+      ocrConfidence: doc.metadata?.ocrConfidence ?? null,
+      score: doc.metadata?.relevanceScore ?? null,
+    };
+  });
+};
+
+// Tables arrive as Markdown (their contextText), so the header says what a block holds
+const CONTENT_LABELS = { table: ', table', figure: ', figure caption' };
+
+/**
+ * Format retrieved documents as numbered context blocks the LLM can cite with [n] markers.
+ * @param {Array} docs - Retrieved LangChain documents
+ * @returns {string} Context string for the prompt
+ */
+export const formatContextWithCitations = (docs) => {
+  return docs
+    .map((doc, idx) => {
+      const fileName = chunkFileName(doc.metadata) || 'unknown';
+      const page = doc.metadata?.pageNumber ? `, page ${doc.metadata.pageNumber}` : '';
+      const section = doc.metadata?.sectionTitle ? `, section: ${doc.metadata.sectionTitle}` : '';
+      return `[${idx + 1}] (${fileName}${page}${section}${CONTENT_LABELS[doc.metadata?.contentType] ?? ''})\n${doc.pageContent}`;
+    })
+    .join('\n\n---\n\n');
+};
@@ -2,7 +2,8 @@ import { ChromaClient } from 'chromadb';
 import 'dotenv/config';
 
 const url = process.env.CHROMA_URL || 'http://localhost:8000';
-const collectionName = process.env.CHROMA_COLLECTION || 'rag-collection';
+// Usage: node utils/cleanChroma.js [knowledgeBase]
+const collectionName = process.argv[2] || process.env.CHROMA_COLLECTION || 'rag-collection';
 
 const client = new ChromaClient({ path: url });
 
@@ -1,6 +1,11 @@
-import { PDFLoader } from '@langchain/community/document_loaders/fs/pdf';
-import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters';
 import { createVectorStore } from '../config/chroma.js';
+import { getDocumentRegistry } from '../services/documentRegistry.js';
+import { getLexicalIndex } from '../services/lexicalIndex.js';
+import { knowledgeBaseService } from '../services/knowledgeBaseService.js';
+import { loadFile, isSupportedFile, SUPPORTED_EXTENSIONS } from './loaders/index.js';
+import { chunkDocuments, resolveChunkStrategy } from './chunkers/index.js';
+import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -11,8 +16,133 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
-export async function ingestDocuments(documentsPath = null, progressCallback = null, fileNames = null) {
-  const docsPath = documentsPath || path.join(__dirname, '../documents');
+/**
+ * Compute the SHA-256 hex digest of a file's contents.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<string>}
+ */
+export const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (data) => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+
+/**
+ * Move a file, falling back to copy + delete across devices (e.g. Docker volumes).
+ */
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.rm(from, { force: true });
+  }
+};
+
+// Attempts per chunk batch before a file is given up on (INGEST_BATCH_RETRIES extra tries)
+const getBatchAttempts = () => {
+  const retries = Number(process.env.INGEST_BATCH_RETRIES ?? 3);
+  return Number.isInteger(retries) && retries >= 0 ? retries + 1 : 4;
+};
+
+const BATCH_RETRY_DELAY_MS = 1000;
+
+// Chunk metadata read per request while backfilling
+const BACKFILL_PAGE_SIZE = 500;
+
+// Collection name -> backfill of this process, so each collection is checked once
+const backfills = new Map();
+
+/**
+ * Give chunks ingested before they carried a `fileName` their document name, taken from the
+ * file name of `source`. Retrieval filters and removals match chunks on `fileName` (see
+ * chunkFileName in retrievalFilter.js). Runs once per collection and process, reading the
+ * metadata a page at a time.
+ * @param {Object} vectorStore - Chroma vector store
+ * @returns {Promise<void>}
+ */
+export const backfillChunkFileNames = (vectorStore) => {
+  const name = vectorStore.collectionName;
+  if (!backfills.has(name)) {
+    const pending = (async () => {
+      const collection = await vectorStore.ensureCollection();
+      let updated = 0;
+      for (let offset = 0; ; offset += BACKFILL_PAGE_SIZE) {
+        const page = await collection.get({ include: ['metadatas'], limit: BACKFILL_PAGE_SIZE, offset });
+        const missing = page.ids
+          .map((id, idx) => ({ id, metadata: page.metadatas[idx] }))
+          .filter(({ metadata }) => metadata?.source && !metadata.fileName);
+        if (missing.length > 0) {
+          await collection.update({
+            ids: missing.map(({ id }) => id),
+            metadatas: missing.map(({ metadata }) => ({ ...metadata, fileName: path.basename(metadata.source) })),
+          });
+          updated += missing.length;
+        }
+        if (page.ids.length < BACKFILL_PAGE_SIZE) break;
+      }
+      if (updated > 0) console.log(`🏷️  Backfilled the document name of ${updated} chunk(s) in ${name}`);
+    })();
+    // Don't remember a failed backfill, so the next use retries
+    pending.catch(() => backfills.delete(name));
+    backfills.set(name, pending);
+  }
+  return backfills.get(name);
+};
+
+/**
+ * Remove every chunk of a document from the vector store, optionally sparing one ingest run.
+ * Chunks are matched on their `fileName` (see backfillChunkFileNames), so chunks written from
+ * a different absolute path (host vs. container) are found too, and only the document's own
+ * chunks are read.
+ * @param {Object} vectorStore - Chroma vector store
+ * @param {string} fileName - Document name
+ * @param {string|null} keepIngestId - Chunks from this ingest run are kept
+ * @returns {Promise<number>} Number of chunks removed
+ */
+export const removeDocumentChunks = async (vectorStore, fileName, keepIngestId = null) => {
+  await backfillChunkFileNames(vectorStore);
+  const collection = await vectorStore.ensureCollection();
+  const result = await collection.get({ where: { fileName }, include: ['metadatas'] });
+
+  const ids = result.ids.filter((_id, idx) => !keepIngestId || result.metadatas[idx]?.ingestId !== keepIngestId);
+
+  if (ids.length > 0) {
+    await collection.delete({ ids });
+  }
+  return ids.length;
+};
+
+/**
+ * Ingest files into the vector store and the keyword (BM25) index.
+ *
+ * Each file is hashed first: unchanged files and exact duplicates of another document
+ * are skipped. A changed file is stored as a new version; its old chunks are only removed
+ * once every new chunk is stored. A failed batch is retried with a growing delay
+ * (INGEST_BATCH_RETRIES); if it keeps failing, the new chunks are rolled back instead.
+ *
+ * @param {string|null} documentsPath - Folder holding the stored originals (defaults to the knowledge base's folder)
+ * @param {Function|null} progressCallback - Receives progress events
+ * @param {Array<string|{ name: string, path: string }>|null} fileNames - Names of files in the folder,
+ *   or staged uploads ({ name, path }) that are moved into the folder once ingested. Defaults to the whole folder.
+ * @param {{ force?: boolean, knowledgeBase?: string, owner?: string, chunkStrategy?: string|null }} options - force
+ *   re-ingests even when the content is unchanged; knowledgeBase selects the target collection (default
+ *   CHROMA_COLLECTION); owner is the uploading user's id: new documents are recorded as theirs and names owned by
+ *   anyone else are refused (without an owner, as from the CLI, documents are unowned and visible to every user);
+ *   chunkStrategy applies to every file instead of the per-type default (see utils/chunkers/)
+ * @returns {Promise<{ ingested: number, skipped: number, failed: number }|undefined>}
+ */
+export async function ingestDocuments(documentsPath = null, progressCallback = null, fileNames = null, options = {}) {
+  const { force = false, owner = null, chunkStrategy = null } = options;
+  const knowledgeBase = knowledgeBaseService.resolveName(options.knowledgeBase);
+  const kbPaths = knowledgeBaseService.getPaths(knowledgeBase);
+  const docsPath = documentsPath || kbPaths.documentsPath;
+  const documentRegistry = getDocumentRegistry(kbPaths.registryPath);
+  const lexicalIndex = getLexicalIndex(kbPaths.lexicalIndexPath);
 
   try {
     console.log('📚 Document Ingestion Started');
@@ -25,60 +155,144 @@ export async function ingestDocuments(documentsPath = null, progressCallback = n
 
     let files;
     if (fileNames && fileNames.length > 0) {
-      files = fileNames.map((name) => path.join(docsPath, name));
+      files = fileNames.map((entry) =>
+        typeof entry === 'string' ? { name: entry, path: path.join(docsPath, entry) } : entry
+      );
     } else {
       files = fs
         .readdirSync(docsPath)
-        .filter((file) => file.endsWith('.pdf'))
-        .map((file) => path.join(docsPath, file));
+        .filter((file) => isSupportedFile(file))
+        .map((file) => ({ name: file, path: path.join(docsPath, file) }));
     }
 
     if (files.length === 0) {
-      console.log('⚠️  No PDF files found in documents folder');
-      console.log(`📂 Please add PDF files to: ${path.resolve(docsPath)}`);
+      console.log('⚠️  No supported files found in documents folder');
+      console.log(`📂 Please add ${SUPPORTED_EXTENSIONS.join(', ')} files to: ${path.resolve(docsPath)}`);
       return;
     }
 
-    console.log(`📄 Processing ${files.length} PDF file(s):`);
+    console.log(`📄 Processing ${files.length} file(s):`);
     files.forEach((file, idx) => {
-      console.log(`   ${idx + 1}. ${path.basename(file)}`);
+      console.log(`   ${idx + 1}. ${file.name}`);
     });
 
-    const textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
-      separators: ['\n\n', '\n', '. ', ' ', ''],
-    });
-
-    const vectorStore = await createVectorStore();
+    const vectorStore = await createVectorStore(knowledgeBase);
+    await backfillChunkFileNames(vectorStore);
+    await lexicalIndex.ensureBuilt(vectorStore);
 
     let totalPages = 0;
     let totalChunks = 0;
+    let ingestedFiles = 0;
+    let skippedFiles = 0;
+    let failedFiles = 0;
+
+    for (const { name: basename, path: filePath } of files) {
+      const targetPath = path.join(docsPath, basename);
+      const isStaged = path.resolve(filePath) !== path.resolve(targetPath);
+      const discardStaged = () => (isStaged ? fs.promises.rm(filePath, { force: true }) : null);
 
-    for (const filePath of files) {
-      const basename = path.basename(filePath);
       console.log(`\n📖 Loading: ${basename}`);
 
-      const loader = new PDFLoader(filePath);
-      const docs = await loader.load();
-      console.log(`   ✅ Loaded ${docs.length} page(s)`);
-      totalPages += docs.length;
-
-      const splitDocs = await textSplitter.splitDocuments(docs);
-      console.log(`   ✅ Created ${splitDocs.length} chunks`);
-
-      splitDocs.forEach((doc, idx) => {
-        doc.metadata = {
-          source: doc.metadata.source || 'unknown',
-          pageNumber: doc.metadata.loc?.pageNumber || 0,
-          chunkId: idx,
-          totalChunks: splitDocs.length,
-        };
-      });
+      const existingOwner = await documentRegistry.getOwner(basename);
+      if (owner && existingOwner !== undefined && existingOwner !== owner) {
+        console.log(`   ⛔ ${basename} belongs to another user — refusing to replace it`);
+        progressCallback?.({
+          type: 'file_error',
+          file: basename,
+          message: 'A document with this name already exists and belongs to someone else; rename the file',
+        });
+        failedFiles++;
+        await discardStaged();
+        continue;
+      }
+
+      const contentHash = await hashFile(filePath);
+      const current = await documentRegistry.getCurrent(basename);
+
+      if (!force) {
+        if (current?.contentHash === contentHash) {
+          console.log(`   ⏭️  Unchanged (version ${current.version}) — skipping`);
+          progressCallback?.({ type: 'file_skipped', file: basename, reason: 'unchanged', version: current.version });
+          skippedFiles++;
+          await discardStaged();
+          continue;
+        }
+
+        const duplicateOf = await documentRegistry.findByHash(contentHash, owner);
+        if (duplicateOf && duplicateOf !== basename) {
+          console.log(`   ⏭️  Identical to ${duplicateOf} — skipping`);
+          progressCallback?.({ type: 'file_skipped', file: basename, reason: 'duplicate', duplicateOf });
+          skippedFiles++;
+          await discardStaged();
+          continue;
+        }
+      }
+
+      const ingestId = uuidv4();
+
+      let splitDocs;
+      let strategy;
+      try {
+        const { type: fileType, docs, warnings } = await loadFile(filePath);
+        console.log(`   ✅ Loaded ${docs.length} page(s)/section(s) as ${fileType}`);
+        totalPages += docs.length;
+
+        strategy = resolveChunkStrategy(fileType, chunkStrategy);
+        splitDocs = await chunkDocuments(docs, { strategy, fileType });
+        console.log(`   ✅ Created ${splitDocs.length} chunks (${strategy})`);
+
+        if (splitDocs.length === 0) {
+          warnings.push({
+            code: 'empty',
+            message: 'No text could be extracted, so the document is stored but cannot be searched',
+          });
+        }
+        for (const warning of warnings) {
+          console.log(`   ⚠️  ${warning.message}`);
+          progressCallback?.({ type: 'file_warning', file: basename, ...warning });
+        }
+
+        // Pages read with OCR pass their confidence on to their chunks
+        const ocrConfidence = new Map(
+          docs
+            .filter((doc) => doc.metadata.ocrConfidence !== undefined)
+            .map((doc) => [doc.metadata.loc?.pageNumber, doc.metadata.ocrConfidence])
+        );
+
+        splitDocs.forEach((doc, idx) => {
+          const { loc, ...chunkMetadata } = doc.metadata;
+          const pageNumber = loc?.pageNumber || 0;
+          doc.metadata = {
+            // sectionTitle, sectionIndex/rowGroup for formats without pages, contextText/parentIndex
+            // for strategies answering from more text, and tableIndex/tableRows/tableCaption for tables
+            ...chunkMetadata,
+            contentType: chunkMetadata.contentType ?? 'text',
+            ...(ocrConfidence.has(pageNumber) && { ocrConfidence: ocrConfidence.get(pageNumber) }),
+            // Staged uploads are read from a temp path but cited by their final location
+            source: targetPath,
+            // What retrieval filters match on: `source` differs between hosts and containers
+            fileName: basename,
+            pageNumber,
+            fileType,
+            chunkStrategy: strategy,
+            chunkId: idx,
+            totalChunks: splitDocs.length,
+            contentHash,
+            ingestId,
+          };
+        });
+      } catch (error) {
+        console.error(`   ❌ Failed to load ${basename}: ${error.message}`);
+        progressCallback?.({ type: 'file_error', file: basename, message: error.message });
+        failedFiles++;
+        await discardStaged();
+        continue;
+      }
 
       progressCallback?.({ type: 'chunks_start', file: basename, total: splitDocs.length });
 
       const batchSize = 10;
+      const maxAttempts = getBatchAttempts();
       let successfulChunks = 0;
       let failedChunks = 0;
 
@@ -87,42 +301,102 @@ export async function ingestDocuments(documentsPath = null, progressCallback = n
         const batchStart = i + 1;
         const batchEnd = Math.min(i + batchSize, splitDocs.length);
 
-        try {
-          await vectorStore.addDocuments(batch);
-          successfulChunks += batch.length;
-          console.log(
-            `   ✅ Stored chunks ${batchStart}-${batchEnd} (${successfulChunks}/${splitDocs.length})`
-          );
-          progressCallback?.({ type: 'batch_stored', file: basename, stored: successfulChunks, total: splitDocs.length });
-
-          if (i + batchSize < splitDocs.length) {
-            await new Promise(resolve => setTimeout(resolve, 500));
+        let stored = false;
+        for (let attempt = 1; attempt <= maxAttempts && !stored; attempt++) {
+          try {
+            await vectorStore.addDocuments(batch);
+            stored = true;
+          } catch (error) {
+            console.error(
+              `   ❌ Failed to store chunks ${batchStart}-${batchEnd} (attempt ${attempt}/${maxAttempts}): ${error.message}`
+            );
+            if (attempt < maxAttempts) {
+              progressCallback?.({ type: 'batch_retry', file: basename, attempt, maxAttempts, message: error.message });
+              await new Promise(resolve => setTimeout(resolve, BATCH_RETRY_DELAY_MS * attempt));
+            }
           }
-        } catch (error) {
+        }
+
+        if (!stored) {
           failedChunks += batch.length;
-          console.error(
-            `   ❌ Failed to store chunks ${batchStart}-${batchEnd}: ${error.message}`
-          );
-          console.log('   ⏭️  Continuing with next batch...');
+          break;
         }
-      }
 
-      progressCallback?.({ type: 'file_done', file: basename });
-      totalChunks += splitDocs.length;
+        successfulChunks += batch.length;
+        console.log(
+          `   ✅ Stored chunks ${batchStart}-${batchEnd} (${successfulChunks}/${splitDocs.length})`
+        );
+        progressCallback?.({ type: 'batch_stored', file: basename, stored: successfulChunks, total: splitDocs.length });
+
+        if (i + batchSize < splitDocs.length) {
+          await new Promise(resolve => setTimeout(resolve, 500));
+        }
+      }
 
       if (failedChunks > 0) {
-        console.log(`\n⚠️  ${failedChunks} chunks failed to store for ${basename}`);
+        // Roll back the partial new version; the previous version stays in place
+        console.log(`   ↩️  Rolling back ${successfulChunks} stored chunk(s) for ${basename}`);
+        await vectorStore.delete({ filter: { ingestId } }).catch((error) => {
+          console.error(`   ❌ Rollback failed: ${error.message}`);
+        });
+        progressCallback?.({
+          type: 'file_error',
+          file: basename,
+          message: current
+            ? `Failed to store chunks; version ${current.version} was kept`
+            : 'Failed to store chunks',
+        });
+        failedFiles++;
+        await discardStaged();
+        continue;
+      }
+
+      if (isStaged) {
+        await moveFile(filePath, targetPath);
+      }
+
+      const replaced = await removeDocumentChunks(vectorStore, basename, ingestId);
+
+      // Keep the keyword index in step with the collection
+      await lexicalIndex.addDocuments(splitDocs);
+      await lexicalIndex.removeDocument(basename, ingestId);
+
+      if (replaced > 0) {
+        console.log(`   🔁 Replaced ${replaced} chunk(s) from the previous version`);
       }
+
+      const { size: sizeBytes } = await fs.promises.stat(targetPath);
+      const version = await documentRegistry.recordVersion(basename, {
+        contentHash,
+        sizeBytes,
+        chunkCount: splitDocs.length,
+        chunkStrategy: strategy,
+        ingestId,
+      }, owner);
+
+      progressCallback?.({
+        type: 'file_done',
+        file: basename,
+        version: version.version,
+        replaced: replaced > 0,
+        chunkStrategy: strategy,
+      });
+      totalChunks += splitDocs.length;
+      ingestedFiles++;
     }
 
     console.log('\n✅ Ingestion Complete!');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`📊 Summary:`);
-    console.log(`   Files processed: ${files.length}`);
+    console.log(`   Files ingested: ${ingestedFiles}`);
+    console.log(`   Files skipped: ${skippedFiles}`);
+    console.log(`   Files failed: ${failedFiles}`);
     console.log(`   Total pages: ${totalPages}`);
     console.log(`   Total chunks: ${totalChunks}`);
-    console.log(`   Collection: ${process.env.CHROMA_COLLECTION}`);
+    console.log(`   Collection: ${knowledgeBase}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+    return { ingested: ingestedFiles, skipped: skippedFiles, failed: failedFiles };
   } catch (error) {
     console.error('\n❌ Ingestion Error:', error.message);
     console.error(error);
@@ -130,9 +404,9 @@ export async function ingestDocuments(documentsPath = null, progressCallback = n
   }
 }
 
-// Run if called directly
+// Run if called directly: node utils/documentLoader.js [knowledgeBase]
 if (import.meta.url === `file://${process.argv[1]}`) {
-  ingestDocuments()
+  ingestDocuments(null, null, null, { knowledgeBase: process.argv[2] })
     .then(() => {
       console.log('\n✅ Done! You can now start the server.');
       process.exit(0);
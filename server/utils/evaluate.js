@@ -0,0 +1,310 @@
+import { parseArgs } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage: npm run eval -- <golden.jsonl> [options]
+
+Options:
+  --knowledge-base <name>   Knowledge base to evaluate (default: CHROMA_COLLECTION)
+  --offline                 Stub chat and embedding models and an in-memory vector store;
+                            ingests --documents first. Needs no network or API key.
+  --documents <dir>         Corpus to ingest in offline mode
+  --k <n>                   Chunks retrieved per question (default: RETRIEVAL_TOP_K)
+  --retrieval-only          Skip answer generation and answer scores
+  --output <file>           Write the full report as JSON
+  --min-hit-rate <0-1>      Exit with code 1 below this hit rate
+  --min-mrr <0-1>           Exit with code 1 below this MRR
+  --min-faithfulness <0-1>  Exit with code 1 below this mean faithfulness`;
+
+// Share of an answer sentence's terms that must appear in the retrieved context for it to count as supported
+const SUPPORTED_SENTENCE_COVERAGE = 0.6;
+
+/**
+ * Read the golden set: one JSON object per line with `question`, `expectedSources`
+ * (file names, or { document, page } for a specific page) and an optional `referenceAnswer`.
+ * @param {string} filePath - JSONL file
+ * @returns {Array<{ id: string, question: string, expectedSources: Array<{ document: string, page: number|null }>, referenceAnswer: string|null }>}
+ */
+export const loadGoldenSet = (filePath) =>
+  fs
+    .readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map((line, idx) => ({ line: line.trim(), lineNumber: idx + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, lineNumber }) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}:${lineNumber}: invalid JSON (${error.message})`);
+      }
+      if (typeof entry.question !== 'string' || !entry.question.trim()) {
+        throw new Error(`${filePath}:${lineNumber}: "question" is required`);
+      }
+      return {
+        id: String(entry.id ?? lineNumber),
+        question: entry.question,
+        expectedSources: (entry.expectedSources ?? []).map((source) =>
+          typeof source === 'string'
+            ? { document: source, page: null }
+            : { document: source.document, page: source.page ?? null }
+        ),
+        referenceAnswer: entry.referenceAnswer ?? null,
+      };
+    });
+
+/**
+ * 1-based rank of the first retrieved chunk matching an expected source, or null.
+ * A source without a page matches any chunk of that document.
+ */
+export const firstRelevantRank = (docs, expectedSources) => {
+  const idx = docs.findIndex((doc) =>
+    expectedSources.some(
+      ({ document, page }) =>
+        path.basename(doc.metadata?.source ?? '') === document &&
+        (page === null || doc.metadata?.pageNumber === page)
+    )
+  );
+  return idx === -1 ? null : idx + 1;
+};
+
+/**
+ * Share of the answer's sentences whose terms mostly appear in the retrieved context.
+ * A cheap lexical proxy for faithfulness: it catches answers drifting away from the
+ * sources, not subtle misreadings. Null when there is nothing to score.
+ */
+export const faithfulness = (answer, context, contentTerms) => {
+  const contextTerms = new Set(contentTerms(context));
+  const sentences = answer
+    .replace(/\[\d+\]/g, '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => contentTerms(sentence))
+    .filter((terms) => terms.length > 0);
+  if (sentences.length === 0 || contextTerms.size === 0) return null;
+
+  const supported = sentences.filter(
+    (terms) => terms.filter((term) => contextTerms.has(term)).length / terms.length >= SUPPORTED_SENTENCE_COVERAGE
+  );
+  return supported.length / sentences.length;
+};
+
+/**
+ * Token F1 between the answer and the reference answer, as in SQuAD.
+ */
+export const answerF1 = (answer, reference, contentTerms) => {
+  const answerTerms = contentTerms(answer.replace(/\[\d+\]/g, ''));
+  const referenceTerms = contentTerms(reference);
+  if (answerTerms.length === 0 || referenceTerms.length === 0) return 0;
+
+  const remaining = new Map();
+  referenceTerms.forEach((term) => remaining.set(term, (remaining.get(term) ?? 0) + 1));
+  let common = 0;
+  for (const term of answerTerms) {
+    if (remaining.get(term) > 0) {
+      common++;
+      remaining.set(term, remaining.get(term) - 1);
+    }
+  }
+  if (common === 0) return 0;
+  const precision = common / answerTerms.length;
+  const recall = common / referenceTerms.length;
+  return (2 * precision * recall) / (precision + recall);
+};
+
+const mean = (values) => {
+  const scored = values.filter((value) => value !== null);
+  return scored.length ? scored.reduce((sum, value) => sum + value, 0) / scored.length : null;
+};
+
+const formatScore = (value) => (value === null ? '  -  ' : value.toFixed(3));
+
+/**
+ * Run every golden question through the knowledge base's retrieval and RAG chain, the
+ * same code the chat route uses (without tools or history). Set RETRIEVAL_TOP_K and the
+ * other retrieval settings in the environment to compare configurations.
+ * @param {Array} goldenSet - Entries from loadGoldenSet()
+ * @param {{ knowledgeBase?: string|null, retrievalOnly?: boolean }} options
+ * @returns {Promise<{ summary: Object, results: Array<Object> }>}
+ */
+export const evaluate = async (goldenSet, { knowledgeBase = null, retrievalOnly = false } = {}) => {
+  const { ragService } = await import('../services/RAGService.js');
+  const { contentTerms } = await import('../services/rerankers/localReranker.js');
+  const { getRetrievalConfig } = await import('../config/retrieval.js');
+  const { extractChunkContent } = await import('./helpers.js');
+
+  const { retrieveContext, ragChain } = await ragService.getChain(knowledgeBase);
+
+  const results = [];
+  for (const entry of goldenSet) {
+    const { context, docs, search, hasRelevantContext } = await retrieveContext(entry.question);
+    const rank = firstRelevantRank(docs, entry.expectedSources);
+
+    const result = {
+      id: entry.id,
+      question: entry.question,
+      search,
+      retrieved: docs.map((doc) => ({
+        fileName: path.basename(doc.metadata?.source ?? 'unknown'),
+        pageNumber: doc.metadata?.pageNumber ?? 0,
+        chunkId: doc.metadata?.chunkId ?? null,
+        score: doc.metadata?.relevanceScore ?? null,
+      })),
+      hit: rank !== null,
+      rank,
+      reciprocalRank: rank ? 1 / rank : 0,
+    };
+
+    if (!retrievalOnly) {
+      const response = await ragChain.invoke({ question: entry.question, context, chat_history: [] });
+      const answer = extractChunkContent(response);
+      Object.assign(result, {
+        answer,
+        // The chain's model may ask for tools; the chat route would run them, this harness doesn't
+        toolCalls: response.tool_calls?.map((call) => call.name) ?? [],
+        faithfulness: hasRelevantContext ? faithfulness(answer, context, contentTerms) : null,
+        answerF1: entry.referenceAnswer ? answerF1(answer, entry.referenceAnswer, contentTerms) : null,
+      });
+    }
+
+    results.push(result);
+  }
+
+  const summary = {
+    questions: results.length,
+    k: getRetrievalConfig().topK,
+    hitRate: mean(results.map((result) => (result.hit ? 1 : 0))),
+    mrr: mean(results.map((result) => result.reciprocalRank)),
+    faithfulness: retrievalOnly ? null : mean(results.map((result) => result.faithfulness)),
+    answerF1: retrievalOnly ? null : mean(results.map((result) => result.answerF1)),
+  };
+  return { summary, results };
+};
+
+const printReport = ({ summary, results }, { offline }) => {
+  console.log('\n📊 Evaluation Report');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('   id                    rank   RR     faith  F1');
+  for (const result of results) {
+    console.log(
+      `${result.hit ? '✅' : '❌'} ${result.id.padEnd(20).slice(0, 20)}  ${String(result.rank ?? '-').padEnd(5)}  ` +
+        `${formatScore(result.reciprocalRank)}  ${formatScore(result.faithfulness ?? null)}  ${formatScore(result.answerF1 ?? null)}`
+    );
+  }
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`   Questions:     ${summary.questions}`);
+  console.log(`   Hit rate @${summary.k}:   ${formatScore(summary.hitRate)}`);
+  console.log(`   MRR:           ${formatScore(summary.mrr)}`);
+  console.log(`   Faithfulness:  ${formatScore(summary.faithfulness)}`);
+  console.log(`   Answer F1:     ${formatScore(summary.answerF1)}`);
+  if (offline) console.log('   (offline: stub models, answer scores only check the plumbing)');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+};
+
+/**
+ * Names of the thresholds the summary falls below.
+ */
+const failedThresholds = (summary, thresholds) =>
+  Object.entries(thresholds)
+    .filter(([metric, minimum]) => minimum !== null && (summary[metric] ?? 0) < minimum)
+    .map(([metric, minimum]) => `${metric} ${formatScore(summary[metric] ?? null)} < ${minimum}`);
+
+const readThreshold = (value, name) => {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    throw new Error(`--${name} must be a number between 0 and 1`);
+  }
+  return number;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'knowledge-base': { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      documents: { type: 'string' },
+      k: { type: 'string' },
+      'retrieval-only': { type: 'boolean', default: false },
+      output: { type: 'string' },
+      'min-hit-rate': { type: 'string' },
+      'min-mrr': { type: 'string' },
+      'min-faithfulness': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const k = values.k === undefined ? null : Number(values.k);
+  if (k !== null && !(Number.isInteger(k) && k > 0)) throw new Error('--k must be a positive integer');
+  const thresholds = {
+    hitRate: readThreshold(values['min-hit-rate'], 'min-hit-rate'),
+    mrr: readThreshold(values['min-mrr'], 'min-mrr'),
+    faithfulness: readThreshold(values['min-faithfulness'], 'min-faithfulness'),
+  };
+  const goldenSet = loadGoldenSet(path.resolve(positionals[0]));
+  console.log(`🧪 Loaded ${goldenSet.length} golden question(s) from ${positionals[0]}`);
+
+  dotenv.config({ path: path.join(__dirname, '../.env') });
+  if (k !== null) process.env.RETRIEVAL_TOP_K = String(k);
+
+  let tempDataDir = null;
+  if (values.offline) {
+    if (!values.documents) throw new Error('--offline needs --documents <dir> to ingest');
+    // Set before the services are imported: paths and stores are resolved at import time
+    tempDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docutalk-eval-'));
+    Object.assign(process.env, {
+      LLM_PROVIDER: 'stub',
+      EMBEDDING_PROVIDER: 'stub',
+      VECTOR_STORE: 'memory',
+      DATA_DIR: tempDataDir,
+    });
+    console.log('🔌 Offline mode: stub models, in-memory vector store');
+
+    const { ingestDocuments } = await import('./documentLoader.js');
+    const ingested = await ingestDocuments(path.resolve(values.documents));
+    if (!ingested?.ingested) throw new Error(`No documents ingested from ${values.documents}`);
+  }
+
+  try {
+    const report = await evaluate(goldenSet, {
+      knowledgeBase: values['knowledge-base'] ?? null,
+      retrievalOnly: values['retrieval-only'],
+    });
+    printReport(report, { offline: values.offline });
+
+    if (values.output) {
+      fs.writeFileSync(values.output, JSON.stringify(report, null, 2));
+      console.log(`💾 Report written to ${values.output}`);
+    }
+
+    const failed = failedThresholds(report.summary, thresholds);
+    if (failed.length > 0) {
+      console.error(`❌ Below threshold: ${failed.join(', ')}`);
+      return 1;
+    }
+    return 0;
+  } finally {
+    if (tempDataDir) fs.rmSync(tempDataDir, { recursive: true, force: true });
+  }
+};
+
+// Run if called directly: node utils/evaluate.js <golden.jsonl> [options]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error('\n❌ Evaluation failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -1,12 +1,14 @@
 import { v4 as uuidv4 } from 'uuid';
+import { parseRetrievalFilter } from './retrievalFilter.js';
 
 /**
  * Validate incoming chat request.
  * @param {Object} req - Express request object
- * @returns {{ isValid: boolean, error?: string, message?: string, sessionId: string, context?: Object }}
+ * A `filter` key (even null) re-scopes the session; without it the session keeps its scope.
+ * @returns {{ isValid: boolean, error?: string, message?: string, sessionId: string, context?: Object, filter?: Object|null, hasFilter?: boolean }}
  */
 export const validateChatRequest = (req) => {
-  const { message, sessionId: clientSessionId, context } = req.body;
+  const { message, sessionId: clientSessionId, context, knowledgeBase } = req.body;
 
   if (!message || typeof message !== 'string') {
     return {
@@ -15,11 +17,24 @@ export const validateChatRequest = (req) => {
     };
   }
 
+  let filter;
+  try {
+    filter = parseRetrievalFilter(req.body.filter);
+  } catch (error) {
+    return {
+      isValid: false,
+      error: error.message,
+    };
+  }
+
   return {
     isValid: true,
     message,
     sessionId: clientSessionId || uuidv4(),
     context: context || null,
+    knowledgeBase: knowledgeBase || null,
+    filter,
+    hasFilter: 'filter' in req.body,
   };
 };
 
@@ -47,13 +62,19 @@ export const sendSSEEvent = (res, type, data = {}) => {
 
 /**
  * Extract text content from various chunk formats.
- * @param {string|Object} chunk - Stream chunk (string or AIMessageChunk)
+ * Anthropic models return content as an array of blocks; only text blocks are kept.
+ * @param {string|Object} chunk - Stream chunk or message (string or AIMessage(Chunk))
  * @returns {string} Extracted text content
  */
 export const extractChunkContent = (chunk) => {
   if (typeof chunk === 'string') {
     return chunk;
   }
+  if (Array.isArray(chunk?.content)) {
+    return chunk.content
+      .map((part) => (typeof part === 'string' ? part : part?.type === 'text' ? part.text : ''))
+      .join('');
+  }
   if (chunk?.content) {
     return chunk.content;
   }
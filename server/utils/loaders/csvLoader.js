@@ -0,0 +1,37 @@
+import { readFile } from 'fs/promises';
+import { csvParse } from 'd3-dsv';
+import { Document } from '@langchain/core/documents';
+
+const ROWS_PER_SECTION = 25;
+
+/**
+ * Load a CSV table as sections of rows. Each row is written as "column: value" pairs
+ * so every chunk carries its own column names. A CSV has no pages: the page number stays 0
+ * and each group of rows is numbered from 1 as `rowGroup`.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Document[]>}
+ */
+export const loadCsv = async (filePath) => {
+  const raw = await readFile(filePath, 'utf-8');
+  const rows = csvParse(raw.replace(/^\uFEFF/, ''));
+  const columns = rows.columns;
+
+  const docs = [];
+  for (let i = 0; i < rows.length; i += ROWS_PER_SECTION) {
+    const sectionRows = rows.slice(i, i + ROWS_PER_SECTION);
+    const lines = sectionRows.map((row, idx) => {
+      const fields = columns
+        .filter((col) => row[col] !== undefined && row[col] !== '')
+        .map((col) => `${col}: ${row[col]}`)
+        .join('; ');
+      return `Row ${i + idx + 1}: ${fields}`;
+    });
+    docs.push(
+      new Document({
+        pageContent: lines.join('\n'),
+        metadata: { source: filePath, loc: { pageNumber: 0 }, rowGroup: docs.length + 1 },
+      })
+    );
+  }
+  return docs;
+};
@@ -0,0 +1,14 @@
+import mammoth from 'mammoth';
+import { htmlToMarkdown } from './htmlLoader.js';
+import { markdownToDocuments } from './markdownLoader.js';
+
+/**
+ * Load a Word document as one document per heading section.
+ * mammoth maps Word heading styles to <h1>…<h6>, which then drive the section split.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Document[]>}
+ */
+export const loadDocx = async (filePath) => {
+  const { value: html } = await mammoth.convertToHtml({ path: filePath });
+  return markdownToDocuments(htmlToMarkdown(html), filePath);
+};
@@ -0,0 +1,24 @@
+import { readFile } from 'fs/promises';
+import TurndownService from 'turndown';
+import { markdownToDocuments } from './markdownLoader.js';
+
+/**
+ * Convert HTML to Markdown, dropping non-content elements.
+ * @param {string} html - HTML source
+ * @returns {string} Markdown
+ */
+export const htmlToMarkdown = (html) => {
+  const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced' });
+  turndown.remove(['script', 'style', 'noscript', 'head', 'title']);
+  return turndown.turndown(html);
+};
+
+/**
+ * Load an HTML page as one document per heading section.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Document[]>}
+ */
+export const loadHtml = async (filePath) => {
+  const html = await readFile(filePath, 'utf-8');
+  return markdownToDocuments(htmlToMarkdown(html), filePath);
+};
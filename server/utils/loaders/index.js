@@ -0,0 +1,91 @@
+import path from 'path';
+import { loadPdf } from './pdfLoader.js';
+import { loadDocx } from './docxLoader.js';
+import { loadMarkdown } from './markdownLoader.js';
+import { loadHtml } from './htmlLoader.js';
+import { loadText } from './textLoader.js';
+import { loadCsv } from './csvLoader.js';
+
+/**
+ * Loader registry. Each loader turns a file into page/section documents whose
+ * metadata carries `source` and `loc.pageNumber`, the shape ingestDocuments expects. Formats
+ * without pages use page 0 and say where a document sits with `sectionIndex` or `rowGroup`.
+ * Loaders receive `{ warn }` to report problems that don't fail the file (see pdfLoader.js).
+ */
+const LOADERS = [
+  {
+    type: 'pdf',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    load: loadPdf,
+  },
+  {
+    type: 'docx',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    load: loadDocx,
+  },
+  {
+    type: 'markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    load: loadMarkdown,
+  },
+  {
+    type: 'html',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html'],
+    load: loadHtml,
+  },
+  {
+    type: 'text',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    load: loadText,
+  },
+  {
+    type: 'csv',
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv', 'application/csv'],
+    load: loadCsv,
+  },
+];
+
+export const SUPPORTED_EXTENSIONS = LOADERS.flatMap((l) => l.extensions);
+
+/**
+ * Find the loader for a file. The extension wins over the MIME type because
+ * browsers report inconsistent types for .md/.csv (often "" or application/octet-stream).
+ * @param {string} fileName - File name or path
+ * @param {string} [mimeType] - MIME type reported by the upload, if any
+ * @returns {Object|null} Loader entry or null if unsupported
+ */
+export const getLoader = (fileName, mimeType = null) => {
+  const ext = path.extname(fileName).toLowerCase();
+  return (
+    LOADERS.find((l) => l.extensions.includes(ext)) ||
+    (mimeType && LOADERS.find((l) => l.mimeTypes.includes(mimeType))) ||
+    null
+  );
+};
+
+/**
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if a loader is registered for the file's extension
+ */
+export const isSupportedFile = (fileName) => SUPPORTED_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+/**
+ * Load a file with the loader registered for its type.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<{ type: string, docs: Document[], warnings: Array<{ code: string, message: string, pages?: number[] }> }>}
+ */
+export const loadFile = async (filePath) => {
+  const loader = getLoader(filePath);
+  if (!loader) {
+    throw new Error(`Unsupported file type: ${path.basename(filePath)}`);
+  }
+  const warnings = [];
+  const docs = await loader.load(filePath, { warn: (warning) => warnings.push(warning) });
+  return { type: loader.type, docs, warnings };
+};
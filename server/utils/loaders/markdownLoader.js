@@ -0,0 +1,55 @@
+import { readFile } from 'fs/promises';
+import { Document } from '@langchain/core/documents';
+
+const HEADING = /^#{1,6}\s+\S/;
+const FENCE = /^(```|~~~)/;
+
+/**
+ * Split Markdown into sections, starting a new one at every heading outside code fences.
+ * @param {string} markdown - Markdown source
+ * @returns {string[]} Section texts, each beginning with its heading (if any)
+ */
+export const splitMarkdownSections = (markdown) => {
+  const sections = [];
+  let current = [];
+  let inFence = false;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (FENCE.test(line.trim())) inFence = !inFence;
+    if (!inFence && HEADING.test(line) && current.some((l) => l.trim())) {
+      sections.push(current.join('\n').trim());
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.some((l) => l.trim())) sections.push(current.join('\n').trim());
+
+  return sections;
+};
+
+/**
+ * Turn Markdown text into one document per section. Markdown has no pages: the page number
+ * stays 0 and the 1-based section index is kept as `sectionIndex`.
+ * @param {string} markdown - Markdown source
+ * @param {string} source - File path recorded in metadata
+ * @returns {Document[]}
+ */
+export const markdownToDocuments = (markdown, source) => {
+  return splitMarkdownSections(markdown).map(
+    (section, idx) =>
+      new Document({
+        pageContent: section,
+        metadata: { source, loc: { pageNumber: 0 }, sectionIndex: idx + 1 },
+      })
+  );
+};
+
+/**
+ * Load a Markdown file as one document per heading section.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Document[]>}
+ */
+export const loadMarkdown = async (filePath) => {
+  const markdown = await readFile(filePath, 'utf-8');
+  return markdownToDocuments(markdown, filePath);
+};
@@ -0,0 +1,98 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const run = promisify(execFile);
+
+// Tesseract TSV rows: level page_num block_num par_num line_num word_num left top width height conf text
+const WORD_LEVEL = '5';
+
+/**
+ * Thrown when the OCR binaries are missing, so the caller can skip OCR for the whole file.
+ */
+export class OcrUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OcrUnavailableError';
+  }
+}
+
+const runTool = async (command, args, timeout) => {
+  try {
+    const { stdout } = await run(command, args, { timeout, maxBuffer: 32 * 1024 * 1024 });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new OcrUnavailableError(`${command} was not found; install tesseract and poppler-utils`);
+    }
+    const reason = error.killed ? `timed out after ${timeout} ms` : error.stderr?.trim() || error.message;
+    throw new Error(`${path.basename(command)} failed: ${reason}`);
+  }
+};
+
+/**
+ * Rebuild text from Tesseract's TSV output: words joined by line, blank lines between
+ * paragraphs, and the mean confidence of the recognised words.
+ * @param {string} tsv - Output of `tesseract … tsv`
+ * @returns {{ text: string, confidence: number|null }} confidence is 0-100, null when no word was found
+ */
+export const parseTesseractTsv = (tsv) => {
+  const lines = [];
+  const confidences = [];
+  let lastLine = null;
+  let lastParagraph = null;
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const [level, , block, paragraph, line, , , , , , conf, ...rest] = row.split('\t');
+    const word = rest.join('\t').trim();
+    if (level !== WORD_LEVEL || !word || Number(conf) < 0) continue;
+
+    const paragraphKey = `${block}:${paragraph}`;
+    const lineKey = `${paragraphKey}:${line}`;
+    if (lineKey !== lastLine) {
+      if (lastParagraph !== null && paragraphKey !== lastParagraph) lines.push('');
+      lines.push(word);
+      lastLine = lineKey;
+      lastParagraph = paragraphKey;
+    } else {
+      lines[lines.length - 1] += ` ${word}`;
+    }
+    confidences.push(Number(conf));
+  }
+
+  const confidence = confidences.length
+    ? Math.round((confidences.reduce((sum, value) => sum + value, 0) / confidences.length) * 10) / 10
+    : null;
+  return { text: lines.join('\n'), confidence };
+};
+
+/**
+ * Render one PDF page to an image with pdftoppm and read it with Tesseract.
+ * @param {string} filePath - Absolute path to the PDF
+ * @param {number} pageNumber - 1-based page number
+ * @param {ReturnType<import('../../config/ocr.js').getOcrConfig>} config - OCR settings
+ * @returns {Promise<{ text: string, confidence: number|null }>}
+ * @throws {OcrUnavailableError} When pdftoppm or tesseract is not installed
+ */
+export const ocrPdfPage = async (filePath, pageNumber, config) => {
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'docutalk-ocr-'));
+  const imageBase = path.join(tempDir, 'page');
+  try {
+    const page = String(pageNumber);
+    await runTool(
+      config.pdftoppmPath,
+      ['-f', page, '-l', page, '-r', String(config.dpi), '-gray', '-png', '-singlefile', filePath, imageBase],
+      config.pageTimeoutMs
+    );
+    const tsv = await runTool(
+      config.tesseractPath,
+      [`${imageBase}.png`, 'stdout', '-l', config.languages, 'tsv'],
+      config.pageTimeoutMs
+    );
+    return parseTesseractTsv(tsv);
+  } finally {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+};
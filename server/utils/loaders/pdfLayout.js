@@ -0,0 +1,202 @@
+/**
+ * Layout analysis of a PDF page's positioned text items (pdf.js getTextContent), used to
+ * pull tables and figure captions out of the text flow. PDFs carry no table structure,
+ * so tables are recognised from geometry: consecutive lines split into the same columns.
+ */
+
+// Lines of a table: a header and at least two rows
+const MIN_TABLE_LINES = 3;
+// Longer cells are prose, e.g. a two-column page layout rather than a table
+const MAX_MEDIAN_CELL_LENGTH = 30;
+// Caption lines joined to a figure caption that wraps
+const MAX_CAPTION_LINES = 3;
+
+const TABLE_CAPTION = /^table\s+\d+/i;
+const FIGURE_CAPTION = /^(figure|fig\.?)\s*\d+/i;
+
+const fontSize = (item) => Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] ?? 0;
+};
+
+// Items at (nearly) the same height form a line; a wide horizontal gap starts a new cell
+const groupLines = (items) => {
+  const sorted = items
+    .filter((item) => item.str.trim())
+    .sort((a, b) => b.transform[5] - a.transform[5] || a.transform[4] - b.transform[4]);
+
+  const lines = [];
+  for (const item of sorted) {
+    const y = item.transform[5];
+    const line = lines.at(-1);
+    if (line && Math.abs(line.y - y) <= fontSize(item) * 0.3) {
+      line.items.push(item);
+    } else {
+      lines.push({ y, size: fontSize(item), items: [item] });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.transform[4] - b.transform[4]);
+    line.cells = [];
+    for (const item of line.items) {
+      const x0 = item.transform[4];
+      const x1 = x0 + item.width;
+      const cell = line.cells.at(-1);
+      const gap = cell ? x0 - cell.x1 : Infinity;
+      if (gap < line.size) {
+        cell.text += gap > line.size * 0.15 && !cell.text.endsWith(' ') && !item.str.startsWith(' ') ? ` ${item.str}` : item.str;
+        cell.x1 = Math.max(cell.x1, x1);
+      } else {
+        line.cells.push({ x0, x1, text: item.str });
+      }
+    }
+    line.cells.forEach((cell) => (cell.text = cell.text.trim()));
+    line.text = line.cells.map((cell) => cell.text).join(' ');
+  }
+  return lines;
+};
+
+// Column index for each cell, or null when a cell fits no column or two cells share one
+const matchColumns = (cells, columns, tolerance) => {
+  const used = new Set();
+  const indexes = [];
+  for (const cell of cells) {
+    const matches = columns
+      .map((column, idx) => ({ idx, overlaps: cell.x0 <= column.x1 + tolerance && cell.x1 >= column.x0 - tolerance }))
+      .filter((column) => column.overlaps);
+    if (matches.length !== 1 || used.has(matches[0].idx)) return null;
+    used.add(matches[0].idx);
+    indexes.push(matches[0].idx);
+  }
+  return indexes;
+};
+
+// Grow a table from the line at `start` for as long as the following lines keep its columns
+const readTable = (lines, start) => {
+  const first = lines[start];
+  if (first.cells.length < 2) return null;
+
+  const columns = first.cells.map(({ x0, x1 }) => ({ x0, x1 }));
+  const rows = [first.cells.map((cell) => cell.text)];
+  let end = start;
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (lines[i - 1].y - line.y > line.size * 3) break;
+
+    const indexes = matchColumns(line.cells, columns, line.size * 0.5);
+    if (!indexes) break;
+
+    if (line.cells.length === 1) {
+      // A cell wrapping onto a second line, unless it sits in the first column (a new row or prose)
+      if (indexes[0] === 0 || rows.length < 2) break;
+      const previous = rows.at(-1);
+      previous[indexes[0]] = `${previous[indexes[0]]} ${line.cells[0].text}`.trim();
+    } else {
+      const row = new Array(columns.length).fill('');
+      line.cells.forEach((cell, idx) => {
+        row[indexes[idx]] = cell.text;
+        columns[indexes[idx]].x0 = Math.min(columns[indexes[idx]].x0, cell.x0);
+        columns[indexes[idx]].x1 = Math.max(columns[indexes[idx]].x1, cell.x1);
+      });
+      rows.push(row);
+    }
+    end = i;
+  }
+
+  const cellLengths = rows.flat().filter(Boolean).map((text) => text.length);
+  if (end - start + 1 < MIN_TABLE_LINES || rows.length < MIN_TABLE_LINES || median(cellLengths) > MAX_MEDIAN_CELL_LENGTH) {
+    return null;
+  }
+  return { start, end, header: rows[0], rows: rows.slice(1) };
+};
+
+/**
+ * Split a page into tables, figure captions and the remaining text.
+ * Table captions ("Table 2: …") directly above or below a table are attached to it.
+ * @param {Array<{ str: string, transform: number[], width: number, height: number }>} items - Text items of the page
+ * @returns {{ text: string, tables: Array<{ caption: string|null, header: string[], rows: string[][] }>, figures: string[] }}
+ *   text is joined like LangChain's PDFLoader does, without the items that went into tables and captions
+ */
+export const extractLayout = (items) => {
+  const lines = groupLines(items);
+  const taken = new Set();
+  const tables = [];
+  const figures = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const table = readTable(lines, i);
+    if (!table) continue;
+
+    let caption = null;
+    for (const idx of [table.start - 1, table.end + 1]) {
+      if (caption === null && lines[idx] && !taken.has(lines[idx]) && TABLE_CAPTION.test(lines[idx].text)) {
+        caption = lines[idx].text;
+        taken.add(lines[idx]);
+      }
+    }
+    for (let idx = table.start; idx <= table.end; idx++) taken.add(lines[idx]);
+    tables.push({ caption, header: table.header, rows: table.rows });
+    i = table.end;
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    if (taken.has(lines[i]) || !FIGURE_CAPTION.test(lines[i].text)) continue;
+    const captionLines = [lines[i]];
+    // Follow a caption that wraps: closely spaced lines until one ends a sentence
+    while (
+      captionLines.length < MAX_CAPTION_LINES &&
+      !/[.!?]$/.test(captionLines.at(-1).text) &&
+      lines[i + captionLines.length] &&
+      !taken.has(lines[i + captionLines.length]) &&
+      captionLines.at(-1).y - lines[i + captionLines.length].y <= captionLines.at(-1).size * 1.6
+    ) {
+      captionLines.push(lines[i + captionLines.length]);
+    }
+    captionLines.forEach((line) => taken.add(line));
+    figures.push(captionLines.map((line) => line.text).join(' '));
+    i += captionLines.length - 1;
+  }
+
+  // Same joining as PDFLoader: items on one baseline are concatenated, a new baseline starts a new line
+  const takenItems = new Set([...taken].flatMap((line) => line.items));
+  const textItems = [];
+  let lastY;
+  for (const item of items) {
+    if (takenItems.has(item)) continue;
+    textItems.push(lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`);
+    lastY = item.transform[5];
+  }
+
+  return { text: textItems.join(''), tables, figures };
+};
+
+/**
+ * Render a table as Markdown.
+ * @param {{ header: string[], rows: string[][] }} table
+ * @returns {string}
+ */
+export const tableToMarkdown = ({ header, rows }) => {
+  const escape = (text) => text.replace(/\|/g, '\\|');
+  return [
+    `| ${header.map(escape).join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(escape).join(' | ')} |`),
+  ].join('\n');
+};
+
+/**
+ * Render one table row as "Header: value" pairs, the form that is embedded and searched,
+ * so a question naming a row and a column matches the row holding the answer.
+ * @param {string[]} header - Column headers
+ * @param {string[]} row - Cell values
+ * @returns {string} e.g. "Tier: Tier 2; Price: $25/month; Users: 20"
+ */
+export const tableRowToText = (header, row) =>
+  row
+    .map((value, idx) => (value ? `${header[idx] || `Column ${idx + 1}`}: ${value}` : null))
+    .filter(Boolean)
+    .join('; ');
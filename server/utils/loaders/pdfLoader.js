@@ -0,0 +1,196 @@
+import fs from 'fs';
+import { Document } from '@langchain/core/documents';
+import pdfjs from 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+import { getOcrConfig } from '../../config/ocr.js';
+import { getChunkingConfig } from '../../config/chunking.js';
+import { ocrPdfPage, OcrUnavailableError } from './ocr.js';
+import { extractLayout, tableRowToText, tableToMarkdown } from './pdfLayout.js';
+
+const textLength = (text) => text.replace(/\s/g, '').length;
+
+const formatPages = (pages) => pages.join(', ');
+
+// The pdf.js build LangChain's PDFLoader uses, read directly for the text positions
+const readPdf = async (filePath) => {
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(await fs.promises.readFile(filePath)),
+    useWorkerFetch: false,
+    isEvalSupported: false,
+    useSystemFonts: true,
+  }).promise;
+
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    pages.push({ pageNumber, items: items.filter((item) => 'str' in item) });
+  }
+  return pages;
+};
+
+/**
+ * Documents for one table: rows are grouped up to the chunk size, each group searched by
+ * its "Header: value" rows and answered from a Markdown table repeating the header
+ * (`contextText`, see RAGService). They are final chunks; the chunkers pass them through.
+ */
+const toTableDocs = (table, { source, pageNumber, tableIndex }) => {
+  const { chunkSize } = getChunkingConfig();
+  const groups = [];
+  let group = [];
+  let length = 0;
+  for (const row of table.rows) {
+    const rowLength = tableRowToText(table.header, row).length;
+    if (group.length > 0 && length + rowLength > chunkSize) {
+      groups.push(group);
+      group = [];
+      length = 0;
+    }
+    group.push(row);
+    length += rowLength;
+  }
+  if (group.length > 0) groups.push(group);
+
+  let firstRow = 1;
+  return groups.map((rows) => {
+    const heading = table.caption ? `${table.caption}\n` : '';
+    const doc = new Document({
+      pageContent: heading + rows.map((row) => tableRowToText(table.header, row)).join('\n'),
+      metadata: {
+        source,
+        loc: { pageNumber },
+        contentType: 'table',
+        tableIndex,
+        tableRows: `${firstRow}-${firstRow + rows.length - 1}`,
+        ...(table.caption && { tableCaption: table.caption }),
+        contextText: heading + tableToMarkdown({ header: table.header, rows }),
+      },
+    });
+    firstRow += rows.length;
+    return doc;
+  });
+};
+
+// Read scanned pages with OCR into byNumber, warning about the outcome
+const ocrPages = async (filePath, scanned, byNumber, config, warn) => {
+  console.log(`   🔎 Running OCR on ${scanned.length} page(s) without text`);
+  const read = [];
+  const empty = [];
+  const lowConfidence = [];
+  for (const pageNumber of scanned) {
+    let result;
+    try {
+      result = await ocrPdfPage(filePath, pageNumber, config);
+    } catch (error) {
+      if (error instanceof OcrUnavailableError) {
+        const remaining = scanned.filter((n) => !read.includes(n) && !empty.includes(n));
+        warn({
+          code: 'ocr_unavailable',
+          pages: remaining,
+          message: `No extractable text on page(s) ${formatPages(remaining)}, probably scanned; they were skipped because OCR is not available (${error.message})`,
+        });
+        break;
+      }
+      console.error(`   ❌ OCR failed on page ${pageNumber}: ${error.message}`);
+      empty.push(pageNumber);
+      continue;
+    }
+
+    // Keep the text layer when OCR finds less, e.g. a page holding only a page number
+    const existing = byNumber.get(pageNumber);
+    if (!result.text.trim() || textLength(result.text) <= textLength(existing?.pageContent ?? '')) {
+      empty.push(pageNumber);
+      continue;
+    }
+
+    console.log(`   ✅ OCR page ${pageNumber}: ${textLength(result.text)} characters, confidence ${result.confidence}%`);
+    read.push(pageNumber);
+    if (result.confidence < config.minConfidence) lowConfidence.push(pageNumber);
+    byNumber.set(
+      pageNumber,
+      new Document({
+        pageContent: result.text,
+        metadata: { source: filePath, loc: { pageNumber }, ocrConfidence: result.confidence },
+      })
+    );
+  }
+
+  if (read.length > 0) {
+    const confidences = read.map((n) => byNumber.get(n).metadata.ocrConfidence);
+    const mean = Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length);
+    warn({
+      code: 'ocr_used',
+      pages: read,
+      message: `Page(s) ${formatPages(read)} had no text layer and were read with OCR (mean confidence ${mean}%)`,
+    });
+  }
+  if (lowConfidence.length > 0) {
+    warn({
+      code: 'ocr_low_confidence',
+      pages: lowConfidence,
+      message: `OCR confidence is under ${config.minConfidence}% on page(s) ${formatPages(lowConfidence)}; answers citing them may quote misread text`,
+    });
+  }
+  if (empty.length > 0) {
+    warn({
+      code: 'no_text',
+      pages: empty,
+      message: `No text found on page(s) ${formatPages(empty)}, even with OCR`,
+    });
+  }
+};
+
+/**
+ * Load a PDF as one text document per page (metadata.loc.pageNumber), plus one document per
+ * table (or group of rows) and figure caption, tagged with `contentType` table or figure.
+ * Pages with (almost) no text layer, as in scanned PDFs, are read with OCR instead and carry
+ * `ocrConfidence` (mean word confidence, 0-100). Skipped pages, OCR use and low confidence
+ * are reported through `warn`.
+ * @param {string} filePath - Absolute path to the file
+ * @param {{ warn?: (warning: { code: string, message: string, pages?: number[] }) => void }} options
+ * @returns {Promise<Document[]>}
+ */
+export const loadPdf = async (filePath, { warn = () => {} } = {}) => {
+  const config = getOcrConfig();
+  const byNumber = new Map();
+  const structured = [];
+  const scanned = [];
+  let tableCount = 0;
+  let figureCount = 0;
+
+  for (const { pageNumber, items } of await readPdf(filePath)) {
+    const { text, tables, figures } = extractLayout(items);
+    if (text.trim()) {
+      byNumber.set(pageNumber, new Document({ pageContent: text, metadata: { source: filePath, loc: { pageNumber } } }));
+    }
+    if (textLength(items.map((item) => item.str).join('')) < config.minTextChars) {
+      scanned.push(pageNumber);
+      continue;
+    }
+
+    for (const table of tables) {
+      structured.push(...toTableDocs(table, { source: filePath, pageNumber, tableIndex: tableCount++ }));
+    }
+    for (const caption of figures) {
+      structured.push(
+        new Document({ pageContent: caption, metadata: { source: filePath, loc: { pageNumber }, contentType: 'figure' } })
+      );
+      figureCount++;
+    }
+  }
+
+  if (tableCount > 0 || figureCount > 0) {
+    console.log(`   📊 Found ${tableCount} table(s) and ${figureCount} figure caption(s)`);
+  }
+
+  if (scanned.length > 0 && !config.enabled) {
+    warn({
+      code: 'no_text',
+      pages: scanned,
+      message: `No extractable text on page(s) ${formatPages(scanned)}, probably scanned; OCR is disabled, so they were skipped`,
+    });
+  } else if (scanned.length > 0) {
+    await ocrPages(filePath, scanned, byNumber, config, warn);
+  }
+
+  return [...byNumber.values(), ...structured].sort((a, b) => a.metadata.loc.pageNumber - b.metadata.loc.pageNumber);
+};
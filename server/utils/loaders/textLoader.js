@@ -0,0 +1,22 @@
+import { readFile } from 'fs/promises';
+import { Document } from '@langchain/core/documents';
+
+/**
+ * Load a plain-text file. Form feeds (\f) are treated as page breaks.
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Document[]>}
+ */
+export const loadText = async (filePath) => {
+  const text = await readFile(filePath, 'utf-8');
+  return text
+    .split('\f')
+    .map((page, idx) => ({ page: page.trim(), pageNumber: idx + 1 }))
+    .filter(({ page }) => page)
+    .map(
+      ({ page, pageNumber }) =>
+        new Document({
+          pageContent: page,
+          metadata: { source: filePath, loc: { pageNumber } },
+        })
+    );
+};
@@ -0,0 +1,61 @@
+import { parseArgs } from 'util';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage: npm run mcp -- [options]
+
+Serves the knowledge base to an MCP client over stdio.
+
+Options:
+  --knowledge-base <name>   Knowledge base to serve (default: CHROMA_COLLECTION)
+  --api-key <key>           Act as the user owning this API key (default: MCP_API_KEY);
+                            without one, every document is visible`;
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      'knowledge-base': { type: 'string' },
+      'api-key': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.error(USAGE);
+    return;
+  }
+
+  // stdout carries the protocol: everything the services log goes to stderr.
+  // Set before the services are imported, some of which log as they load.
+  console.log = console.error;
+  console.info = console.error;
+  dotenv.config({ path: path.join(__dirname, '../.env') });
+
+  const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+  const { createMcpServer } = await import('../services/mcpServer.js');
+  const { knowledgeBaseService } = await import('../services/knowledgeBaseService.js');
+  const { authService } = await import('../services/authService.js');
+
+  const apiKey = values['api-key'] ?? process.env.MCP_API_KEY;
+  const user = apiKey ? await authService.authenticate(apiKey) : null;
+  if (apiKey && !user) throw new Error('The API key is not valid');
+
+  const knowledgeBase = await knowledgeBaseService.requireExisting(values['knowledge-base']);
+  const server = await createMcpServer({ knowledgeBase, user });
+  // The client closing stdin ends the session; the services' timers would keep the process alive
+  server.server.onclose = () => process.exit(0);
+  await server.connect(new StdioServerTransport());
+  console.error(`🔌 MCP server ready on stdio: ${knowledgeBase}${user ? ` (as ${user.username})` : ''}`);
+};
+
+// Run if called directly: node utils/mcp.js [options]
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    console.error('\n❌ MCP server failed:', error.message);
+    process.exit(1);
+  });
+}
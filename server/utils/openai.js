@@ -0,0 +1,132 @@
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { parseRetrievalFilter } from './retrievalFilter.js';
+
+/**
+ * Error carrying an HTTP status and an OpenAI error code, sent in OpenAI's error shape.
+ */
+export class OpenAIError extends Error {
+  constructor(message, status = 400, code = null) {
+    super(message);
+    this.name = 'OpenAIError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Text of a message's content: a string, or an array of content parts of which text parts are kept.
+ * @param {string|Array|null} content
+ * @returns {string}
+ */
+const messageText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => (typeof part === 'string' ? part : part?.type === 'text' ? (part.text ?? '') : ''))
+      .join('');
+  }
+  return '';
+};
+
+/**
+ * Validate a /v1/chat/completions request body.
+ * The last message is the question; earlier user and assistant messages become the chat
+ * history, and system (or developer) messages are passed on as instructions at its start,
+ * after the server's own system prompt. Tool messages and sampling options are ignored:
+ * tools run on the server and the model is configured there. `filter` is an extension with
+ * the shape /api/chat takes, scoping retrieval to documents and/or pages.
+ * @param {Object} body - Request body
+ * @returns {{ model: string, question: string, chatHistory: Array, stream: boolean, filter: Object|null }}
+ * @throws {OpenAIError} When the request is malformed
+ */
+export const parseChatCompletionRequest = (body) => {
+  const { model, messages, stream = false, n = 1 } = body ?? {};
+
+  if (!model || typeof model !== 'string') {
+    throw new OpenAIError('model is required; use a knowledge base name from /v1/models', 400, 'invalid_model');
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new OpenAIError('messages must be a non-empty array');
+  }
+  if (n !== 1) {
+    throw new OpenAIError('Only n=1 is supported');
+  }
+
+  const last = messages.at(-1);
+  const question = messageText(last?.content).trim();
+  if (last?.role !== 'user' || !question) {
+    throw new OpenAIError('The last message must be a user message with text content');
+  }
+
+  const instructions = [];
+  const chatHistory = [];
+  for (const message of messages.slice(0, -1)) {
+    const text = messageText(message?.content);
+    if (message?.role === 'system' || message?.role === 'developer') {
+      if (text.trim()) instructions.push(text.trim());
+    } else if (message?.role === 'user') {
+      chatHistory.push(new HumanMessage(text));
+    } else if (message?.role === 'assistant') {
+      // Assistant turns that only called the caller's tools carry no text
+      if (text) chatHistory.push(new AIMessage(text));
+    } else if (message?.role !== 'tool' && message?.role !== 'function') {
+      throw new OpenAIError(`Unsupported message role: "${message?.role}"`);
+    }
+  }
+  if (instructions.length > 0) {
+    chatHistory.unshift(new HumanMessage(`Instructions for this conversation:\n${instructions.join('\n\n')}`));
+  }
+
+  let filter;
+  try {
+    filter = parseRetrievalFilter(body.filter);
+  } catch (error) {
+    throw new OpenAIError(error.message);
+  }
+
+  return { model, question, chatHistory, stream: stream === true, filter };
+};
+
+/**
+ * Build a `chat.completion` response. Citations of the answer's [n] markers go in the
+ * `citations` extension field.
+ * @param {{ id: string, created: number, model: string, answer: string, citations: Array }} completion
+ * @returns {Object}
+ */
+export const toChatCompletion = ({ id, created, model, answer, citations }) => ({
+  id,
+  object: 'chat.completion',
+  created,
+  model,
+  choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+  citations,
+});
+
+/**
+ * Build a `chat.completion.chunk` for a streamed response.
+ * @param {{ id: string, created: number, model: string }} completion
+ * @param {Object} delta - Message delta, e.g. { content }
+ * @param {Object} [extra] - finish_reason, and citations on the last chunk
+ * @returns {Object}
+ */
+export const toChatCompletionChunk = ({ id, created, model }, delta, { finishReason = null, ...extra } = {}) => ({
+  id,
+  object: 'chat.completion.chunk',
+  created,
+  model,
+  choices: [{ index: 0, delta, finish_reason: finishReason }],
+  ...extra,
+});
+
+/**
+ * Describe a knowledge base as an OpenAI model.
+ * @param {{ name: string, description: string, createdAt: string|null }} knowledgeBase
+ * @returns {Object}
+ */
+export const toModel = ({ name, description, createdAt }) => ({
+  id: name,
+  object: 'model',
+  created: createdAt ? Math.floor(Date.parse(createdAt) / 1000) : 0,
+  owned_by: 'docutalk',
+  description,
+});
@@ -0,0 +1,111 @@
+import path from 'path';
+
+const MAX_DOCUMENTS = 50;
+
+const isPageNumber = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate and normalize a retrieval filter from a request or tool call.
+ * Shape: { documents?: string[], pageFrom?: number, pageTo?: number }.
+ * Documents are file names as listed by /api/documents; pages are inclusive bounds.
+ * @param {Object|null|undefined} raw - Filter as received
+ * @returns {{ documents: string[], pageFrom: number|null, pageTo: number|null }|null} Null when nothing is filtered
+ * @throws {Error} When the filter is malformed
+ */
+export const parseRetrievalFilter = (raw) => {
+  if (raw === null || raw === undefined) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('filter must be an object');
+  }
+
+  const documents = raw.documents ?? [];
+  if (
+    !Array.isArray(documents) ||
+    documents.length > MAX_DOCUMENTS ||
+    documents.some((name) => typeof name !== 'string' || !name || path.basename(name) !== name)
+  ) {
+    throw new Error(`filter.documents must be a list of at most ${MAX_DOCUMENTS} document names`);
+  }
+
+  const pageFrom = raw.pageFrom ?? null;
+  const pageTo = raw.pageTo ?? null;
+  if ((pageFrom !== null && !isPageNumber(pageFrom)) || (pageTo !== null && !isPageNumber(pageTo))) {
+    throw new Error('filter.pageFrom and filter.pageTo must be non-negative integers');
+  }
+  if (pageFrom !== null && pageTo !== null && pageFrom > pageTo) {
+    throw new Error('filter.pageFrom must not be greater than filter.pageTo');
+  }
+
+  if (documents.length === 0 && pageFrom === null && pageTo === null) return null;
+  return { documents: [...new Set(documents)], pageFrom, pageTo };
+};
+
+/**
+ * Keep documents the caller may not see out of a filter's results.
+ * The exclusion is added at query time only; it is never part of a session's stored scope.
+ * @param {Object|null} filter - Normalized filter
+ * @param {string[]} hiddenDocuments - Names of documents owned by other users
+ * @returns {Object|null} Filter with `excludedDocuments`, or the filter unchanged when nothing is hidden
+ */
+export const excludeDocuments = (filter, hiddenDocuments) => {
+  if (hiddenDocuments.length === 0) return filter;
+  return {
+    ...(filter ?? { documents: [], pageFrom: null, pageTo: null }),
+    excludedDocuments: hiddenDocuments,
+  };
+};
+
+/**
+ * Get the document name a chunk belongs to. Chunks carry it as `fileName` (written by
+ * ingestDocuments, backfilled by backfillChunkFileNames); `source` is an absolute path that
+ * may differ between hosts and containers, so it is only the fallback.
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string}
+ */
+export const chunkFileName = (metadata) => metadata?.fileName ?? path.basename(metadata?.source ?? '');
+
+/**
+ * Translate a filter into a Chroma `where` clause on the metadata written by ingestDocuments.
+ * @param {Object|null} filter - Normalized filter
+ * @returns {Object|undefined} Where clause, or undefined for no filter
+ */
+export const toChromaWhere = (filter) => {
+  if (!filter) return undefined;
+
+  const conditions = [];
+  if (filter.documents.length > 0) conditions.push({ fileName: { $in: filter.documents } });
+  if (filter.excludedDocuments?.length > 0) conditions.push({ fileName: { $nin: filter.excludedDocuments } });
+  if (filter.pageFrom !== null) conditions.push({ pageNumber: { $gte: filter.pageFrom } });
+  if (filter.pageTo !== null) conditions.push({ pageNumber: { $lte: filter.pageTo } });
+
+  return conditions.length > 1 ? { $and: conditions } : conditions[0];
+};
+
+/**
+ * Check chunk metadata against a filter (for searches outside Chroma, e.g. the keyword index).
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object|null} filter - Normalized filter
+ * @returns {boolean}
+ */
+export const matchesRetrievalFilter = (metadata, filter) => {
+  if (!filter) return true;
+  const fileName = chunkFileName(metadata);
+  if (filter.documents.length > 0 && !filter.documents.includes(fileName)) return false;
+  if (filter.excludedDocuments?.includes(fileName)) return false;
+  const page = metadata?.pageNumber ?? 0;
+  if (filter.pageFrom !== null && page < filter.pageFrom) return false;
+  if (filter.pageTo !== null && page > filter.pageTo) return false;
+  return true;
+};
+
+/**
+ * Describe a filter for logs and tool replies.
+ * @param {Object|null} filter - Normalized filter
+ * @returns {string}
+ */
+export const describeRetrievalFilter = (filter) => {
+  if (!filter) return 'all documents';
+  const documents = filter.documents.length > 0 ? filter.documents.join(', ') : 'all documents';
+  if (filter.pageFrom === null && filter.pageTo === null) return documents;
+  return `${documents}, pages ${filter.pageFrom ?? 'start'}-${filter.pageTo ?? 'end'}`;
+};
@@ -1,18 +1,23 @@
-import { sendSSEEvent } from './helpers.js';
 import { conversationManager } from '../services/conversationManager.js';
 
 /**
- * Execute tool calls and stream results via SSE.
+ * Execute tool calls and stream results as events (SSE in the chat route).
  * @param {Array} toolCalls - Array of tool call objects (from accumulated.tool_calls)
  * @param {Array} tools - Available tools
- * @param {Object} res - Express response object
- * @param {string} sessionId - Session ID to fetch client context
- * @returns {Promise<Array>} Array of tool results
+ * @param {Function} emit - Receives each `tool_result`/`tool_error` event as (type, data)
+ * @param {string|null} sessionId - Session ID to fetch client context
+ * @param {string|null} knowledgeBase - Knowledge base the tools should search
+ * @param {number|null} step - Agent loop step, echoed in the SSE events
+ * @param {Object|null} user - Authenticated user; tools only see the documents this user may see
+ * @param {Object|null} scope - Retrieval scope the tools read and set_document_scope changes
+ * @returns {Promise<Array>} One result per tool call, in order ({ name, result } or { name, error })
  */
-export const executeToolCallsWithSSE = async (toolCalls, tools, res, sessionId) => {
+export const executeToolCallsWithSSE = async (
+  toolCalls, tools, emit, sessionId, knowledgeBase = null, step = null, user = null, scope = null
+) => {
   const results = [];
 
-  const clientContext = conversationManager.getSessionContext(sessionId);
+  const clientContext = sessionId ? await conversationManager.getSessionContext(sessionId) : null;
 
   for (const toolCall of toolCalls) {
     console.log(`⚙️  Executing tool: ${toolCall.name}`);
@@ -20,24 +25,23 @@ export const executeToolCallsWithSSE = async (toolCalls, tools, res, sessionId)
     const tool = tools.find((t) => t.name === toolCall.name);
     if (!tool) {
       console.error(`❌ Tool not found: ${toolCall.name}`);
-      sendSSEEvent(res, 'tool_error', {
-        tool: toolCall.name,
-        error: `Tool '${toolCall.name}' not found`,
-      });
+      const error = `Tool '${toolCall.name}' not found`;
+      emit('tool_error', { tool: toolCall.name, error, step });
+      results.push({ name: toolCall.name, error });
       continue;
     }
 
     try {
-      const argsWithContext = {
-        ...toolCall.args,
-        _clientContext: clientContext,
-      };
-      const toolResult = await tool.invoke(argsWithContext);
+      // The client context travels with the config: the tool schema would strip it from the arguments
+      const toolResult = await tool.invoke(toolCall.args, {
+        configurable: { knowledgeBase, sessionId, scope, user, clientContext },
+      });
       console.log(`✅ Tool result:`, toolResult);
 
-      sendSSEEvent(res, 'tool_result', {
+      emit('tool_result', {
         tool: toolCall.name,
         result: toolResult,
+        step,
       });
 
       results.push({
@@ -46,10 +50,12 @@ export const executeToolCallsWithSSE = async (toolCalls, tools, res, sessionId)
       });
     } catch (error) {
       console.error(`❌ Error executing tool ${toolCall.name}:`, error);
-      sendSSEEvent(res, 'tool_error', {
+      emit('tool_error', {
         tool: toolCall.name,
         error: error.message,
+        step,
       });
+      results.push({ name: toolCall.name, error: error.message });
     }
   }
 
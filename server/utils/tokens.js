@@ -0,0 +1,30 @@
+import { extractChunkContent } from './helpers.js';
+
+// CJK scripts run close to one token per character; everything else about four characters per token
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g;
+
+// Role markers and separators each chat message adds to the prompt
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the number of tokens in a text. Close enough for budgeting across
+ * providers without downloading each model's tokenizer.
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  const cjk = text.match(CJK_PATTERN)?.length ?? 0;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+};
+
+/**
+ * Estimate the tokens a list of chat messages takes up in a prompt.
+ * @param {Array} messages - LangChain messages
+ * @returns {number}
+ */
+export const countMessageTokens = (messages) =>
+  messages.reduce(
+    (total, message) => total + MESSAGE_OVERHEAD_TOKENS + estimateTokens(extractChunkContent(message)),
+    0
+  );